@@ -0,0 +1,10 @@
+-- Migration: Persist Session Formats
+-- This migration stores the running session format (round schedule, league progress
+-- or knockout bracket) and the fixed teams on the session, so a tournament survives
+-- a page refresh
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS format_state JSONB;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS teams JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN sessions.format_state IS 'Active session format: type, schedule/bracket and progress. NULL for open play.';
+COMMENT ON COLUMN sessions.teams IS 'Fixed two-player teams used by league and knockout formats.';
@@ -0,0 +1,10 @@
+-- Migration: Player Category
+-- This migration adds an optional category to players so courts can be reserved
+-- for mixed, men's or women's doubles
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS category TEXT;
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS valid_category;
+ALTER TABLE players ADD CONSTRAINT valid_category CHECK (category IS NULL OR category IN ('male', 'female'));
+
+COMMENT ON COLUMN players.category IS 'Optional player category (male/female) used by per-court match-type rules. NULL when not set.';
@@ -0,0 +1,7 @@
+-- Migration: Match Matching Data
+-- This migration stores how each match was drawn (method, score, seed and a snapshot of
+-- the pool and recent history) so a disputed draw can be replayed after a page refresh
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS matching_data JSONB;
+
+COMMENT ON COLUMN matches.matching_data IS 'How the match was drawn: method, score, seed and the snapshot needed to replay the draw. NULL for manual matches.';
@@ -0,0 +1,48 @@
+-- Migration: Singles Matches
+-- This migration makes singles first-class: the second player slot of each team is NULL for
+-- singles instead of repeating the player, and players get a separate singles rating
+
+-- Matches: second slots are optional, and required only for doubles
+ALTER TABLE matches ALTER COLUMN team1_player2_id DROP NOT NULL;
+ALTER TABLE matches ALTER COLUMN team2_player2_id DROP NOT NULL;
+
+-- Singles rows saved with the player repeated in the second slot
+UPDATE matches
+SET team1_player2_id = NULL, team2_player2_id = NULL
+WHERE match_type = 'singles'
+   OR (team1_player2_id = team1_player1_id AND team2_player2_id = team2_player1_id);
+
+UPDATE matches SET match_type = 'singles' WHERE team1_player2_id IS NULL AND team2_player2_id IS NULL;
+
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS different_players;
+ALTER TABLE matches ADD CONSTRAINT different_players CHECK (
+    team1_player1_id != team2_player1_id AND
+    team1_player1_id IS DISTINCT FROM team1_player2_id AND
+    team1_player1_id IS DISTINCT FROM team2_player2_id AND
+    team2_player1_id IS DISTINCT FROM team1_player2_id AND
+    team2_player1_id IS DISTINCT FROM team2_player2_id AND
+    (team1_player2_id IS NULL OR team1_player2_id IS DISTINCT FROM team2_player2_id)
+);
+
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS valid_match_type_players;
+ALTER TABLE matches ADD CONSTRAINT valid_match_type_players CHECK (
+    (match_type = 'singles' AND team1_player2_id IS NULL AND team2_player2_id IS NULL) OR
+    (match_type <> 'singles' AND team1_player2_id IS NOT NULL AND team2_player2_id IS NOT NULL)
+);
+
+-- Players: a singles rating of their own, NULL until the first singles match
+ALTER TABLE players ADD COLUMN IF NOT EXISTS singles_elo INTEGER;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS singles_matches INTEGER DEFAULT 0;
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS valid_singles_elo;
+ALTER TABLE players ADD CONSTRAINT valid_singles_elo CHECK (
+    (singles_elo IS NULL OR singles_elo >= 1) AND singles_matches >= 0
+);
+
+-- ELO history: which rating each change applies to
+ALTER TABLE elo_history ADD COLUMN IF NOT EXISTS match_type TEXT DEFAULT 'doubles';
+
+COMMENT ON COLUMN matches.team1_player2_id IS 'Second player of team 1. NULL for singles.';
+COMMENT ON COLUMN matches.team2_player2_id IS 'Second player of team 2. NULL for singles.';
+COMMENT ON COLUMN players.singles_elo IS 'Singles rating, separate from current_elo (doubles). NULL until the first singles match.';
+COMMENT ON COLUMN elo_history.match_type IS 'Which rating changed: doubles (current_elo) or singles (singles_elo).';
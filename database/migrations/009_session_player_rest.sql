@@ -0,0 +1,15 @@
+-- Migration: Session Player Rest
+-- This migration lets a session player take a break without leaving the session:
+-- rest until a time, or skip the next few rounds. Resting players keep their place
+-- in the waiting queue and return to the pool when the rest is over
+
+ALTER TABLE session_players ADD COLUMN IF NOT EXISTS resting_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE session_players ADD COLUMN IF NOT EXISTS rest_started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE session_players ADD COLUMN IF NOT EXISTS rest_rounds INTEGER DEFAULT 0;
+
+ALTER TABLE session_players DROP CONSTRAINT IF EXISTS valid_rest_rounds;
+ALTER TABLE session_players ADD CONSTRAINT valid_rest_rounds CHECK (rest_rounds >= 0);
+
+COMMENT ON COLUMN session_players.resting_until IS 'End of a timed rest. NULL when the player is not on a timed rest.';
+COMMENT ON COLUMN session_players.rest_started_at IS 'When the current rest began; round rests count the matches started since.';
+COMMENT ON COLUMN session_players.rest_rounds IS 'Rounds to sit out from rest_started_at (one round = every court starting a match). 0 for no round rest.';
@@ -0,0 +1,28 @@
+-- Migration: Glicko-2 Rating Engine
+-- This migration stores the Glicko-2 rating deviation and volatility for each player's
+-- doubles and singles ratings, and records which engine rated each ELO history entry
+-- with the deviation after the change. The ELO engine leaves these columns NULL
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rating_deviation REAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rating_volatility REAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS singles_rating_deviation REAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS singles_rating_volatility REAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS singles_rated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS valid_rating_deviation;
+ALTER TABLE players ADD CONSTRAINT valid_rating_deviation CHECK (
+    (rating_deviation IS NULL OR rating_deviation > 0) AND
+    (singles_rating_deviation IS NULL OR singles_rating_deviation > 0)
+);
+
+ALTER TABLE elo_history ADD COLUMN IF NOT EXISTS rating_engine TEXT DEFAULT 'elo';
+ALTER TABLE elo_history ADD COLUMN IF NOT EXISTS rating_deviation REAL;
+
+ALTER TABLE elo_history DROP CONSTRAINT IF EXISTS valid_rating_engine;
+ALTER TABLE elo_history ADD CONSTRAINT valid_rating_engine CHECK (rating_engine IN ('elo', 'glicko2'));
+
+COMMENT ON COLUMN players.rating_deviation IS 'Glicko-2 deviation of the doubles rating. NULL until rated by Glicko-2.';
+COMMENT ON COLUMN players.rated_at IS 'Last Glicko-2 rated doubles match; the deviation grows for each idle rating period since.';
+COMMENT ON COLUMN elo_history.rating_engine IS 'Engine that made the change: elo or glicko2.';
+COMMENT ON COLUMN elo_history.rating_deviation IS 'Glicko-2 deviation after the change. NULL for ELO.';
@@ -0,0 +1,17 @@
+-- Migration: Match Corrections
+-- This migration lets a completed match be edited or voided after the fact. A voided
+-- match stays completed (it was played) but has no winner and no score, so it no longer
+-- counts towards ratings or standings. Every edit and void is recorded in match_events
+-- as a result_edited or result_voided event with the result before and after
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS winner_only_when_completed;
+ALTER TABLE matches ADD CONSTRAINT winner_only_when_completed CHECK (
+    (completed_at IS NOT NULL AND voided_at IS NULL AND winning_team IS NOT NULL) OR
+    (completed_at IS NOT NULL AND voided_at IS NOT NULL AND winning_team IS NULL) OR
+    (completed_at IS NULL AND voided_at IS NULL AND winning_team IS NULL)
+);
+
+COMMENT ON COLUMN matches.voided_at IS 'When a completed match was voided. Voided matches keep completed_at but have no winner or score.';
+COMMENT ON COLUMN match_events.event_data IS 'Event details. result_edited and result_voided events hold { before, after, reason, rating_changes }.';
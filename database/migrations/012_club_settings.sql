@@ -0,0 +1,27 @@
+-- Migration: Club Settings
+-- This migration adds a single-row table for settings the whole club shares. Ratings are
+-- lifetime, so every session and every device must rate matches with the same engine;
+-- the choice is kept here rather than in each browser
+
+CREATE TABLE IF NOT EXISTS club_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    rating_engine TEXT NOT NULL DEFAULT 'elo',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT single_club_settings_row CHECK (id = 1),
+    CONSTRAINT valid_club_rating_engine CHECK (rating_engine IN ('elo', 'glicko2'))
+);
+
+INSERT INTO club_settings (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+DROP TRIGGER IF EXISTS update_club_settings_updated_at ON club_settings;
+CREATE TRIGGER update_club_settings_updated_at BEFORE UPDATE ON club_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE club_settings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all operations for now" ON club_settings;
+CREATE POLICY "Allow all operations for now" ON club_settings FOR ALL USING (true);
+
+COMMENT ON TABLE club_settings IS 'Club-wide settings shared by every session and device. Holds a single row (id 1).';
+COMMENT ON COLUMN club_settings.rating_engine IS 'Engine that rates every match: elo or glicko2.';
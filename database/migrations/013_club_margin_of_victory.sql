@@ -0,0 +1,11 @@
+-- Migration: Club Margin of Victory
+-- This migration moves the margin-of-victory setting into club_settings next to the rating
+-- engine. Scaling rating changes by the winning margin changes every rating, so the whole
+-- club must use the same mode
+
+ALTER TABLE club_settings ADD COLUMN IF NOT EXISTS margin_of_victory TEXT NOT NULL DEFAULT 'off';
+
+ALTER TABLE club_settings DROP CONSTRAINT IF EXISTS valid_club_margin_of_victory;
+ALTER TABLE club_settings ADD CONSTRAINT valid_club_margin_of_victory CHECK (margin_of_victory IN ('off', 'linear', 'logarithmic'));
+
+COMMENT ON COLUMN club_settings.margin_of_victory IS 'How the winning margin scales rating changes: off, linear or logarithmic.';
@@ -0,0 +1,9 @@
+-- Migration: ELO History Rating State
+-- This migration keeps each player's rating state from before the match with every ELO
+-- history entry: the doubles confidence and the Glicko-2 deviation, volatility and last
+-- rated time of the match type. Correcting or voiding a match puts that state back exactly
+-- instead of subtracting the rating change. Entries written before this migration have none
+
+ALTER TABLE elo_history ADD COLUMN IF NOT EXISTS rating_state_before JSONB;
+
+COMMENT ON COLUMN elo_history.rating_state_before IS 'Rating state before the change besides the rating: { confidence, deviation, volatility, ratedAt } (no confidence for singles). NULL for older entries.';
@@ -19,15 +19,30 @@ CREATE TABLE players (
     current_elo INTEGER DEFAULT 100,
     highest_elo INTEGER DEFAULT 100,
     lowest_elo INTEGER DEFAULT 100,
+    singles_elo INTEGER, -- Separate singles rating, NULL until the first singles match
+    singles_matches INTEGER DEFAULT 0,
+    rating_deviation REAL, -- Glicko-2 uncertainty of the doubles rating, NULL under ELO
+    rating_volatility REAL,
+    rated_at TIMESTAMP WITH TIME ZONE,
+    singles_rating_deviation REAL, -- Glicko-2 uncertainty of the singles rating
+    singles_rating_volatility REAL,
+    singles_rated_at TIMESTAMP WITH TIME ZONE,
     
     -- Metadata
     is_active BOOLEAN DEFAULT TRUE,
     last_match_at TIMESTAMP WITH TIME ZONE,
     avatar_url TEXT,
+    category TEXT, -- Optional: 'male' or 'female', used by mixed/level doubles courts
     
     -- Constraints
+    CONSTRAINT valid_category CHECK (category IS NULL OR category IN ('male', 'female')),
     CONSTRAINT positive_stats CHECK (total_matches >= 0 AND total_wins >= 0 AND total_losses >= 0),
     CONSTRAINT valid_elo CHECK (current_elo >= 1 AND highest_elo >= current_elo AND lowest_elo <= current_elo),
+    CONSTRAINT valid_singles_elo CHECK ((singles_elo IS NULL OR singles_elo >= 1) AND singles_matches >= 0),
+    CONSTRAINT valid_rating_deviation CHECK (
+        (rating_deviation IS NULL OR rating_deviation > 0) AND
+        (singles_rating_deviation IS NULL OR singles_rating_deviation > 0)
+    ),
     CONSTRAINT wins_losses_match_total CHECK (total_wins + total_losses <= total_matches)
 );
 
@@ -48,6 +63,10 @@ CREATE TABLE sessions (
     total_matches_played INTEGER DEFAULT 0,
     session_duration_minutes INTEGER DEFAULT 0,
     
+    -- Session format (Americano, league or knockout progress) and fixed teams
+    format_state JSONB,
+    teams JSONB DEFAULT '[]'::jsonb,
+    
     -- Status
     is_active BOOLEAN DEFAULT TRUE,
     created_by UUID REFERENCES players(id),
@@ -75,12 +94,16 @@ CREATE TABLE session_players (
     
     -- Status
     is_active_in_session BOOLEAN DEFAULT TRUE,
+    resting_until TIMESTAMP WITH TIME ZONE, -- End of a timed rest
+    rest_started_at TIMESTAMP WITH TIME ZONE, -- When the current rest began
+    rest_rounds INTEGER DEFAULT 0, -- Rounds to sit out from rest_started_at
     
     -- Constraints
     UNIQUE(session_id, player_id),
     CONSTRAINT positive_session_stats CHECK (session_matches >= 0 AND session_wins >= 0 AND session_losses >= 0),
     CONSTRAINT session_wins_losses_total CHECK (session_wins + session_losses <= session_matches),
-    CONSTRAINT valid_session_elo CHECK (session_elo_current >= 1 AND session_elo_peak >= session_elo_current)
+    CONSTRAINT valid_session_elo CHECK (session_elo_current >= 1 AND session_elo_peak >= session_elo_current),
+    CONSTRAINT valid_rest_rounds CHECK (rest_rounds >= 0)
 );
 
 -- Matches table
@@ -93,12 +116,13 @@ CREATE TABLE matches (
     started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     completed_at TIMESTAMP WITH TIME ZONE,
     cancelled_at TIMESTAMP WITH TIME ZONE,
+    voided_at TIMESTAMP WITH TIME ZONE, -- Completed, then voided: no winner or score
     
     -- Teams
     team1_player1_id UUID NOT NULL REFERENCES players(id),
-    team1_player2_id UUID NOT NULL REFERENCES players(id),
+    team1_player2_id UUID REFERENCES players(id), -- NULL for singles
     team2_player1_id UUID NOT NULL REFERENCES players(id),
-    team2_player2_id UUID NOT NULL REFERENCES players(id),
+    team2_player2_id UUID REFERENCES players(id), -- NULL for singles
     
     -- Results
     winning_team INTEGER CHECK (winning_team IN (1, 2)),
@@ -109,15 +133,20 @@ CREATE TABLE matches (
     match_duration_minutes INTEGER,
     match_type TEXT DEFAULT 'doubles',
     notes TEXT,
+    matching_data JSONB, -- How the match was drawn (seed and snapshot for replays)
     
     -- Constraints
     CONSTRAINT different_players CHECK (
-        team1_player1_id != team1_player2_id AND
         team1_player1_id != team2_player1_id AND
-        team1_player1_id != team2_player2_id AND
-        team1_player2_id != team2_player1_id AND
-        team1_player2_id != team2_player2_id AND
-        team2_player1_id != team2_player2_id
+        team1_player1_id IS DISTINCT FROM team1_player2_id AND
+        team1_player1_id IS DISTINCT FROM team2_player2_id AND
+        team2_player1_id IS DISTINCT FROM team1_player2_id AND
+        team2_player1_id IS DISTINCT FROM team2_player2_id AND
+        (team1_player2_id IS NULL OR team1_player2_id IS DISTINCT FROM team2_player2_id)
+    ),
+    CONSTRAINT valid_match_type_players CHECK (
+        (match_type = 'singles' AND team1_player2_id IS NULL AND team2_player2_id IS NULL) OR
+        (match_type <> 'singles' AND team1_player2_id IS NOT NULL AND team2_player2_id IS NOT NULL)
     ),
     CONSTRAINT match_completed_or_cancelled CHECK (
         (completed_at IS NOT NULL AND cancelled_at IS NULL) OR
@@ -125,8 +154,9 @@ CREATE TABLE matches (
         (completed_at IS NULL AND cancelled_at IS NULL)
     ),
     CONSTRAINT winner_only_when_completed CHECK (
-        (completed_at IS NOT NULL AND winning_team IS NOT NULL) OR
-        (completed_at IS NULL AND winning_team IS NULL)
+        (completed_at IS NOT NULL AND voided_at IS NULL AND winning_team IS NOT NULL) OR
+        (completed_at IS NOT NULL AND voided_at IS NOT NULL AND winning_team IS NULL) OR
+        (completed_at IS NULL AND voided_at IS NULL AND winning_team IS NULL)
     )
 );
 
@@ -145,11 +175,16 @@ CREATE TABLE elo_history (
     -- Context
     was_winner BOOLEAN NOT NULL,
     opponent_elo INTEGER NOT NULL,
+    match_type TEXT DEFAULT 'doubles', -- Which rating changed: doubles (current_elo) or singles (singles_elo)
+    rating_engine TEXT DEFAULT 'elo', -- Engine that made the change: elo or glicko2
+    rating_deviation REAL, -- Glicko-2 deviation after the change, NULL for ELO
+    rating_state_before JSONB, -- Confidence and Glicko-2 state before the change, put back when the match is corrected
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     -- Constraints
     CONSTRAINT valid_elo_change CHECK (elo_change = elo_after - elo_before),
-    CONSTRAINT valid_elo_values CHECK (elo_before >= 1 AND elo_after >= 1)
+    CONSTRAINT valid_elo_values CHECK (elo_before >= 1 AND elo_after >= 1),
+    CONSTRAINT valid_rating_engine CHECK (rating_engine IN ('elo', 'glicko2'))
 );
 
 -- Courts table
@@ -215,6 +250,21 @@ CREATE TABLE session_settings (
     CONSTRAINT positive_elo_settings CHECK (starting_elo > 0 AND win_points > 0 AND loss_points > 0 AND min_elo > 0)
 );
 
+-- Club Settings table (a single row shared by every session and device)
+CREATE TABLE club_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    rating_engine TEXT NOT NULL DEFAULT 'elo', -- Ratings are lifetime, so the whole club uses one engine
+    margin_of_victory TEXT NOT NULL DEFAULT 'off', -- Scales rating changes by the winning margin
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT single_club_settings_row CHECK (id = 1),
+    CONSTRAINT valid_club_rating_engine CHECK (rating_engine IN ('elo', 'glicko2')),
+    CONSTRAINT valid_club_margin_of_victory CHECK (margin_of_victory IN ('off', 'linear', 'logarithmic'))
+);
+
+INSERT INTO club_settings (id) VALUES (1);
+
 -- Indexes for performance
 CREATE INDEX idx_session_players_session ON session_players(session_id);
 CREATE INDEX idx_session_players_player ON session_players(player_id);
@@ -259,6 +309,9 @@ CREATE TRIGGER update_sessions_updated_at BEFORE UPDATE ON sessions
 CREATE TRIGGER update_session_settings_updated_at BEFORE UPDATE ON session_settings
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_club_settings_updated_at BEFORE UPDATE ON club_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Row Level Security (RLS) policies for future multi-tenancy
 ALTER TABLE players ENABLE ROW LEVEL SECURITY;
 ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
@@ -268,6 +321,7 @@ ALTER TABLE elo_history ENABLE ROW LEVEL SECURITY;
 ALTER TABLE courts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE match_events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE session_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE club_settings ENABLE ROW LEVEL SECURITY;
 
 -- Basic RLS policies (allow all for now, will be restricted when auth is added)
 CREATE POLICY "Allow all operations for now" ON players FOR ALL USING (true);
@@ -278,6 +332,7 @@ CREATE POLICY "Allow all operations for now" ON elo_history FOR ALL USING (true)
 CREATE POLICY "Allow all operations for now" ON courts FOR ALL USING (true);
 CREATE POLICY "Allow all operations for now" ON match_events FOR ALL USING (true);
 CREATE POLICY "Allow all operations for now" ON session_settings FOR ALL USING (true);
+CREATE POLICY "Allow all operations for now" ON club_settings FOR ALL USING (true);
 
 -- Views for common queries
 CREATE VIEW player_leaderboard AS
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Smart matching timing - how long one court fill takes for a large pool
+// Usage: npm run benchmark -- [--players 60] [--matches 120] [--runs 20] [--seed 7]
+import { register } from 'node:module';
+import { performance } from 'node:perf_hooks';
+
+register('./esm-loader.mjs', import.meta.url);
+
+const { shuffleArray } = await import('../src/utils/helpers.js');
+const { createSimulatedPlayers } = await import('../src/utils/matchSimulator.js');
+const { createRandom } = await import('../src/utils/random.js');
+const { selectSmartPlayers } = await import('../src/utils/smartMatching.js');
+
+const OPTIONS = {
+  '--players': 'players',
+  '--matches': 'matches',
+  '--runs': 'runs',
+  '--seed': 'seed'
+};
+
+const args = process.argv.slice(2);
+const settings = { players: 60, matches: 120, runs: 20, seed: 7 };
+
+for (let i = 0; i < args.length; i += 2) {
+  const [flag, value] = [args[i], args[i + 1]];
+  if (OPTIONS[flag] && value !== undefined && !Number.isNaN(Number(value))) {
+    settings[OPTIONS[flag]] = Number(value);
+  } else {
+    console.error(`Unknown or incomplete option: ${flag}`);
+    process.exit(1);
+  }
+}
+
+// A pool in the shape the app passes in, with a history of completed matches among its players
+const random = createRandom(settings.seed);
+const pool = createSimulatedPlayers({ playerCount: settings.players, seed: settings.seed }).map(player => ({
+  id: player.id,
+  name: player.name,
+  elo: player.trueSkill,
+  sessionElo: player.trueSkill,
+  sessionMatchCount: Math.floor(random() * 2)
+}));
+const history = Array.from({ length: settings.matches }, (_, index) => {
+  const ids = shuffleArray(pool, random).slice(0, 4).map(player => player.id);
+  return {
+    id: `bench-${index + 1}`,
+    team1_player1_id: ids[0],
+    team1_player2_id: ids[1],
+    team2_player1_id: ids[2],
+    team2_player2_id: ids[3],
+    completed_at: new Date(Date.now() - (settings.matches - index) * 60000).toISOString()
+  };
+});
+
+// The engine logs its fallbacks as it goes; keep the output readable
+const log = console.log;
+console.log = () => {};
+
+// Warm up the JIT - the app calls this on every court fill, so steady state is what matters
+for (let i = 0; i < 3; i++) selectSmartPlayers(pool, history);
+
+const timings = [];
+let search;
+for (let i = 0; i < settings.runs; i++) {
+  const start = performance.now();
+  search = selectSmartPlayers(pool, history).search;
+  timings.push(performance.now() - start);
+}
+console.log = log;
+
+timings.sort((a, b) => a - b);
+const average = timings.reduce((sum, value) => sum + value, 0) / timings.length;
+console.log(`⏱️ ${settings.players} players, ${settings.matches} past matches, ${settings.runs} runs (${search.strategy} search, ${search.foursomesScored} foursomes scored)`);
+console.log(`   average ${average.toFixed(1)}ms · median ${timings[Math.floor(timings.length / 2)].toFixed(1)}ms · slowest ${timings[timings.length - 1].toFixed(1)}ms`);
@@ -0,0 +1,23 @@
+// Lets node import the app's src/utils modules directly: they are ES modules written for the
+// bundler, with extensionless relative imports, inside a package node treats as CommonJS
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if ((specifier.startsWith('./') || specifier.startsWith('../')) && !/\.[cm]?js$/.test(specifier) && context.parentURL) {
+    const candidate = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(candidate))) {
+      return nextResolve(candidate.href, context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -1,24 +1,30 @@
 import React, { useState } from 'react';
+import { MATCHING_METHODS, MATCHING_METHOD_OPTIONS } from '../utils/smartMatching';
+import FixedTeamsEditor from './FixedTeamsEditor';
+import MatchingWeightsSettings from './MatchingWeightsSettings';
 
-const AdvancedMatchmaking = ({ session, onUpdateSettings }) => {
+const AdvancedMatchmaking = ({ session, players = [], onUpdateSettings }) => {
   const [showAdvanced, setShowAdvanced] = useState(false);
   
   const smartMatching = session.smartMatching || {
     enabled: false,
     eloRange: 500,
-    teamBalance: 250,
-    varietyWeight: 0.2
+    teamBalance: 250
   };
+  const matchingMethod = smartMatching.method || MATCHING_METHODS.SMART;
+  const selectedMethod = MATCHING_METHOD_OPTIONS.find(option => option.value === matchingMethod);
 
-  const handleSettingChange = (key, value) => {
+  const handleSettingsChange = (updates) => {
     onUpdateSettings({
       smartMatching: {
         ...smartMatching,
-        [key]: value
+        ...updates
       }
     });
   };
 
+  const handleSettingChange = (key, value) => handleSettingsChange({ [key]: value });
+
   return (
     <div className="smart-matching-advanced">
       <div className="advanced-header">
@@ -64,64 +70,55 @@ const AdvancedMatchmaking = ({ session, onUpdateSettings }) => {
         </div>
       </div>
 
-      {showAdvanced && (
-        <div className="advanced-settings">
-          <div className="setting-row">
-            <label className="setting-label">
-              Maximum ELO Difference
-              <span className="setting-hint">How far apart player skills can be (100-1000)</span>
-            </label>
-            <div className="range-input-group">
-              <input
-                type="range"
-                min="100"
-                max="1000"
-                step="50"
-                value={smartMatching.eloRange}
-                onChange={(e) => handleSettingChange('eloRange', parseInt(e.target.value))}
-                className="range-input"
-              />
-              <span className="range-value">{smartMatching.eloRange}</span>
-            </div>
-          </div>
+      <div className="setting-row">
+        <label className="setting-label" htmlFor="matching-method">
+          Pairing Method
+          <span className="setting-hint">{selectedMethod?.description}</span>
+        </label>
+        <select
+          id="matching-method"
+          className="rotation-select"
+          value={matchingMethod}
+          onChange={(e) => handleSettingChange('method', e.target.value)}
+        >
+          {MATCHING_METHOD_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
 
-          <div className="setting-row">
-            <label className="setting-label">
-              Team Balance Tolerance
-              <span className="setting-hint">Maximum team ELO difference (50-500)</span>
-            </label>
-            <div className="range-input-group">
-              <input
-                type="range"
-                min="50"
-                max="500"
-                step="25"
-                value={smartMatching.teamBalance}
-                onChange={(e) => handleSettingChange('teamBalance', parseInt(e.target.value))}
-                className="range-input"
-              />
-              <span className="range-value">{smartMatching.teamBalance}</span>
-            </div>
-          </div>
+      {matchingMethod === MATCHING_METHODS.SWISS && (
+        <div className="setting-row">
+          <label className="setting-label" htmlFor="swiss-teams">
+            Pair Fixed Teams
+            <span className="setting-hint">Swiss rounds between the session's fixed teams instead of individual players</span>
+          </label>
+          <label className="i-toggle">
+            <input
+              id="swiss-teams"
+              type="checkbox"
+              checked={!!smartMatching.swissTeams}
+              onChange={(e) => handleSettingChange('swissTeams', e.target.checked)}
+              className="i-toggle-input"
+            />
+            <span className="i-toggle-slider"></span>
+          </label>
+        </div>
+      )}
 
-          <div className="setting-row">
-            <label className="setting-label">
-              Partnership Variety
-              <span className="setting-hint">How much to prioritize different partnerships (0-100%)</span>
-            </label>
-            <div className="range-input-group">
-              <input
-                type="range"
-                min="0"
-                max="100"
-                step="10"
-                value={smartMatching.varietyWeight * 100}
-                onChange={(e) => handleSettingChange('varietyWeight', parseInt(e.target.value) / 100)}
-                className="range-input"
-              />
-              <span className="range-value">{(smartMatching.varietyWeight * 100).toFixed(0)}%</span>
-            </div>
-          </div>
+      {matchingMethod === MATCHING_METHODS.SWISS && smartMatching.swissTeams && (
+        <div className="setting-row">
+          <FixedTeamsEditor
+            teams={session.teams || []}
+            players={players.filter(p => p.isActive)}
+            onUpdateTeams={(teams) => onUpdateSettings({ teams })}
+          />
+        </div>
+      )}
+
+      {showAdvanced && (
+        <div className="advanced-settings">
+          <MatchingWeightsSettings settings={smartMatching} onChange={handleSettingsChange} />
 
           <div className="settings-explanation">
             <h5>How Smart Matching Works:</h5>
@@ -130,6 +127,8 @@ const AdvancedMatchmaking = ({ session, onUpdateSettings }) => {
               <li><strong>Team Fairness:</strong> Creates teams with comparable combined ELO</li>
               <li><strong>Partnership Variety:</strong> Avoids repeated partnerships</li>
               <li><strong>Opponent Rotation:</strong> Ensures players face different opponents</li>
+              <li><strong>Fair Play:</strong> Players with the fewest matches go first</li>
+              <li><strong>Wait Time:</strong> Players who have waited longest go first</li>
             </ul>
           </div>
         </div>
@@ -0,0 +1,79 @@
+import React from 'react';
+import { BYE } from '../utils/bracket';
+import { getTeamName } from '../utils/roundRobin';
+
+const BRACKET_SECTIONS = [
+  { key: 'winners', label: 'Winners bracket', roundLabel: (round, rounds) => (round === rounds ? 'Final' : `Round ${round}`) },
+  { key: 'losers', label: 'Losers bracket', roundLabel: (round) => `Round ${round}` },
+  { key: 'final', label: 'Grand final', roundLabel: (round) => (round === 1 ? 'Grand final' : 'Decider') }
+];
+
+const BracketView = ({ bracket, teams, playersById }) => {
+  if (!bracket) return null;
+
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  const matches = Object.values(bracket.matches);
+
+  const teamLabel = (teamId) => {
+    if (teamId === BYE) return 'Bye';
+    if (!teamId) return 'TBD';
+    return teamsById.has(teamId) ? getTeamName(teamsById.get(teamId), playersById) : 'Unknown';
+  };
+
+  const renderTeam = (match, slot) => {
+    const teamId = match[slot];
+    const isWinner = match.winnerId && match.winnerId === teamId;
+    const isLoser = match.winnerId && match.winnerId !== teamId;
+
+    return (
+      <div className={`bracket-team ${isWinner ? 'winner' : ''} ${isLoser ? 'loser' : ''} ${!teamId || teamId === BYE ? 'placeholder' : ''}`}>
+        {teamLabel(teamId)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bracket-view">
+      {bracket.championId && (
+        <div className="bracket-champion">👑 Champion: {teamLabel(bracket.championId)}</div>
+      )}
+
+      {BRACKET_SECTIONS.map(section => {
+        const sectionMatches = matches.filter(match => match.bracket === section.key);
+        if (sectionMatches.length === 0) return null;
+
+        // The decider is only played when the losers-bracket team wins the grand final
+        const visibleMatches = sectionMatches.filter(match => match.id !== 'GF2' || match.team1Id);
+        const rounds = [...new Set(visibleMatches.map(match => match.round))].sort((a, b) => a - b);
+        const lastRound = Math.max(...sectionMatches.map(match => match.round));
+
+        return (
+          <div key={section.key} className="bracket-section">
+            <div className="bracket-section-label text-sm">{section.label}</div>
+            <div className="bracket-rounds">
+              {rounds.map(round => (
+                <div key={round} className="bracket-round">
+                  <div className="bracket-round-label text-sm">{section.roundLabel(round, lastRound)}</div>
+                  {visibleMatches
+                    .filter(match => match.round === round)
+                    .sort((a, b) => a.index - b.index)
+                    .map(match => (
+                      <div key={match.id} className={`bracket-match ${match.courtId !== null ? 'playing' : ''}`}>
+                        {renderTeam(match, 'team1Id')}
+                        {renderTeam(match, 'team2Id')}
+                        {match.courtId !== null && (
+                          <div className="bracket-match-court text-sm">On court {match.courtId + 1}</div>
+                        )}
+                      </div>
+                    ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BracketView;
@@ -1,22 +1,83 @@
 import React, { useState } from 'react';
 import Modal from './Modal';
+import CourtSkillBandSettings from './CourtSkillBandSettings';
 
-const CourtOptionsModal = ({ court, onCompleteMatch, onClose, isCompletingMatch }) => {
+const CourtOptionsModal = ({ court, onCompleteMatch, onClose, isCompletingMatch, scoreEntry = null, optionalScore = false, skillBand = null, onUpdateSkillBand }) => {
   const { currentMatch } = court;
   const [selectedWinner, setSelectedWinner] = useState(null);
-  
-  if (!currentMatch) return null;
+  const [scores, setScores] = useState({ team1: '', team2: '' });
 
-  const handleWinnerSelect = (winner) => {
+  const bandSettings = onUpdateSkillBand && (
+    <CourtSkillBandSettings band={skillBand} onChange={(band) => onUpdateSkillBand(court.id, band)} />
+  );
+
+  // Empty courts only have their settings to change
+  if (!currentMatch) {
+    if (!bandSettings) return null;
+
+    return (
+      <Modal isOpen={true} onClose={onClose} className="court-modal-modern">
+        <div className="court-modal-wrapper-modern" onClick={(e) => e.stopPropagation()}>
+          <div className="court-modal-header-modern">
+            <div className="court-header-content-modern">
+              <div className="court-info-modern">
+                <div className="court-badge-modern">Court {court.id + 1}</div>
+                <h2 className="court-modal-title-modern">Court Settings</h2>
+                <p className="court-modal-subtitle-modern">Choose which players this court is for</p>
+              </div>
+            </div>
+            <button className="court-modal-close-modern" onClick={onClose} aria-label="Close modal">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+              </svg>
+            </button>
+          </div>
+          <div className="court-modal-body-modern">
+            {bandSettings}
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  // Formats that score by points ask for the score instead of a winner
+  // With a fixed number of points per match the other team's score is filled in
+  const requiresScore = scoreEntry !== null;
+  // With margin-of-victory ratings a score can be entered instead of just picking the winner
+  const showScoreEntry = requiresScore || optionalScore;
+  const pointsPerMatch = scoreEntry?.pointsPerMatch ?? null;
+  const score1 = parseInt(scores.team1);
+  const score2 = parseInt(scores.team2);
+  const isScoreValid = !isNaN(score1) && !isNaN(score2) && score1 >= 0 && score2 >= 0 && score1 !== score2;
+
+  const handleWinnerSelect = (winner, score = null) => {
     if (isCompletingMatch || selectedWinner) return; // Prevent multiple clicks
     
     setSelectedWinner(winner);
     // Small delay to show selection before closing
     setTimeout(() => {
-      onCompleteMatch(court.id, winner);
+      onCompleteMatch(court.id, winner, score);
     }, 300);
   };
 
+  // Fill in the other team's score from the points played per match
+  const handleScoreChange = (team, value) => {
+    const otherTeam = team === 'team1' ? 'team2' : 'team1';
+    const points = parseInt(value);
+    const otherPoints = pointsPerMatch - points;
+
+    setScores(prev => ({
+      ...prev,
+      [team]: value,
+      ...(pointsPerMatch !== null && !isNaN(points) && otherPoints >= 0 && { [otherTeam]: String(otherPoints) })
+    }));
+  };
+
+  const handleScoreSubmit = () => {
+    if (!isScoreValid) return;
+    handleWinnerSelect(score1 > score2 ? 'team1' : 'team2', { team1: score1, team2: score2 });
+  };
+
   return (
     <Modal isOpen={true} onClose={onClose} className="court-modal-modern">
       <div className="court-modal-wrapper-modern" onClick={(e) => e.stopPropagation()}>
@@ -25,9 +86,13 @@ const CourtOptionsModal = ({ court, onCompleteMatch, onClose, isCompletingMatch
           <div className="court-header-content-modern">
             <div className="court-info-modern">
               <div className="court-badge-modern">Court {court.id + 1}</div>
-              <h2 className="court-modal-title-modern">Select Winner</h2>
+              <h2 className="court-modal-title-modern">{requiresScore ? 'Enter Score' : 'Select Winner'}</h2>
               <p className="court-modal-subtitle-modern">
-                Choose the winning team to complete this match
+                {requiresScore
+                  ? `Enter the points each team scored${pointsPerMatch !== null ? ` (${pointsPerMatch} points per match)` : ''}`
+                  : optionalScore
+                    ? 'Choose the winning team, or enter the score so the margin counts'
+                    : 'Choose the winning team to complete this match'}
               </p>
             </div>
             <div className="match-type-indicator-modern">
@@ -65,7 +130,7 @@ const CourtOptionsModal = ({ court, onCompleteMatch, onClose, isCompletingMatch
                   selectedWinner === 'team1' ? 'selected' : ''
                 } ${isCompletingMatch ? 'completing' : ''}`}
                 onClick={() => handleWinnerSelect('team1')}
-                disabled={selectedWinner !== null || isCompletingMatch}
+                disabled={selectedWinner !== null || isCompletingMatch || requiresScore}
               >
                 <div className="team-players-modern">
                   <div className="player-card-winner-modern">
@@ -110,7 +175,7 @@ const CourtOptionsModal = ({ court, onCompleteMatch, onClose, isCompletingMatch
                   selectedWinner === 'team2' ? 'selected' : ''
                 } ${isCompletingMatch ? 'completing' : ''}`}
                 onClick={() => handleWinnerSelect('team2')}
-                disabled={selectedWinner !== null || isCompletingMatch}
+                disabled={selectedWinner !== null || isCompletingMatch || requiresScore}
               >
                 <div className="team-players-modern">
                   <div className="player-card-winner-modern">
@@ -143,6 +208,48 @@ const CourtOptionsModal = ({ court, onCompleteMatch, onClose, isCompletingMatch
             </div>
           </div>
 
+          {/* Score Entry */}
+          {showScoreEntry && (
+            <div className="score-entry-modern">
+              <div className="score-inputs-modern">
+                <input
+                  type="number"
+                  min="0"
+                  inputMode="numeric"
+                  className="score-input-modern"
+                  placeholder="Team 1"
+                  value={scores.team1}
+                  onChange={(e) => handleScoreChange('team1', e.target.value)}
+                  disabled={selectedWinner !== null || isCompletingMatch}
+                  aria-label="Team 1 score"
+                />
+                <span className="score-separator-modern">–</span>
+                <input
+                  type="number"
+                  min="0"
+                  inputMode="numeric"
+                  className="score-input-modern"
+                  placeholder="Team 2"
+                  value={scores.team2}
+                  onChange={(e) => handleScoreChange('team2', e.target.value)}
+                  disabled={selectedWinner !== null || isCompletingMatch}
+                  aria-label="Team 2 score"
+                />
+              </div>
+              {score1 === score2 && (
+                <div className="score-hint-modern">Scores can't be tied - play a deciding point</div>
+              )}
+              <button
+                type="button"
+                className="btn btn-primary score-submit-modern"
+                onClick={handleScoreSubmit}
+                disabled={!isScoreValid || selectedWinner !== null || isCompletingMatch}
+              >
+                Save Result
+              </button>
+            </div>
+          )}
+
           {/* Match Actions */}
           <div className="match-actions-modern">
             <button
@@ -163,6 +270,9 @@ const CourtOptionsModal = ({ court, onCompleteMatch, onClose, isCompletingMatch
               )}
             </button>
           </div>
+
+          {/* Court Settings */}
+          {bandSettings}
         </div>
       </div>
     </Modal>
@@ -0,0 +1,56 @@
+import React from 'react';
+import { COURT_MATCH_TYPE_OPTIONS, getCourtMatchType } from '../utils/playerCategories';
+
+const CourtRulesSettings = ({ session, onUpdateSettings }) => {
+  const courtCount = session.courtCount || 4;
+
+  const handleCourtChange = (courtId, type) => {
+    onUpdateSettings({
+      courtRules: {
+        ...(session.courtRules || {}),
+        [courtId]: type
+      }
+    });
+  };
+
+  return (
+    <div className="rotation-settings court-rules-settings">
+      <div className="advanced-title-group">
+        <h4 className="advanced-title">🚻 Court Match Types</h4>
+        <div className="advanced-subtitle">
+          Reserve courts for mixed, men's or women's doubles - set each player's category on their card
+        </div>
+      </div>
+
+      {Array.from({ length: courtCount }, (_, courtId) => {
+        const type = getCourtMatchType(session, courtId);
+        const selected = COURT_MATCH_TYPE_OPTIONS.find(option => option.value === type);
+
+        return (
+          <div key={courtId} className="setting-row">
+            <label className="setting-label" htmlFor={`court-rule-${courtId}`}>
+              Court {courtId + 1}
+              <span className="setting-hint">{selected?.description}</span>
+            </label>
+            <select
+              id={`court-rule-${courtId}`}
+              className="rotation-select"
+              value={type}
+              onChange={(e) => handleCourtChange(courtId, e.target.value)}
+            >
+              {COURT_MATCH_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        );
+      })}
+
+      <div className="setting-hint">
+        When too few eligible players are free, the court gets a regular match instead of sitting empty
+      </div>
+    </div>
+  );
+};
+
+export default CourtRulesSettings;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { SKILL_BAND_CONFIG, SKILL_BAND_TIERS } from '../utils/skillBands';
+
+const CUSTOM = 'custom';
+
+const CourtSkillBandSettings = ({ band, onChange }) => {
+  const selected = !band ? '' : band.tier || CUSTOM;
+
+  const handleSelect = (value) => {
+    if (!value) {
+      onChange(null);
+    } else if (value === CUSTOM) {
+      onChange({ minElo: band?.minElo ?? null, maxElo: band?.maxElo ?? null });
+    } else {
+      onChange({ tier: value });
+    }
+  };
+
+  const handleRangeChange = (key, value) => {
+    const elo = parseInt(value);
+    onChange({ ...band, [key]: isNaN(elo) ? null : elo });
+  };
+
+  const formatRange = (tier) => {
+    if (tier.minElo === null) return `below ${tier.maxElo + 1}`;
+    if (tier.maxElo === null) return `${tier.minElo}+`;
+    return `${tier.minElo}-${tier.maxElo}`;
+  };
+
+  return (
+    <div className="court-band-settings">
+      <div className="setting-row">
+        <label className="setting-label" htmlFor="court-skill-band">
+          Skill Band
+          <span className="setting-hint">
+            Only players in this band are picked for the court. The band widens by {SKILL_BAND_CONFIG.WIDEN_STEP_ELO} ELO
+            for every {SKILL_BAND_CONFIG.WIDEN_EVERY_MINUTES} minutes a player waits.
+          </span>
+        </label>
+        <select
+          id="court-skill-band"
+          className="rotation-select"
+          value={selected}
+          onChange={(e) => handleSelect(e.target.value)}
+        >
+          <option value="">All levels</option>
+          {SKILL_BAND_TIERS.map(tier => (
+            <option key={tier.name} value={tier.name}>
+              {tier.icon} {tier.name} ({formatRange(tier)})
+            </option>
+          ))}
+          <option value={CUSTOM}>Custom ELO range</option>
+        </select>
+      </div>
+
+      {selected === CUSTOM && (
+        <div className="court-band-range">
+          <input
+            type="number"
+            inputMode="numeric"
+            className="score-input-modern"
+            placeholder="Min ELO"
+            value={band?.minElo ?? ''}
+            onChange={(e) => handleRangeChange('minElo', e.target.value)}
+            aria-label="Minimum ELO"
+          />
+          <span className="score-separator-modern">–</span>
+          <input
+            type="number"
+            inputMode="numeric"
+            className="score-input-modern"
+            placeholder="Max ELO"
+            value={band?.maxElo ?? ''}
+            onChange={(e) => handleRangeChange('maxElo', e.target.value)}
+            aria-label="Maximum ELO"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourtSkillBandSettings;
@@ -1,6 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import CourtOptionsModal from './CourtOptionsModal';
 import EmptyCourtModal from './EmptyCourtModal';
+import UpNextQueue from './UpNextQueue';
+import FormatProgress from './FormatProgress';
+import Modal from './Modal';
+import MatchExplanation from './MatchExplanation';
+import DrawReplay from './DrawReplay';
+import RotationPlan from './RotationPlan';
+import { buildMatchingConfig, explainMatch, getMatchPreview } from '../utils/smartMatching';
+import { formatExpectedMargin } from '../utils/marginOfVictory';
+import { getSessionConstraints } from '../utils/pairingConstraints';
+import { getCourtMatchType } from '../utils/playerCategories';
+import { describeSkillBand, getCourtSkillBand } from '../utils/skillBands';
+import { getRotationPlannerSettings, planRotation } from '../utils/rotationPlanner';
+import { applyWaitingQueue } from '../utils/waitingQueue';
 
 const CurrentMatches = ({
   currentMatches,
@@ -15,9 +28,17 @@ const CurrentMatches = ({
   onGenerateMatches,
   onClearMatches,
   onUpdateSession,
+  upNextQueue,
+  onStartNextMatch,
+  sessionFormat,
+  sessionPlayers = [],
+  matches = [],
+  onStartNextRound,
+  optionalScoreEntry = false,
   isCompletingMatch
 }) => {
   const [showCourtOptions, setShowCourtOptions] = useState(null);
+  const [explainedCourtId, setExplainedCourtId] = useState(null);
   const [showEmptyCourtModal, setShowEmptyCourtModal] = useState(null);
   const [showClearConfirmation, setShowClearConfirmation] = useState(false);
   const [isExpanded, setIsExpanded] = useState(false);
@@ -90,8 +111,8 @@ const CurrentMatches = ({
     }
   };
 
-  const handleCompleteMatch = (courtId, winner) => {
-    onCompleteMatch(courtId, winner);
+  const handleCompleteMatch = (courtId, winner, score) => {
+    onCompleteMatch(courtId, winner, score);
     setShowCourtOptions(null);
   };
 
@@ -110,6 +131,68 @@ const CurrentMatches = ({
     setShowClearConfirmation(false);
   };
 
+  const handleOpenCourtSettings = (e, court) => {
+    // Don't open the empty court modal as well
+    e.stopPropagation();
+    setShowCourtOptions(court);
+  };
+
+  const handleUpdateSkillBand = (courtId, skillBand) => {
+    onUpdateSession({
+      courtStates: currentSession.courtStates.map(court =>
+        court.id === courtId ? { ...court, skillBand } : court
+      )
+    });
+  };
+
+  // Projected sit-outs for the next rounds - re-planned whenever players arrive or leave
+  const planner = getRotationPlannerSettings(currentSession);
+  const rotationPlan = useMemo(() => {
+    if (!planner.enabled) return null;
+    const activePlayers = applyWaitingQueue(sessionPlayers.filter(p => p.isActive && !p.isResting), currentSession?.waitingQueue);
+    return planRotation(activePlayers, courtCount, currentSession?.sitOuts, planner.rounds);
+  }, [planner.enabled, planner.rounds, sessionPlayers, courtCount, currentSession?.waitingQueue, currentSession?.sitOuts]);
+
+  // Score the match on a court against everyone who was free to play, as the engine would have
+  const explainedCourt = courtStates.find(court => court.id === explainedCourtId && court.currentMatch);
+  const explanation = useMemo(() => {
+    const match = explainedCourt?.currentMatch;
+    if (!match?.team1.player2 || !match?.team2.player2) return null;
+
+    const detailsById = new Map(sessionPlayers.map(p => [p.id, p]));
+    const withDetails = (player) => detailsById.get(player.id) || player;
+    const teams = {
+      team1: { player1: withDetails(match.team1.player1), player2: withDetails(match.team1.player2) },
+      team2: { player1: withDetails(match.team2.player1), player2: withDetails(match.team2.player2) }
+    };
+    const lineup = [teams.team1.player1, teams.team1.player2, teams.team2.player1, teams.team2.player2];
+    const lineupIds = new Set(lineup.map(p => p.id));
+
+    return explainMatch(teams, [...availablePool.filter(p => !lineupIds.has(p.id)), ...lineup], matches, {
+      constraints: getSessionConstraints(currentSession),
+      config: buildMatchingConfig(currentSession?.smartMatching),
+      courtType: getCourtMatchType(currentSession, explainedCourt.id),
+      skillBand: getCourtSkillBand(currentSession, explainedCourt.id),
+      now: match.matchingData?.draw?.drawnAt
+    });
+  }, [explainedCourt, sessionPlayers, availablePool, matches, currentSession]);
+
+  const handleExplainMatch = (e, courtId) => {
+    // Don't open the complete match modal as well
+    e.stopPropagation();
+    setExplainedCourtId(courtId);
+  };
+
+  const handleStartNextMatch = (e, courtId) => {
+    // Don't open the empty court modal as well
+    e.stopPropagation();
+    onStartNextMatch(courtId);
+  };
+
+  // Scheduled formats fill the courts round by round instead of from the up next queue
+  const isFormatActive = sessionFormat?.isActive || false;
+  const nextMatch = isFormatActive ? null : upNextQueue?.upNext[0];
+
   return (
     <div className={`card CurrentMatches ${isExpanded ? 'expanded' : ''}`}>
       <div className="section-header-modern flex-between mb-6">
@@ -160,6 +243,15 @@ const CurrentMatches = ({
         </div>
       </div>
 
+      {isFormatActive && (
+        <FormatProgress
+          sessionFormat={sessionFormat}
+          playersById={new Map(sessionPlayers.map(p => [p.id, p]))}
+          courtsBusy={courtStates.some(court => court.isOccupied)}
+          onStartNextRound={onStartNextRound}
+        />
+      )}
+
       <div className={`matches-grid grid-2 ${animatingCourts.size > 0 || removingCourtId !== null ? 'courts-animating' : ''}`}>
         {courtStatesWithRemoving.map((court) => {
           // Determine animation classes
@@ -203,6 +295,9 @@ const CurrentMatches = ({
                     <div className="badge badge-secondary">
                       {court.currentMatch.matchType === 'singles' ? '🏸 Singles' : '🏸 Doubles'}
                     </div>
+                    {describeSkillBand(court.skillBand) && (
+                      <div className="badge court-band-badge">{describeSkillBand(court.skillBand)}</div>
+                    )}
                   </div>
                   <div className="match-status-modern flex gap-1">
                     <div className="status-indicator"></div>
@@ -275,6 +370,17 @@ const CurrentMatches = ({
                   </div>
                 </div>
 
+                {court.currentMatch.team1.player2 && court.currentMatch.team2.player2 && (
+                  <div className="expected-margin text-sm" title="Expected winning margin in a game to 21">
+                    {formatExpectedMargin(getMatchPreview(
+                      court.currentMatch.team1.player1,
+                      court.currentMatch.team1.player2,
+                      court.currentMatch.team2.player1,
+                      court.currentMatch.team2.player2
+                    ).expectedMargin)}
+                  </div>
+                )}
+
                 {/* Footer */}
                 <div className="match-footer-modern">
                   <div className="match-time-modern">
@@ -284,6 +390,15 @@ const CurrentMatches = ({
                     </svg>
                     <span>Started {new Date(court.currentMatch.startTime).toLocaleTimeString()}</span>
                   </div>
+                  {court.currentMatch.team1.player2 && (
+                    <button
+                      type="button"
+                      className="why-match-btn btn-reset text-sm"
+                      onClick={(e) => handleExplainMatch(e, court.id)}
+                    >
+                      Why this match?
+                    </button>
+                  )}
                   <div className="tap-hint-modern">Tap to complete</div>
                 </div>
               </div>
@@ -291,11 +406,33 @@ const CurrentMatches = ({
               <div className="empty-court-message">
                 <div className="empty-court-icon">🏸</div>
                 <h3>Court {court.id + 1}</h3>
+                {describeSkillBand(court.skillBand) && (
+                  <span className="court-band-badge">{describeSkillBand(court.skillBand)}</span>
+                )}
                 <p className="empty-court-subtitle">Click to assign players</p>
                 <div className="available-count">
                   <span className="count-badge">{availablePool.length}</span>
                   <span className="count-label">players available</span>
                 </div>
+                {nextMatch && (
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-sm start-next-btn"
+                    onClick={(e) => handleStartNextMatch(e, court.id)}
+                    title={`${nextMatch.team1.player1.name} & ${nextMatch.team1.player2.name} vs ${nextMatch.team2.player1.name} & ${nextMatch.team2.player2.name}`}
+                  >
+                    ⏭️ Start next match
+                  </button>
+                )}
+                {onUpdateSession && (
+                  <button
+                    type="button"
+                    className="btn btn-outline btn-sm court-settings-btn"
+                    onClick={(e) => handleOpenCourtSettings(e, court)}
+                  >
+                    🎚️ Skill band
+                  </button>
+                )}
               </div>
             )}
             </div>
@@ -303,15 +440,68 @@ const CurrentMatches = ({
         })}
       </div>
 
+      {rotationPlan && !isFormatActive && (
+        <RotationPlan plan={rotationPlan} playersById={new Map(sessionPlayers.map(p => [p.id, p]))} />
+      )}
+
+      {upNextQueue && !isFormatActive && (
+        <UpNextQueue
+          upNext={upNextQueue.upNext}
+          upNextSettings={upNextQueue.upNextSettings}
+          benchPlayers={upNextQueue.benchPlayers}
+          onUpdateSettings={upNextQueue.updateUpNextSettings}
+          onMoveMatch={upNextQueue.moveMatch}
+          onSwapPlayer={upNextQueue.swapPlayer}
+          onDiscardMatch={upNextQueue.discardMatch}
+          onRegenerate={upNextQueue.regenerate}
+        />
+      )}
+
       {showCourtOptions && (
         <CourtOptionsModal
           court={showCourtOptions}
           onCompleteMatch={handleCompleteMatch}
           onClose={() => setShowCourtOptions(null)}
           isCompletingMatch={isCompletingMatch}
+          scoreEntry={isFormatActive
+            ? { pointsPerMatch: sessionFormat.isRoundRobin ? null : sessionFormat.format.pointsPerMatch }
+            : null}
+          optionalScore={!isFormatActive && optionalScoreEntry}
+          skillBand={courtStates.find(court => court.id === showCourtOptions.id)?.skillBand || null}
+          onUpdateSkillBand={onUpdateSession ? handleUpdateSkillBand : undefined}
         />
       )}
 
+      {explainedCourt && (
+        <Modal isOpen={true} onClose={() => setExplainedCourtId(null)} className="court-modal-modern">
+          <div className="court-modal-wrapper-modern" onClick={(e) => e.stopPropagation()}>
+            <div className="court-modal-header-modern">
+              <div className="court-header-content-modern">
+                <div className="court-info-modern">
+                  <div className="court-badge-modern">Court {explainedCourt.id + 1}</div>
+                  <h2 className="court-modal-title-modern">Why this match?</h2>
+                  <p className="court-modal-subtitle-modern">How this line-up scores against the players who were free</p>
+                </div>
+              </div>
+              <button className="court-modal-close-modern" onClick={() => setExplainedCourtId(null)} aria-label="Close modal">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                </svg>
+              </button>
+            </div>
+            <div className="court-modal-body-modern">
+              <MatchExplanation explanation={explanation} />
+              <DrawReplay
+                key={explainedCourt.currentMatch.id}
+                matchingData={explainedCourt.currentMatch.matchingData}
+                teams={explainedCourt.currentMatch}
+                players={availablePool}
+              />
+            </div>
+          </div>
+        </Modal>
+      )}
+
       {showEmptyCourtModal && (
         <EmptyCourtModal
           court={showEmptyCourtModal}
@@ -320,6 +510,7 @@ const CurrentMatches = ({
           onFillCourt={handleFillCourt}
           onClose={() => setShowEmptyCourtModal(null)}
           onUpdateSession={onUpdateSession}
+          matchHistory={matches}
         />
       )}
 
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { formatSeed } from '../utils/random';
+import { getLineupKey, replayDraw } from '../utils/matchDraws';
+import { getTeamPlayers } from '../utils/matchTypes';
+
+// A replayed fair shuffle only knows player ids, so names come from the match and the players around
+const describeTeams = (teams, names) => {
+  const describe = (team) => getTeamPlayers(team).map(p => p.name || names.get(p.id) || 'Unknown Player').join(' & ');
+  return `${describe(teams.team1)} vs ${describe(teams.team2)}`;
+};
+
+const DrawReplay = ({ matchingData, teams, players = [] }) => {
+  const [replay, setReplay] = useState(null);
+
+  if (matchingData?.seed === undefined) return null;
+
+  const canReplay = !!matchingData.draw;
+  const editedAfterDraw = canReplay && getLineupKey(teams) !== matchingData.draw.lineup;
+  const names = new Map([...getTeamPlayers(teams.team1), ...getTeamPlayers(teams.team2), ...players].map(p => [p.id, p.name]));
+
+  const handleReplay = () => {
+    const result = replayDraw(matchingData);
+    console.log(`🎲 Replayed draw ${formatSeed(matchingData.seed)}:`, result?.reproduced ? 'same line-up' : 'different line-up');
+    setReplay(result);
+  };
+
+  return (
+    <div className="draw-replay">
+      <div className="flex-between text-sm">
+        <span>🎲 Drawn with seed <span className="draw-replay-seed">{formatSeed(matchingData.seed)}</span></span>
+        {canReplay && (
+          <button type="button" className="btn btn-ghost btn-sm" onClick={handleReplay}>
+            Replay this draw
+          </button>
+        )}
+      </div>
+
+      {!canReplay && (
+        <div className="draw-replay-note text-sm">This draw was a fair shuffle without a snapshot, so it cannot be replayed</div>
+      )}
+      {editedAfterDraw && (
+        <div className="draw-replay-note text-sm">⚠️ The line-up was changed by hand after the draw</div>
+      )}
+
+      {replay && (
+        <div className={`draw-replay-result text-sm ${replay.reproduced ? 'reproduced' : 'different'}`}>
+          {replay.selection
+            ? `${replay.reproduced ? '✅ Same draw' : '⚠️ Different draw'}: ${describeTeams(replay.selection.teams, names)}`
+            : '⚠️ The snapshot no longer produces a match'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DrawReplay;
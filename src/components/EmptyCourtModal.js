@@ -1,7 +1,15 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { generateId, getELOTier, formatELODisplay, formatTeamELODisplay } from '../utils/helpers';
-import { getMatchPreview, generateSmartMatch } from '../utils/smartMatching';
+import { buildMatchingConfig, getMatchPreview, generateSmartMatch, explainMatch } from '../utils/smartMatching';
+import { getWaitTimeMs, sortByWaitingQueue, formatWaitTime } from '../utils/waitingQueue';
+import { getSessionConstraints, getConstraintViolations, describeConstraint } from '../utils/pairingConstraints';
+import { COURT_MATCH_TYPE_OPTIONS, fitsCourtMatchType, getCourtMatchType } from '../utils/playerCategories';
+import { describeSkillBand, getCourtSkillBand } from '../utils/skillBands';
+import { createRandom, generateSeed } from '../utils/random';
+import { formatExpectedMargin } from '../utils/marginOfVictory';
+import { getDrawMatchingData, getShuffleMatchingData, shufflePlayersFairly } from '../utils/matchDraws';
 import Modal from './Modal';
+import MatchExplanation from './MatchExplanation';
 
 // ========================================
 // SHUFFLE ANIMATION CONFIGURATION
@@ -26,68 +34,28 @@ const getPlayerMatchCount = (player) => {
 const selectPlayersFairly = (players, count) => {
   if (players.length <= count) return players;
   
-  // Sort players by match count (ascending), then by name for consistency
+  // Sort players by match count (ascending), then longest wait, then by name for consistency
+  const now = Date.now();
   const sortedPlayers = [...players].sort((a, b) => {
     const countA = getPlayerMatchCount(a);
     const countB = getPlayerMatchCount(b);
     const matchDiff = countA - countB;
     if (matchDiff !== 0) return matchDiff;
+    const waitDiff = getWaitTimeMs(b, now) - getWaitTimeMs(a, now);
+    if (waitDiff !== 0) return waitDiff;
     return a.name.localeCompare(b.name); // Consistent tiebreaker
   });
   
   return sortedPlayers.slice(0, count);
 };
 
-// AGGRESSIVE fair shuffle algorithm - heavily prioritizes players with fewer matches
-const shufflePlayersFairly = (players, count) => {
-  if (players.length <= count) return players;
-  
-  // Group players by match count
-  const playersByMatchCount = {};
-  players.forEach(player => {
-    const matchCount = getPlayerMatchCount(player);
-    if (!playersByMatchCount[matchCount]) {
-      playersByMatchCount[matchCount] = [];
-    }
-    playersByMatchCount[matchCount].push(player);
-  });
-  
-  // Sort match count groups (lowest first)
-  const sortedMatchCounts = Object.keys(playersByMatchCount)
-    .map(Number)
-    .sort((a, b) => a - b);
-  
-  // AGGRESSIVE PRIORITIZATION: Fill from lowest match counts first
-  // Only move to higher match counts if absolutely necessary
-  const selectedPlayers = [];
-  
-  for (const matchCount of sortedMatchCounts) {
-    const playersInGroup = playersByMatchCount[matchCount];
-    // Shuffle players within this match count group
-    const shuffledGroup = [...playersInGroup].sort(() => Math.random() - 0.5);
-    
-    // Take as many as needed from this group
-    const needed = count - selectedPlayers.length;
-    const toTake = Math.min(needed, shuffledGroup.length);
-    selectedPlayers.push(...shuffledGroup.slice(0, toTake));
-    
-    if (selectedPlayers.length >= count) break;
-    
-    // Log when we're forced to select players with higher match counts
-    if (matchCount > 0 && selectedPlayers.length < count) {
-      console.log(`⚠️ Fair shuffle: Had to select players with ${matchCount} matches (${playersInGroup.length} available)`);
-    }
-  }
-  
-  return selectedPlayers;
-};
-
-const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, onClose, onUpdateSession }) => {
+const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, onClose, onUpdateSession, matchHistory }) => {
   const [assignedPlayers, setAssignedPlayers] = useState([]);
   const [remainingPlayers, setRemainingPlayers] = useState([]);
   const [selectedPlayer, setSelectedPlayer] = useState(null);
   const [selectedAvailablePlayer, setSelectedAvailablePlayer] = useState(null);
   const [matchType, setMatchType] = useState('doubles'); // 'singles' or 'doubles'
+  const [draw, setDraw] = useState(null); // Seed (and snapshot) of the last final draw, stored with the match
   const [animatingPlayers, setAnimatingPlayers] = useState(new Set()); // Track which players are animating
   const [draggedPlayer, setDraggedPlayer] = useState(null); // Track dragged player
   const [dragOverZone, setDragOverZone] = useState(null); // Track drag over zones
@@ -98,6 +66,7 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
   const [shuffleCount, setShuffleCount] = useState(0); // Track number of shuffles performed
   const [isInitialShuffling, setIsInitialShuffling] = useState(false); // Track if doing initial shuffle animation
   const [isMobileDragMode, setIsMobileDragMode] = useState(false); // Track if we're in mobile drag mode
+  const [showExplanation, setShowExplanation] = useState(false); // "Why this match?" panel
   const hasInitialized = React.useRef(false); // Track if we've already initialized to prevent loops
   const prevAvailablePoolLength = React.useRef(0); // Track previous pool length for reset detection
 
@@ -105,9 +74,14 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
   const smartMatching = currentSession?.smartMatching || {
     enabled: false,
     eloRange: 500,
-    teamBalance: 250,
-    varietyWeight: 0.2
+    teamBalance: 250
   };
+  const constraints = useMemo(() => getSessionConstraints(currentSession), [currentSession]);
+  const matchingConfig = useMemo(() => buildMatchingConfig(currentSession?.smartMatching), [currentSession?.smartMatching]);
+  const courtType = getCourtMatchType(currentSession, court.id);
+  const skillBand = getCourtSkillBand(currentSession, court.id);
+  // Completed matches the draw and its explanation both read
+  const history = useMemo(() => matchHistory || currentSession?.currentMatches || [], [matchHistory, currentSession?.currentMatches]);
 
   // Helper function to auto-open players panel
   const autoOpenPlayersPanel = () => {
@@ -154,32 +128,39 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
     }, 50); // Small delay to trigger animation
   };
 
-  // Perform a single shuffle operation
-  const performSingleShuffle = useCallback((allAvailablePlayers, playersNeeded, isFinalShuffle = false) => {
-    if (smartMatching.enabled && matchType === 'doubles' && isFinalShuffle) {
-      // Use smart matching with randomness for final shuffle - this adds variety!
-      const matches = currentSession?.currentMatches || [];
-      const smartSelection = generateSmartMatch(allAvailablePlayers, matches, true, true);
-      
+  // Final draw for the court - smart matching with randomness when enabled (this adds variety!),
+  // otherwise the fair shuffle. Both draw from a fresh seed that is kept with the match
+  const drawPlayers = useCallback((allAvailablePlayers, playersNeeded) => {
+    const seed = generateSeed();
+
+    if (smartMatching.enabled) {
+      const rules = { constraints, config: matchingConfig, courtType, skillBand, matchType };
+      const smartSelection = generateSmartMatch(allAvailablePlayers, history, true, true, { ...rules, seed });
+
       if (smartSelection && smartSelection.players) {
-        setAssignedPlayers(smartSelection.players);
-        const remainingPool = allAvailablePlayers.filter(p => 
-          !smartSelection.players.some(sp => sp.id === p.id)
-        );
-        setRemainingPlayers(remainingPool);
-      } else {
-        // Fallback to fair shuffle
-        const fairlyShuffled = shufflePlayersFairly(allAvailablePlayers, playersNeeded);
-        setAssignedPlayers(fairlyShuffled);
-        setRemainingPlayers(allAvailablePlayers.filter(p => !fairlyShuffled.includes(p)));
+        setDraw({
+          method: smartSelection.method,
+          ...getDrawMatchingData(smartSelection, allAvailablePlayers, history, { ...rules, addRandomness: true })
+        });
+        return smartSelection.players;
       }
-    } else {
-      // Use fair shuffle for intermediate shuffles, singles, or when smart matching is disabled
-      const fairlyShuffled = shufflePlayersFairly(allAvailablePlayers, playersNeeded);
-      setAssignedPlayers(fairlyShuffled);
-      setRemainingPlayers(allAvailablePlayers.filter(p => !fairlyShuffled.includes(p)));
     }
-  }, [matchType, smartMatching.enabled, currentSession?.currentMatches]);
+
+    // Fallback to fair shuffle
+    const drawn = shufflePlayersFairly(allAvailablePlayers, playersNeeded, createRandom(seed));
+    setDraw(getShuffleMatchingData(seed, allAvailablePlayers, playersNeeded, drawn));
+    return drawn;
+  }, [matchType, smartMatching.enabled, history, constraints, matchingConfig, courtType, skillBand]);
+
+  // Perform a single shuffle operation
+  const performSingleShuffle = useCallback((allAvailablePlayers, playersNeeded, isFinalShuffle = false) => {
+    // Intermediate shuffles are only for the animation, so they use the fair shuffle unseeded
+    const shuffled = isFinalShuffle
+      ? drawPlayers(allAvailablePlayers, playersNeeded)
+      : shufflePlayersFairly(allAvailablePlayers, playersNeeded);
+    setAssignedPlayers(shuffled);
+    setRemainingPlayers(allAvailablePlayers.filter(p => !shuffled.some(sp => sp.id === p.id)));
+  }, [drawPlayers]);
 
   // Initial multi-shuffle animation when modal opens
   const performInitialShuffle = useCallback(() => {
@@ -298,26 +279,9 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
       const performShuffleSequence = (currentShuffle) => {
         if (currentShuffle >= INITIAL_SHUFFLE_COUNT) {
           // Final shuffle - use smart matching if enabled
-          if (smartMatching.enabled && matchType === 'doubles') {
-            const matches = currentSession?.currentMatches || [];
-            const smartSelection = generateSmartMatch(availablePool, matches, true, true);
-            
-            if (smartSelection && smartSelection.players) {
-              setAssignedPlayers(smartSelection.players);
-              const remainingPool = availablePool.filter(p => 
-                !smartSelection.players.some(sp => sp.id === p.id)
-              );
-              setRemainingPlayers(remainingPool);
-            } else {
-              const fairlyShuffled = shufflePlayersFairly(availablePool, playersNeeded);
-              setAssignedPlayers(fairlyShuffled);
-              setRemainingPlayers(availablePool.filter(p => !fairlyShuffled.includes(p)));
-            }
-          } else {
-            const fairlyShuffled = shufflePlayersFairly(availablePool, playersNeeded);
-            setAssignedPlayers(fairlyShuffled);
-            setRemainingPlayers(availablePool.filter(p => !fairlyShuffled.includes(p)));
-          }
+          const drawn = drawPlayers(availablePool, playersNeeded);
+          setAssignedPlayers(drawn);
+          setRemainingPlayers(availablePool.filter(p => !drawn.some(dp => dp.id === p.id)));
           
           // Clear animations after final shuffle completes
           setTimeout(() => {
@@ -355,7 +319,7 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
       setSelectedPlayer(null);
       setSelectedAvailablePlayer(null);
     }
-  }, [availablePool, matchType, smartMatching.enabled, currentSession?.currentMatches]); // Stable dependencies only
+  }, [availablePool, matchType, drawPlayers]); // Stable dependencies only
 
   // Cleanup when component unmounts or modal closes
   useEffect(() => {
@@ -524,6 +488,9 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
       };
     }
     
+    // Keep the draw's seed with the match so it can be replayed later
+    if (draw) match.matchingData = draw;
+
     onFillCourt(court.id, match);
   };
 
@@ -752,6 +719,33 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
   };
 
   const playersNeeded = matchType === 'singles' ? 2 : 4;
+
+  // Manual picks can break the session's pairing rules - warn, but leave the call to the organizer
+  const lineup = matchType === 'singles'
+    ? { team1: { player1: assignedPlayers[0] }, team2: { player1: assignedPlayers[1] } }
+    : {
+        team1: { player1: assignedPlayers[0], player2: assignedPlayers[1] },
+        team2: { player1: assignedPlayers[2], player2: assignedPlayers[3] }
+      };
+  const knownPlayers = new Map([...availablePool, ...assignedPlayers].filter(Boolean).map(p => [p.id, p]));
+  const ruleViolations = getConstraintViolations(lineup, constraints, {
+    poolIds: new Set(knownPlayers.keys()),
+    complete: assignedPlayers.filter(Boolean).length === playersNeeded
+  });
+  const breaksCourtType = matchType === 'doubles' &&
+    assignedPlayers.filter(Boolean).length === playersNeeded &&
+    !fitsCourtMatchType(lineup, courtType);
+  const courtTypeLabel = COURT_MATCH_TYPE_OPTIONS.find(option => option.value === courtType)?.label;
+
+  // "Why this match?" - only once a full doubles line-up is on court and the panel is opened
+  const explanation = showExplanation && matchType === 'doubles' && assignedPlayers.filter(Boolean).length === 4
+    ? explainMatch(lineup, [...knownPlayers.values()], history, { constraints, config: matchingConfig, courtType, skillBand, now: draw?.draw?.drawnAt })
+    : null;
+
+  // Expected winning margin of a full doubles line-up, shown under the team ratings
+  const preview = matchType === 'doubles' && assignedPlayers.filter(Boolean).length === 4
+    ? getMatchPreview(assignedPlayers[0], assignedPlayers[1], assignedPlayers[2], assignedPlayers[3])
+    : null;
   
   if (availablePool.length < playersNeeded) {
     return (
@@ -818,6 +812,11 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
                 Doubles
               </button>
             </div>
+            {skillBand && (
+              <span className="court-band-badge" title="Auto-picks only use players in this band">
+                {describeSkillBand(skillBand)}
+              </span>
+            )}
           </div>
           <button className={`close-btn-redesigned ${isPlayersTabOpen ? 'players-tab-open' : ''}`} onClick={onClose}>
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
@@ -1013,6 +1012,42 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
             </div>
           </div>
 
+          {preview && (
+            <div className="expected-margin text-sm" title="Expected winning margin in a game to 21">
+              {preview.balanceLabel} · {formatExpectedMargin(preview.expectedMargin)}
+            </div>
+          )}
+
+          {ruleViolations.length > 0 && (
+            <div className="pairing-rule-warning" role="alert">
+              <span className="pairing-rule-warning-title">⚠️ This line-up breaks a pairing rule</span>
+              {ruleViolations.map(rule => (
+                <span key={rule.id} className="pairing-rule-warning-item">{describeConstraint(rule, knownPlayers)}</span>
+              ))}
+            </div>
+          )}
+
+          {breaksCourtType && (
+            <div className="pairing-rule-warning" role="alert">
+              <span className="pairing-rule-warning-title">⚠️ Court {court.id + 1} is set to {courtTypeLabel}</span>
+              <span className="pairing-rule-warning-item">This line-up doesn't match the court's match type</span>
+            </div>
+          )}
+
+          {matchType === 'doubles' && assignedPlayers.filter(Boolean).length === 4 && (
+            <div className="match-explanation-panel">
+              <button
+                type="button"
+                className="why-match-btn btn-reset text-sm"
+                onClick={() => setShowExplanation(!showExplanation)}
+                aria-expanded={showExplanation}
+              >
+                {showExplanation ? 'Hide explanation' : 'Why this match?'}
+              </button>
+              <MatchExplanation explanation={explanation} />
+            </div>
+          )}
+
           {/* Action Controls */}
           <div className="action-controls-redesigned">
             {/* Mobile Available Players Toggle */}
@@ -1120,7 +1155,8 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
             </div>
             <div className="players-list-redesigned">
               {remainingPlayers.length > 0 ? (
-                remainingPlayers.map(player => (
+                // Shown in waiting queue order - longest wait first
+                sortByWaitingQueue(remainingPlayers).map((player, queueIndex) => (
                   <div 
                     key={player.id} 
                     draggable="true"
@@ -1155,6 +1191,11 @@ const EmptyCourtModal = ({ court, availablePool, currentSession, onFillCourt, on
                       <span className="available-player-matches">
                         {getPlayerMatchCount(player)} matches
                       </span>
+                      {player.waitingSince && (
+                        <span className="available-player-wait">
+                          #{queueIndex + 1} in queue · waiting {formatWaitTime(player)}
+                        </span>
+                      )}
                     </div>
                     <div className="add-icon">
                       <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
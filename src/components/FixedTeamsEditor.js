@@ -0,0 +1,91 @@
+import React from 'react';
+import { generateId } from '../utils/helpers';
+
+const FixedTeamsEditor = ({ teams, players, onUpdateTeams }) => {
+  const assignedIds = new Set(teams.flatMap(team => team.playerIds).filter(Boolean));
+
+  const handlePlayerChange = (teamId, slot, playerId) => {
+    onUpdateTeams(teams.map(team => {
+      if (team.id !== teamId) return team;
+      const playerIds = [...team.playerIds];
+      playerIds[slot] = playerId || null;
+      return { ...team, playerIds };
+    }));
+  };
+
+  const handleAddTeam = () => {
+    onUpdateTeams([...teams, { id: generateId(), name: '', playerIds: [null, null] }]);
+  };
+
+  const handleRemoveTeam = (teamId) => {
+    onUpdateTeams(teams.filter(team => team.id !== teamId));
+  };
+
+  // Pair up everyone not yet in a team, strongest with weakest
+  const handleAutoPair = () => {
+    const unassigned = players
+      .filter(p => !assignedIds.has(p.id))
+      .sort((a, b) => (b.sessionElo || b.elo || 0) - (a.sessionElo || a.elo || 0));
+    const newTeams = [];
+
+    while (unassigned.length >= 2) {
+      const strongest = unassigned.shift();
+      const weakest = unassigned.pop();
+      newTeams.push({ id: generateId(), name: '', playerIds: [strongest.id, weakest.id] });
+    }
+
+    onUpdateTeams([...teams.filter(team => team.playerIds.some(Boolean)), ...newTeams]);
+  };
+
+  const renderSelect = (team, slot) => (
+    <select
+      className="rotation-select"
+      value={team.playerIds[slot] || ''}
+      onChange={(e) => handlePlayerChange(team.id, slot, e.target.value)}
+      aria-label={`Team player ${slot + 1}`}
+    >
+      <option value="">Choose player</option>
+      {players
+        .filter(p => p.id === team.playerIds[slot] || !assignedIds.has(p.id))
+        .map(p => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+    </select>
+  );
+
+  return (
+    <div className="fixed-teams-editor">
+      <div className="setting-label">
+        Teams
+        <span className="setting-hint">Each team keeps the same two players across every round</span>
+      </div>
+
+      {teams.map((team, index) => (
+        <div key={team.id} className="fixed-team-row">
+          <span className="fixed-team-number">{index + 1}</span>
+          {renderSelect(team, 0)}
+          {renderSelect(team, 1)}
+          <button
+            type="button"
+            className="up-next-action up-next-discard"
+            onClick={() => handleRemoveTeam(team.id)}
+            aria-label="Remove team"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="fixed-teams-actions flex gap-2">
+        <button type="button" className="btn btn-outline btn-sm" onClick={handleAddTeam}>
+          Add team
+        </button>
+        <button type="button" className="btn btn-outline btn-sm" onClick={handleAutoPair}>
+          Pair the rest
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FixedTeamsEditor;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { SESSION_FORMATS, SESSION_FORMAT_OPTIONS } from '../utils/sessionFormats';
+import { getTeamName } from '../utils/roundRobin';
+import BracketView from './BracketView';
+
+const UPCOMING_SHOWN = 4;
+
+const FormatProgress = ({ sessionFormat, playersById, courtsBusy, onStartNextRound }) => {
+  const { format, isRoundRobin, isElimination, isFixedTeams, totalRounds, nextRound, upcomingMatches } = sessionFormat;
+  const label = SESSION_FORMAT_OPTIONS.find(option => option.value === format.type)?.label;
+  const isFinished = format.type === SESSION_FORMATS.AMERICANO && format.currentRound >= totalRounds;
+
+  const nameOf = (id) => playersById.get(id)?.name || 'Unknown';
+  const teamsById = new Map((format.teams || []).map(team => [team.id, team]));
+  const teamNameOf = (id) => (teamsById.has(id) ? getTeamName(teamsById.get(id), playersById) : 'Unknown');
+
+  const totalMatches = format.rounds.reduce((sum, round) => sum + round.matches.length, 0);
+  const startedMatches = format.startedMatchIds?.length || 0;
+  const progress = isRoundRobin
+    ? (totalMatches ? startedMatches / totalMatches : 0)
+    : (totalRounds ? Math.min(format.currentRound, totalRounds) / totalRounds : 0);
+  const currentByes = isRoundRobin ? format.rounds[format.currentRound - 1]?.byes || [] : [];
+
+  const bracketMatches = isElimination && format.bracket ? Object.values(format.bracket.matches) : [];
+  const playedBracketMatches = bracketMatches.filter(match =>
+    match.winnerId && match.loserId && match.loserId !== 'BYE').length;
+
+  return (
+    <div className="format-progress">
+      <div className="format-progress-header flex-between">
+        <div>
+          <h3 className="format-progress-title">🏆 {label}</h3>
+          <div className="format-progress-subtitle text-sm">
+            {isElimination ? (
+              format.bracket?.championId
+                ? `Complete · ${playedBracketMatches} matches played`
+                : `${playedBracketMatches} matches played · winners move on automatically`
+            ) : totalRounds
+              ? `Round ${Math.min(format.currentRound, totalRounds)} of ${totalRounds}`
+              : `Round ${format.currentRound}`}
+            {!isElimination && ' · '}
+            {!isElimination && (isRoundRobin
+              ? `${startedMatches} of ${totalMatches} matches started`
+              : `${format.pointsPerMatch} points per match`)}
+          </div>
+        </div>
+        {!isFixedTeams && (
+          <button
+            type="button"
+            className="btn btn-primary btn-sm"
+            onClick={onStartNextRound}
+            disabled={courtsBusy || isFinished}
+            title={courtsBusy ? 'Finish the matches on court first' : undefined}
+          >
+            {isFinished ? 'All rounds played' : `Start round ${format.currentRound + 1}`}
+          </button>
+        )}
+      </div>
+
+      {totalRounds > 0 && (
+        <div className="format-progress-bar">
+          <div className="format-progress-fill" style={{ width: `${progress * 100}%` }} />
+        </div>
+      )}
+
+      {nextRound && (
+        <div className="format-next-round text-sm">
+          <div className="format-next-label">Next up</div>
+          {nextRound.matches.map(match => (
+            <div key={match.court} className="format-next-match">
+              <span className="format-next-court">Court {match.court + 1}</span>
+              {match.team1.map(nameOf).join(' & ')} vs {match.team2.map(nameOf).join(' & ')}
+            </div>
+          ))}
+          {nextRound.resting.length > 0 && (
+            <div className="format-next-resting">Resting: {nextRound.resting.map(nameOf).join(', ')}</div>
+          )}
+        </div>
+      )}
+
+      {isElimination && (
+        <BracketView bracket={format.bracket} teams={format.teams} playersById={playersById} />
+      )}
+
+      {isRoundRobin && (
+        <div className="format-next-round text-sm">
+          <div className="format-next-label">
+            {upcomingMatches.length > 0 ? 'Waiting for a court' : 'Every match has been scheduled'}
+          </div>
+          {upcomingMatches.slice(0, UPCOMING_SHOWN).map(match => (
+            <div key={match.id} className="format-next-match">
+              <span className="format-next-court">Round {match.round}</span>
+              {teamNameOf(match.team1Id)} vs {teamNameOf(match.team2Id)}
+            </div>
+          ))}
+          {upcomingMatches.length > UPCOMING_SHOWN && (
+            <div className="format-next-resting">+{upcomingMatches.length - UPCOMING_SHOWN} more</div>
+          )}
+          {currentByes.length > 0 && (
+            <div className="format-next-resting">Bye: {currentByes.map(teamNameOf).join(', ')}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FormatProgress;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { SESSION_FORMAT_OPTIONS } from '../utils/sessionFormats';
+
+const FormatStandings = ({ format, standings }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const label = SESSION_FORMAT_OPTIONS.find(option => option.value === format.type)?.label;
+
+  const toggleExpanded = () => {
+    setIsExpanded(!isExpanded);
+  };
+
+  if (isExpanded) {
+    return (
+      <div className="scoreboard expanded">
+        <div className="scoreboard-header">
+          <h3>🏆 {label} Standings</h3>
+          <div className="header-controls">
+            <button
+              className="scoreboard-toggle"
+              onClick={toggleExpanded}
+              title="Minimize standings"
+            >
+              ✖️
+            </button>
+          </div>
+        </div>
+        <div className="scoreboard-content">
+          <div className="ranking-list">
+            {standings.map((row, index) => (
+              <div key={row.playerId || row.teamId} className="ranking-item">
+                <div className="rank-position">#{index + 1}</div>
+                <div className="player-info">
+                  <div className="player-name-row">
+                    <span className="player-name">{row.name}</span>
+                    <span className="format-points">
+                      {row.teamId ? `${row.wins} W` : `${row.points} pts`}
+                    </span>
+                  </div>
+                  <div className="player-stats">
+                    <span className="win-loss">
+                      {row.played} played · {row.wins}W - {row.losses}L
+                    </span>
+                    <span className="format-diff">
+                      {row.diff > 0 ? '+' : ''}{row.diff}
+                    </span>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="scoreboard minimized"
+      onClick={toggleExpanded}
+      title="Click to view standings"
+    >
+      <div className="scoreboard-icon">
+        🏆
+      </div>
+    </div>
+  );
+};
+
+export default FormatStandings;
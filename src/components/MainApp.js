@@ -4,6 +4,10 @@ import { useGameContext } from '../contexts/GameContext';
 import { useSessionManagement } from '../hooks/useSessionManagement';
 import { useMatchManagement } from '../hooks/useMatchManagement';
 import { useSessionMatches } from '../hooks/useSessionMatches';
+import { useUpNextQueue } from '../hooks/useUpNextQueue';
+import { useSessionFormat } from '../hooks/useSessionFormat';
+import { useRatingReplay } from '../hooks/useRatingReplay';
+import { useMatchCorrection } from '../hooks/useMatchCorrection';
 
 // Components
 import SessionOptionsMenu from './SessionOptionsMenu';
@@ -11,6 +15,8 @@ import SessionPlayerManagement from './SessionPlayerManagement';
 import CurrentMatches from './CurrentMatches';
 import Notification from './Notification';
 import Scoreboard from './Scoreboard';
+import MatchHistory from './MatchHistory';
+import FormatStandings from './FormatStandings';
 import SessionCreator from './SessionCreator';
 import WelcomePage from './pages/WelcomePage';
 
@@ -19,6 +25,8 @@ import {
   calculateInitialELO,
   urlToSessionName
 } from '../utils/helpers';
+import { getNextRestEnd, isPlayerResting } from '../utils/playerRest';
+import { MARGIN_MODES } from '../utils/marginOfVictory';
 import { createSupabaseClient } from '../config/supabase';
 
 function MainApp() {
@@ -40,6 +48,10 @@ function MainApp() {
     setEloHistory,
     currentSessionId,
     setCurrentSessionId,
+    ratingEngine,
+    setRatingEngine,
+    marginMode,
+    setMarginMode,
     isDataLoading,
     usingSupabase,
     notification,
@@ -70,12 +82,24 @@ function MainApp() {
   // Global players only - session players now managed individually through efficient hooks
   const safeGlobalPlayers = globalPlayers || [];
   
+  // Wake up when the next timed rest ends so the player returns to the pool on time
+  const [restClock, setRestClock] = useState(() => Date.now());
+  useEffect(() => {
+    const nextRestEnd = getNextRestEnd((sessionPlayers || []).filter(sp => sp?.session_id === currentSessionId), restClock);
+    if (!nextRestEnd) return;
+
+    const timeoutId = setTimeout(() => setRestClock(Date.now()), nextRestEnd - restClock + 1000);
+    return () => clearTimeout(timeoutId);
+  }, [sessionPlayers, currentSessionId, restClock]);
+
   // Computed session players with details for useMatchManagement and Scoreboard
   const sessionPlayersWithDetails = React.useMemo(() => {
     if (!currentSessionId || !sessionPlayers || !safeGlobalPlayers.length) {
       return [];
     }
 
+    const restContext = { matches: matches || [], courtCount: currentSession?.courtCount, now: restClock };
+
     return sessionPlayers
       .filter(sp => sp && sp.session_id === currentSessionId)
       .map(sessionPlayer => {
@@ -91,6 +115,11 @@ function MainApp() {
           sessionElo: sessionPlayer.session_elo_current || globalPlayer.elo || 1200,
           isActive: sessionPlayer.is_active_in_session === true,
           joinedAt: sessionPlayer.joined_at,
+          // A resting player stays in the session and the waiting queue but isn't matched
+          restingUntil: sessionPlayer.resting_until || null,
+          restStartedAt: sessionPlayer.rest_started_at || null,
+          restRounds: sessionPlayer.rest_rounds || 0,
+          isResting: isPlayerResting(sessionPlayer, restContext),
           // Session statistics
           sessionStats: {
             matches: sessionPlayer.session_matches || 0,
@@ -100,7 +129,7 @@ function MainApp() {
         };
       })
       .filter(Boolean); // Remove null entries
-  }, [currentSessionId, sessionPlayers, safeGlobalPlayers]);
+  }, [currentSessionId, sessionPlayers, safeGlobalPlayers, matches, currentSession?.courtCount, restClock]);
   
   // Player management - implemented for efficient session player architecture
   const handleAddPlayerToSession = async (playerId, sessionId) => {
@@ -206,7 +235,59 @@ function MainApp() {
     addMatch,
     updateMatch,
     setEloHistory,
-    updateSession
+    updateSession,
+    ratingEngine,
+    marginMode
+  });
+
+  // Rebuild ratings from the match history
+  const ratingReplay = useRatingReplay({
+    globalPlayers,
+    setGlobalPlayers,
+    sessionPlayers,
+    setSessionPlayers,
+    setEloHistory,
+    ratingEngine,
+    marginMode
+  });
+
+  // Edit or void completed matches
+  const matchCorrection = useMatchCorrection({
+    currentSession,
+    currentSessionId,
+    matches,
+    updateMatch,
+    setMatches,
+    globalPlayers,
+    setGlobalPlayers,
+    sessionPlayers,
+    setSessionPlayers,
+    eloHistory,
+    setEloHistory,
+    ratingEngine,
+    marginMode
+  });
+
+  // Americano / Mexicano rounds and standings
+  const sessionFormat = useSessionFormat({
+    currentSession,
+    sessionPlayers: sessionPlayersWithDetails,
+    availablePool,
+    matches,
+    updateSession,
+    fillEmptyCourt,
+    isCompletingMatch
+  });
+
+  // "Up next" queue of proposed matches
+  const upNextQueue = useUpNextQueue({
+    currentSession,
+    availablePool,
+    matches,
+    updateSession,
+    fillEmptyCourt,
+    isCompletingMatch,
+    paused: sessionFormat.isActive
   });
 
   // Robust URL resolution with fallback to welcome page
@@ -363,7 +444,7 @@ function MainApp() {
     const currentMatches = activeMatches.map(match => {
       const isDoubles = match.match_type === 'doubles';
       
-      // For singles matches, we stored duplicate player IDs, so we need to handle this
+      // Singles matches have no second players (rows saved before migration 008 repeat the player)
       const team1Player1 = safeGlobalPlayers.find(p => p.id === match.team1_player1_id) || 
                           { id: match.team1_player1_id, name: `Player ${match.team1_player1_id}` };
       const team1Player2 = isDoubles && match.team1_player2_id !== match.team1_player1_id ? 
@@ -389,7 +470,8 @@ function MainApp() {
           player2: team2Player2
         },
         startTime: match.started_at,
-        completed: false
+        completed: false,
+        ...(match.matching_data && { matchingData: match.matching_data })
       };
     });
     
@@ -397,7 +479,9 @@ function MainApp() {
     const courtStates = [];
     for (let i = 0; i < currentSession.courtCount; i++) {
       const matchOnCourt = currentMatches.find(m => m.courtId === i);
+      // Keep per-court extras such as rotation stay streaks
       courtStates.push({
+        ...currentSession.courtStates?.[i],
         id: i,
         isOccupied: !!matchOnCourt,
         currentMatch: matchOnCourt || null
@@ -435,10 +519,24 @@ function MainApp() {
   });
 
   // Wrapper functions to add notifications
-  const handleCompleteMatch = async (courtId, winner) => {
+  const handleMatchCorrection = async (correction) => {
+    const result = await correction();
+    showNotification(result.message, result.success ? 'success' : 'error');
+    return result;
+  };
+
+  const handleApplyRatingReplay = async () => {
+    const result = await ratingReplay.applyReplay();
+    if (result.success) {
+      showNotification(result.message);
+    }
+    return result;
+  };
+
+  const handleCompleteMatch = async (courtId, winner, score) => {
     setIsCompletingMatchFlow(true);
     try {
-      const result = await completeMatch(courtId, winner);
+      const result = await completeMatch(courtId, winner, score);
       if (result.success) {
         showNotification(result.message);
       } else {
@@ -478,6 +576,33 @@ function MainApp() {
     }
   };
 
+  const handleStartNextMatch = async (courtId) => {
+    const result = await upNextQueue.startNextMatch(courtId);
+    if (result.success) {
+      showNotification(result.message);
+    } else {
+      showNotification(result.message, 'error');
+    }
+  };
+
+  const handleSetupFormat = (type, options) => {
+    const result = sessionFormat.setupFormat(type, options);
+    if (result.success) {
+      showNotification(result.message);
+    } else {
+      showNotification(result.message, 'error');
+    }
+  };
+
+  const handleStartNextRound = async () => {
+    const result = await sessionFormat.startNextRound();
+    if (result.success) {
+      showNotification(result.message);
+    } else {
+      showNotification(result.message, 'error');
+    }
+  };
+
   const handleAddCourt = () => {
     const result = addCourt();
     showNotification(result.message);
@@ -614,6 +739,13 @@ function MainApp() {
             currentSession={currentSession}
             onSessionEnd={handleSessionEndWithNotification}
             onUpdateSession={updateSession}
+            onSetupFormat={handleSetupFormat}
+            sessionPlayers={sessionPlayersWithDetails}
+            ratingEngine={ratingEngine}
+            onChangeRatingEngine={setRatingEngine}
+            marginMode={marginMode}
+            onChangeMarginMode={setMarginMode}
+            ratingReplay={{ ...ratingReplay, applyReplay: handleApplyRatingReplay }}
           />
         </header>
 
@@ -630,6 +762,13 @@ function MainApp() {
           onGenerateMatches={handleGenerateMatches}
           onClearMatches={handleClearMatches}
           onUpdateSession={updateSession}
+          upNextQueue={upNextQueue}
+          onStartNextMatch={handleStartNextMatch}
+          sessionFormat={sessionFormat}
+          sessionPlayers={sessionPlayersWithDetails}
+          matches={matches}
+          onStartNextRound={handleStartNextRound}
+          optionalScoreEntry={marginMode !== MARGIN_MODES.OFF}
           isCompletingMatch={isCompletingMatch || isCompletingMatchFlow}
         />
 
@@ -641,6 +780,19 @@ function MainApp() {
           onUpdateGlobalPlayer={handleUpdateGlobalPlayer}
           onCreateNewPlayer={handleCreateNewPlayerWithNotification}
           setSessionPlayers={setSessionPlayers}
+          matches={matches}
+          courtCount={currentSession?.courtCount}
+          constraints={currentSession?.constraints || []}
+          onUpdateConstraints={(constraints) => updateSession({ constraints })}
+        />
+
+        <MatchHistory
+          matches={matchCorrection.completedMatches}
+          corrections={matchCorrection.corrections}
+          players={sessionPlayersWithDetails}
+          isCorrecting={matchCorrection.isCorrecting}
+          onEditMatch={(matchId, changes, reason) => handleMatchCorrection(() => matchCorrection.editMatch(matchId, changes, reason))}
+          onVoidMatch={(matchId, reason) => handleMatchCorrection(() => matchCorrection.voidMatch(matchId, reason))}
         />
 
         {notification && (
@@ -651,7 +803,11 @@ function MainApp() {
           />
         )}
 
-        <Scoreboard players={sessionPlayersWithDetails} />
+        {sessionFormat.isActive ? (
+          <FormatStandings format={sessionFormat.format} standings={sessionFormat.standings} />
+        ) : (
+          <Scoreboard players={sessionPlayersWithDetails} />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,60 @@
+import React from 'react';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const describeTeams = (teams) =>
+  `${teams.team1.player1.name} & ${teams.team1.player2.name} vs ${teams.team2.player1.name} & ${teams.team2.player2.name}`;
+
+const MatchExplanation = ({ explanation }) => {
+  if (!explanation) return null;
+
+  const { score, criteria, alternatives } = explanation;
+
+  return (
+    <div className="match-explanation">
+      <div className="match-explanation-total flex-between">
+        <span className="font-medium">Match score</span>
+        <span className={`match-explanation-score ${score.rejected ? 'rejected' : ''}`}>
+          {score.rejected ? 'Rejected' : formatPercent(score.total)}
+        </span>
+      </div>
+      {score.rejected && (
+        <div className="match-explanation-reason text-sm">
+          ⚠️ {score.reason} - the engine would not have picked this line-up
+        </div>
+      )}
+
+      <ul className="match-explanation-criteria">
+        {criteria.map(criterion => (
+          <li key={criterion.key} className="match-explanation-criterion" title={criterion.description}>
+            <div className="flex-between text-sm">
+              <span>{criterion.label} <span className="match-explanation-weight">×{criterion.weight}</span></span>
+              <span>{formatPercent(criterion.value)}</span>
+            </div>
+            <div className="match-explanation-bar">
+              <div className="match-explanation-fill" style={{ width: formatPercent(criterion.value) }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {alternatives.length > 0 && (
+        <div className="match-explanation-alternatives">
+          <div className="format-next-label">Top alternatives</div>
+          {alternatives.map(alternative => (
+            <div key={describeTeams(alternative.teams)} className="match-explanation-alternative text-sm">
+              <span className="match-explanation-teams">{describeTeams(alternative.teams)}</span>
+              <span className={`match-explanation-verdict ${alternative.rejected ? 'rejected' : ''}`}>
+                {alternative.rejected
+                  ? `Rejected: ${alternative.reason}`
+                  : `Scored ${formatPercent(alternative.total)}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MatchExplanation;
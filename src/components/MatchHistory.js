@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { CORRECTION_EVENTS } from '../utils/matchCorrection';
+import { isSinglesMatch } from '../utils/matchTypes';
+
+const teamIds = (match, team) => [match[`${team}_player1_id`], match[`${team}_player2_id`]].filter(Boolean);
+const teamNames = (match, team) => [match[`${team}_player1_name`], match[`${team}_player2_name`]].filter(Boolean).join(' & ');
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * One line of the audit trail (e.g. "Edited 20:15 - winner Team 1 → Team 2 · wrong tap")
+ */
+function describeCorrection(event) {
+  const { before = {}, after = {}, reason } = event.event_data || {};
+  const isVoid = event.event_type === CORRECTION_EVENTS.VOID;
+  const changes = [];
+
+  if (!isVoid && before.winning_team !== after.winning_team) {
+    changes.push(`winner Team ${before.winning_team} → Team ${after.winning_team}`);
+  }
+  if (!isVoid && [...(before.team1 || []), ...(before.team2 || [])].join() !== [...(after.team1 || []), ...(after.team2 || [])].join()) {
+    changes.push('players changed');
+  }
+  if (!isVoid && (before.score_team1 !== after.score_team1 || before.score_team2 !== after.score_team2)) {
+    changes.push(after.score_team1 === null ? 'score cleared' : `score ${after.score_team1}-${after.score_team2}`);
+  }
+
+  return [
+    `${isVoid ? 'Voided' : 'Edited'} ${formatTime(event.created_at)}`,
+    changes.join(', '),
+    reason
+  ].filter(Boolean).join(' · ');
+}
+
+const MatchCorrectionForm = ({ match, players, isCorrecting, onSave, onCancel }) => {
+  const [winner, setWinner] = useState(match.winning_team === 2 ? 'team2' : 'team1');
+  const [teams, setTeams] = useState({ team1: teamIds(match, 'team1'), team2: teamIds(match, 'team2') });
+  const [score, setScore] = useState({ team1: match.score_team1 ?? '', team2: match.score_team2 ?? '' });
+  const [reason, setReason] = useState('');
+
+  // Players of the match stay selectable even if they've left the session
+  const options = [...players];
+  [...teams.team1, ...teams.team2].forEach(id => {
+    if (!options.some(player => player.id === id)) {
+      const slot = ['team1', 'team2'].flatMap(team => [1, 2].map(n => [match[`${team}_player${n}_id`], match[`${team}_player${n}_name`]]))
+        .find(([slotId]) => slotId === id);
+      options.push({ id, name: slot?.[1] || 'Unknown Player' });
+    }
+  });
+
+  const setPlayer = (team, index, id) => {
+    setTeams(prev => ({ ...prev, [team]: prev[team].map((current, i) => (i === index ? id : current)) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const hasScore = score.team1 !== '' && score.team2 !== '';
+    onSave({
+      winner,
+      team1: teams.team1,
+      team2: teams.team2,
+      score: hasScore ? { team1: Number(score.team1), team2: Number(score.team2) } : null
+    }, reason.trim());
+  };
+
+  return (
+    <form className="match-correction-form" onSubmit={handleSubmit}>
+      {['team1', 'team2'].map((team, teamIndex) => (
+        <div key={team} className="match-correction-team">
+          <label className="match-correction-winner">
+            <input
+              type="radio"
+              name={`winner-${match.id}`}
+              checked={winner === team}
+              onChange={() => setWinner(team)}
+            />
+            Team {teamIndex + 1} won
+          </label>
+          {teams[team].map((id, index) => (
+            <select
+              key={index}
+              className="input-field"
+              value={id}
+              onChange={(e) => setPlayer(team, index, e.target.value)}
+            >
+              {options.map(player => (
+                <option key={player.id} value={player.id}>{player.name}</option>
+              ))}
+            </select>
+          ))}
+          <input
+            type="number"
+            min="0"
+            className="input-field match-correction-score"
+            placeholder="Score"
+            value={score[team]}
+            onChange={(e) => setScore(prev => ({ ...prev, [team]: e.target.value }))}
+          />
+        </div>
+      ))}
+      <input
+        type="text"
+        className="input-field"
+        placeholder="Reason (optional)"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      />
+      <div className="match-correction-actions">
+        <button type="submit" className="btn btn-primary btn-sm" disabled={isCorrecting}>
+          {isCorrecting ? 'Saving...' : 'Save correction'}
+        </button>
+        <button type="button" className="btn btn-outline btn-sm" onClick={onCancel} disabled={isCorrecting}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const MatchHistory = ({ matches = [], corrections = [], players = [], isCorrecting = false, onEditMatch, onVoidMatch }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [voidingId, setVoidingId] = useState(null);
+  const [voidReason, setVoidReason] = useState('');
+
+  const handleSave = async (matchId, changes, reason) => {
+    const result = await onEditMatch(matchId, changes, reason);
+    if (result.success) setEditingId(null);
+  };
+
+  const handleVoid = async (matchId) => {
+    const result = await onVoidMatch(matchId, voidReason.trim());
+    if (result.success) {
+      setVoidingId(null);
+      setVoidReason('');
+    }
+  };
+
+  return (
+    <div className="card match-history">
+      <div className="section-header">
+        <h2 className="section-title">Match History</h2>
+        <div className="section-actions">
+          <button className="btn btn-outline" onClick={() => setIsExpanded(!isExpanded)}>
+            {isExpanded ? 'Hide' : `Show ${matches.length} match${matches.length !== 1 ? 'es' : ''}`}
+          </button>
+        </div>
+      </div>
+
+      {isExpanded && matches.length === 0 && (
+        <div className="setting-hint">Completed matches appear here and can be corrected</div>
+      )}
+
+      {isExpanded && matches.map(match => {
+        const matchCorrections = corrections.filter(event => event.match_id === match.id);
+        const isVoided = Boolean(match.voided_at);
+
+        return (
+          <div key={match.id} className={`match-history-item ${isVoided ? 'voided' : ''}`}>
+            <div className="flex-between text-sm">
+              <span className="match-history-meta">
+                Court {match.court_number + 1} · {formatTime(match.completed_at)}
+                {isSinglesMatch(match) && ' · Singles'}
+                {isVoided && <span className="match-history-badge">Voided</span>}
+                {!isVoided && matchCorrections.length > 0 && <span className="match-history-badge">Edited</span>}
+              </span>
+              {!isVoided && editingId !== match.id && (
+                <span className="match-history-actions">
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => setEditingId(match.id)}>
+                    Edit
+                  </button>
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => setVoidingId(voidingId === match.id ? null : match.id)}>
+                    Void
+                  </button>
+                </span>
+              )}
+            </div>
+
+            <div className="match-history-teams">
+              <span className={match.winning_team === 1 ? 'match-history-winner' : ''}>{teamNames(match, 'team1')}</span>
+              {' vs '}
+              <span className={match.winning_team === 2 ? 'match-history-winner' : ''}>{teamNames(match, 'team2')}</span>
+              {match.score_team1 != null && match.score_team2 != null && (
+                <span className="match-history-score"> {match.score_team1}-{match.score_team2}</span>
+              )}
+            </div>
+
+            {editingId === match.id && (
+              <MatchCorrectionForm
+                match={match}
+                players={players}
+                isCorrecting={isCorrecting}
+                onSave={(changes, reason) => handleSave(match.id, changes, reason)}
+                onCancel={() => setEditingId(null)}
+              />
+            )}
+
+            {voidingId === match.id && !isVoided && (
+              <div className="match-correction-form">
+                <div className="text-sm">Void this match? Nobody's stats or ratings will count it.</div>
+                <input
+                  type="text"
+                  className="input-field"
+                  placeholder="Reason (optional)"
+                  value={voidReason}
+                  onChange={(e) => setVoidReason(e.target.value)}
+                />
+                <div className="match-correction-actions">
+                  <button type="button" className="btn btn-danger btn-sm" onClick={() => handleVoid(match.id)} disabled={isCorrecting}>
+                    {isCorrecting ? 'Voiding...' : 'Void match'}
+                  </button>
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => setVoidingId(null)} disabled={isCorrecting}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {matchCorrections.map(event => (
+              <div key={event.id} className="match-history-audit text-sm">{describeCorrection(event)}</div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MatchHistory;
@@ -0,0 +1,149 @@
+import React from 'react';
+import { MATCHING_PRESETS, SCORE_CRITERIA, SMART_MATCHING_CONFIG, buildMatchingConfig } from '../utils/smartMatching';
+import { CATCH_UP_POLICIES, CATCH_UP_POLICY_OPTIONS } from '../utils/catchUp';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const MatchingWeightsSettings = ({ settings = {}, onChange }) => {
+  const config = buildMatchingConfig(settings);
+  const activePreset = MATCHING_PRESETS.find(preset => preset.value === settings.preset);
+  const catchUpPolicy = CATCH_UP_POLICY_OPTIONS.find(option => option.value === config.CATCH_UP_POLICY);
+
+  // Any manual change turns the settings into a custom mix
+  const handleChange = (key, value) => {
+    onChange({ [key]: value, preset: null });
+  };
+
+  const handleWeightChange = (weightKey, value) => {
+    handleChange('weights', { ...SMART_MATCHING_CONFIG.WEIGHTS, ...settings.weights, [weightKey]: value });
+  };
+
+  const handlePreset = (preset) => {
+    onChange({ ...preset.settings, weights: { ...preset.settings.weights }, preset: preset.value });
+  };
+
+  const ranges = [
+    { key: 'eloRange', label: 'Maximum ELO Difference', hint: 'How far apart player skills can be (100-1000)', min: 100, max: 1000, step: 50, value: config.MAX_ELO_DIFF },
+    { key: 'teamBalance', label: 'Team Balance Tolerance', hint: 'Maximum team ELO difference (50-500)', min: 50, max: 500, step: 25, value: config.TEAM_ELO_TOLERANCE },
+    { key: 'partnershipMemory', label: 'Partnership Memory', hint: 'Recent matches that count when checking for repeat partners and opponents (1-15)', min: 1, max: 15, step: 1, value: config.PARTNERSHIP_MEMORY },
+    { key: 'maxRepeatedPartnerships', label: 'Max Repeated Partnerships', hint: 'Recent games together before a partnership scores zero for variety (1-5)', min: 1, max: 5, step: 1, value: config.MAX_REPEATED_PARTNERSHIPS }
+  ];
+
+  return (
+    <div className="matching-weights-settings">
+      <div className="setting-row">
+        <label className="setting-label">
+          Preset
+          <span className="setting-hint">
+            {activePreset ? activePreset.description : 'Custom mix - pick a preset to start over'}
+          </span>
+        </label>
+        <div className="matching-preset-options">
+          {MATCHING_PRESETS.map(preset => (
+            <button
+              key={preset.value}
+              type="button"
+              className={`matching-preset-btn ${preset.value === settings.preset ? 'active' : ''}`}
+              onClick={() => handlePreset(preset)}
+              title={preset.description}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {ranges.map(range => (
+        <div key={range.key} className="setting-row">
+          <label className="setting-label">
+            {range.label}
+            <span className="setting-hint">{range.hint}</span>
+          </label>
+          <div className="range-input-group">
+            <input
+              type="range"
+              min={range.min}
+              max={range.max}
+              step={range.step}
+              value={range.value}
+              onChange={(e) => handleChange(range.key, parseInt(e.target.value))}
+              className="range-input"
+            />
+            <span className="range-value">{range.value}</span>
+          </div>
+        </div>
+      ))}
+
+      <div className="setting-row">
+        <label className="setting-label">
+          Criteria Weights
+          <span className="setting-hint">How much each criterion counts. Shares are rescaled to add up to 100%.</span>
+        </label>
+        {SCORE_CRITERIA.map(criterion => (
+          <div key={criterion.key} className="matching-weight-row" title={criterion.description}>
+            <span className="matching-weight-label">{criterion.label}</span>
+            <div className="range-input-group">
+              <input
+                type="range"
+                min="0"
+                max="50"
+                step="5"
+                value={Math.round((settings.weights?.[criterion.weight] ?? SMART_MATCHING_CONFIG.WEIGHTS[criterion.weight]) * 100)}
+                onChange={(e) => handleWeightChange(criterion.weight, parseInt(e.target.value) / 100)}
+                className="range-input"
+                aria-label={`${criterion.label} weight`}
+              />
+              <span className="range-value">{formatPercent(config.WEIGHTS[criterion.weight])}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Late arrivals are not part of the presets, so changing them keeps the preset */}
+      <div className="setting-row">
+        <label className="setting-label">
+          Late Arrivals
+          <span className="setting-hint">{catchUpPolicy?.description}</span>
+        </label>
+        <div className="matching-preset-options">
+          {CATCH_UP_POLICY_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`matching-preset-btn ${option.value === config.CATCH_UP_POLICY ? 'active' : ''}`}
+              onClick={() => onChange({ catchUpPolicy: option.value })}
+              title={option.description}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {config.CATCH_UP_POLICY === CATCH_UP_POLICIES.CAPPED && (
+        <div className="setting-row">
+          <label className="setting-label">
+            Catch-up Boost
+            <span className="setting-hint">Matches of priority a late arrival gets before rotating normally (0-5)</span>
+          </label>
+          <div className="range-input-group">
+            <input
+              type="range"
+              min="0"
+              max="5"
+              step="1"
+              value={config.CATCH_UP_CAP}
+              onChange={(e) => onChange({ catchUpCap: parseInt(e.target.value) })}
+              className="range-input"
+            />
+            <span className="range-value">{config.CATCH_UP_CAP}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="setting-hint">Changes apply from the next generated match.</div>
+    </div>
+  );
+};
+
+export default MatchingWeightsSettings;
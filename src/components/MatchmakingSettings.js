@@ -1,4 +1,6 @@
 import React, { useState } from 'react';
+import RotationSettings from './RotationSettings';
+import MatchingWeightsSettings from './MatchingWeightsSettings';
 
 const MatchmakingSettings = ({ session, onUpdateSettings }) => {
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -6,8 +8,7 @@ const MatchmakingSettings = ({ session, onUpdateSettings }) => {
   const smartMatching = session.smartMatching || {
     enabled: false,
     eloRange: 500,
-    teamBalance: 250,
-    varietyWeight: 0.2
+    teamBalance: 250
   };
 
   const handleToggleEnabled = () => {
@@ -22,11 +23,11 @@ const MatchmakingSettings = ({ session, onUpdateSettings }) => {
     onUpdateSettings(newSettings);
   };
 
-  const handleSettingChange = (key, value) => {
+  const handleSettingsChange = (updates) => {
     onUpdateSettings({
       smartMatching: {
         ...smartMatching,
-        [key]: value
+        ...updates
       }
     });
   };
@@ -97,62 +98,7 @@ const MatchmakingSettings = ({ session, onUpdateSettings }) => {
         <div className="advanced-settings">
           <h4 className="advanced-title">Advanced Settings</h4>
           
-          <div className="setting-row">
-            <label className="setting-label">
-              Maximum ELO Difference
-              <span className="setting-hint">How far apart player skills can be (100-1000)</span>
-            </label>
-            <div className="range-input-group">
-              <input
-                type="range"
-                min="100"
-                max="1000"
-                step="50"
-                value={smartMatching.eloRange}
-                onChange={(e) => handleSettingChange('eloRange', parseInt(e.target.value))}
-                className="range-input"
-              />
-              <span className="range-value">{smartMatching.eloRange}</span>
-            </div>
-          </div>
-
-          <div className="setting-row">
-            <label className="setting-label">
-              Team Balance Tolerance
-              <span className="setting-hint">Maximum team ELO difference (50-500)</span>
-            </label>
-            <div className="range-input-group">
-              <input
-                type="range"
-                min="50"
-                max="500"
-                step="25"
-                value={smartMatching.teamBalance}
-                onChange={(e) => handleSettingChange('teamBalance', parseInt(e.target.value))}
-                className="range-input"
-              />
-              <span className="range-value">{smartMatching.teamBalance}</span>
-            </div>
-          </div>
-
-          <div className="setting-row">
-            <label className="setting-label">
-              Partnership Variety
-              <span className="setting-hint">How much to prioritize different partnerships (0.0-1.0)</span>
-            </label>
-            <div className="range-input-group">
-              <input
-                type="range"
-                min="0"
-                max="100"
-                step="10"
-                value={smartMatching.varietyWeight * 100}
-                onChange={(e) => handleSettingChange('varietyWeight', parseInt(e.target.value) / 100)}
-                className="range-input"
-              />
-              <span className="range-value">{(smartMatching.varietyWeight * 100).toFixed(0)}%</span>
-            </div>
-          </div>
+          <MatchingWeightsSettings settings={smartMatching} onChange={handleSettingsChange} />
 
           <div className="settings-explanation">
             <h5>How Smart Matching Works:</h5>
@@ -166,6 +112,8 @@ const MatchmakingSettings = ({ session, onUpdateSettings }) => {
         </div>
       )}
 
+      <RotationSettings session={session} onUpdateSettings={onUpdateSettings} />
+
       <style jsx>{`
         .smart-matching-settings {
           background: #f8f9fa;
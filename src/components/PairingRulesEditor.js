@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { generateId } from '../utils/helpers';
+import { CONSTRAINT_TYPES, CONSTRAINT_OPTIONS, describeConstraint } from '../utils/pairingConstraints';
+
+const PairingRulesEditor = ({ constraints = [], players, onUpdateConstraints }) => {
+  const [type, setType] = useState(CONSTRAINT_TYPES.MUST_PARTNER);
+  const [playerA, setPlayerA] = useState('');
+  const [playerB, setPlayerB] = useState('');
+
+  const playersById = new Map(players.map(p => [p.id, p]));
+  const selectedOption = CONSTRAINT_OPTIONS.find(option => option.value === type);
+  const sortedPlayers = [...players].sort((a, b) => a.name.localeCompare(b.name));
+
+  // A player can only be locked to one partner at a time
+  const lockedIds = new Set(constraints
+    .filter(rule => rule.type === CONSTRAINT_TYPES.MUST_PARTNER)
+    .flatMap(rule => rule.playerIds));
+  const isDuplicate = constraints.some(rule =>
+    rule.type === type && rule.playerIds.includes(playerA) && rule.playerIds.includes(playerB));
+  const isLockClash = type === CONSTRAINT_TYPES.MUST_PARTNER && (lockedIds.has(playerA) || lockedIds.has(playerB));
+  const canAdd = playerA && playerB && playerA !== playerB && !isDuplicate && !isLockClash;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!canAdd) return;
+
+    onUpdateConstraints([...constraints, { id: generateId(), type, playerIds: [playerA, playerB] }]);
+    setPlayerA('');
+    setPlayerB('');
+  };
+
+  const handleRemove = (ruleId) => {
+    onUpdateConstraints(constraints.filter(rule => rule.id !== ruleId));
+  };
+
+  const renderSelect = (value, onChange, label, excludeId) => (
+    <select
+      className="rotation-select"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+    >
+      <option value="">Choose player</option>
+      {sortedPlayers
+        .filter(p => p.id !== excludeId)
+        .map(p => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+    </select>
+  );
+
+  return (
+    <div className="pairing-rules">
+      <div className="advanced-title-group">
+        <h4 className="advanced-title">🔗 Pairing Rules</h4>
+        <div className="advanced-subtitle">Players who must or must not be matched together</div>
+      </div>
+
+      {constraints.length > 0 ? (
+        <ul className="pairing-rules-list">
+          {constraints.map(rule => (
+            <li key={rule.id} className="pairing-rule-row">
+              <span>{describeConstraint(rule, playersById)}</span>
+              <button
+                type="button"
+                className="up-next-action up-next-discard"
+                onClick={() => handleRemove(rule.id)}
+                aria-label="Remove rule"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="setting-hint">No rules yet - everyone can be matched with everyone</div>
+      )}
+
+      <form className="pairing-rule-form" onSubmit={handleAdd}>
+        {renderSelect(playerA, setPlayerA, 'First player', playerB)}
+        <select
+          className="rotation-select"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          aria-label="Rule"
+          title={selectedOption?.description}
+        >
+          {CONSTRAINT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {renderSelect(playerB, setPlayerB, 'Second player', playerA)}
+        <button type="submit" className="btn btn-outline btn-sm" disabled={!canAdd}>
+          Add rule
+        </button>
+      </form>
+      {isLockClash && (
+        <div className="setting-hint">Each player can only be locked to one partner</div>
+      )}
+    </div>
+  );
+};
+
+export default PairingRulesEditor;
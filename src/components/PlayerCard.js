@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { useSessionPlayer } from '../hooks/usePlayerManagement';
 import { getELOTier, calculateInitialELO, formatELODisplay } from '../utils/helpers';
+import { PLAYER_CATEGORY_OPTIONS, getNextPlayerCategory } from '../utils/playerCategories';
+import { REST_OPTIONS, formatRestStatus, getRestState } from '../utils/playerRest';
 
 const PlayerCard = ({ 
   sessionId, 
@@ -8,11 +10,16 @@ const PlayerCard = ({
   playerName, 
   globalPlayerData,
   onRemove,
+  onChangeCategory,
+  onSessionPlayerChange,
+  matches = [],
+  courtCount,
   getTimeAgo,
   disabled = false 
 }) => {
-  const { sessionPlayer, isLoading, toggleActive, removeFromSession } = useSessionPlayer(sessionId, playerId);
+  const { sessionPlayer, isLoading, toggleActive, removeFromSession, startRest, endRest } = useSessionPlayer(sessionId, playerId);
   const [isRemoving, setIsRemoving] = useState(false);
+  const [showRestOptions, setShowRestOptions] = useState(false);
 
   if (isLoading) {
     return (
@@ -52,6 +59,7 @@ const PlayerCard = ({
   const eloTier = getELOTier(playerELO, globalPlayerData);
   const sessionMatches = sessionPlayer.session_matches || 0;
   const isActive = sessionPlayer.is_active_in_session;
+  const rest = isActive ? getRestState(sessionPlayer, { matches, courtCount }) : null;
 
   const handleToggleActive = async (e) => {
     e.stopPropagation();
@@ -61,9 +69,48 @@ const PlayerCard = ({
     const result = await toggleActive();
     if (!result.success) {
       console.error('Failed to toggle active status:', result.message);
+    } else if (onSessionPlayerChange) {
+      onSessionPlayerChange(result.data);
     }
   };
 
+  const handleRestButton = async (e) => {
+    e.stopPropagation();
+    if (disabled) return;
+
+    if (!rest) {
+      setShowRestOptions(!showRestOptions);
+      return;
+    }
+
+    const result = await endRest();
+    if (!result.success) {
+      console.error('Failed to end rest:', result.message);
+    } else if (onSessionPlayerChange) {
+      onSessionPlayerChange(result.data);
+    }
+  };
+
+  const handleStartRest = async (e, option) => {
+    e.stopPropagation();
+    setShowRestOptions(false);
+
+    const result = await startRest({ minutes: option.minutes, rounds: option.rounds });
+    if (!result.success) {
+      console.error('Failed to start rest:', result.message);
+    } else if (onSessionPlayerChange) {
+      onSessionPlayerChange(result.data);
+    }
+  };
+
+
+  const category = PLAYER_CATEGORY_OPTIONS.find(option => option.value === globalPlayerData?.category);
+
+  const handleCycleCategory = (e) => {
+    e.stopPropagation();
+    if (disabled || !onChangeCategory) return;
+    onChangeCategory(playerId, getNextPlayerCategory(globalPlayerData?.category));
+  };
 
   const handleMoveToAvailable = async (e) => {
     e.stopPropagation();
@@ -118,7 +165,7 @@ const PlayerCard = ({
 
   return (
     <div 
-      className={`session-player-card-compact ${isActive ? 'active' : 'inactive'} ${disabled ? 'disabled' : ''} ${isRemoving ? 'removing' : ''}`}
+      className={`session-player-card-compact ${isActive ? 'active' : 'inactive'} ${rest ? 'resting' : ''} ${disabled ? 'disabled' : ''} ${isRemoving ? 'removing' : ''}`}
       onClick={handleToggleActive}
     >
       <div className="session-player-main-compact flex-between gap-3">
@@ -135,6 +182,10 @@ const PlayerCard = ({
             <span className="tier-icon-compact" style={{ color: eloTier.color }}>{eloTier.icon}</span>
             <span className="tier-name-compact text-sm" style={{ color: eloTier.color }}>{eloTier.name}</span>
           </div>
+
+          {rest && (
+            <div className="session-player-rest-status text-sm">☕ {formatRestStatus(rest)}</div>
+          )}
         </div>
 
         <div className="session-player-stats-compact text-center">
@@ -142,6 +193,28 @@ const PlayerCard = ({
         </div>
 
         <div className="session-action-buttons">
+          {isActive && (
+            <button
+              className={`session-move-btn session-rest-btn btn-reset ${rest ? 'resting' : ''}`}
+              onClick={handleRestButton}
+              title={rest ? 'Back from rest' : 'Take a break'}
+              aria-label={rest ? `End rest for ${playerName}` : `Rest ${playerName}`}
+              disabled={disabled}
+            >
+              {rest ? '▶' : '☕'}
+            </button>
+          )}
+          {onChangeCategory && (
+            <button
+              className={`session-move-btn session-category-btn btn-reset ${category ? category.value : ''}`}
+              onClick={handleCycleCategory}
+              title={`Category: ${category ? category.label : 'not set'} (used for mixed and level doubles courts)`}
+              aria-label={`Change category for ${playerName}`}
+              disabled={disabled}
+            >
+              {category ? category.short : '–'}
+            </button>
+          )}
           <button
             className={`session-move-btn btn-reset ${isRemoving ? 'removing' : ''}`}
             onClick={handleMoveToAvailable}
@@ -154,6 +227,20 @@ const PlayerCard = ({
           </button>
         </div>
       </div>
+
+      {showRestOptions && !rest && (
+        <div className="session-rest-options flex gap-1">
+          {REST_OPTIONS.map(option => (
+            <button
+              key={option.key}
+              className="session-rest-option btn-reset text-sm"
+              onClick={(e) => handleStartRest(e, option)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,61 @@
+import React from 'react';
+import { RATING_ENGINE_OPTIONS, RATING_ENGINES } from '../utils/ratingEngines';
+import { MARGIN_MODE_OPTIONS, MARGIN_MODES } from '../utils/marginOfVictory';
+
+const RatingEngineSettings = ({ ratingEngine = RATING_ENGINES.ELO, onChange, marginMode = MARGIN_MODES.OFF, onChangeMarginMode }) => {
+  const selectedEngine = RATING_ENGINE_OPTIONS.find(option => option.value === ratingEngine) || RATING_ENGINE_OPTIONS[0];
+  const selectedMarginMode = MARGIN_MODE_OPTIONS.find(option => option.value === marginMode) || MARGIN_MODE_OPTIONS[0];
+
+  return (
+    <div className="rating-engine-settings">
+      <div className="advanced-title-group">
+        <h4 className="advanced-title">📈 Rating System</h4>
+        <div className="advanced-subtitle">How results move player ratings - applies to every session</div>
+      </div>
+
+      <div className="setting-row">
+        <label className="setting-label">
+          Rating Engine
+          <span className="setting-hint">{selectedEngine.description}</span>
+        </label>
+        <div className="matching-preset-options">
+          {RATING_ENGINE_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`matching-preset-btn ${option.value === selectedEngine.value ? 'active' : ''}`}
+              onClick={() => onChange(option.value)}
+              title={option.description}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {onChangeMarginMode && (
+        <div className="setting-row">
+          <label className="setting-label">
+            Winning Margin
+            <span className="setting-hint">{selectedMarginMode.description}. Used when a match's score is entered.</span>
+          </label>
+          <div className="matching-preset-options">
+            {MARGIN_MODE_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={`matching-preset-btn ${option.value === selectedMarginMode.value ? 'active' : ''}`}
+                onClick={() => onChangeMarginMode(option.value)}
+                title={option.description}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RatingEngineSettings;
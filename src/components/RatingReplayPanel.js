@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+
+const formatChange = (change) => (change > 0 ? `+${change}` : `${change}`);
+
+const RatingReplayPanel = ({ report, isRunning = false, onPreview, onApply, onDiscard }) => {
+  const [message, setMessage] = useState(null);
+
+  const run = async (action) => {
+    const result = await action();
+    setMessage(result?.success === false ? result.message : null);
+  };
+
+  return (
+    <div className="rating-replay-panel">
+      <div className="advanced-title-group">
+        <h4 className="advanced-title">🔁 Recalculate Ratings</h4>
+        <div className="advanced-subtitle">
+          Replay every completed match with the current rating system - preview the changes before saving
+        </div>
+      </div>
+
+      {!report ? (
+        <button type="button" className="matching-preset-btn" onClick={() => run(onPreview)} disabled={isRunning}>
+          {isRunning ? 'Replaying matches...' : 'Preview recalculation'}
+        </button>
+      ) : (
+        <>
+          <div className="rating-replay-summary">
+            {report.summary.replayedMatches} matches replayed
+            {report.summary.skippedMatches > 0 && ` (${report.summary.skippedMatches} skipped - deleted players)`}
+            {' · '}{report.summary.playersChanged} players change
+            {' · '}{report.summary.sessionPlayersChanged} session records change
+          </div>
+
+          {report.players.length > 0 ? (
+            <table className="rating-replay-table">
+              <thead>
+                <tr>
+                  <th>Player</th>
+                  <th>ELO</th>
+                  <th>W-L</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.players.map(row => (
+                  <tr key={row.id}>
+                    <td>{row.name}</td>
+                    <td>
+                      {row.before.elo} → {row.after.elo}
+                      {row.eloChange !== 0 && (
+                        <span className={row.eloChange > 0 ? 'rating-replay-up' : 'rating-replay-down'}>
+                          {' '}({formatChange(row.eloChange)})
+                        </span>
+                      )}
+                    </td>
+                    <td>{row.before.wins}-{row.before.losses} → {row.after.wins}-{row.after.losses}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="setting-hint">Ratings already match the match history</div>
+          )}
+
+          <div className="matching-preset-options">
+            <button type="button" className="matching-preset-btn active" onClick={() => run(onApply)} disabled={isRunning}>
+              {isRunning ? 'Saving...' : 'Apply recalculation'}
+            </button>
+            <button type="button" className="matching-preset-btn" onClick={onDiscard} disabled={isRunning}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+
+      {message && <div className="rating-replay-error">{message}</div>}
+    </div>
+  );
+};
+
+export default RatingReplayPanel;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+const RotationPlan = ({ plan, playersById }) => {
+  if (!plan || plan.rounds.length === 0) return null;
+
+  const nameOf = (id) => playersById.get(id)?.name || 'Unknown';
+
+  return (
+    <div className="rotation-plan">
+      <div className="rotation-plan-header">
+        <h3 className="up-next-title">🗓️ Projected Rotation</h3>
+        <div className="up-next-subtitle text-sm">
+          {plan.sitOutsPerRound === 0
+            ? 'Everyone plays every round'
+            : `${plan.sitOutsPerRound} sit out each round${plan.consecutiveAvoidable ? '' : ' - too few courts to avoid some back-to-back sit-outs'}`}
+        </div>
+      </div>
+
+      {plan.sitOutsPerRound > 0 && (
+        <ol className="rotation-plan-rounds">
+          {plan.rounds.map(round => (
+            <li key={round.round} className="rotation-plan-round">
+              <span className="rotation-plan-label text-sm">{round.round === 1 ? 'Next' : `Round +${round.round - 1}`}</span>
+              <div className="rotation-plan-players">
+                {round.sitOutIds.map(id => (
+                  <span
+                    key={id}
+                    className={`rotation-plan-player ${round.repeatIds.includes(id) ? 'repeat' : ''}`}
+                    title={round.repeatIds.includes(id) ? 'Sits out again - not enough courts to avoid it' : undefined}
+                  >
+                    {nameOf(id)}
+                  </span>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RotationPlan;
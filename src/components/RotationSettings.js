@@ -0,0 +1,138 @@
+import React from 'react';
+import { ROTATION_MODES, ROTATION_MODE_OPTIONS, getRotationSettings } from '../utils/rotation';
+import { getRotationPlannerSettings } from '../utils/rotationPlanner';
+
+const RotationSettings = ({ session, onUpdateSettings }) => {
+  const rotation = getRotationSettings(session);
+  const selectedMode = ROTATION_MODE_OPTIONS.find(option => option.value === rotation.mode);
+  const planner = getRotationPlannerSettings(session);
+
+  const handleSettingChange = (key, value) => {
+    onUpdateSettings({
+      rotation: {
+        ...rotation,
+        [key]: value
+      }
+    });
+  };
+
+  const handlePlannerChange = (key, value) => {
+    onUpdateSettings({
+      rotationPlanner: {
+        ...planner,
+        [key]: value
+      }
+    });
+  };
+
+  return (
+    <div className="rotation-settings">
+      <div className="advanced-title-group">
+        <h4 className="advanced-title">👑 Court Rotation</h4>
+        <div className="advanced-subtitle">Who stays on court when a match finishes</div>
+      </div>
+
+      <div className="setting-row">
+        <label className="setting-label" htmlFor="rotation-mode">
+          Rotation Mode
+          <span className="setting-hint">{selectedMode?.description}</span>
+        </label>
+        <select
+          id="rotation-mode"
+          className="rotation-select"
+          value={rotation.mode}
+          onChange={(e) => handleSettingChange('mode', e.target.value)}
+        >
+          {ROTATION_MODE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {rotation.mode !== ROTATION_MODES.STANDARD && (
+        <div className="setting-row">
+          <label className="setting-label" htmlFor="rotation-max-stays">
+            Max Consecutive Stays
+            <span className="setting-hint">Winners come off after this many stays in a row (1-5)</span>
+          </label>
+          <div className="range-input-group">
+            <input
+              id="rotation-max-stays"
+              type="range"
+              min="1"
+              max="5"
+              step="1"
+              value={rotation.maxConsecutiveStays}
+              onChange={(e) => handleSettingChange('maxConsecutiveStays', parseInt(e.target.value))}
+              className="range-input"
+            />
+            <span className="range-value">{rotation.maxConsecutiveStays}</span>
+          </div>
+        </div>
+      )}
+
+      {rotation.mode === ROTATION_MODES.CHALLENGER && (
+        <div className="setting-row">
+          <label className="setting-label" htmlFor="rotation-challenger-court">
+            Challenger Court
+            <span className="setting-hint">The court where winners stay on</span>
+          </label>
+          <select
+            id="rotation-challenger-court"
+            className="rotation-select"
+            value={rotation.challengerCourtId}
+            onChange={(e) => handleSettingChange('challengerCourtId', parseInt(e.target.value))}
+          >
+            {Array.from({ length: session.courtCount || 4 }, (_, i) => (
+              <option key={i} value={i}>Court {i + 1}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="setting-row">
+        <label className="setting-label" htmlFor="rotation-planner">
+          Plan Sit-outs Ahead
+          <span className="setting-hint">
+            Generate Matches follows a planned rotation: nobody sits out twice in a row when it can be avoided
+            and sit-outs are shared evenly. Swiss rounds keep their own byes.
+          </span>
+        </label>
+        <label className="i-toggle">
+          <input
+            id="rotation-planner"
+            type="checkbox"
+            checked={planner.enabled}
+            onChange={(e) => handlePlannerChange('enabled', e.target.checked)}
+            className="i-toggle-input"
+          />
+          <span className="i-toggle-slider"></span>
+        </label>
+      </div>
+
+      {planner.enabled && (
+        <div className="setting-row">
+          <label className="setting-label" htmlFor="rotation-planner-rounds">
+            Rounds Planned
+            <span className="setting-hint">How many rounds the projected rotation shows (1-8)</span>
+          </label>
+          <div className="range-input-group">
+            <input
+              id="rotation-planner-rounds"
+              type="range"
+              min="1"
+              max="8"
+              step="1"
+              value={planner.rounds}
+              onChange={(e) => handlePlannerChange('rounds', parseInt(e.target.value))}
+              className="range-input"
+            />
+            <span className="range-value">{planner.rounds}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RotationSettings;
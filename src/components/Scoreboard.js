@@ -84,6 +84,9 @@ const Scoreboard = ({ players }) => {
                       {viewMode === 'lifetime' && (
                         <span className="elo-score">ELO: {formatELODisplay(player, false)}</span>
                       )}
+                      {viewMode === 'lifetime' && player.singlesElo && (
+                        <span className="elo-score" title="Singles rating, separate from doubles">Singles: {player.singlesElo}</span>
+                      )}
                       <span className="win-loss">
                         {player.displayWins}W - {player.displayLosses}L
                       </span>
@@ -58,8 +58,7 @@ const SessionCreator = ({ onSessionCreate, existingSessions = [] }) => {
           smartMatching: {
             enabled: false,
             eloRange: 500,
-            teamBalance: 250,
-            varietyWeight: 0.2
+            teamBalance: 250
           }
         };
 
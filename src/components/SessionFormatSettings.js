@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { SESSION_FORMATS, SESSION_FORMAT_OPTIONS, getSessionFormat, isEliminationFormat, isFixedTeamFormat } from '../utils/sessionFormats';
+import FixedTeamsEditor from './FixedTeamsEditor';
+
+const POINTS_OPTIONS = [16, 21, 24, 32];
+
+const SessionFormatSettings = ({ session, players = [], onSetupFormat, onUpdateTeams }) => {
+  const format = getSessionFormat(session);
+  const [selectedType, setSelectedType] = useState(format.type);
+  const [pointsPerMatch, setPointsPerMatch] = useState(format.pointsPerMatch);
+  const [seedBy, setSeedBy] = useState('overall');
+
+  const selectedOption = SESSION_FORMAT_OPTIONS.find(option => option.value === selectedType);
+  const isRunning = selectedType === format.type && selectedType !== SESSION_FORMATS.OPEN_PLAY;
+
+  const handleStart = () => {
+    onSetupFormat(selectedType, { pointsPerMatch, seedBy });
+  };
+
+  return (
+    <div className="format-settings">
+      <div className="advanced-title-group">
+        <h4 className="advanced-title">🏆 Session Format</h4>
+        <div className="advanced-subtitle">Open play, an Americano / Mexicano event, a fixed-team league or a knockout</div>
+      </div>
+
+      <div className="setting-row">
+        <label className="setting-label" htmlFor="session-format-type">
+          Format
+          <span className="setting-hint">{selectedOption?.description}</span>
+        </label>
+        <select
+          id="session-format-type"
+          className="rotation-select"
+          value={selectedType}
+          onChange={(e) => setSelectedType(e.target.value)}
+        >
+          {SESSION_FORMAT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {isFixedTeamFormat({ type: selectedType }) && (
+        <div className="setting-row">
+          <FixedTeamsEditor
+            teams={session.teams || []}
+            players={players.filter(p => p.isActive)}
+            onUpdateTeams={onUpdateTeams}
+          />
+        </div>
+      )}
+
+      {isEliminationFormat({ type: selectedType }) && (
+        <div className="setting-row">
+          <label className="setting-label" htmlFor="session-format-seeding">
+            Seeding
+            <span className="setting-hint">Top seeds get any byes and are kept apart until the late rounds</span>
+          </label>
+          <select
+            id="session-format-seeding"
+            className="rotation-select"
+            value={seedBy}
+            onChange={(e) => setSeedBy(e.target.value)}
+          >
+            <option value="overall">Overall ELO</option>
+            <option value="session">Session ELO</option>
+          </select>
+        </div>
+      )}
+
+      {(selectedType === SESSION_FORMATS.AMERICANO || selectedType === SESSION_FORMATS.MEXICANO) && (
+        <div className="setting-row">
+          <label className="setting-label" htmlFor="session-format-points">
+            Points Per Match
+            <span className="setting-hint">Total rally points played in each match</span>
+          </label>
+          <select
+            id="session-format-points"
+            className="rotation-select"
+            value={pointsPerMatch}
+            onChange={(e) => setPointsPerMatch(parseInt(e.target.value))}
+          >
+            {POINTS_OPTIONS.map(points => (
+              <option key={points} value={points}>{points}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {(selectedType !== format.type || isRunning) && (
+        <button type="button" className="btn btn-primary btn-sm" onClick={handleStart}>
+          {selectedType === SESSION_FORMATS.OPEN_PLAY
+            ? 'Switch to open play'
+            : isRunning ? `Restart ${selectedOption?.label}` : `Start ${selectedOption?.label}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SessionFormatSettings;
@@ -1,11 +1,23 @@
 import React, { useState } from 'react';
 import Modal from './Modal';
 import AdvancedMatchmaking from './AdvancedMatchmaking';
+import RotationSettings from './RotationSettings';
+import CourtRulesSettings from './CourtRulesSettings';
+import SessionFormatSettings from './SessionFormatSettings';
+import RatingEngineSettings from './RatingEngineSettings';
+import RatingReplayPanel from './RatingReplayPanel';
 
 const SessionOptionsMenu = ({ 
   currentSession,
   onSessionEnd,
-  onUpdateSession
+  onUpdateSession,
+  onSetupFormat,
+  sessionPlayers = [],
+  ratingEngine,
+  onChangeRatingEngine,
+  marginMode,
+  onChangeMarginMode,
+  ratingReplay
 }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [showEndConfirm, setShowEndConfirm] = useState(false);
@@ -93,11 +105,72 @@ const SessionOptionsMenu = ({
             <div className="smart-matching-section">
               <AdvancedMatchmaking
                 session={currentSession}
+                players={sessionPlayers}
                 onUpdateSettings={(updates) => onUpdateSession(updates)}
               />
             </div>
           )}
 
+          {/* Court Rotation Settings */}
+          {onUpdateSession && (
+            <div className="smart-matching-section">
+              <RotationSettings
+                session={currentSession}
+                onUpdateSettings={(updates) => onUpdateSession(updates)}
+              />
+            </div>
+          )}
+
+          {/* Court Match Types */}
+          {onUpdateSession && (
+            <div className="smart-matching-section">
+              <CourtRulesSettings
+                session={currentSession}
+                onUpdateSettings={(updates) => onUpdateSession(updates)}
+              />
+            </div>
+          )}
+
+          {/* Session Format */}
+          {onSetupFormat && onUpdateSession && (
+            <div className="smart-matching-section">
+              <SessionFormatSettings
+                session={currentSession}
+                players={sessionPlayers}
+                onUpdateTeams={(teams) => onUpdateSession({ teams })}
+                onSetupFormat={(type, options) => {
+                  onSetupFormat(type, options);
+                  closeMenu();
+                }}
+              />
+            </div>
+          )}
+
+          {/* Club Rating System */}
+          {onChangeRatingEngine && (
+            <div className="smart-matching-section">
+              <RatingEngineSettings
+                ratingEngine={ratingEngine}
+                onChange={onChangeRatingEngine}
+                marginMode={marginMode}
+                onChangeMarginMode={onChangeMarginMode}
+              />
+            </div>
+          )}
+
+          {/* Rebuild ratings from the match history */}
+          {ratingReplay && (
+            <div className="smart-matching-section">
+              <RatingReplayPanel
+                report={ratingReplay.report}
+                isRunning={ratingReplay.isRunning}
+                onPreview={ratingReplay.previewReplay}
+                onApply={ratingReplay.applyReplay}
+                onDiscard={ratingReplay.discardReplay}
+              />
+            </div>
+          )}
+
           {/* Danger Zone */}
           <div className="danger-zone">
             
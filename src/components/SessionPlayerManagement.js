@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import PlayerCard from './PlayerCard';
+import PairingRulesEditor from './PairingRulesEditor';
 import { useSessionPlayers } from '../hooks/usePlayerManagement';
 import { getSessionPlayerStats, getELOTier, formatELODisplay } from '../utils/helpers';
 import { createSupabaseClient, TABLES } from '../config/supabase';
@@ -11,7 +12,11 @@ const SessionPlayerManagement = ({
   onAddPlayerToSession,
   onUpdateGlobalPlayer,
   onCreateNewPlayer,
-  setSessionPlayers
+  setSessionPlayers,
+  matches = [],
+  courtCount,
+  constraints = [],
+  onUpdateConstraints
 }) => {
   const [newPlayerName, setNewPlayerName] = useState('');
   const [filterText, setFilterText] = useState('');
@@ -137,6 +142,16 @@ const SessionPlayerManagement = ({
     setLocalSessionPlayerIds(prev => prev.filter(sp => sp.player_id !== playerId));
   };
 
+  // Keep the global sessionPlayers array in step with a player card's update (active, resting)
+  const handleSessionPlayerChange = (updatedSessionPlayer) => {
+    if (!setSessionPlayers || !updatedSessionPlayer) return;
+    setSessionPlayers(prev => prev.map(sp => (
+      sp.session_id === updatedSessionPlayer.session_id && sp.player_id === updatedSessionPlayer.player_id
+        ? { ...sp, ...updatedSessionPlayer }
+        : sp
+    )));
+  };
+
   const handleInvitePlayer = async (playerId) => {
     const playerData = globalPlayers.find(p => p.id === playerId);
     if (playerData) {
@@ -181,6 +196,10 @@ const SessionPlayerManagement = ({
     return globalPlayer && globalPlayer.name.toLowerCase().includes(filterText.toLowerCase());
   });
 
+  const sessionPlayers = localSessionPlayerIds
+    .map(sp => globalPlayers.find(p => p.id === sp.player_id))
+    .filter(Boolean);
+
   // Available global players not in this session or other active sessions
   const availableGlobalPlayers = globalPlayers.filter(player =>
     !localSessionPlayerIds.some(sp => sp.player_id === player.id) &&
@@ -258,6 +277,12 @@ const SessionPlayerManagement = ({
                 playerName={globalPlayer.name}
                 globalPlayerData={globalPlayer}
                 onRemove={handleRemovePlayerFromSession}
+                onChangeCategory={onUpdateGlobalPlayer
+                  ? (playerId, category) => onUpdateGlobalPlayer(playerId, { category })
+                  : undefined}
+                onSessionPlayerChange={handleSessionPlayerChange}
+                matches={matches}
+                courtCount={courtCount}
                 getTimeAgo={getTimeAgo}
                 disabled={false}
               />
@@ -266,6 +291,15 @@ const SessionPlayerManagement = ({
         </div>
       </div>
 
+      {/* Pairing Rules */}
+      {onUpdateConstraints && sessionPlayers.length >= 2 && (
+        <PairingRulesEditor
+          constraints={constraints}
+          players={sessionPlayers}
+          onUpdateConstraints={onUpdateConstraints}
+        />
+      )}
+
       {/* Available Players to Invite */}
       {showInviteModal && (
         <div className="invite-section invite-section-entering">
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { formatExpectedMargin } from '../utils/marginOfVictory';
+
+const MAX_QUEUE_SIZE = 6;
+
+const UpNextQueue = ({
+  upNext,
+  upNextSettings,
+  benchPlayers,
+  onUpdateSettings,
+  onMoveMatch,
+  onSwapPlayer,
+  onDiscardMatch,
+  onRegenerate
+}) => {
+  // Tap a player in a proposed match, then tap someone else to swap them
+  const [selected, setSelected] = useState(null); // { matchId, player }
+
+  const handlePlayerClick = (matchId, player) => {
+    if (!selected) {
+      setSelected({ matchId, player });
+      return;
+    }
+
+    if (selected.player.id !== player.id) {
+      onSwapPlayer(selected.matchId, selected.player.id, player);
+    }
+    setSelected(null);
+  };
+
+  const handleBenchClick = (player) => {
+    if (!selected) return;
+    onSwapPlayer(selected.matchId, selected.player.id, player);
+    setSelected(null);
+  };
+
+  const renderPlayer = (matchId, player) => player && (
+    <button
+      key={player.id}
+      type="button"
+      className={`up-next-player ${selected?.player.id === player.id ? 'selected' : ''} ${selected && selected.player.id !== player.id ? 'swap-ready' : ''}`}
+      onClick={() => handlePlayerClick(matchId, player)}
+    >
+      {player.name}
+    </button>
+  );
+
+  return (
+    <div className="up-next-queue">
+      <div className="up-next-header flex-between">
+        <div className="up-next-title-group">
+          <h3 className="up-next-title">⏭️ Up Next</h3>
+          <div className="up-next-subtitle text-sm">
+            {selected
+              ? `Tap a player to swap with ${selected.player.name}`
+              : 'Proposed matches for the next free courts'}
+          </div>
+        </div>
+        <div className="up-next-controls flex gap-2">
+          <label className="up-next-size">
+            <span className="text-sm">Queue</span>
+            <select
+              value={upNextSettings.size}
+              onChange={(e) => onUpdateSettings({ size: parseInt(e.target.value) })}
+            >
+              {Array.from({ length: MAX_QUEUE_SIZE }, (_, i) => i + 1).map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+          <label className="up-next-auto" title="Start the next match as soon as a court is free">
+            <span className="text-sm">Auto</span>
+            <span className="i-toggle">
+              <input
+                type="checkbox"
+                checked={upNextSettings.autoFill}
+                onChange={(e) => onUpdateSettings({ autoFill: e.target.checked })}
+                className="i-toggle-input"
+              />
+              <span className="i-toggle-slider"></span>
+            </span>
+          </label>
+          <button type="button" className="btn btn-outline btn-sm" onClick={onRegenerate}>
+            Regenerate
+          </button>
+        </div>
+      </div>
+
+      {upNext.length > 0 ? (
+        <ol className="up-next-list">
+          {upNext.map((match, index) => (
+            <li key={match.id} className={`up-next-match ${match.pinned ? 'pinned' : ''}`}>
+              <div className="up-next-position">{index + 1}</div>
+              <div className="up-next-teams">
+                <div className="up-next-team">
+                  {renderPlayer(match.id, match.team1.player1)}
+                  {renderPlayer(match.id, match.team1.player2)}
+                </div>
+                <span className="up-next-vs">vs</span>
+                <div className="up-next-team">
+                  {renderPlayer(match.id, match.team2.player1)}
+                  {renderPlayer(match.id, match.team2.player2)}
+                </div>
+                {match.matchingData?.teamELOs && (
+                  <span className="up-next-balance text-sm" title="Expected winning margin in a game to 21">
+                    {match.matchingData.teamELOs.balanceLabel}
+                    {match.matchingData.teamELOs.expectedMargin && ` · ${formatExpectedMargin(match.matchingData.teamELOs.expectedMargin)}`}
+                  </span>
+                )}
+              </div>
+              <div className="up-next-actions flex gap-1">
+                <button
+                  type="button"
+                  className="up-next-action"
+                  onClick={() => onMoveMatch(match.id, -1)}
+                  disabled={index === 0}
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="up-next-action"
+                  onClick={() => onMoveMatch(match.id, 1)}
+                  disabled={index === upNext.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="up-next-action up-next-discard"
+                  onClick={() => onDiscardMatch(match.id)}
+                  aria-label="Discard match"
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div className="up-next-empty text-sm">Not enough players off court to queue a match</div>
+      )}
+
+      {selected && benchPlayers.length > 0 && (
+        <div className="up-next-bench">
+          <div className="up-next-bench-label text-sm">Not queued</div>
+          <div className="up-next-bench-players flex gap-1">
+            {benchPlayers.map(player => (
+              <button
+                key={player.id}
+                type="button"
+                className="up-next-player swap-ready"
+                onClick={() => handleBenchClick(player)}
+              >
+                {player.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UpNextQueue;
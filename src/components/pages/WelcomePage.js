@@ -203,8 +203,7 @@ const WelcomePage = ({
           smartMatching: {
             enabled: false,
             eloRange: 500,
-            teamBalance: 250,
-            varietyWeight: 0.2
+            teamBalance: 250
           }
         };
 
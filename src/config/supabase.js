@@ -35,7 +35,8 @@ export const TABLES = {
   ELO_HISTORY: 'elo_history',
   COURTS: 'courts',
   MATCH_EVENTS: 'match_events',
-  SESSION_SETTINGS: 'session_settings'
+  SESSION_SETTINGS: 'session_settings',
+  CLUB_SETTINGS: 'club_settings'
 };
 
 
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState } from 'react';
 import { useSupabaseStorage } from '../hooks/useSupabaseStorage';
 import { useLocalStorage } from '../hooks/useLocalStorage';
+import { useClubSettings } from '../hooks/useClubSettings';
 
 /**
  * Game Context - Provides global state management for the badminton application
@@ -24,6 +25,12 @@ export function GameProvider({ children }) {
   // Note: matches are now loaded per-session in useSessionMatches hook for better performance
   const [eloHistory, setEloHistory] = useSupabaseStorage('badminton_elo_history', []);
   const [currentSessionId, setCurrentSessionId] = useLocalStorage('badminton-current-session', null);
+  // Club-wide: ratings are lifetime, so every session and device rates with the same engine
+  const [clubSettings, updateClubSettings] = useClubSettings();
+  const ratingEngine = clubSettings.ratingEngine;
+  const setRatingEngine = (value) => updateClubSettings({ ratingEngine: value });
+  const marginMode = clubSettings.marginMode;
+  const setMarginMode = (value) => updateClubSettings({ marginMode: value });
   
   // UI state
   const [notification, setNotification] = useState(null);
@@ -54,6 +61,10 @@ export function GameProvider({ children }) {
     setEloHistory,
     currentSessionId,
     setCurrentSessionId,
+    ratingEngine,
+    setRatingEngine,
+    marginMode,
+    setMarginMode,
     
     // Loading state
     isDataLoading,
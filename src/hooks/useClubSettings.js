@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createSupabaseClient, TABLES } from '../config/supabase';
+import { RATING_ENGINES } from '../utils/ratingEngines';
+import { MARGIN_MODES } from '../utils/marginOfVictory';
+
+// The club_settings table holds a single row
+const CLUB_SETTINGS_ID = 1;
+// Last known settings, so the app starts with them before the database answers
+const CACHE_KEY = 'badminton-club-settings';
+
+export const CLUB_SETTING_DEFAULTS = {
+  ratingEngine: RATING_ENGINES.ELO,
+  marginMode: MARGIN_MODES.OFF
+};
+
+// Setting -> club_settings column
+const CLUB_SETTING_COLUMNS = {
+  ratingEngine: 'rating_engine',
+  marginMode: 'margin_of_victory'
+};
+
+const readCachedSettings = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(CACHE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Club settings hook - settings shared by every session and device: the rating engine and margin of victory
+ * They live in the club_settings row; changes are saved there straight away
+ */
+export function useClubSettings() {
+  const [settings, setSettings] = useState(() => ({ ...CLUB_SETTING_DEFAULTS, ...readCachedSettings() }));
+
+  useEffect(() => {
+    window.localStorage.setItem(CACHE_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  // Load the club's settings once
+  useEffect(() => {
+    let isMounted = true;
+
+    const loadSettings = async () => {
+      const client = await createSupabaseClient();
+      if (!client) return;
+
+      const { data, error } = await client
+        .from(TABLES.CLUB_SETTINGS)
+        .select('*')
+        .eq('id', CLUB_SETTINGS_ID)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error loading club settings:', error);
+        return;
+      }
+      if (data && isMounted) {
+        const loaded = Object.fromEntries(Object.entries(CLUB_SETTING_COLUMNS)
+          .filter(([, column]) => data[column] !== null && data[column] !== undefined)
+          .map(([setting, column]) => [setting, data[column]]));
+        setSettings(prev => ({ ...prev, ...loaded }));
+      }
+    };
+    loadSettings();
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  /**
+   * Change club settings - updates are { ratingEngine, marginMode }
+   */
+  const updateClubSettings = useCallback(async (updates) => {
+    setSettings(prev => ({ ...prev, ...updates }));
+
+    const client = await createSupabaseClient();
+    if (!client) {
+      return { success: false, message: 'Club settings need the database connection' };
+    }
+
+    const row = Object.fromEntries(Object.entries(updates)
+      .filter(([setting]) => CLUB_SETTING_COLUMNS[setting])
+      .map(([setting, value]) => [CLUB_SETTING_COLUMNS[setting], value]));
+    const { error } = await client
+      .from(TABLES.CLUB_SETTINGS)
+      .upsert({ id: CLUB_SETTINGS_ID, ...row });
+
+    if (error) {
+      console.error('Error saving club settings:', error);
+      return { success: false, message: `Failed to save club settings: ${error.message}` };
+    }
+
+    console.log('⚙️ Club settings saved:', row);
+    return { success: true, message: 'Club settings saved' };
+  }, []);
+
+  return [settings, updateClubSettings];
+}
@@ -0,0 +1,233 @@
+import { useState, useEffect, useMemo } from 'react';
+import { createSupabaseClient, TABLES } from '../config/supabase';
+import {
+  CORRECTION_EVENTS,
+  correctMatchResult,
+  createCorrectionUpdate,
+  createVoidUpdate,
+  getMatchResultSnapshot
+} from '../utils/matchCorrection';
+import { isValidScore } from '../utils/marginOfVictory';
+import { getSessionFormat, isEliminationFormat } from '../utils/sessionFormats';
+
+/**
+ * Match correction hook - edit or void the current session's completed matches
+ * Players, session stats and ELO history are corrected together (see matchCorrection.js) and every
+ * correction is recorded as a match event, so the session's audit trail is listed alongside its matches.
+ * Matches of a running knockout bracket can't be corrected - the bracket has already advanced their winners
+ */
+export function useMatchCorrection({
+  currentSession,
+  currentSessionId,
+  matches,
+  updateMatch,
+  setMatches,
+  globalPlayers,
+  setGlobalPlayers,
+  sessionPlayers,
+  setSessionPlayers,
+  eloHistory,
+  setEloHistory,
+  ratingEngine,
+  marginMode
+}) {
+  const [corrections, setCorrections] = useState([]);
+  const [isCorrecting, setIsCorrecting] = useState(false);
+
+  const completedMatches = useMemo(() => (matches || [])
+    .filter(match => match.completed_at && !match.cancelled_at)
+    .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at)), [matches]);
+  const completedMatchIds = completedMatches.map(match => match.id).join(',');
+
+  // Load the audit trail for the session's completed matches
+  useEffect(() => {
+    const loadCorrections = async () => {
+      const matchIds = completedMatchIds ? completedMatchIds.split(',') : [];
+      const client = await createSupabaseClient();
+      if (!client || matchIds.length === 0) {
+        setCorrections([]);
+        return;
+      }
+
+      const { data, error } = await client
+        .from(TABLES.MATCH_EVENTS)
+        .select('*')
+        .in('match_id', matchIds)
+        .in('event_type', Object.values(CORRECTION_EVENTS))
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error loading match corrections:', error);
+        return;
+      }
+      setCorrections(data || []);
+    };
+    loadCorrections();
+  }, [currentSessionId, completedMatchIds]);
+
+  const applyCorrection = async (matchId, matchUpdate, eventType, reason) => {
+    const original = completedMatches.find(match => match.id === matchId);
+    if (!original || original.voided_at) {
+      return { success: false, message: 'Only completed matches can be corrected' };
+    }
+
+    const format = getSessionFormat(currentSession);
+    if (isEliminationFormat(format) && (!format.startedAt || new Date(original.completed_at) >= new Date(format.startedAt))) {
+      return { success: false, message: 'Knockout bracket matches can\'t be corrected - the winner has already moved on' };
+    }
+
+    const client = await createSupabaseClient();
+    if (!client) {
+      return { success: false, message: 'Match corrections need the database connection' };
+    }
+
+    // The writes can't share a transaction, so each one that lands adds how to take it back;
+    // if a later write fails they are undone newest first and nothing is left half corrected
+    const undoSteps = [];
+    const undo = async () => {
+      for (const step of undoSteps.reverse()) {
+        try {
+          await step();
+        } catch (undoError) {
+          console.error('Error undoing a match correction step:', undoError);
+        }
+      }
+    };
+    const throwIfError = ({ error }) => {
+      if (error) throw error;
+    };
+
+    try {
+      setIsCorrecting(true);
+      const updated = { ...original, ...matchUpdate };
+      const isVoid = eventType === CORRECTION_EVENTS.VOID;
+      const result = correctMatchResult(original, isVoid ? null : updated, {
+        players: globalPlayers || [],
+        sessionPlayers: sessionPlayers || [],
+        eloHistory: eloHistory || [],
+        ratingEngine,
+        marginMode
+      });
+
+      const { data: event, error: eventError } = await client
+        .from(TABLES.MATCH_EVENTS)
+        .insert({
+          match_id: matchId,
+          event_type: eventType,
+          event_data: {
+            before: getMatchResultSnapshot(original),
+            after: getMatchResultSnapshot(updated),
+            reason: reason || null,
+            rating_changes: result.ratingChanges
+          }
+        })
+        .select()
+        .single();
+      if (eventError) throw eventError;
+      undoSteps.push(async () => throwIfError(await client.from(TABLES.MATCH_EVENTS).delete().eq('id', event.id)));
+
+      // The match's history is replaced by id: the new entries are saved before the old ones go,
+      // so a failed write never leaves the match without a history
+      const { data: oldHistory, error: oldHistoryError } = await client
+        .from(TABLES.ELO_HISTORY)
+        .select('id')
+        .eq('match_id', matchId);
+      if (oldHistoryError) throw oldHistoryError;
+
+      let savedHistory = [];
+      if (result.eloHistory.length > 0) {
+        const { data, error } = await client
+          .from(TABLES.ELO_HISTORY)
+          .insert(result.eloHistory)
+          .select();
+        if (error) throw error;
+        savedHistory = data || [];
+        undoSteps.push(async () => throwIfError(await client
+          .from(TABLES.ELO_HISTORY)
+          .delete()
+          .in('id', savedHistory.map(entry => entry.id))));
+      }
+
+      const matchResult = await updateMatch(matchId, matchUpdate);
+      if (!matchResult.success) throw new Error(matchResult.message);
+      undoSteps.push(async () => {
+        const restored = await updateMatch(matchId, Object.fromEntries(Object.keys(matchUpdate).map(field => [field, original[field] ?? null])));
+        if (!restored.success) throw new Error(restored.message);
+      });
+
+      if ((oldHistory || []).length > 0) {
+        const { error: deleteError } = await client
+          .from(TABLES.ELO_HISTORY)
+          .delete()
+          .in('id', oldHistory.map(entry => entry.id));
+        if (deleteError) throw deleteError;
+      }
+
+      // Players and session players save through their storage sync
+      setGlobalPlayers(prev => prev.map(player => result.players.get(player.id) || player));
+      setSessionPlayers(prev => prev.map(sessionPlayer => (
+        result.sessionPlayers.get(`${sessionPlayer.session_id}|${sessionPlayer.player_id}`) || sessionPlayer
+      )));
+      // Saved entries carry no player_name, so the history sync won't insert them again
+      setEloHistory(prev => [...(prev || []).filter(entry => entry.match_id !== matchId), ...savedHistory]);
+
+      // Keep the listed player names in step with corrected teams
+      const nameOf = (id) => (id ? (globalPlayers || []).find(player => player.id === id)?.name || 'Unknown Player' : null);
+      setMatches(prev => prev.map(match => (match.id === matchId
+        ? {
+          ...match,
+          team1_player1_name: nameOf(match.team1_player1_id),
+          team1_player2_name: nameOf(match.team1_player2_id),
+          team2_player1_name: nameOf(match.team2_player1_id),
+          team2_player2_name: nameOf(match.team2_player2_id)
+        }
+        : match)));
+      setCorrections(prev => [event, ...prev]);
+
+      console.log(`📝 Match ${matchId} ${isVoid ? 'voided' : 'corrected'} - ${result.ratingChanges.length} players updated`);
+      return { success: true, message: isVoid ? 'Match voided - stats corrected' : 'Match corrected - stats updated' };
+    } catch (error) {
+      await undo();
+      console.error('Error correcting match:', error);
+      return { success: false, message: `Failed to correct match: ${error.message}` };
+    } finally {
+      setIsCorrecting(false);
+    }
+  };
+
+  /**
+   * Correct a completed match - changes are { winner, team1: [ids], team2: [ids], score }
+   */
+  const editMatch = async (matchId, changes, reason) => {
+    const players = [...changes.team1, ...changes.team2].filter(Boolean);
+    if (new Set(players).size !== players.length) {
+      return { success: false, message: 'A player can only appear once in a match' };
+    }
+    if (changes.score) {
+      if (!isValidScore(changes.score)) {
+        return { success: false, message: 'Enter a score with a winner' };
+      }
+      const scoreWinner = changes.score.team1 > changes.score.team2 ? 'team1' : 'team2';
+      if (scoreWinner !== changes.winner) {
+        return { success: false, message: 'The score and the winner disagree' };
+      }
+    }
+
+    return applyCorrection(matchId, createCorrectionUpdate(changes), CORRECTION_EVENTS.EDIT, reason);
+  };
+
+  /**
+   * Void a completed match - it no longer counts towards anyone's stats
+   */
+  const voidMatch = (matchId, reason) => (
+    applyCorrection(matchId, createVoidUpdate(), CORRECTION_EVENTS.VOID, reason)
+  );
+
+  return {
+    completedMatches,
+    corrections,
+    isCorrecting,
+    editMatch,
+    voidMatch
+  };
+}
@@ -1,15 +1,41 @@
-import { useCallback, useState, useEffect } from 'react';
-import { 
-  generateId, 
-  calculateInitialELO, 
-  calculateELOChange,
-  calculateTeamELO,
-  updateConfidence,
-  ELO_CONFIG
-} from '../utils/helpers';
-import { generateSmartMatch, getMatchPreview } from '../utils/smartMatching';
+import { useCallback, useState, useEffect, useMemo } from 'react';
+import { generateId } from '../utils/helpers';
+import { MATCHING_METHODS, buildMatchingConfig, generateSmartMatch, generateSwissRound, getMatchPreview, optimizeCourtAssignments, selectChallengers } from '../utils/smartMatching';
+import { applyWaitingQueue, syncWaitingQueue } from '../utils/waitingQueue';
+import { getRotationSettings, getRotationStayers } from '../utils/rotation';
+import { getSessionFormat, isScheduledFormat, isEliminationFormat } from '../utils/sessionFormats';
+import { recordCourtResult } from '../utils/bracket';
+import { getValidTeams } from '../utils/roundRobin';
+import { getSessionConstraints } from '../utils/pairingConstraints';
+import { COURT_MATCH_TYPES, getCourtMatchType } from '../utils/playerCategories';
+import { getCourtSkillBand } from '../utils/skillBands';
+import { getDrawMatchingData } from '../utils/matchDraws';
+import { getRotationPlannerSettings, planRotation, recordSitOuts } from '../utils/rotationPlanner';
+import { MATCH_TYPES, applyRatingChange, calculateMatchRatingChanges, isSinglesMatch, toEloHistoryEntry } from '../utils/matchTypes';
 import { createSupabaseClient, TABLES } from '../config/supabase';
 
+/**
+ * Build the database row for a match starting on a court
+ * Singles matches leave both second player slots empty
+ */
+function toDbMatchData(courtId, matchData) {
+  const isDoubles = !isSinglesMatch(matchData);
+
+  return {
+    court_number: courtId,
+    started_at: new Date().toISOString(),
+    completed_at: null,
+    cancelled_at: null,
+    team1_player1_id: matchData.team1.player1.id,
+    team1_player2_id: isDoubles ? matchData.team1.player2.id : null,
+    team2_player1_id: matchData.team2.player1.id,
+    team2_player2_id: isDoubles ? matchData.team2.player2.id : null,
+    winning_team: null,
+    match_type: isDoubles ? MATCH_TYPES.DOUBLES : MATCH_TYPES.SINGLES,
+    matching_data: matchData.matchingData || null
+  };
+}
+
 /**
  * Custom hook for managing match operations
  * Handles match generation, completion, court management, and ELO calculations
@@ -27,7 +53,9 @@ export function useMatchManagement({
   addMatch,
   updateMatch,
   setEloHistory,
-  updateSession
+  updateSession,
+  ratingEngine,
+  marginMode
 }) {
   const [isCompletingMatch, setIsCompletingMatch] = useState(false);
   const [supabaseClient, setSupabaseClient] = useState(null);
@@ -43,7 +71,7 @@ export function useMatchManagement({
 
   // Safe arrays
   const safeGlobalPlayers = globalPlayers || [];
-  const safeMatches = matches || [];
+  const safeMatches = useMemo(() => matches || [], [matches]);
 
   // Update session player stats directly in Supabase (for efficient architecture)
   const updateSessionPlayerStats = useCallback(async (playerId, sessionId, updates) => {
@@ -71,8 +99,8 @@ export function useMatchManagement({
     }
   }, [supabaseClient]);
 
-  // Available pool for current session
-  const availablePool = sessionPlayersWithDetails.filter(player => {
+  // Players who are active and not on court, resting or not
+  const queuedPlayers = useMemo(() => sessionPlayersWithDetails.filter(player => {
     const isInMatch = currentSession?.currentMatches?.some(match => {
       const playerIds = [
         match.team1?.player1?.id,
@@ -84,10 +112,28 @@ export function useMatchManagement({
       return playerIds.includes(player.id);
     });
     return player.isActive && !isInMatch;
-  });
+  }), [sessionPlayersWithDetails, currentSession?.currentMatches]);
+
+  // Resting players keep their place in the waiting queue but are left out of matching
+  const waitingPlayers = useMemo(() => queuedPlayers.filter(player => !player.isResting), [queuedPlayers]);
+
+  // Keep the session waiting queue in step with who is available
+  useEffect(() => {
+    if (!currentSession) return;
+    // Nothing to rebuild from until session players have loaded
+    if (!currentSession.waitingQueue && queuedPlayers.length === 0) return;
+
+    const { queue, changed } = syncWaitingQueue(currentSession.waitingQueue, queuedPlayers, safeMatches);
+    if (changed) {
+      updateSession({ waitingQueue: queue });
+    }
+  }, [currentSession, queuedPlayers, safeMatches, updateSession]);
+
+  // Available pool for current session, with each player's place in the waiting queue
+  const availablePool = applyWaitingQueue(waitingPlayers, currentSession?.waitingQueue);
 
   // Complete match handler
-  const completeMatch = useCallback(async (courtId, winner) => {
+  const completeMatch = useCallback(async (courtId, winner, score = null) => {
     console.log(`🏸 completeMatch called: courtId=${courtId}, winner=${winner}`);
     
     if (!currentSession) {
@@ -107,6 +153,12 @@ export function useMatchManagement({
 
       const match = court.currentMatch;
       
+      // Knockout sessions move the teams on through the bracket
+      const format = getSessionFormat(currentSession);
+      const formatUpdate = isEliminationFormat(format)
+        ? { format: { ...format, bracket: recordCourtResult(format.bracket, format.teams, courtId, match, winner) } }
+        : {};
+      
       if (winner === 'cancelled') {
         // Cancel match - mark as cancelled in database
         const activeMatch = matches.find(dbMatch => 
@@ -132,7 +184,8 @@ export function useMatchManagement({
           courtStates: currentSession.courtStates.map(c => 
             c.id === courtId ? { ...c, isOccupied: false, currentMatch: null } : c
           ),
-          currentMatches: currentSession.currentMatches.filter(m => m.courtId !== courtId)
+          currentMatches: currentSession.currentMatches.filter(m => m.courtId !== courtId),
+          ...formatUpdate
         });
         
         return { success: true, message: 'Match cancelled - no stats recorded' };
@@ -151,7 +204,9 @@ export function useMatchManagement({
       if (activeMatch) {
         const matchUpdates = {
           completed_at: new Date().toISOString(),
-          winning_team: winner === 'team1' ? 1 : 2
+          winning_team: winner === 'team1' ? 1 : 2,
+          // Rally points, recorded for formats that score by points
+          ...(score && { score_team1: score.team1, score_team2: score.team2 })
         };
         
         const result = await updateMatch(activeMatch.id, matchUpdates);
@@ -174,22 +229,24 @@ export function useMatchManagement({
           started_at: match.startTime,
           completed_at: new Date().toISOString(),
           team1_player1_id: match.team1.player1.id,
-          team1_player2_id: match.team1.player2.id,
+          team1_player2_id: match.team1.player2?.id || null,
           team2_player1_id: match.team2.player1.id,
-          team2_player2_id: match.team2.player2.id,
+          team2_player2_id: match.team2.player2?.id || null,
           team1_player1_name: match.team1.player1.name,
-          team1_player2_name: match.team1.player2.name,
+          team1_player2_name: match.team1.player2?.name || null,
           team2_player1_name: match.team2.player1.name,
-          team2_player2_name: match.team2.player2.name,
+          team2_player2_name: match.team2.player2?.name || null,
           winning_team: winner === 'team1' ? 1 : 2,
-          match_type: 'doubles'
+          ...(score && { score_team1: score.team1, score_team2: score.team2 }),
+          match_type: match.matchType || MATCH_TYPES.DOUBLES
         };
         setMatches(prev => [...prev, completedMatch]);
       }
       
-      // Update player stats
-      const winningTeam = winner === 'team1' ? match.team1 : match.team2;
-      const losingTeam = winner === 'team1' ? match.team2 : match.team1;
+      // Update player stats - singles results move the singles rating, doubles the doubles rating
+      const isSingles = isSinglesMatch(match);
+      const ratingChanges = calculateMatchRatingChanges(match, winner, new Map(safeGlobalPlayers.map(p => [p.id, p])), { ratingEngine, score, marginMode });
+      const changesById = new Map(ratingChanges.map(change => [change.player.id, change]));
       
       const eloChanges = [];
       const sessionPlayerUpdates = [];
@@ -197,68 +254,19 @@ export function useMatchManagement({
       // Update global players
       setGlobalPlayers(prev => {
         return prev.map(globalPlayer => {
-          const isWinner = winningTeam.player1.id === globalPlayer.id || winningTeam.player2.id === globalPlayer.id;
-          const isLoser = losingTeam.player1.id === globalPlayer.id || losingTeam.player2.id === globalPlayer.id;
+          const change = changesById.get(globalPlayer.id);
           
-          if (isWinner || isLoser) {
-            const currentELO = globalPlayer.elo || calculateInitialELO(globalPlayer.wins || 0, globalPlayer.losses || 0);
-            const matchCount = globalPlayer.matchCount || 0;
-            const confidence = updateConfidence(
-              globalPlayer.confidence || 1.0, 
-              matchCount, 
-              isWinner ? 'win' : 'loss'
-            );
-            
-            // Calculate team ELOs for proper opponent rating
-            const playerTeam = isWinner ? winningTeam : losingTeam;
-            const opponentTeam = isWinner ? losingTeam : winningTeam;
-            
-            const teammatePlayer = safeGlobalPlayers.find(p => 
-              p.id !== globalPlayer.id && 
-              (p.id === playerTeam.player1.id || p.id === playerTeam.player2.id)
-            );
-            const opponent1Player = safeGlobalPlayers.find(p => p.id === opponentTeam.player1.id);
-            const opponent2Player = safeGlobalPlayers.find(p => p.id === opponentTeam.player2.id);
-            
-            const teammateELO = teammatePlayer ? (teammatePlayer.elo || calculateInitialELO(teammatePlayer.wins || 0, teammatePlayer.losses || 0)) : currentELO;
-            const opponent1ELO = opponent1Player ? (opponent1Player.elo || calculateInitialELO(opponent1Player.wins || 0, opponent1Player.losses || 0)) : ELO_CONFIG.STARTING_ELO;
-            const opponent2ELO = opponent2Player ? (opponent2Player.elo || calculateInitialELO(opponent2Player.wins || 0, opponent2Player.losses || 0)) : ELO_CONFIG.STARTING_ELO;
-            
-            const playerTeamELO = calculateTeamELO(currentELO, teammateELO);
-            const opponentTeamELO = calculateTeamELO(opponent1ELO, opponent2ELO);
-            
-            // Calculate ELO change
-            const eloResult = calculateELOChange({
-              playerELO: currentELO,
-              opponentELO: opponentTeamELO,
-              isWin: isWinner,
-              matchCount,
-              confidence
-            });
-            
-            const newELO = eloResult.newELO;
+          if (change) {
+            const { isWinner, newELO } = change;
+            const isLoser = !isWinner;
             
             // Record ELO change for history
-            console.log(`📊 Recording ELO change for ${globalPlayer.name} with match_id: ${completedMatch.id}`);
+            console.log(`📊 Recording ${change.matchType} ELO change for ${globalPlayer.name} with match_id: ${completedMatch.id}`);
             eloChanges.push({
               id: generateId(),
-              player_id: globalPlayer.id,
-              match_id: completedMatch.id,
-              session_id: currentSessionId,
+              ...toEloHistoryEntry(change, { matchId: completedMatch.id, sessionId: currentSessionId }),
               player_name: globalPlayer.name,
-              session_name: currentSession.name,
-              elo_before: currentELO,
-              elo_after: newELO,
-              elo_change: eloResult.eloChange,
-              was_winner: isWinner,
-              opponent_elo: opponentTeamELO,
-              expected_score: eloResult.expectedScore,
-              k_factor: eloResult.kFactor,
-              player_team_elo: playerTeamELO,
-              opponent_team_elo: opponentTeamELO,
-              match_count: matchCount,
-              confidence: confidence,
-              created_at: new Date().toISOString()
+              session_name: currentSession.name
             });
             
             // Collect session player update
@@ -270,15 +278,7 @@ export function useMatchManagement({
               newELO
             });
             
-            return {
-              ...globalPlayer,
-              wins: (globalPlayer.wins || 0) + (isWinner ? 1 : 0),
-              losses: (globalPlayer.losses || 0) + (isLoser ? 1 : 0),
-              matchCount: (globalPlayer.matchCount || 0) + 1,
-              lastMatchTime: new Date().toISOString(),
-              elo: newELO,
-              confidence: confidence
-            };
+            return applyRatingChange(globalPlayer, change);
           }
           return globalPlayer;
         });
@@ -303,8 +303,11 @@ export function useMatchManagement({
                 session_wins: (sessionPlayer.session_wins || 0) + (updateInfo.isWinner ? 1 : 0),
                 session_losses: (sessionPlayer.session_losses || 0) + (updateInfo.isLoser ? 1 : 0),
                 session_matches: (sessionPlayer.session_matches || 0) + 1,
-                session_elo_current: updateInfo.newELO,
-                session_elo_peak: Math.max(sessionPlayer.session_elo_peak || updateInfo.newELO, updateInfo.newELO),
+                // The session ELO follows the doubles rating
+                ...(!isSingles && {
+                  session_elo_current: updateInfo.newELO,
+                  session_elo_peak: Math.max(sessionPlayer.session_elo_peak || updateInfo.newELO, updateInfo.newELO)
+                }),
                 last_match_time: new Date().toISOString()
               };
             }
@@ -333,8 +336,10 @@ export function useMatchManagement({
               session_wins: (currentSessionPlayer.session_wins || 0) + (updateInfo.isWinner ? 1 : 0),
               session_losses: (currentSessionPlayer.session_losses || 0) + (updateInfo.isLoser ? 1 : 0),
               session_matches: (currentSessionPlayer.session_matches || 0) + 1,
-              session_elo_current: updateInfo.newELO,
-              session_elo_peak: Math.max(currentSessionPlayer.session_elo_peak || updateInfo.newELO, updateInfo.newELO)
+              ...(!isSingles && {
+                session_elo_current: updateInfo.newELO,
+                session_elo_peak: Math.max(currentSessionPlayer.session_elo_peak || updateInfo.newELO, updateInfo.newELO)
+              })
             };
 
             await updateSessionPlayerStats(updateInfo.playerId, currentSessionId, updates);
@@ -347,18 +352,49 @@ export function useMatchManagement({
         setEloHistory(prev => [...prev, ...eloChanges]);
       }
       
+      // Apply the session's rotation rule - winners may stay on for the next match
+      // Scheduled formats decide every match themselves, so nobody stays on there
+      const rotation = getRotationSettings(currentSession);
+      const { stayers, keepTogether, stayStreaks } = isScheduledFormat(format)
+        ? { stayers: [], keepTogether: false, stayStreaks: {} }
+        : getRotationStayers(rotation, court, match, winner);
+      const rotationMatch = stayers.length > 0
+        ? selectChallengers(stayers, availablePool, safeMatches, {
+          keepTogether,
+          constraints: getSessionConstraints(currentSession),
+          config: buildMatchingConfig(currentSession.smartMatching),
+          courtType: getCourtMatchType(currentSession, courtId),
+          skillBand: court.skillBand || null
+        })
+        : null;
+      
       // Clear court
       updateSession({
         courtStates: currentSession.courtStates.map(c => 
-          c.id === courtId ? { ...c, isOccupied: false, currentMatch: null } : c
+          c.id === courtId
+            ? { ...c, isOccupied: false, currentMatch: null, stayStreaks: rotationMatch ? stayStreaks : {} }
+            : c
         ),
-        currentMatches: currentSession.currentMatches.filter(m => m.courtId !== courtId)
+        currentMatches: currentSession.currentMatches.filter(m => m.courtId !== courtId),
+        ...formatUpdate
       });
       
+      let rotationMessage = '';
+      if (rotationMatch) {
+        const result = await addMatch(toDbMatchData(courtId, { ...rotationMatch.teams, matchType: 'doubles' }));
+        
+        if (result.success) {
+          console.log(`👑 Rotation (${rotation.mode}): ${stayers.map(p => p.name).join(' & ')} stay on court ${courtId + 1}`);
+          rotationMessage = ` ${stayers.map(p => p.name).join(' & ')} stay on.`;
+        } else {
+          console.error('❌ Failed to start rotation match:', result.message);
+        }
+      }
+      
       // Wait for database operations to complete
       await new Promise(resolve => setTimeout(resolve, 1500));
       
-      return { success: true, message: `Team ${winner === 'team1' ? '1' : '2'} wins!` };
+      return { success: true, message: `Team ${winner === 'team1' ? '1' : '2'} wins!${rotationMessage}` };
       
     } catch (error) {
       console.error('❌ Error completing match:', error);
@@ -366,7 +402,7 @@ export function useMatchManagement({
     } finally {
       setIsCompletingMatch(false);
     }
-  }, [currentSession, currentSessionId, matches, updateMatch, setGlobalPlayers, setEloHistory, setSessionPlayers, updateSession, safeGlobalPlayers]);
+  }, [currentSession, currentSessionId, matches, updateMatch, setGlobalPlayers, setEloHistory, setSessionPlayers, updateSession, safeGlobalPlayers, availablePool, safeMatches, addMatch, ratingEngine, marginMode]);
 
   // Generate matches handler
   const generateMatches = useCallback(async () => {
@@ -374,32 +410,73 @@ export function useMatchManagement({
       return { success: false, message: 'No active session' };
     }
     
-    if (sessionPlayersWithDetails.filter(p => p.isActive).length < 4) {
-      return { success: false, message: 'Need at least 4 active players to generate matches' };
+    const readyPlayers = sessionPlayersWithDetails.filter(p => p.isActive && !p.isResting);
+    if (readyPlayers.length < 4) {
+      return { success: false, message: 'Need at least 4 active players who are not resting to generate matches' };
     }
 
-    const activePlayers = sessionPlayersWithDetails.filter(p => p.isActive);
+    const activePlayers = applyWaitingQueue(readyPlayers, currentSession.waitingQueue);
     const newMatches = [];
-    const usedPlayers = new Set();
+    const useSmartMatching = currentSession.smartMatching?.enabled || false;
+    const matchingMethod = currentSession.smartMatching?.method || MATCHING_METHODS.SMART;
+    const constraints = getSessionConstraints(currentSession);
+    const config = buildMatchingConfig(currentSession.smartMatching);
+    const courtTypes = Array.from({ length: currentSession.courtCount }, (_, courtId) => getCourtMatchType(currentSession, courtId));
+    const skillBands = Array.from({ length: currentSession.courtCount }, (_, courtId) => getCourtSkillBand(currentSession, courtId));
+    const matchSelections = [];
 
-    // Generate matches for each court
-    for (let i = 0; i < currentSession.courtCount; i++) {
-      if (activePlayers.length - usedPlayers.size < 4) break;
+    // With the lookahead planner on, the planned sit-outs for this round are left out before
+    // matching (Swiss rounds hand out their own byes)
+    let roundPlayers = activePlayers;
+    if (getRotationPlannerSettings(currentSession).enabled && matchingMethod !== MATCHING_METHODS.SWISS) {
+      const [nextRound] = planRotation(activePlayers, currentSession.courtCount, currentSession.sitOuts, 1).rounds;
+      const playingIds = new Set(nextRound.playingIds);
+      roundPlayers = activePlayers.filter(p => playingIds.has(p.id));
+    }
 
-      const availablePlayers = activePlayers.filter(p => !usedPlayers.has(p.id));
-      
-      // Use smart matching if enabled (no randomness for automatic generation)
-      const useSmartMatching = currentSession.smartMatching?.enabled || false;
-      const matchSelection = generateSmartMatch(availablePlayers, safeMatches, useSmartMatching, false);
-      
-      if (!matchSelection) break;
-      
-      // Mark selected players as used
-      matchSelection.players.forEach(player => usedPlayers.add(player.id));
+    if (matchingMethod === MATCHING_METHODS.SWISS) {
+      // Swiss rounds pair by score; fixed teams play as units when the session pairs teams
+      const teams = currentSession.smartMatching?.swissTeams ? getValidTeams(currentSession.teams, activePlayers) : [];
+      const { assignments } = generateSwissRound(activePlayers, safeMatches, currentSession.courtCount, { teams, constraints, config });
+      matchSelections.push(...assignments);
+    } else if (useSmartMatching) {
+      // Optimize all courts together so the last court doesn't get the leftovers
+      const { assignments } = optimizeCourtAssignments(roundPlayers, safeMatches, currentSession.courtCount, { constraints, config, courtTypes, skillBands });
+      matchSelections.push(...assignments);
+    } else {
+      const usedPlayers = new Set();
+      const courtsToFill = Math.min(currentSession.courtCount, Math.floor(roundPlayers.length / 4));
+      // Courts with a match-type rule or skill band pick first so the others can't use up their players
+      const isOpenCourt = (courtId) => courtTypes[courtId] === COURT_MATCH_TYPES.ANY && !skillBands[courtId];
+      const courtOrder = Array.from({ length: courtsToFill }, (_, courtId) => courtId)
+        .sort((a, b) => Number(isOpenCourt(a)) - Number(isOpenCourt(b)));
+
+      for (const courtId of courtOrder) {
+        const availablePlayers = roundPlayers.filter(p => !usedPlayers.has(p.id));
+        const rules = { constraints, courtType: courtTypes[courtId], skillBand: skillBands[courtId] };
+        const matchSelection = generateSmartMatch(availablePlayers, safeMatches, false, false, rules);
+
+        if (!matchSelection) break;
+
+        // Mark selected players as used
+        matchSelection.players.forEach(player => usedPlayers.add(player.id));
+        matchSelections.push({
+          ...matchSelection,
+          courtId,
+          drawData: getDrawMatchingData(matchSelection, availablePlayers, safeMatches, { ...rules, useSmartMatching: false })
+        });
+      }
+      matchSelections.sort((a, b) => a.courtId - b.courtId);
+    }
+
+    // Generate matches for each court
+    for (let i = 0; i < matchSelections.length; i++) {
+      const matchSelection = matchSelections[i];
+      const courtId = matchSelection.courtId ?? i;
       
       const match = {
         id: generateId(),
-        courtId: i,
+        courtId,
         matchType: 'doubles',
         team1: matchSelection.teams.team1,
         team2: matchSelection.teams.team2,
@@ -413,7 +490,8 @@ export function useMatchManagement({
             matchSelection.teams.team1.player2,
             matchSelection.teams.team2.player1,
             matchSelection.teams.team2.player2
-          )
+          ),
+          ...matchSelection.drawData
         }
       };
 
@@ -421,7 +499,7 @@ export function useMatchManagement({
       
       // Save as incomplete match to database
       const dbMatchData = {
-        court_number: i,
+        court_number: courtId,
         started_at: new Date().toISOString(),
         completed_at: null,
         cancelled_at: null,
@@ -430,7 +508,8 @@ export function useMatchManagement({
         team2_player1_id: matchSelection.teams.team2.player1.id,
         team2_player2_id: matchSelection.teams.team2.player2.id,
         winning_team: null,
-        match_type: 'doubles'
+        match_type: 'doubles',
+        matching_data: match.matchingData
       };
       
       // Save to Supabase using addMatch
@@ -449,10 +528,18 @@ export function useMatchManagement({
     
     updateSession({
       currentMatches: newMatches,
-      courtStates: newCourtStates
+      courtStates: newCourtStates,
+      sitOuts: recordSitOuts(currentSession.sitOuts, activePlayers, matchSelections.flatMap(selection => selection.players.map(p => p.id)))
     });
     
-    return { success: true, message: `Generated ${newMatches.length} new matches` };
+    const relaxedCourts = matchSelections
+      .filter(selection => selection.courtRuleRelaxed || selection.skillBandRelaxed)
+      .map(selection => selection.courtId + 1);
+    const relaxedNote = relaxedCourts.length > 0
+      ? ` (not enough players for the rules on court ${relaxedCourts.join(', ')})`
+      : '';
+    
+    return { success: true, message: `Generated ${newMatches.length} new matches${relaxedNote}` };
   }, [currentSession, sessionPlayersWithDetails, currentSessionId, addMatch, updateSession, safeMatches]);
 
   // Clear matches handler
@@ -495,22 +582,7 @@ export function useMatchManagement({
     
     if (matchData) {
       // Create match with provided data and save to Supabase
-      // Note: Database schema requires all player IDs to be NOT NULL
-      // For singles matches, we duplicate the single player as both team members
-      const isDoubles = matchData.matchType === 'doubles';
-      
-      const dbMatchData = {
-        court_number: courtId,
-        started_at: new Date().toISOString(),
-        completed_at: null,
-        cancelled_at: null,
-        team1_player1_id: matchData.team1.player1.id,
-        team1_player2_id: isDoubles ? matchData.team1.player2.id : matchData.team1.player1.id,
-        team2_player1_id: matchData.team2.player1.id,
-        team2_player2_id: isDoubles ? matchData.team2.player2.id : matchData.team2.player1.id,
-        winning_team: null,
-        match_type: matchData.matchType || 'doubles'
-      };
+      const dbMatchData = toDbMatchData(courtId, matchData);
       
       // Use addMatch to save to Supabase database
       const result = await addMatch(dbMatchData);
@@ -523,34 +595,35 @@ export function useMatchManagement({
         return { success: false, message: `Failed to save match: ${result.message}` };
       }
     } else {
-      // Random selection fallback
+      // Automatic selection within the court's rules (skill band, match type)
       if (availablePool.length < 4) {
         return { success: false, message: 'Need at least 4 available players to fill court' };
       }
 
-      const selectedPlayers = [];
-      const poolCopy = [...availablePool];
-      
-      // Select 4 random players
-      for (let i = 0; i < 4; i++) {
-        const randomIndex = Math.floor(Math.random() * poolCopy.length);
-        selectedPlayers.push(poolCopy[randomIndex]);
-        poolCopy.splice(randomIndex, 1);
+      const useSmartMatching = currentSession.smartMatching?.enabled || false;
+      const rules = {
+        constraints: getSessionConstraints(currentSession),
+        config: buildMatchingConfig(currentSession.smartMatching),
+        courtType: getCourtMatchType(currentSession, courtId),
+        skillBand: getCourtSkillBand(currentSession, courtId)
+      };
+      const selection = generateSmartMatch(availablePool, safeMatches, useSmartMatching, false, rules);
+      if (!selection) {
+        return { success: false, message: 'No match fits the pairing rules for this court' };
       }
       
       const match = {
         id: generateId(),
         courtId,
-        team1: {
-          player1: selectedPlayers[0],
-          player2: selectedPlayers[1]
-        },
-        team2: {
-          player1: selectedPlayers[2],
-          player2: selectedPlayers[3]
-        },
+        team1: selection.teams.team1,
+        team2: selection.teams.team2,
         startTime: new Date().toISOString(),
-        completed: false
+        completed: false,
+        matchingData: {
+          method: selection.method,
+          score: selection.score?.total || 0,
+          ...getDrawMatchingData(selection, availablePool, safeMatches, { ...rules, useSmartMatching })
+        }
       };
 
       updateSession({
@@ -560,9 +633,9 @@ export function useMatchManagement({
         )
       });
       
-      return { success: true, message: 'Court filled with random players' };
+      return { success: true, message: selection.skillBandRelaxed ? 'Court filled - not enough players in its skill band' : 'Court filled' };
     }
-  }, [currentSession, availablePool, addMatch, updateSession]);
+  }, [currentSession, availablePool, safeMatches, addMatch, updateSession]);
 
   // Court management
   const addCourt = useCallback(() => {
@@ -1,5 +1,6 @@
 import { useCallback, useEffect, useState } from 'react';
 import { createSupabaseClient, TABLES } from '../config/supabase';
+import { END_REST_UPDATE, createRestUpdate } from '../utils/playerRest';
 
 /**
  * Efficient individual session player management
@@ -100,6 +101,18 @@ export function useSessionPlayer(sessionId, playerId) {
     });
   }, [sessionPlayer, playerId, updateSessionPlayer]);
 
+  // Take a break without leaving the session - { minutes } or { rounds }
+  const startRest = useCallback(async (rest) => {
+    console.log(`☕ Player ${playerId} resting:`, rest);
+    return await updateSessionPlayer(createRestUpdate(rest));
+  }, [playerId, updateSessionPlayer]);
+
+  // Back from a break before the rest ran out
+  const endRest = useCallback(async () => {
+    console.log(`🏸 Player ${playerId} back from rest`);
+    return await updateSessionPlayer(END_REST_UPDATE);
+  }, [playerId, updateSessionPlayer]);
+
   // Create session player relationship
   const createSessionPlayer = useCallback(async (playerData) => {
     if (!sessionId || !playerId || !supabaseClient) {
@@ -152,6 +165,8 @@ export function useSessionPlayer(sessionId, playerId) {
     error,
     updateSessionPlayer,
     toggleActive,
+    startRest,
+    endRest,
     createSessionPlayer,
     removeFromSession
   };
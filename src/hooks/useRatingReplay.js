@@ -0,0 +1,188 @@
+import { useState, useCallback } from 'react';
+import { createSupabaseClient, TABLES } from '../config/supabase';
+import { buildReplayReport, getReplayKey, pickReplayedFields, replayRatings } from '../utils/ratingReplay';
+
+const PAGE_SIZE = 1000;
+// Ids per delete request - they travel in the request URL
+const DELETE_BATCH_SIZE = 200;
+
+/**
+ * Rating recalculation hook - replays every completed match to rebuild ratings (see ratingReplay.js)
+ * previewReplay runs a dry run and keeps its report; applyReplay replays again on fresh data and,
+ * if nothing changed since the preview, writes it: player ratings and records, session stats, and
+ * a rewritten ELO history
+ */
+export function useRatingReplay({
+  globalPlayers,
+  setGlobalPlayers,
+  sessionPlayers,
+  setSessionPlayers,
+  setEloHistory,
+  ratingEngine,
+  marginMode
+}) {
+  const [preview, setPreview] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  // Every session's matches, page by page - the per-session matches hook only holds one session
+  const loadAllMatches = async (client) => {
+    const allMatches = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await client
+        .from(TABLES.MATCHES)
+        .select('*')
+        .not('completed_at', 'is', null)
+        .order('completed_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      allMatches.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return allMatches;
+    }
+  };
+
+  // Ids of the history entries of the given matches - the entries a replay rewrites
+  const loadMatchHistoryIds = async (client, matches) => {
+    const matchIds = new Set(matches.map(match => match.id));
+    const ids = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await client
+        .from(TABLES.ELO_HISTORY)
+        .select('id, match_id')
+        .not('match_id', 'is', null)
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      ids.push(...(data || []).filter(entry => matchIds.has(entry.match_id)).map(entry => entry.id));
+      if (!data || data.length < PAGE_SIZE) return ids;
+    }
+  };
+
+  const deleteHistoryEntries = async (client, ids) => {
+    for (let from = 0; from < ids.length; from += DELETE_BATCH_SIZE) {
+      const { error } = await client
+        .from(TABLES.ELO_HISTORY)
+        .delete()
+        .in('id', ids.slice(from, from + DELETE_BATCH_SIZE));
+      if (error) throw error;
+    }
+  };
+
+  const previewReplay = useCallback(async () => {
+    try {
+      setIsRunning(true);
+      const client = await createSupabaseClient();
+      if (!client) {
+        return { success: false, message: 'Rating recalculation needs the database connection' };
+      }
+
+      console.log('🔄 Loading match history for rating recalculation');
+      const matches = await loadAllMatches(client);
+      const replay = replayRatings(matches, globalPlayers || [], { ratingEngine, marginMode });
+      const report = buildReplayReport(replay, globalPlayers || [], sessionPlayers || []);
+      setPreview({ replay, report, ratingEngine, marginMode });
+
+      console.log(`📊 Replayed ${report.summary.replayedMatches} matches - ${report.summary.playersChanged} players would change`);
+      return { success: true, message: 'Recalculation preview ready' };
+    } catch (error) {
+      console.error('Error previewing rating recalculation:', error);
+      return { success: false, message: `Failed to preview recalculation: ${error.message}` };
+    } finally {
+      setIsRunning(false);
+    }
+  }, [globalPlayers, sessionPlayers, ratingEngine, marginMode]);
+
+  const applyReplay = useCallback(async () => {
+    if (!preview) {
+      return { success: false, message: 'Preview the recalculation first' };
+    }
+
+    try {
+      setIsRunning(true);
+      const client = await createSupabaseClient();
+      if (!client) {
+        return { success: false, message: 'Rating recalculation needs the database connection' };
+      }
+
+      // Replay again on fresh data - a match completed, edited or voided since the preview would
+      // otherwise be written over with stale ratings
+      const matches = await loadAllMatches(client);
+      const replay = replayRatings(matches, globalPlayers || [], { ratingEngine, marginMode });
+      if (replay.matchesKey !== preview.replay.matchesKey || ratingEngine !== preview.ratingEngine || marginMode !== preview.marginMode) {
+        setPreview({ replay, report: buildReplayReport(replay, globalPlayers || [], sessionPlayers || []), ratingEngine, marginMode });
+        console.warn('⚠️ Matches or rating settings changed since the preview - preview refreshed, nothing written');
+        return { success: false, message: 'Matches changed since the preview - check the updated preview and apply again' };
+      }
+
+      // Rewrite the history of the replayed matches; entries not tied to one of them are kept, so a
+      // match completed after the reload keeps its history. The new history is saved before the old
+      // entries are removed by id, so a failed write leaves the old history in place
+      const oldHistoryIds = await loadMatchHistoryIds(client, matches);
+      const savedHistory = [];
+      try {
+        for (let from = 0; from < replay.eloHistory.length; from += PAGE_SIZE) {
+          const { data, error } = await client
+            .from(TABLES.ELO_HISTORY)
+            .insert(replay.eloHistory.slice(from, from + PAGE_SIZE))
+            .select();
+          if (error) throw error;
+          savedHistory.push(...(data || []));
+        }
+      } catch (error) {
+        // Take the partial rewrite back out so no match has its history twice
+        await deleteHistoryEntries(client, savedHistory.map(entry => entry.id));
+        throw error;
+      }
+      await deleteHistoryEntries(client, oldHistoryIds);
+
+      // A match completed while this ran is in no replay - its rating change is written over below
+      const isStale = getReplayKey(await loadAllMatches(client)) !== replay.matchesKey;
+
+      // Players and session players save through their storage sync
+      setGlobalPlayers(prev => prev.map(player => (
+        replay.players.has(player.id)
+          ? { ...player, ...pickReplayedFields(replay.players.get(player.id)) }
+          : player
+      )));
+
+      setSessionPlayers(prev => prev.map(sessionPlayer => {
+        const stats = replay.sessionStats.get(`${sessionPlayer.session_id}|${sessionPlayer.player_id}`);
+        if (!stats) return sessionPlayer;
+
+        const { session_id, player_id, ...sessionStats } = stats;
+        return { ...sessionPlayer, ...sessionStats };
+      }));
+
+      // Saved entries carry no player_name, so the history sync won't insert them again
+      const replayedMatchIds = new Set(matches.map(match => match.id));
+      setEloHistory(prev => [
+        ...(prev || []).filter(entry => !replayedMatchIds.has(entry.match_id)),
+        ...savedHistory
+      ]);
+
+      setPreview(null);
+      console.log(`✅ Ratings recalculated from ${replay.replayedMatches} matches`);
+      if (isStale) {
+        console.warn('⚠️ A match was completed during the recalculation - it needs another run');
+        return { success: true, message: `Ratings recalculated from ${replay.replayedMatches} matches - a match finished meanwhile, recalculate again to include it` };
+      }
+      return { success: true, message: `Ratings recalculated from ${replay.replayedMatches} matches` };
+    } catch (error) {
+      console.error('Error applying rating recalculation:', error);
+      return { success: false, message: `Failed to recalculate ratings: ${error.message}` };
+    } finally {
+      setIsRunning(false);
+    }
+  }, [preview, globalPlayers, sessionPlayers, ratingEngine, marginMode, setGlobalPlayers, setSessionPlayers, setEloHistory]);
+
+  const discardReplay = useCallback(() => setPreview(null), []);
+
+  return {
+    report: preview?.report || null,
+    isRunning,
+    previewReplay,
+    applyReplay,
+    discardReplay
+  };
+}
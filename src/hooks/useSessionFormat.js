@@ -0,0 +1,281 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  SESSION_FORMATS,
+  SESSION_FORMAT_OPTIONS,
+  getSessionFormat,
+  isScheduledFormat,
+  isEliminationFormat,
+  isFixedTeamFormat,
+  generateAmericanoSchedule,
+  generateMexicanoRound,
+  calculateFormatStandings
+} from '../utils/sessionFormats';
+import {
+  getValidTeams,
+  generateRoundRobinSchedule,
+  getNextRoundRobinMatch,
+  calculateTeamStandings
+} from '../utils/roundRobin';
+import {
+  BRACKET_TYPES,
+  seedTeams,
+  generateBracket,
+  getNextBracketMatch,
+  setBracketMatchCourt
+} from '../utils/bracket';
+
+/**
+ * Custom hook for scheduled session formats (Americano, Mexicano, round robin, knockouts)
+ * Sets up the format, puts its matches on the courts and keeps the standings
+ */
+export function useSessionFormat({
+  currentSession,
+  sessionPlayers,
+  availablePool,
+  matches,
+  updateSession,
+  fillEmptyCourt,
+  isCompletingMatch
+}) {
+  // Courts a round-robin or bracket match was sent to that the database has not
+  // confirmed yet, with the players in that match
+  const pendingCourts = useRef(new Map());
+
+  const format = useMemo(() => getSessionFormat(currentSession), [currentSession]);
+  const isActive = isScheduledFormat(format);
+  const isRoundRobin = format.type === SESSION_FORMATS.ROUND_ROBIN;
+  const isElimination = isEliminationFormat(format);
+  const isFixedTeams = isFixedTeamFormat(format);
+
+  const standings = useMemo(() => {
+    if (!isActive) return [];
+    if (isFixedTeams) {
+      const playersById = new Map(sessionPlayers.map(p => [p.id, p]));
+      return calculateTeamStandings(format.teams, matches, playersById, format.startedAt);
+    }
+    return calculateFormatStandings(sessionPlayers, matches, format.startedAt);
+  }, [isActive, isFixedTeams, sessionPlayers, matches, format.teams, format.startedAt]);
+
+  // Switch the session to a format - starting a format always begins a fresh schedule
+  const setupFormat = useCallback((type, options = {}) => {
+    if (type === SESSION_FORMATS.OPEN_PLAY) {
+      updateSession({ format: null });
+      return { success: true, message: 'Switched to open play' };
+    }
+
+    const activePlayers = sessionPlayers.filter(p => p.isActive);
+    if (activePlayers.length < 4) {
+      return { success: false, message: 'Need at least 4 active players to start a format' };
+    }
+
+    const courtCount = currentSession?.courtCount || 4;
+    let rounds = [];
+    let teams = [];
+    let bracket = null;
+
+    if (isFixedTeamFormat({ type })) {
+      teams = getValidTeams(currentSession?.teams, activePlayers);
+      if (teams.length < 2) {
+        return { success: false, message: 'Need at least 2 complete teams of active players' };
+      }
+    }
+
+    if (type === SESSION_FORMATS.ROUND_ROBIN) {
+      rounds = generateRoundRobinSchedule(teams, courtCount);
+    }
+
+    if (isEliminationFormat({ type })) {
+      const playersById = new Map(activePlayers.map(p => [p.id, p]));
+      const seeded = seedTeams(teams, playersById, options.seedBy === 'session');
+      teams = seeded;
+      bracket = generateBracket(
+        seeded,
+        type === SESSION_FORMATS.DOUBLE_ELIMINATION ? BRACKET_TYPES.DOUBLE : BRACKET_TYPES.SINGLE
+      );
+    }
+
+    if (type === SESSION_FORMATS.AMERICANO) {
+      const schedule = generateAmericanoSchedule(activePlayers.map(p => p.id), courtCount);
+      rounds = schedule.rounds;
+
+      if (schedule.unplayedPairs.length > 0) {
+        console.warn(`⚠️ Americano: ${schedule.unplayedPairs.length} partnership(s) could not be scheduled`);
+      }
+    }
+
+    updateSession({
+      format: {
+        type,
+        pointsPerMatch: options.pointsPerMatch || format.pointsPerMatch,
+        startedAt: new Date().toISOString(),
+        rounds,
+        currentRound: 0,
+        teams,
+        startedMatchIds: [],
+        bracket
+      }
+    });
+
+    const label = SESSION_FORMAT_OPTIONS.find(option => option.value === type)?.label;
+    console.log(`🏆 ${label} started with ${activePlayers.length} players${rounds.length ? `, ${rounds.length} rounds scheduled` : ''}`);
+    return { success: true, message: `${label} started` };
+  }, [currentSession?.courtCount, currentSession?.teams, sessionPlayers, format.pointsPerMatch, updateSession]);
+
+  // Start the next round on the courts once every court is free
+  const startNextRound = useCallback(async () => {
+    if (!isActive) {
+      return { success: false, message: 'No format running in this session' };
+    }
+    if (isFixedTeams) {
+      return { success: false, message: 'Team matches start by themselves as courts free up' };
+    }
+
+    const courtStates = currentSession?.courtStates || [];
+    if (courtStates.some(court => court.isOccupied)) {
+      return { success: false, message: 'Finish the current round before starting the next one' };
+    }
+
+    const roundNumber = format.currentRound + 1;
+    const rounds = [...format.rounds];
+
+    if (format.type === SESSION_FORMATS.MEXICANO) {
+      const round = generateMexicanoRound(availablePool, standings, courtStates.length, roundNumber);
+      if (!round) {
+        return { success: false, message: 'Need at least 4 available players for a round' };
+      }
+      rounds[roundNumber - 1] = round;
+    }
+
+    const round = rounds[roundNumber - 1];
+    if (!round) {
+      return { success: false, message: 'All rounds have been played' };
+    }
+
+    const playersById = new Map(availablePool.map(p => [p.id, p]));
+    let started = 0;
+    const skipped = [];
+
+    for (const match of round.matches) {
+      const team1 = match.team1.map(id => playersById.get(id));
+      const team2 = match.team2.map(id => playersById.get(id));
+
+      if ([...team1, ...team2].some(player => !player) || match.court >= courtStates.length) {
+        skipped.push(match);
+        continue;
+      }
+
+      const result = await fillEmptyCourt(match.court, {
+        team1: { player1: team1[0], player2: team1[1] },
+        team2: { player1: team2[0], player2: team2[1] },
+        matchType: 'doubles'
+      });
+
+      if (result.success) {
+        started++;
+      } else {
+        skipped.push(match);
+      }
+    }
+
+    updateSession({ format: { ...format, rounds, currentRound: roundNumber } });
+
+    if (skipped.length > 0) {
+      console.warn(`⚠️ Round ${roundNumber}: ${skipped.length} match(es) skipped - players unavailable`);
+      return {
+        success: started > 0,
+        message: `Round ${roundNumber} started with ${started} match(es), ${skipped.length} skipped (players unavailable)`
+      };
+    }
+
+    return { success: true, message: `Round ${roundNumber} started` };
+  }, [isActive, isFixedTeams, currentSession?.courtStates, format, availablePool, standings, fillEmptyCourt, updateSession]);
+
+  // Round robin and knockouts: send the next scheduled match to each court as it frees up
+  // Latest format, so a failed start can be handed back without losing later starts
+  const formatRef = useRef(format);
+  formatRef.current = format;
+
+  useEffect(() => {
+    (currentSession?.courtStates || []).forEach(court => {
+      if (court.isOccupied) {
+        pendingCourts.current.delete(court.id);
+      }
+    });
+  }, [currentSession?.courtStates]);
+
+  useEffect(() => {
+    if (!isFixedTeams || isCompletingMatch) return;
+
+    const freeCourt = (currentSession?.courtStates || []).find(court =>
+      !court.isOccupied && !pendingCourts.current.has(court.id)
+    );
+    if (!freeCourt) return;
+
+    // Players sent to a court stay in the pool until the database confirms the match
+    const pendingPlayerIds = new Set([...pendingCourts.current.values()].flat());
+    const availableIds = availablePool.map(p => p.id).filter(id => !pendingPlayerIds.has(id));
+    const next = isElimination
+      ? getNextBracketMatch(format.bracket, format.teams, availableIds)
+      : getNextRoundRobinMatch(format.rounds, format.startedMatchIds, availableIds);
+    if (!next) return;
+
+    const { round, match } = next;
+    const playersById = new Map(availablePool.map(p => [p.id, p]));
+
+    console.log(`📅 ${format.type}: starting round ${round} match ${match.id} on court ${freeCourt.id + 1}`);
+    pendingCourts.current.set(freeCourt.id, [...match.team1, ...match.team2]);
+    updateSession({
+      format: isElimination
+        ? { ...format, bracket: setBracketMatchCourt(format.bracket, match.id, freeCourt.id) }
+        : {
+          ...format,
+          startedMatchIds: [...format.startedMatchIds, match.id],
+          currentRound: Math.max(format.currentRound, round)
+        }
+    });
+
+    fillEmptyCourt(freeCourt.id, {
+      team1: { player1: playersById.get(match.team1[0]), player2: playersById.get(match.team1[1]) },
+      team2: { player1: playersById.get(match.team2[0]), player2: playersById.get(match.team2[1]) },
+      matchType: 'doubles'
+    }).then(result => {
+      if (!result.success) {
+        // Hand the match back to the schedule so it is tried again
+        const latest = formatRef.current;
+        pendingCourts.current.delete(freeCourt.id);
+        updateSession({
+          format: isElimination
+            ? { ...latest, bracket: setBracketMatchCourt(latest.bracket, match.id, null) }
+            : { ...latest, startedMatchIds: latest.startedMatchIds.filter(id => id !== match.id) }
+        });
+      }
+    });
+  }, [isFixedTeams, isElimination, isCompletingMatch, currentSession?.courtStates, availablePool, format, fillEmptyCourt, updateSession]);
+
+  const hasRoundTotal = format.type === SESSION_FORMATS.AMERICANO || isRoundRobin;
+  const totalRounds = hasRoundTotal ? format.rounds.length : null;
+  const nextRound = format.type === SESSION_FORMATS.AMERICANO ? format.rounds[format.currentRound] || null : null;
+
+  // Round robin: matches still waiting for a court, in schedule order
+  const upcomingMatches = useMemo(() => {
+    if (!isRoundRobin) return [];
+    const started = new Set(format.startedMatchIds);
+    return format.rounds.flatMap(round => round.matches
+      .filter(match => !started.has(match.id))
+      .map(match => ({ ...match, round: round.number })));
+  }, [isRoundRobin, format.rounds, format.startedMatchIds]);
+
+  return {
+    format,
+    isActive,
+    isRoundRobin,
+    isElimination,
+    isFixedTeams,
+    standings,
+    totalRounds,
+    nextRound,
+    upcomingMatches,
+    setupFormat,
+    startNextRound
+  };
+}
@@ -141,8 +141,19 @@ export function useSupabaseStorage(key, initialValue) {
         losses: player.total_losses || 0,
         matchCount: player.total_matches || 0,
         elo: player.current_elo || 1200,
+        // Singles rating is separate; null until the player's first singles match
+        singlesElo: player.singles_elo || null,
+        singlesMatchCount: player.singles_matches || 0,
+        // Glicko-2 rating uncertainty, null until the player's first match rated by Glicko-2
+        ratingDeviation: player.rating_deviation || null,
+        ratingVolatility: player.rating_volatility || null,
+        ratedAt: player.rated_at || null,
+        singlesRatingDeviation: player.singles_rating_deviation || null,
+        singlesRatingVolatility: player.singles_rating_volatility || null,
+        singlesRatedAt: player.singles_rated_at || null,
         isActive: player.is_active !== false,
         lastMatchTime: player.last_match_at,
+        category: player.category || null,
         // Add any session stats if they exist
         sessionStats: {}
       }));
@@ -161,7 +172,9 @@ export function useSupabaseStorage(key, initialValue) {
         courtStates: [], // Will be initialized by App.js
         currentMatches: [], // Will be reconstructed from active matches
         ended_at: session.ended_at,
-        endedAt: session.ended_at
+        endedAt: session.ended_at,
+        format: session.format_state || null, // Tournament / league progress
+        teams: session.teams || []
       }));
     } else if (tableName === TABLES.SESSION_PLAYERS) {
       // Load session players with expanded data including player and session names
@@ -188,7 +201,10 @@ export function useSupabaseStorage(key, initialValue) {
         session_elo_start: sp.session_elo_start || 1200,
         session_elo_current: sp.session_elo_current || 1200,
         session_elo_peak: sp.session_elo_peak || 1200,
-        is_active_in_session: sp.is_active_in_session !== false
+        is_active_in_session: sp.is_active_in_session !== false,
+        resting_until: sp.resting_until || null,
+        rest_started_at: sp.rest_started_at || null,
+        rest_rounds: sp.rest_rounds || 0
       }));
     } else if (tableName === TABLES.MATCHES) {
       // Get session and player mappings to resolve UUIDs back to names
@@ -226,21 +242,24 @@ export function useSupabaseStorage(key, initialValue) {
         started_at: match.started_at,
         completed_at: match.completed_at,
         cancelled_at: match.cancelled_at,
+        voided_at: match.voided_at || null,
         team1_player1_id: match.team1_player1_id,
         team1_player2_id: match.team1_player2_id,
         team2_player1_id: match.team2_player1_id,
         team2_player2_id: match.team2_player2_id,
         // Add resolved player names
         team1_player1_name: playersById[match.team1_player1_id] || 'Unknown Player',
-        team1_player2_name: playersById[match.team1_player2_id] || 'Unknown Player',
+        // Singles matches have no second players
+        team1_player2_name: match.team1_player2_id ? (playersById[match.team1_player2_id] || 'Unknown Player') : null,
         team2_player1_name: playersById[match.team2_player1_id] || 'Unknown Player',
-        team2_player2_name: playersById[match.team2_player2_id] || 'Unknown Player',
+        team2_player2_name: match.team2_player2_id ? (playersById[match.team2_player2_id] || 'Unknown Player') : null,
         winning_team: match.winning_team,
         score_team1: match.score_team1,
         score_team2: match.score_team2,
         match_duration_minutes: match.match_duration_minutes,
         match_type: match.match_type || 'doubles',
-        notes: match.notes
+        notes: match.notes,
+        matching_data: match.matching_data || null
       }));
     } else if (tableName === TABLES.ELO_HISTORY) {
       return data.map(elo => ({
@@ -253,6 +272,11 @@ export function useSupabaseStorage(key, initialValue) {
         elo_change: elo.elo_change,
         was_winner: elo.was_winner,
         opponent_elo: elo.opponent_elo,
+        match_type: elo.match_type || 'doubles',
+        rating_engine: elo.rating_engine || 'elo',
+        rating_deviation: elo.rating_deviation || null,
+        match_count: elo.match_count ?? null,
+        rating_state_before: elo.rating_state_before || null,
         created_at: elo.created_at
       }));
     } else if (tableName === TABLES.COURTS) {
@@ -403,8 +427,17 @@ export function useSupabaseStorage(key, initialValue) {
         highest_elo: Math.max(player.elo || 1200, player.highest_elo || 1200),
         lowest_elo: Math.min(player.elo || 1200, player.lowest_elo || 1200),
         confidence: player.confidence || 1.0, // Add confidence field
+        singles_elo: player.singlesElo || null,
+        singles_matches: player.singlesMatchCount || 0,
+        rating_deviation: player.ratingDeviation || null,
+        rating_volatility: player.ratingVolatility || null,
+        rated_at: player.ratedAt ? new Date(player.ratedAt) : null,
+        singles_rating_deviation: player.singlesRatingDeviation || null,
+        singles_rating_volatility: player.singlesRatingVolatility || null,
+        singles_rated_at: player.singlesRatedAt ? new Date(player.singlesRatedAt) : null,
         is_active: player.isActive !== false,
         last_match_at: player.lastMatchTime ? new Date(player.lastMatchTime) : null,
+        category: player.category || null,
         updated_at: new Date()
       };
 
@@ -454,6 +487,8 @@ export function useSupabaseStorage(key, initialValue) {
         is_active: session.isActive !== false,
         ended_at: session.ended_at ? new Date(session.ended_at) : null,
         total_matches_played: session.totalMatchesPlayed || 0,
+        format_state: session.format || null,
+        teams: session.teams || [],
         updated_at: new Date()
       };
 
@@ -586,7 +621,10 @@ export function useSupabaseStorage(key, initialValue) {
         session_elo_start: sessionPlayer.session_elo_start || 1200,
         session_elo_current: currentElo,
         session_elo_peak: peakElo,
-        is_active_in_session: sessionPlayer.is_active_in_session !== false
+        is_active_in_session: sessionPlayer.is_active_in_session !== false,
+        resting_until: sessionPlayer.resting_until ? new Date(sessionPlayer.resting_until) : null,
+        rest_started_at: sessionPlayer.rest_started_at ? new Date(sessionPlayer.rest_started_at) : null,
+        rest_rounds: sessionPlayer.rest_rounds || 0
       };
       
       const existingKey = `${sessionUuid}-${playerUuid}`;
@@ -678,15 +716,16 @@ export function useSupabaseStorage(key, initialValue) {
         continue;
       }
       
-      // Skip if we can't resolve all required relationships
+      // Skip if we can't resolve all required relationships (singles matches have no second players)
+      const isSingles = match.match_type === 'singles';
       const team1Player1Name = match.team1_player1_name || 'Unknown';
       const team1Player2Name = match.team1_player2_name || 'Unknown';
       const team2Player1Name = match.team2_player1_name || 'Unknown'; 
       const team2Player2Name = match.team2_player2_name || 'Unknown';
       const sessionName = match.session_name || 'Unknown';
       
-      if (!playersByName[team1Player1Name] || !playersByName[team1Player2Name] || 
-          !playersByName[team2Player1Name] || !playersByName[team2Player2Name] ||
+      if (!playersByName[team1Player1Name] || (!isSingles && !playersByName[team1Player2Name]) || 
+          !playersByName[team2Player1Name] || (!isSingles && !playersByName[team2Player2Name]) ||
           !sessionsByName[sessionName]) {
         console.log(`⚠️ Skipping match - missing player or session relationships for ${match.id}`);
         continue;
@@ -705,16 +744,18 @@ export function useSupabaseStorage(key, initialValue) {
         started_at: match.started_at ? new Date(match.started_at) : new Date(),
         completed_at: match.completed_at ? new Date(match.completed_at) : null,
         cancelled_at: match.cancelled_at ? new Date(match.cancelled_at) : null,
+        voided_at: match.voided_at ? new Date(match.voided_at) : null,
         team1_player1_id: playersByName[team1Player1Name],
-        team1_player2_id: playersByName[team1Player2Name],
+        team1_player2_id: isSingles ? null : playersByName[team1Player2Name],
         team2_player1_id: playersByName[team2Player1Name],
-        team2_player2_id: playersByName[team2Player2Name],
+        team2_player2_id: isSingles ? null : playersByName[team2Player2Name],
         winning_team: match.winning_team,
         score_team1: match.score_team1,
         score_team2: match.score_team2,
         match_duration_minutes: match.match_duration_minutes,
         match_type: match.match_type || 'doubles',
-        notes: match.notes
+        notes: match.notes,
+        matching_data: match.matching_data || null
       };
 
       let error;
@@ -851,6 +892,7 @@ export function useSupabaseStorage(key, initialValue) {
         elo_change: elo.elo_change,
         was_winner: elo.was_winner,
         opponent_elo: elo.opponent_elo,
+        match_type: elo.match_type || 'doubles', // Which rating changed
         // New advanced ELO fields
         expected_score: elo.expected_score || null,
         k_factor: elo.k_factor || null,
@@ -858,6 +900,9 @@ export function useSupabaseStorage(key, initialValue) {
         opponent_team_elo: elo.opponent_team_elo || null,
         match_count: elo.match_count || null,
         confidence: elo.confidence || null,
+        rating_engine: elo.rating_engine || 'elo',
+        rating_deviation: elo.rating_deviation || null, // Glicko-2 deviation after the change
+        rating_state_before: elo.rating_state_before || null, // Restored when the match is corrected
         created_at: elo.created_at ? new Date(elo.created_at) : new Date()
       };
 
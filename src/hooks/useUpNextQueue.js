@@ -0,0 +1,184 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  UP_NEXT_DEFAULTS,
+  getUpNextPlayerIds,
+  getUpNextPoolKey,
+  planUpNextMatches,
+  moveUpNextMatch,
+  swapUpNextPlayer,
+  discardUpNextMatch
+} from '../utils/upNextQueue';
+import { fitsCourtMatchType, getCourtMatchType } from '../utils/playerCategories';
+import { getCourtSkillBand, isInSkillBand } from '../utils/skillBands';
+import { buildMatchingConfig } from '../utils/smartMatching';
+
+/**
+ * Custom hook for the session's "Up next" match queue
+ * Keeps the next few proposed matches in step with the available pool and lets free
+ * courts start the head of the queue, with one tap or automatically
+ */
+export function useUpNextQueue({
+  currentSession,
+  availablePool,
+  matches,
+  updateSession,
+  fillEmptyCourt,
+  isCompletingMatch,
+  paused = false // Scheduled formats fill the courts themselves
+}) {
+  // Courts we have started a match on but the database has not confirmed yet
+  const pendingCourtIds = useRef(new Set());
+
+  const upNext = useMemo(() => currentSession?.upNext || [], [currentSession?.upNext]);
+  const settings = useMemo(
+    () => ({ ...UP_NEXT_DEFAULTS, ...(currentSession?.upNextSettings || {}) }),
+    [currentSession?.upNextSettings]
+  );
+  const useSmartMatching = currentSession?.smartMatching?.enabled || false;
+  const constraints = useMemo(() => currentSession?.constraints || [], [currentSession?.constraints]);
+  const config = useMemo(() => buildMatchingConfig(currentSession?.smartMatching), [currentSession?.smartMatching]);
+  const poolKey = getUpNextPoolKey(availablePool, settings, useSmartMatching, constraints, config);
+
+  // Re-plan when players check in, leave or come off court
+  useEffect(() => {
+    if (!currentSession || currentSession.upNextPoolKey === poolKey) return;
+
+    const queue = planUpNextMatches(currentSession.upNext, availablePool, matches, {
+      size: settings.size,
+      useSmartMatching,
+      constraints,
+      config
+    });
+
+    console.log(`📋 Up next: ${queue.length} match(es) planned from ${availablePool.length} available players`);
+    updateSession({ upNext: queue, upNextPoolKey: poolKey });
+  }, [currentSession, poolKey, availablePool, matches, settings.size, useSmartMatching, constraints, config, updateSession]);
+
+  // Start the head of the queue on a free court
+  const startNextMatch = useCallback(async (courtId) => {
+    // Prefer the first queued match that fits the court's match type and skill band, else take the head
+    const courtType = getCourtMatchType(currentSession, courtId);
+    const skillBand = getCourtSkillBand(currentSession, courtId);
+    const now = Date.now();
+    const fitsBand = (match) => [match.team1.player1, match.team1.player2, match.team2.player1, match.team2.player2]
+      .every(player => !player || isInSkillBand(player, skillBand, now));
+    const fitsCourt = (match) => fitsCourtMatchType(match, courtType) && fitsBand(match);
+    const index = Math.max(0, upNext.findIndex(fitsCourt));
+    const nextMatch = upNext[index];
+    const rest = upNext.filter((_, i) => i !== index);
+
+    if (!nextMatch) {
+      return { success: false, message: 'No matches queued up next' };
+    }
+
+    const skillBandRelaxed = !fitsBand(nextMatch);
+    const courtRuleRelaxed = !fitsCourtMatchType(nextMatch, courtType);
+    if (skillBandRelaxed || courtRuleRelaxed) {
+      console.warn(`⚠️ No queued match fits the rules on court ${courtId + 1} - starting the head of the queue`);
+    }
+
+    const availableIds = new Set(availablePool.map(p => p.id));
+    if (!getUpNextPlayerIds(nextMatch).every(id => availableIds.has(id))) {
+      return { success: false, message: 'Some players in the next match are no longer available' };
+    }
+
+    pendingCourtIds.current.add(courtId);
+    updateSession({ upNext: rest });
+
+    const result = await fillEmptyCourt(courtId, nextMatch);
+
+    if (!result.success) {
+      // Put the match back where it was so nothing is lost
+      pendingCourtIds.current.delete(courtId);
+      updateSession({ upNext });
+      return result;
+    }
+
+    if (skillBandRelaxed) {
+      return { ...result, skillBandRelaxed, message: 'Court filled - no queued match fits its skill band' };
+    }
+    if (courtRuleRelaxed) {
+      return { ...result, courtRuleRelaxed, message: 'Court filled - no queued match fits its match type' };
+    }
+    return result;
+  }, [currentSession, upNext, availablePool, fillEmptyCourt, updateSession]);
+
+  // Release courts once the started match shows up on them
+  useEffect(() => {
+    (currentSession?.courtStates || []).forEach(court => {
+      if (court.isOccupied) {
+        pendingCourtIds.current.delete(court.id);
+      }
+    });
+  }, [currentSession?.courtStates]);
+
+  // Auto-fill free courts from the queue
+  useEffect(() => {
+    if (!settings.autoFill || paused || isCompletingMatch || upNext.length === 0) return;
+
+    const freeCourt = (currentSession?.courtStates || []).find(court =>
+      !court.isOccupied && !pendingCourtIds.current.has(court.id)
+    );
+
+    if (freeCourt) {
+      console.log(`⏭️ Auto-starting next match on court ${freeCourt.id + 1}`);
+      startNextMatch(freeCourt.id);
+    }
+  }, [settings.autoFill, paused, isCompletingMatch, upNext, currentSession?.courtStates, startNextMatch]);
+
+  const updateUpNextSettings = useCallback((updates) => {
+    updateSession({ upNextSettings: { ...settings, ...updates } });
+    return { success: true, message: 'Up next settings updated' };
+  }, [settings, updateSession]);
+
+  const moveMatch = useCallback((matchId, offset) => {
+    updateSession({ upNext: moveUpNextMatch(upNext, matchId, offset) });
+    return { success: true, message: 'Queue reordered' };
+  }, [upNext, updateSession]);
+
+  const swapPlayer = useCallback((matchId, playerId, replacement) => {
+    updateSession({ upNext: swapUpNextPlayer(upNext, matchId, playerId, replacement) });
+    return { success: true, message: `${replacement.name} swapped in` };
+  }, [upNext, updateSession]);
+
+  const discardMatch = useCallback((matchId) => {
+    // Top the queue back up without re-planning the matches that are left
+    const remaining = discardUpNextMatch(upNext, matchId);
+    const queue = planUpNextMatches(remaining, availablePool, matches, {
+      size: settings.size,
+      useSmartMatching,
+      constraints,
+      config,
+      keepAll: true
+    });
+    updateSession({ upNext: queue });
+    return { success: true, message: 'Match discarded' };
+  }, [upNext, availablePool, matches, settings.size, useSmartMatching, constraints, config, updateSession]);
+
+  const regenerate = useCallback(() => {
+    const queue = planUpNextMatches([], availablePool, matches, {
+      size: settings.size,
+      useSmartMatching,
+      constraints,
+      config
+    });
+    updateSession({ upNext: queue, upNextPoolKey: poolKey });
+    return { success: true, message: 'Up next queue regenerated' };
+  }, [availablePool, matches, settings.size, useSmartMatching, constraints, config, poolKey, updateSession]);
+
+  // Players available but not in any proposed match
+  const queuedIds = new Set(upNext.flatMap(getUpNextPlayerIds));
+  const benchPlayers = availablePool.filter(p => !queuedIds.has(p.id));
+
+  return {
+    upNext,
+    upNextSettings: settings,
+    benchPlayers,
+    startNextMatch,
+    updateUpNextSettings,
+    moveMatch,
+    swapPlayer,
+    discardMatch,
+    regenerate
+  };
+}
@@ -15,11 +15,20 @@ export const PlayerModel = {
   current_elo: 'integer',
   highest_elo: 'integer',
   lowest_elo: 'integer',
+  singles_elo: 'integer', // Separate singles rating, null until the first singles match
+  singles_matches: 'integer',
+  rating_deviation: 'real', // Glicko-2 uncertainty of the doubles rating, null under ELO
+  rating_volatility: 'real',
+  rated_at: 'timestamp',
+  singles_rating_deviation: 'real',
+  singles_rating_volatility: 'real',
+  singles_rated_at: 'timestamp',
   
   // Metadata
   is_active: 'boolean',
   last_match_at: 'timestamp',
-  avatar_url: 'text' // Optional for future profile pictures
+  avatar_url: 'text', // Optional for future profile pictures
+  category: 'text' // Optional 'male' | 'female', used by mixed and level doubles courts
 };
 
 // Sessions table
@@ -61,7 +70,10 @@ export const SessionPlayerModel = {
   session_elo_peak: 'integer', // Highest ELO reached in session
   
   // Status
-  is_active_in_session: 'boolean'
+  is_active_in_session: 'boolean',
+  resting_until: 'timestamp', // End of a timed rest (null when not resting)
+  rest_started_at: 'timestamp', // When the current rest began
+  rest_rounds: 'integer' // Rounds to sit out from rest_started_at
 };
 
 // Matches table
@@ -74,22 +86,24 @@ export const MatchModel = {
   started_at: 'timestamp',
   completed_at: 'timestamp',
   cancelled_at: 'timestamp', // If match was cancelled
+  voided_at: 'timestamp', // If a completed match was voided - no winner or score
   
   // Teams
   team1_player1_id: 'uuid', // Foreign key to players
-  team1_player2_id: 'uuid',
+  team1_player2_id: 'uuid', // Null for singles
   team2_player1_id: 'uuid', 
-  team2_player2_id: 'uuid',
+  team2_player2_id: 'uuid', // Null for singles
   
   // Results
-  winning_team: 'integer', // 1 or 2, null if cancelled
+  winning_team: 'integer', // 1 or 2, null if cancelled or voided
   score_team1: 'integer', // Optional: actual game score
   score_team2: 'integer',
   
   // Match metadata
   match_duration_minutes: 'integer',
   match_type: 'text', // 'doubles', 'singles', etc.
-  notes: 'text' // Optional match notes
+  notes: 'text', // Optional match notes
+  matching_data: 'jsonb' // How the match was drawn: method, score, seed and replay snapshot
 };
 
 // ELO History table (track ELO changes over time)
@@ -107,6 +121,10 @@ export const EloHistoryModel = {
   // Context
   was_winner: 'boolean',
   opponent_elo: 'integer', // Average ELO of opponents
+  match_type: 'text', // 'doubles' or 'singles' - which rating changed
+  rating_engine: 'text', // 'elo' or 'glicko2'
+  rating_deviation: 'real', // Glicko-2 deviation after the change, null for ELO
+  rating_state_before: 'jsonb', // { confidence, deviation, volatility, ratedAt } before the change, restored by corrections
   created_at: 'timestamp'
 };
 
@@ -132,7 +150,7 @@ export const MatchEventModel = {
   match_id: 'uuid', // Foreign key to matches
   
   // Event details
-  event_type: 'text', // 'match_start', 'match_end', 'score_update', 'player_substitution'
+  event_type: 'text', // 'match_start', 'match_end', 'score_update', 'player_substitution', 'result_edited', 'result_voided'
   event_data: 'jsonb', // Flexible data storage for different event types
   created_at: 'timestamp',
   
@@ -165,6 +183,15 @@ export const SessionSettingsModel = {
   updated_at: 'timestamp'
 };
 
+// Club Settings table - a single row (id 1) shared by every session and device
+export const ClubSettingsModel = {
+  id: 'integer', // Always 1
+  rating_engine: 'text', // 'elo' or 'glicko2' - ratings are lifetime, so the whole club uses one engine
+  margin_of_victory: 'text', // 'off', 'linear' or 'logarithmic' - how the winning margin scales rating changes
+  created_at: 'timestamp',
+  updated_at: 'timestamp'
+};
+
 // Database relationships and constraints
 export const DatabaseSchema = {
   relationships: {
@@ -182,7 +209,7 @@ export const DatabaseSchema = {
     // Constraints
     'unique_session_player': ['session_id', 'player_id'], // Player can only be in session once
     'unique_court_per_session': ['session_id', 'court_number'], // Court numbers unique per session
-    'match_team_validation': 'team1_player1_id != team1_player2_id', // No duplicate players
+    'match_team_validation': 'no player appears twice; singles leave both second slots null',
   },
   
   indexes: {
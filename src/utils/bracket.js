@@ -0,0 +1,285 @@
+// Elimination Brackets for Badminton Pairing
+// Single- and double-elimination knockouts for fixed teams, seeded by rating
+
+import { sortPlayersByELO } from './helpers';
+
+export const BYE = 'BYE';
+
+export const BRACKET_TYPES = {
+  SINGLE: 'single',
+  DOUBLE: 'double'
+};
+
+/**
+ * Order fixed teams by the average rating of their players, strongest first
+ * Teams are rated through sortPlayersByELO so seeding matches the rest of the app
+ */
+export function seedTeams(teams, playersById, useSessionElo = false) {
+  const rated = teams.map(team => {
+    const players = team.playerIds.map(id => playersById.get(id)).filter(Boolean);
+    const average = (key) => players.reduce((sum, p) => sum + (p[key] || 0), 0) / (players.length || 1);
+
+    return {
+      id: team.id,
+      team,
+      elo: average('elo'),
+      sessionElo: average('sessionElo'),
+      wins: average('wins'),
+      losses: average('losses'),
+      sessionWins: average('sessionWins'),
+      sessionLosses: average('sessionLosses')
+    };
+  });
+
+  return sortPlayersByELO(rated, useSessionElo).map(entry => entry.team);
+}
+
+/**
+ * Standard bracket order for seeds, so the top seeds can only meet in the late rounds
+ * e.g. size 8 gives [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function getSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+const matchId = (bracketName, round, index) => `${bracketName}${round}-${index + 1}`;
+
+/**
+ * Generate an elimination bracket for seeded teams (strongest first)
+ * The field is padded to a power of two with byes for the top seeds. In double elimination
+ * losers drop into a losers bracket and its winner meets the winners-bracket champion in the
+ * grand final, which is replayed once if the losers-bracket team wins it.
+ */
+export function generateBracket(seededTeams, type = BRACKET_TYPES.SINGLE) {
+  const teamCount = seededTeams.length;
+  if (teamCount < 2) return null;
+
+  const rounds = Math.ceil(Math.log2(teamCount));
+  const size = 2 ** rounds;
+  const isDouble = type === BRACKET_TYPES.DOUBLE && teamCount > 2;
+  const matches = {};
+
+  const addMatch = (id, bracketName, round, index) => {
+    matches[id] = {
+      id,
+      bracket: bracketName,
+      round,
+      index,
+      team1Id: null,
+      team2Id: null,
+      winnerId: null,
+      loserId: null,
+      courtId: null,
+      nextWinner: null,
+      nextLoser: null
+    };
+    return matches[id];
+  };
+
+  // Winners bracket
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / 2 ** round;
+    for (let index = 0; index < count; index++) {
+      const match = addMatch(matchId('W', round, index), 'winners', round, index);
+      if (round < rounds) {
+        match.nextWinner = { matchId: matchId('W', round + 1, Math.floor(index / 2)), slot: index % 2 === 0 ? 'team1Id' : 'team2Id' };
+      }
+    }
+  }
+
+  // Seed the first round - positions past the field are byes
+  const seedOrder = getSeedOrder(size);
+  for (let index = 0; index < size / 2; index++) {
+    const match = matches[matchId('W', 1, index)];
+    const seedTeam = (seed) => (seed <= teamCount ? seededTeams[seed - 1].id : BYE);
+    match.team1Id = seedTeam(seedOrder[index * 2]);
+    match.team2Id = seedTeam(seedOrder[index * 2 + 1]);
+  }
+
+  if (isDouble) {
+    // Losers bracket: odd rounds pair up the survivors, even rounds take the winners-bracket drop-ins
+    const loserRounds = 2 * (rounds - 1);
+
+    for (let round = 1; round <= loserRounds; round++) {
+      const count = size / 2 ** (Math.floor((round + 1) / 2) + 1);
+      for (let index = 0; index < count; index++) {
+        const match = addMatch(matchId('L', round, index), 'losers', round, index);
+        if (round < loserRounds) {
+          const next = round % 2 === 1
+            ? { matchId: matchId('L', round + 1, index), slot: 'team1Id' }
+            : { matchId: matchId('L', round + 1, Math.floor(index / 2)), slot: index % 2 === 0 ? 'team1Id' : 'team2Id' };
+          match.nextWinner = next;
+        } else {
+          match.nextWinner = { matchId: 'GF', slot: 'team2Id' };
+        }
+      }
+    }
+
+    // Winners-bracket losers drop into the losers bracket
+    for (let round = 1; round <= rounds; round++) {
+      const count = size / 2 ** round;
+      for (let index = 0; index < count; index++) {
+        const match = matches[matchId('W', round, index)];
+        if (round === 1) {
+          match.nextLoser = { matchId: matchId('L', 1, Math.floor(index / 2)), slot: index % 2 === 0 ? 'team1Id' : 'team2Id' };
+        } else {
+          // Drop-ins are crossed over so teams do not meet the same opponents straight away
+          match.nextLoser = { matchId: matchId('L', 2 * (round - 1), count - 1 - index), slot: 'team2Id' };
+        }
+      }
+    }
+
+    matches[matchId('W', rounds, 0)].nextWinner = { matchId: 'GF', slot: 'team1Id' };
+    addMatch('GF', 'final', 1, 0);
+    addMatch('GF2', 'final', 2, 0);
+  }
+
+  return resolveByes({
+    type: isDouble ? BRACKET_TYPES.DOUBLE : BRACKET_TYPES.SINGLE,
+    size,
+    rounds,
+    matches,
+    championId: null
+  });
+}
+
+const sendTo = (matches, target, teamId) => {
+  if (!target) return;
+  matches[target.matchId] = { ...matches[target.matchId], [target.slot]: teamId };
+};
+
+/**
+ * Record a finished bracket match and move both teams on
+ */
+function settleMatch(bracket, id, winnerId, loserId) {
+  const matches = { ...bracket.matches };
+  const match = { ...matches[id], winnerId, loserId, courtId: null };
+  matches[id] = match;
+  let championId = bracket.championId;
+
+  if (id === 'GF') {
+    if (winnerId === match.team1Id) {
+      championId = winnerId;
+    } else {
+      // The losers-bracket team has beaten the unbeaten team once - play it again
+      matches.GF2 = { ...matches.GF2, team1Id: match.team1Id, team2Id: match.team2Id };
+    }
+  } else if (id === 'GF2' || !match.nextWinner) {
+    championId = winnerId;
+  } else {
+    sendTo(matches, match.nextWinner, winnerId);
+  }
+
+  sendTo(matches, match.nextLoser, loserId);
+
+  return { ...bracket, matches, championId };
+}
+
+/**
+ * Walk teams through byes until every remaining match needs to be played
+ */
+function resolveByes(bracket) {
+  let current = bracket;
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const match of Object.values(current.matches)) {
+      if (match.winnerId || !match.team1Id || !match.team2Id) continue;
+      if (match.team1Id !== BYE && match.team2Id !== BYE) continue;
+
+      const winnerId = match.team1Id === BYE ? match.team2Id : match.team1Id;
+      current = settleMatch(current, match.id, winnerId, BYE);
+      changed = true;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Matches that have both teams and are waiting for a court, earliest rounds first
+ */
+export function getReadyBracketMatches(bracket) {
+  if (!bracket || bracket.championId) return [];
+
+  const bracketOrder = { winners: 0, losers: 1, final: 2 };
+  return Object.values(bracket.matches)
+    .filter(match =>
+      match.team1Id && match.team2Id &&
+      match.team1Id !== BYE && match.team2Id !== BYE &&
+      !match.winnerId && match.courtId === null)
+    .sort((a, b) => (a.round - b.round) || (bracketOrder[a.bracket] - bracketOrder[b.bracket]) || (a.index - b.index));
+}
+
+/**
+ * Next bracket match whose four players are all off court
+ */
+export function getNextBracketMatch(bracket, teams, availablePlayerIds) {
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  const available = new Set(availablePlayerIds);
+
+  for (const match of getReadyBracketMatches(bracket)) {
+    const team1 = teamsById.get(match.team1Id)?.playerIds || [];
+    const team2 = teamsById.get(match.team2Id)?.playerIds || [];
+    if (team1.length === 2 && team2.length === 2 && [...team1, ...team2].every(id => available.has(id))) {
+      return { match: { id: match.id, team1, team2 }, round: match.round };
+    }
+  }
+  return null;
+}
+
+/**
+ * Mark a bracket match as being played on a court (or back to waiting with courtId null)
+ */
+export function setBracketMatchCourt(bracket, id, courtId) {
+  return {
+    ...bracket,
+    matches: { ...bracket.matches, [id]: { ...bracket.matches[id], courtId } }
+  };
+}
+
+/**
+ * Bracket match currently being played on a court
+ */
+export function getBracketMatchOnCourt(bracket, courtId) {
+  if (!bracket) return null;
+  return Object.values(bracket.matches).find(match => match.courtId === courtId && !match.winnerId) || null;
+}
+
+/**
+ * Record the result of a bracket match and advance the winner (and the loser in double elimination)
+ */
+export function recordBracketResult(bracket, id, winnerId) {
+  const match = bracket.matches[id];
+  if (!match || match.winnerId) return bracket;
+
+  const loserId = winnerId === match.team1Id ? match.team2Id : match.team1Id;
+  return resolveByes(settleMatch(bracket, id, winnerId, loserId));
+}
+
+/**
+ * Apply the result of the match on a court to the bracket
+ * The winning side of the court match is matched to its team by player, and a cancelled
+ * match goes back to waiting for a court.
+ */
+export function recordCourtResult(bracket, teams, courtId, courtMatch, winner) {
+  const bracketMatch = getBracketMatchOnCourt(bracket, courtId);
+  if (!bracketMatch) return bracket;
+
+  if (winner === 'cancelled') {
+    return setBracketMatchCourt(bracket, bracketMatch.id, null);
+  }
+
+  const winningPlayerId = (winner === 'team1' ? courtMatch.team1 : courtMatch.team2).player1.id;
+  const team1 = teams.find(team => team.id === bracketMatch.team1Id);
+  const winnerId = team1?.playerIds.includes(winningPlayerId) ? bracketMatch.team1Id : bracketMatch.team2Id;
+
+  console.log(`🏆 Bracket: ${bracketMatch.id} won by team ${winnerId}`);
+  return recordBracketResult(bracket, bracketMatch.id, winnerId);
+}
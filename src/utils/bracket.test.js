@@ -0,0 +1,152 @@
+import {
+  BYE,
+  BRACKET_TYPES,
+  seedTeams,
+  generateBracket,
+  getReadyBracketMatches,
+  getNextBracketMatch,
+  setBracketMatchCourt,
+  recordBracketResult,
+  recordCourtResult
+} from './bracket';
+
+const makeTeams = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `t${index + 1}`,
+  name: `Team ${index + 1}`,
+  playerIds: [`p${index * 2 + 1}`, `p${index * 2 + 2}`]
+}));
+
+// Play every ready match, letting the lower-numbered (higher seeded) team win unless overridden
+const playOut = (bracket, pickWinner = (match) => [match.team1Id, match.team2Id].sort()[0]) => {
+  let current = bracket;
+  let guard = 0;
+  while (!current.championId && guard++ < 100) {
+    const [match] = getReadyBracketMatches(current);
+    if (!match) break;
+    current = recordBracketResult(current, match.id, pickWinner(match));
+  }
+  return current;
+};
+
+describe('Elimination Brackets', () => {
+  describe('seedTeams', () => {
+    const teams = makeTeams(3);
+    const playersById = new Map([
+      ['p1', { id: 'p1', elo: 1000, sessionElo: 1300 }],
+      ['p2', { id: 'p2', elo: 1000, sessionElo: 1300 }],
+      ['p3', { id: 'p3', elo: 1400, sessionElo: 1100 }],
+      ['p4', { id: 'p4', elo: 1200, sessionElo: 1100 }],
+      ['p5', { id: 'p5', elo: 1100, sessionElo: 1200 }],
+      ['p6', { id: 'p6', elo: 1100, sessionElo: 1200 }]
+    ]);
+
+    test('should seed by the average overall ELO of each team', () => {
+      expect(seedTeams(teams, playersById).map(team => team.id)).toEqual(['t2', 't3', 't1']);
+    });
+
+    test('should seed by session ELO when asked', () => {
+      expect(seedTeams(teams, playersById, true).map(team => team.id)).toEqual(['t1', 't3', 't2']);
+    });
+  });
+
+  describe('generateBracket', () => {
+    test('should keep the top two seeds apart until the final', () => {
+      const bracket = generateBracket(makeTeams(8));
+      const firstRound = Object.values(bracket.matches).filter(match => match.round === 1);
+
+      expect(firstRound).toHaveLength(4);
+      expect(bracket.matches['W1-1']).toMatchObject({ team1Id: 't1', team2Id: 't8' });
+      expect(bracket.matches['W1-3']).toMatchObject({ team1Id: 't2', team2Id: 't7' });
+    });
+
+    test('should give byes to the top seeds and move them on straight away', () => {
+      const bracket = generateBracket(makeTeams(5));
+
+      expect(bracket.size).toBe(8);
+      expect(bracket.matches['W1-1']).toMatchObject({ team1Id: 't1', team2Id: BYE, winnerId: 't1' });
+      expect(bracket.matches['W1-2']).toMatchObject({ team1Id: 't4', team2Id: 't5', winnerId: null });
+      expect(bracket.matches['W2-1']).toMatchObject({ team1Id: 't1', team2Id: null });
+      expect(bracket.matches['W2-2']).toMatchObject({ team1Id: 't2', team2Id: 't3' });
+      expect(getReadyBracketMatches(bracket).map(match => match.id)).toEqual(['W1-2', 'W2-2']);
+    });
+
+    test('should not build a bracket for fewer than two teams', () => {
+      expect(generateBracket(makeTeams(1))).toBeNull();
+    });
+  });
+
+  describe('single elimination', () => {
+    test.each([2, 3, 5, 8])('should crown a champion from %i teams after teams - 1 matches', (teamCount) => {
+      const bracket = playOut(generateBracket(makeTeams(teamCount)));
+      const played = Object.values(bracket.matches).filter(match => match.winnerId && match.loserId !== BYE);
+
+      expect(bracket.championId).toBe('t1');
+      expect(played).toHaveLength(teamCount - 1);
+    });
+  });
+
+  describe('double elimination', () => {
+    test('should give every team but the champion two losses', () => {
+      const teams = makeTeams(6);
+      const bracket = playOut(generateBracket(teams, BRACKET_TYPES.DOUBLE));
+      const played = Object.values(bracket.matches).filter(match => match.winnerId && match.loserId !== BYE);
+      const losses = played.reduce((acc, match) => ({ ...acc, [match.loserId]: (acc[match.loserId] || 0) + 1 }), {});
+
+      expect(bracket.type).toBe(BRACKET_TYPES.DOUBLE);
+      expect(bracket.championId).toBe('t1');
+      teams.filter(team => team.id !== 't1').forEach(team => {
+        expect(losses[team.id]).toBe(2);
+      });
+    });
+
+    test('should send the loser of a winners-bracket match into the losers bracket', () => {
+      const bracket = recordBracketResult(generateBracket(makeTeams(4), BRACKET_TYPES.DOUBLE), 'W1-1', 't1');
+
+      expect(bracket.matches['L1-1'].team1Id).toBe('t4');
+    });
+
+    test('should replay the grand final when the losers-bracket team wins it', () => {
+      // t1 wins the winners bracket, then loses the first grand final to t2
+      const bracket = playOut(generateBracket(makeTeams(4), BRACKET_TYPES.DOUBLE), (match) =>
+        (match.id === 'GF' ? match.team2Id : [match.team1Id, match.team2Id].sort()[0]));
+
+      expect(bracket.matches.GF).toMatchObject({ team1Id: 't1', team2Id: 't2', winnerId: 't2' });
+      expect(bracket.matches.GF2).toMatchObject({ team1Id: 't1', team2Id: 't2', winnerId: 't1' });
+      expect(bracket.championId).toBe('t1');
+    });
+  });
+
+  describe('court integration', () => {
+    const teams = makeTeams(4);
+    const toCourtMatch = (match) => ({
+      team1: { player1: { id: match.team1[0] }, player2: { id: match.team1[1] } },
+      team2: { player1: { id: match.team2[0] }, player2: { id: match.team2[1] } }
+    });
+
+    test('should only offer matches whose players are all off court', () => {
+      const bracket = generateBracket(teams);
+      const available = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6'];
+
+      expect(getNextBracketMatch(bracket, teams, available).match.id).toBe('W1-2');
+    });
+
+    test('should advance the winning team from the court result', () => {
+      const bracket = generateBracket(teams);
+      const { match } = getNextBracketMatch(bracket, teams, teams.flatMap(team => team.playerIds));
+      const onCourt = setBracketMatchCourt(bracket, match.id, 0);
+
+      const updated = recordCourtResult(onCourt, teams, 0, toCourtMatch(match), 'team2');
+
+      expect(updated.matches[match.id]).toMatchObject({ winnerId: 't4', courtId: null });
+      expect(updated.matches['W2-1'].team1Id).toBe('t4');
+    });
+
+    test('should put a cancelled match back in the queue', () => {
+      const bracket = setBracketMatchCourt(generateBracket(teams), 'W1-1', 1);
+      const updated = recordCourtResult(bracket, teams, 1, null, 'cancelled');
+
+      expect(updated.matches['W1-1']).toMatchObject({ winnerId: null, courtId: null });
+      expect(getReadyBracketMatches(updated).map(match => match.id)).toContain('W1-1');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// Late Arrival Catch-up for Badminton Pairing
+// A player who joins late has far fewer session matches than everyone else, so counting raw
+// matches would give them nearly every court until they caught up. A catch-up policy turns
+// each player's count into a fair-play count that allows for the time they have been present
+// (from joinedAt, the session player's joined_at).
+
+export const CATCH_UP_POLICIES = {
+  PLAY_RATE: 'play-rate',
+  CAPPED: 'capped',
+  NONE: 'none'
+};
+
+export const CATCH_UP_POLICY_OPTIONS = [
+  {
+    value: CATCH_UP_POLICIES.PLAY_RATE,
+    label: 'Play rate',
+    description: 'Compare matches per minute present - a late arrival who has kept pace waits like everyone else'
+  },
+  {
+    value: CATCH_UP_POLICIES.CAPPED,
+    label: 'Capped boost',
+    description: 'Late arrivals get priority for a few matches, then rotate normally'
+  },
+  {
+    value: CATCH_UP_POLICIES.NONE,
+    label: 'No boost',
+    description: 'Late arrivals join the rotation as if they had played as much as everyone else'
+  }
+];
+
+// Presence shorter than this counts as this long, so one early match doesn't look like a huge play rate
+const MIN_PRESENCE_MS = 15 * 60000;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Time a player has been in the session, or null when their join time is unknown
+ */
+function getPresenceMs(player, now) {
+  if (!player.joinedAt) return null;
+  const joinedAt = new Date(player.joinedAt).getTime();
+  if (Number.isNaN(joinedAt)) return null;
+  return Math.max(MIN_PRESENCE_MS, now - joinedAt);
+}
+
+/**
+ * Fair-play count for every player in a pool, in matches, keyed by player id
+ * Players are measured against whoever has been present longest: play-rate scales each count
+ * up to that presence; capped and none add the matches a late arrival missed (at the pool's
+ * typical play rate), less `cap` matches for capped. Players with no join time, and everyone
+ * when nobody has one, keep their raw session match count.
+ * config carries CATCH_UP_POLICY and CATCH_UP_CAP (see buildMatchingConfig)
+ */
+export function getFairPlayCounts(players, config = {}, now = Date.now()) {
+  const policy = config.CATCH_UP_POLICY || CATCH_UP_POLICIES.CAPPED;
+  const cap = config.CATCH_UP_CAP ?? 2;
+  const raw = (player) => player.sessionMatchCount || 0;
+
+  const presences = new Map(players.map(p => [p.id, getPresenceMs(p, now)]));
+  const known = [...presences.values()].filter(presence => presence !== null);
+  if (known.length === 0) {
+    return new Map(players.map(p => [p.id, raw(p)]));
+  }
+
+  const longest = Math.max(...known);
+  const presenceOf = (player) => presences.get(player.id) ?? longest;
+  const typicalRate = median(players.map(p => raw(p) / presenceOf(p)));
+
+  return new Map(players.map(player => {
+    const presence = presenceOf(player);
+    if (policy === CATCH_UP_POLICIES.PLAY_RATE) {
+      return [player.id, raw(player) * (longest / presence)];
+    }
+
+    const missed = typicalRate * (longest - presence);
+    const credited = policy === CATCH_UP_POLICIES.NONE ? missed : Math.max(0, missed - cap);
+    return [player.id, raw(player) + credited];
+  }));
+}
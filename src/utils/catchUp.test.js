@@ -0,0 +1,70 @@
+import { CATCH_UP_POLICIES, getFairPlayCounts } from './catchUp';
+import { SMART_MATCHING_CONFIG, buildMatchingConfig, generateSmartMatch } from './smartMatching';
+
+const NOW = Date.UTC(2024, 0, 1, 21, 0, 0);
+const hoursAgo = (hours) => new Date(NOW - hours * 3600000).toISOString();
+
+// Three hours in, the regulars have played 8 each; the late arrival joined 30 minutes ago
+const makeSession = (lateMatches = 0) => [
+  ...Array.from({ length: 6 }, (_, index) => ({
+    id: `r${index + 1}`,
+    name: `Regular ${index + 1}`,
+    elo: 1200,
+    sessionMatchCount: 8,
+    joinedAt: hoursAgo(3)
+  })),
+  { id: 'late', name: 'Late Arrival', elo: 1200, sessionMatchCount: lateMatches, joinedAt: hoursAgo(0.5) }
+];
+
+const countsFor = (policy, players, cap) => getFairPlayCounts(players, buildMatchingConfig({ catchUpPolicy: policy, catchUpCap: cap }), NOW);
+
+describe('Late arrival catch-up', () => {
+  test('should default to a capped boost of two matches', () => {
+    expect(SMART_MATCHING_CONFIG.CATCH_UP_POLICY).toBe(CATCH_UP_POLICIES.CAPPED);
+    expect(buildMatchingConfig({ catchUpPolicy: 'unknown' }).CATCH_UP_POLICY).toBe(CATCH_UP_POLICIES.CAPPED);
+    expect(buildMatchingConfig({}).CATCH_UP_CAP).toBe(2);
+  });
+
+  test('should keep raw counts when nobody has a join time', () => {
+    const players = makeSession().map(({ joinedAt, ...player }) => player);
+    const counts = countsFor(CATCH_UP_POLICIES.PLAY_RATE, players);
+
+    expect(counts.get('r1')).toBe(8);
+    expect(counts.get('late')).toBe(0);
+  });
+
+  test('should compare play rates per minute present', () => {
+    const counts = countsFor(CATCH_UP_POLICIES.PLAY_RATE, makeSession(2));
+
+    expect(counts.get('r1')).toBe(8);
+    // Two matches in half an hour is ahead of eight in three hours
+    expect(counts.get('late')).toBe(12);
+  });
+
+  test('should cap the boost a late arrival gets', () => {
+    const counts = countsFor(CATCH_UP_POLICIES.CAPPED, makeSession(), 2);
+
+    expect(counts.get('r1')).toBe(8);
+    // Missed 2.5 hours at the regulars' rate (about 6.7 matches), two of them still owed
+    expect(counts.get('late')).toBeCloseTo(8 * 2.5 / 3 - 2);
+  });
+
+  test('should give no boost under the none policy', () => {
+    const counts = countsFor(CATCH_UP_POLICIES.NONE, makeSession(1));
+
+    expect(counts.get('late')).toBeCloseTo(1 + 8 * 2.5 / 3);
+  });
+
+  test('should decide whether the late arrival jumps the queue', () => {
+    // Two matches in half an hour: level with the regulars once the missed time is credited
+    const players = makeSession(2);
+    const pickedIds = (policy) => generateSmartMatch(players, [], true, false, {
+      config: buildMatchingConfig({ catchUpPolicy: policy }),
+      now: NOW,
+      seed: 1
+    }).players.map(p => p.id);
+
+    expect(pickedIds(CATCH_UP_POLICIES.NONE)).not.toContain('late');
+    expect(pickedIds(CATCH_UP_POLICIES.CAPPED)).toContain('late');
+  });
+});
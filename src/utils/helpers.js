@@ -4,10 +4,11 @@ export function generateId() {
 }
 
 // Shuffle array using Fisher-Yates algorithm
-export function shuffleArray(array) {
+// Pass a seeded random (see createRandom) to make the shuffle reproducible
+export function shuffleArray(array, random = Math.random) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -56,10 +57,9 @@ export function calculateExpectedScore(playerELO, opponentELO) {
  * Calculate team ELO for doubles matches
  * @param {number} player1ELO - First player's ELO
  * @param {number} player2ELO - Second player's ELO
- * @returns {number} Team ELO (weighted average)
+ * @returns {number} Team ELO (average - partner strength is weighed when the change is split, see calculateDoublesELOChanges)
  */
 export function calculateTeamELO(player1ELO, player2ELO) {
-  // Simple average for now, could be weighted based on matches played
   return Math.round((player1ELO + player2ELO) / 2);
 }
 
@@ -97,14 +97,15 @@ export function calculateKFactor(matchCount, confidence = 1.0) {
  * @param {boolean} params.isWin - Whether the player won
  * @param {number} params.matchCount - Player's total match count
  * @param {number} params.confidence - Player's confidence rating (optional)
+ * @param {number} params.marginMultiplier - Scales the change by the winning margin (optional, see marginOfVictory.js)
  * @returns {Object} {newELO, eloChange, expectedScore}
  */
-export function calculateELOChange({ playerELO, opponentELO, isWin, matchCount, confidence = 1.0 }) {
+export function calculateELOChange({ playerELO, opponentELO, isWin, matchCount, confidence = 1.0, marginMultiplier = 1 }) {
   const expectedScore = calculateExpectedScore(playerELO, opponentELO);
   const actualScore = isWin ? 1 : 0;
   const kFactor = calculateKFactor(matchCount, confidence);
   
-  const eloChange = Math.round(kFactor * (actualScore - expectedScore));
+  const eloChange = Math.round(kFactor * marginMultiplier * (actualScore - expectedScore));
   const newELO = Math.max(ELO_CONFIG.MIN_ELO, Math.min(ELO_CONFIG.MAX_ELO, playerELO + eloChange));
   
   return {
@@ -115,6 +116,43 @@ export function calculateELOChange({ playerELO, opponentELO, isWin, matchCount,
   };
 }
 
+/**
+ * Calculate ELO changes for a doubles team, rated team against team
+ * The team's expected score comes from its average against the opponents' average. The team's
+ * change (the partners' K-factors combined) is split between the partners by rating and experience:
+ * the stronger partner takes more of a win and the weaker partner more of a loss, and a less
+ * experienced partner (higher K-factor) moves further. Equal partners each get the change
+ * calculateELOChange would give them.
+ * @param {Object} params - Match parameters
+ * @param {Array<Object>} params.team - Both partners as { playerELO, matchCount, confidence }
+ * @param {number} params.opponentELO - Opponent team's ELO
+ * @param {boolean} params.isWin - Whether the team won
+ * @param {number} params.marginMultiplier - Scales the change by the winning margin (optional, see marginOfVictory.js)
+ * @returns {Array<Object>} [{newELO, eloChange, expectedScore, kFactor}] in the order of team
+ */
+export function calculateDoublesELOChanges({ team, opponentELO, isWin, marginMultiplier = 1 }) {
+  const teamELO = calculateTeamELO(team[0].playerELO, team[1].playerELO);
+  const expectedScore = calculateExpectedScore(teamELO, opponentELO);
+  const actualScore = isWin ? 1 : 0;
+  const kFactors = team.map(partner => calculateKFactor(partner.matchCount, partner.confidence || 1.0));
+  const teamChange = kFactors.reduce((sum, k) => sum + k, 0) * marginMultiplier * (actualScore - expectedScore);
+
+  const totalELO = team.reduce((sum, partner) => sum + partner.playerELO, 0);
+  // Each partner's share of the team rating on a win, their partner's share on a loss
+  const weights = team.map((partner, index) => ((isWin ? partner : team[1 - index]).playerELO / totalELO) * kFactors[index]);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return team.map((partner, index) => {
+    const eloChange = Math.round(teamChange * weights[index] / totalWeight);
+    return {
+      newELO: Math.max(ELO_CONFIG.MIN_ELO, Math.min(ELO_CONFIG.MAX_ELO, partner.playerELO + eloChange)),
+      eloChange,
+      expectedScore: Math.round(expectedScore * 100) / 100,
+      kFactor: kFactors[index]
+    };
+  });
+}
+
 /**
  * Update player's confidence based on match activity and calibration period
  * New players start with lower confidence during calibration period
@@ -184,6 +222,22 @@ export function updateELO(currentELO, isWin, opponentELO = ELO_CONFIG.STARTING_E
   return result.newELO;
 }
 
+/**
+ * ELO tiers from highest to lowest - each tier starts at minElo
+ */
+export const ELO_TIERS = [
+  { name: 'Grandmaster', minElo: 2500, color: '#FFD700', icon: '👑' },
+  { name: 'Master', minElo: 2000, color: '#FF6B6B', icon: '🔥' },
+  { name: 'Elite', minElo: 1800, color: '#4ECDC4', icon: '⭐' },
+  { name: 'Expert', minElo: 1600, color: '#45B7D1', icon: '🎯' },
+  { name: 'Advanced', minElo: 1400, color: '#96CEB4', icon: '🌟' },
+  { name: 'Intermediate', minElo: 1200, color: '#F39C12', icon: '📈' },
+  { name: 'Beginner', minElo: 1000, color: '#F1B40F', icon: '🌱' },
+  { name: 'Novice', minElo: 500, color: '#E67E22', icon: '📚' },
+  { name: 'Child', minElo: 200, color: '#DDA0DD', icon: '🥚' },
+  { name: 'Unrated', minElo: -Infinity, color: '#95A5A6', icon: '❓' }
+];
+
 /**
  * Get ELO tier/rank name based on ELO score
  * Updated for new ELO system (starting at 1200)
@@ -199,16 +253,8 @@ export function getELOTier(elo, player = null) {
     }
   }
   
-  if (elo >= 2500) return { name: 'Grandmaster', color: '#FFD700', icon: '👑' };
-  if (elo >= 2000) return { name: 'Master', color: '#FF6B6B', icon: '🔥' };
-  if (elo >= 1800) return { name: 'Elite', color: '#4ECDC4', icon: '⭐' };
-  if (elo >= 1600) return { name: 'Expert', color: '#45B7D1', icon: '🎯' };
-  if (elo >= 1400) return { name: 'Advanced', color: '#96CEB4', icon: '🌟' };
-  if (elo >= 1200) return { name: 'Intermediate', color: '#F39C12', icon: '📈' };
-  if (elo >= 1000) return { name: 'Beginner', color: '#F1B40F', icon: '🌱' };
-  if (elo >= 500) return { name: 'Novice', color: '#E67E22', icon: '📚' };
-  if (elo >= 200) return { name: 'Child', color: '#DDA0DD', icon: '🥚' };
-  return { name: 'Unrated', color: '#95A5A6', icon: '❓' };
+  const { name, color, icon } = ELO_TIERS.find(tier => elo >= tier.minElo) || ELO_TIERS[ELO_TIERS.length - 1];
+  return { name, color, icon };
 }
 
 /**
@@ -385,8 +431,7 @@ export function createNewSession(name) {
     smartMatching: {
       enabled: false, // Start with smart matching disabled
       eloRange: 500,  // Maximum ELO difference for matching
-      teamBalance: 250, // Maximum team ELO difference
-      varietyWeight: 0.2 // How much to weight partnership variety
+      teamBalance: 250 // Maximum team ELO difference
     }
   };
 }
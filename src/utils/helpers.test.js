@@ -5,6 +5,7 @@ import {
   calculateInitialELO, 
   updateELO, 
   calculateELOChange,
+  calculateDoublesELOChanges,
   calculateTeamELO,
   calculateExpectedScore,
   calculateKFactor,
@@ -14,6 +15,7 @@ import {
   sortPlayersByWins,
   ELO_CONFIG
 } from './helpers';
+import { createRandom } from './random';
 
 describe('Helper Functions', () => {
   describe('generateId', () => {
@@ -67,6 +69,12 @@ describe('Helper Functions', () => {
       
       expect(original).toEqual(originalCopy);
     });
+
+    test('should repeat a shuffle for the same seed', () => {
+      const original = [1, 2, 3, 4, 5, 6, 7, 8];
+
+      expect(shuffleArray(original, createRandom(7))).toEqual(shuffleArray(original, createRandom(7)));
+    });
   });
 
   describe('getTimeAgo', () => {
@@ -233,6 +241,79 @@ describe('Helper Functions', () => {
       });
     });
 
+    describe('calculateDoublesELOChanges', () => {
+      const partner = (playerELO, matchCount = 50) => ({ playerELO, matchCount, confidence: 1.0 });
+
+      test('should match calculateELOChange for equal partners', () => {
+        const [first, second] = calculateDoublesELOChanges({
+          team: [partner(1300), partner(1300)],
+          opponentELO: 1200,
+          isWin: true
+        });
+        const single = calculateELOChange({ playerELO: 1300, opponentELO: 1200, isWin: true, matchCount: 50 });
+
+        expect(first).toEqual(single);
+        expect(second).toEqual(single);
+      });
+
+      test('should rate the team against the opponents, not each partner alone', () => {
+        const changes = calculateDoublesELOChanges({
+          team: [partner(1500), partner(1100)],
+          opponentELO: 1300,
+          isWin: true
+        });
+
+        // An even match-up team for team, however far apart the partners are
+        changes.forEach(change => expect(change.expectedScore).toBeCloseTo(0.5, 2));
+        expect(changes[0].eloChange + changes[1].eloChange).toBe(32);
+      });
+
+      test('should give the carried partner less of a win than the partner carrying them', () => {
+        const [strong, weak] = calculateDoublesELOChanges({
+          team: [partner(1500), partner(1100)],
+          opponentELO: 1300,
+          isWin: true
+        });
+        const weakAlone = calculateELOChange({ playerELO: 1100, opponentELO: 1300, isWin: true, matchCount: 50 });
+
+        expect(strong.eloChange).toBeGreaterThan(weak.eloChange);
+        expect(weak.eloChange).toBeLessThan(weakAlone.eloChange);
+        expect(strong.newELO).toBe(1500 + strong.eloChange);
+      });
+
+      test('should take less of a loss off the partner carrying a weaker one', () => {
+        const [strong, weak] = calculateDoublesELOChanges({
+          team: [partner(1500), partner(1100)],
+          opponentELO: 1300,
+          isWin: false
+        });
+
+        expect(strong.eloChange).toBeLessThan(0);
+        expect(strong.eloChange).toBeGreaterThan(weak.eloChange);
+        expect(strong.eloChange + weak.eloChange).toBe(-32);
+      });
+
+      test('should move a less experienced partner further', () => {
+        const [newcomer, veteran] = calculateDoublesELOChanges({
+          team: [partner(1200, 3), partner(1200, 150)],
+          opponentELO: 1200,
+          isWin: false
+        });
+
+        expect(newcomer.kFactor).toBeGreaterThan(veteran.kFactor);
+        expect(newcomer.eloChange).toBeLessThan(veteran.eloChange);
+        expect(veteran.eloChange).toBeLessThan(0);
+      });
+
+      test('should scale the team change by the winning margin', () => {
+        const plain = calculateDoublesELOChanges({ team: [partner(1250), partner(1150)], opponentELO: 1200, isWin: true });
+        const rout = calculateDoublesELOChanges({ team: [partner(1250), partner(1150)], opponentELO: 1200, isWin: true, marginMultiplier: 2 });
+
+        expect(rout[0].eloChange).toBeGreaterThan(plain[0].eloChange);
+        expect(rout[1].eloChange).toBeGreaterThan(plain[1].eloChange);
+      });
+    });
+
     describe('updateConfidence', () => {
       test('should use calibration confidence for new players', () => {
         // During calibration (first 10 matches), confidence should be lower but constrained by DB
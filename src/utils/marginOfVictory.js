@@ -0,0 +1,84 @@
+// Margin of Victory for Badminton Pairing
+// When a match's score is entered, the rating change can be scaled by how convincing the win
+// was: a 21-19 squeaker moves ratings less than a 21-3 rout. A typical margin (21-15) keeps
+// the plain win/loss change. Matches without a score always use the plain change.
+
+import { calculateExpectedScore } from './helpers';
+
+export const MARGIN_MODES = {
+  OFF: 'off',
+  LINEAR: 'linear',
+  LOGARITHMIC: 'logarithmic'
+};
+
+export const MARGIN_MODE_OPTIONS = [
+  {
+    value: MARGIN_MODES.OFF,
+    label: 'Off',
+    description: 'Only the winner counts - scores are recorded but do not change ratings'
+  },
+  {
+    value: MARGIN_MODES.LINEAR,
+    label: 'Linear',
+    description: 'Rating changes grow in step with the winning margin'
+  },
+  {
+    value: MARGIN_MODES.LOGARITHMIC,
+    label: 'Logarithmic',
+    description: 'Close games count for less, but each extra point of margin matters less and less'
+  }
+];
+
+export const MARGIN_CONFIG = {
+  POINTS_SCALE: 21,       // Margins are compared as if every game were played to 21
+  TYPICAL_MARGIN: 6,      // A 21-15 win keeps the plain rating change
+  MIN_MULTIPLIER: 0.5,
+  MAX_MULTIPLIER: 2
+};
+
+/**
+ * Whether a score is complete and has a winner
+ */
+export function isValidScore(score) {
+  return Boolean(score) &&
+    Number.isFinite(score.team1) && Number.isFinite(score.team2) &&
+    score.team1 >= 0 && score.team2 >= 0 && score.team1 !== score.team2;
+}
+
+/**
+ * Multiplier for a match's rating changes from its score ({ team1, team2 } points)
+ * Returns 1 when the mode is off or the score is missing or invalid
+ */
+export function getMarginMultiplier(score, mode = MARGIN_MODES.OFF) {
+  if (mode === MARGIN_MODES.OFF || !isValidScore(score)) return 1;
+
+  const winnerPoints = Math.max(score.team1, score.team2);
+  const margin = Math.abs(score.team1 - score.team2) * (MARGIN_CONFIG.POINTS_SCALE / winnerPoints);
+  const multiplier = mode === MARGIN_MODES.LOGARITHMIC
+    ? Math.log(1 + margin) / Math.log(1 + MARGIN_CONFIG.TYPICAL_MARGIN)
+    : margin / MARGIN_CONFIG.TYPICAL_MARGIN;
+
+  const clamped = Math.max(MARGIN_CONFIG.MIN_MULTIPLIER, Math.min(MARGIN_CONFIG.MAX_MULTIPLIER, multiplier));
+  return Math.round(clamped * 100) / 100;
+}
+
+/**
+ * Expected winning margin between two team ratings, as a rough guide for the match preview
+ * The favorite's edge in win chance is spread over a game to 21.
+ * Returns { favorite: 'team1' | 'team2' | null, points } - null when the teams are level
+ */
+export function getExpectedMargin(team1Rating, team2Rating) {
+  const team1Chance = calculateExpectedScore(team1Rating, team2Rating);
+  const points = Math.round(Math.abs(2 * team1Chance - 1) * MARGIN_CONFIG.POINTS_SCALE / 2);
+  if (points === 0) return { favorite: null, points: 0 };
+
+  return { favorite: team1Chance > 0.5 ? 'team1' : 'team2', points };
+}
+
+/**
+ * Short label for an expected margin (e.g. "Team 1 by ~4", "Even")
+ */
+export function formatExpectedMargin(expectedMargin) {
+  if (!expectedMargin?.favorite) return 'Even';
+  return `Team ${expectedMargin.favorite === 'team1' ? 1 : 2} by ~${expectedMargin.points}`;
+}
@@ -0,0 +1,77 @@
+import {
+  MARGIN_MODES,
+  MARGIN_CONFIG,
+  isValidScore,
+  getMarginMultiplier,
+  getExpectedMargin,
+  formatExpectedMargin
+} from './marginOfVictory';
+import { calculateMatchRatingChanges } from './matchTypes';
+import { getMatchPreview } from './smartMatching';
+
+describe('Margin of Victory', () => {
+  test('should ignore the score when the mode is off or the score is incomplete', () => {
+    expect(getMarginMultiplier({ team1: 21, team2: 3 }, MARGIN_MODES.OFF)).toBe(1);
+    expect(getMarginMultiplier(null, MARGIN_MODES.LINEAR)).toBe(1);
+    expect(getMarginMultiplier({ team1: 21, team2: 21 }, MARGIN_MODES.LINEAR)).toBe(1);
+    expect(isValidScore({ team1: 21, team2: undefined })).toBe(false);
+  });
+
+  test('should keep the plain change for a typical margin', () => {
+    expect(getMarginMultiplier({ team1: 21, team2: 15 }, MARGIN_MODES.LINEAR)).toBe(1);
+    expect(getMarginMultiplier({ team1: 15, team2: 21 }, MARGIN_MODES.LOGARITHMIC)).toBe(1);
+  });
+
+  test('should scale squeakers down and routs up within the limits', () => {
+    const modes = [MARGIN_MODES.LINEAR, MARGIN_MODES.LOGARITHMIC];
+
+    modes.forEach(mode => {
+      const squeaker = getMarginMultiplier({ team1: 21, team2: 19 }, mode);
+      const rout = getMarginMultiplier({ team1: 21, team2: 3 }, mode);
+      expect(squeaker).toBeLessThan(1);
+      expect(rout).toBeGreaterThan(1);
+      expect(squeaker).toBeGreaterThanOrEqual(MARGIN_CONFIG.MIN_MULTIPLIER);
+      expect(rout).toBeLessThanOrEqual(MARGIN_CONFIG.MAX_MULTIPLIER);
+    });
+
+    // Logarithmic flattens out for big margins
+    expect(getMarginMultiplier({ team1: 21, team2: 3 }, MARGIN_MODES.LOGARITHMIC))
+      .toBeLessThan(getMarginMultiplier({ team1: 21, team2: 3 }, MARGIN_MODES.LINEAR));
+  });
+
+  test('should compare margins of shorter games as if played to 21', () => {
+    expect(getMarginMultiplier({ team1: 15, team2: 10 }, MARGIN_MODES.LINEAR))
+      .toBe(getMarginMultiplier({ team1: 21, team2: 14 }, MARGIN_MODES.LINEAR));
+  });
+
+  test('should scale rating changes when a score is entered', () => {
+    const players = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id, elo: 1200, matchCount: 50, confidence: 1.0 }));
+    const match = {
+      matchType: 'doubles',
+      team1: { player1: players[0], player2: players[1] },
+      team2: { player1: players[2], player2: players[3] }
+    };
+    const byId = new Map(players.map(p => [p.id, p]));
+    const change = (score, marginMode) => calculateMatchRatingChanges(match, 'team1', byId, { score, marginMode })[0];
+
+    const plain = change(null, MARGIN_MODES.LINEAR);
+    const rout = change({ team1: 21, team2: 3 }, MARGIN_MODES.LINEAR);
+    const squeaker = change({ team1: 21, team2: 19 }, MARGIN_MODES.LINEAR);
+
+    expect(plain.marginMultiplier).toBe(1);
+    expect(rout.eloChange).toBeGreaterThan(plain.eloChange);
+    expect(squeaker.eloChange).toBeLessThan(plain.eloChange);
+    expect(change({ team1: 21, team2: 3 }, MARGIN_MODES.OFF).eloChange).toBe(plain.eloChange);
+  });
+
+  test('should show the expected margin in the match preview', () => {
+    expect(getExpectedMargin(1200, 1200)).toEqual({ favorite: null, points: 0 });
+    expect(getExpectedMargin(1200, 1400).favorite).toBe('team2');
+    expect(getExpectedMargin(1200, 1400).points).toBeGreaterThan(getExpectedMargin(1200, 1250).points);
+    expect(formatExpectedMargin(getExpectedMargin(1200, 1200))).toBe('Even');
+
+    const player = (id, elo) => ({ id, name: id, elo });
+    const preview = getMatchPreview(player('a', 1500), player('b', 1500), player('c', 1100), player('d', 1100));
+    expect(formatExpectedMargin(preview.expectedMargin)).toMatch(/^Team 1 by ~\d+$/);
+  });
+});
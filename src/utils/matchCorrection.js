@@ -0,0 +1,239 @@
+// Match Corrections for Badminton Pairing
+// A completed match can be edited (winner, players, score) or voided after the fact. The
+// correction takes the match back off every player in it - a player whose rating still stands
+// where the match left it gets their recorded state from before the match back exactly (rating,
+// confidence and Glicko-2 uncertainty); one who has played since keeps that later state and only
+// loses the match's rating change. The corrected match is then rated as it stood when it was
+// played, from the state in its ELO history, and its changes added on. Every correction is kept
+// as a match event for the audit trail.
+
+import { ELO_CONFIG } from './helpers';
+import { MARGIN_MODES } from './marginOfVictory';
+import {
+  MATCH_TYPES,
+  applyRatingChange,
+  calculateMatchRatingChanges,
+  getMatchTeamPlayerIds,
+  getPlayerRating,
+  getPlayerRatedMatches,
+  restoreRatingState,
+  setPlayerRatedMatches,
+  toEloHistoryEntry,
+  toRatedMatch
+} from './matchTypes';
+
+// match_events types of the audit trail
+export const CORRECTION_EVENTS = {
+  EDIT: 'result_edited',
+  VOID: 'result_voided'
+};
+
+/**
+ * The result of a match as the audit trail records it
+ */
+export function getMatchResultSnapshot(match) {
+  const { team1, team2 } = getMatchTeamPlayerIds(match);
+  return {
+    match_type: match.match_type || MATCH_TYPES.DOUBLES,
+    team1,
+    team2,
+    winning_team: match.winning_team ?? null,
+    score_team1: match.score_team1 ?? null,
+    score_team2: match.score_team2 ?? null,
+    voided: Boolean(match.voided_at)
+  };
+}
+
+/**
+ * Match columns for a corrected result
+ * changes are { winner: 'team1' | 'team2', team1: [ids], team2: [ids], score: { team1, team2 } | null };
+ * teams keep the match's singles or doubles slots
+ */
+export function createCorrectionUpdate(changes) {
+  return {
+    winning_team: changes.winner === 'team1' ? 1 : 2,
+    team1_player1_id: changes.team1[0],
+    team1_player2_id: changes.team1[1] || null,
+    team2_player1_id: changes.team2[0],
+    team2_player2_id: changes.team2[1] || null,
+    score_team1: changes.score ? changes.score.team1 : null,
+    score_team2: changes.score ? changes.score.team2 : null
+  };
+}
+
+/**
+ * Match columns that void a match - it stays in the history as played, with no result
+ */
+export function createVoidUpdate(now = new Date()) {
+  return {
+    winning_team: null,
+    score_team1: null,
+    score_team2: null,
+    voided_at: now.toISOString()
+  };
+}
+
+const clampRating = (rating) => Math.max(ELO_CONFIG.MIN_ELO, Math.min(ELO_CONFIG.MAX_ELO, rating));
+const ratingField = (matchType) => (matchType === MATCH_TYPES.SINGLES ? 'singlesElo' : 'elo');
+const countField = (matchType) => (matchType === MATCH_TYPES.SINGLES ? 'singlesMatchCount' : null);
+
+/**
+ * Player and session player stats after a correction
+ * original is the match row as completed; corrected is the row after the edit, or null to void it.
+ * context is { players, sessionPlayers, eloHistory, ratingEngine, marginMode } - eloHistory may hold
+ * every entry, only this match's are used.
+ * Returns { players, sessionPlayers, eloHistory, ratingChanges }: players and sessionPlayers map ids
+ * (`${sessionId}|${playerId}` for session players) to the updated rows, eloHistory holds the corrected
+ * match's new history entries, ratingChanges lists { playerId, before, after } for the audit trail.
+ */
+export function correctMatchResult(original, corrected, {
+  players = [],
+  sessionPlayers = [],
+  eloHistory = [],
+  ratingEngine,
+  marginMode = MARGIN_MODES.OFF
+} = {}) {
+  const playersById = new Map(players.map(player => [player.id, player]));
+  const sessionPlayersByKey = new Map(sessionPlayers.map(sp => [`${sp.session_id}|${sp.player_id}`, sp]));
+  const updatedPlayers = new Map();
+  const updatedSessionPlayers = new Map();
+  const historyById = new Map(eloHistory
+    .filter(entry => entry.match_id === original.id)
+    .map(entry => [entry.player_id, entry]));
+
+  const currentPlayer = (id) => updatedPlayers.get(id) || playersById.get(id);
+  const currentSessionPlayer = (id) => {
+    const key = `${original.session_id}|${id}`;
+    return updatedSessionPlayers.get(key) || sessionPlayersByKey.get(key);
+  };
+
+  // Count a result for a player (sign 1) or take it back (sign -1)
+  const countResult = (player, matchType, isWinner, sign) => {
+    const matches = countField(matchType);
+    return {
+      ...player,
+      wins: Math.max(0, (player.wins || 0) + (isWinner ? sign : 0)),
+      losses: Math.max(0, (player.losses || 0) + (isWinner ? 0 : sign)),
+      matchCount: Math.max(0, (player.matchCount || 0) + sign),
+      ...(matches && { [matches]: Math.max(0, (player[matches] || 0) + sign) })
+    };
+  };
+  const shiftRating = (player, matchType, eloChange) => ({
+    ...player,
+    [ratingField(matchType)]: clampRating(getPlayerRating(player, matchType) + eloChange)
+  });
+
+  const updateSessionPlayer = (id, matchType, isWinner, eloChange, sign) => {
+    const sessionPlayer = currentSessionPlayer(id);
+    if (!sessionPlayer) return;
+
+    // The session ELO follows the doubles rating; the session peak is only ever raised
+    const current = (sessionPlayer.session_elo_current || sessionPlayer.session_elo_start || ELO_CONFIG.STARTING_ELO) + sign * eloChange;
+    updatedSessionPlayers.set(`${original.session_id}|${id}`, {
+      ...sessionPlayer,
+      session_matches: Math.max(0, (sessionPlayer.session_matches || 0) + sign),
+      session_wins: Math.max(0, (sessionPlayer.session_wins || 0) + (isWinner ? sign : 0)),
+      session_losses: Math.max(0, (sessionPlayer.session_losses || 0) + (isWinner ? 0 : sign)),
+      ...(matchType === MATCH_TYPES.DOUBLES && {
+        session_elo_current: current,
+        session_elo_peak: Math.max(sessionPlayer.session_elo_peak || current, current)
+      })
+    });
+  };
+
+  const ratingsBefore = new Map();
+  // Players put back exactly as they were before the match
+  const restoredIds = new Set();
+  const participants = (match) => {
+    const { team1, team2 } = getMatchTeamPlayerIds(match);
+    return [...team1.map(id => ({ id, team: 1 })), ...team2.map(id => ({ id, team: 2 }))];
+  };
+
+  // Take the original result back off
+  const originalType = original.match_type || MATCH_TYPES.DOUBLES;
+  participants(original).forEach(({ id, team }) => {
+    const entry = historyById.get(id);
+    const isWinner = entry ? entry.was_winner : team === original.winning_team;
+    const player = currentPlayer(id);
+
+    if (player) {
+      ratingsBefore.set(id, getPlayerRating(player, originalType));
+      let reverted = player;
+      if (entry && getPlayerRating(player, originalType) === entry.elo_after) {
+        reverted = restoreRatingState({ ...player, [ratingField(originalType)]: entry.elo_before }, originalType, entry.rating_state_before);
+        restoredIds.add(id);
+      } else if (entry) {
+        reverted = shiftRating(player, originalType, -entry.elo_change);
+      }
+      updatedPlayers.set(id, countResult(reverted, originalType, isWinner, -1));
+    }
+    updateSessionPlayer(id, originalType, isWinner, entry?.elo_change || 0, -1);
+  });
+
+  let newHistory = [];
+  if (corrected) {
+    const correctedType = corrected.match_type || MATCH_TYPES.DOUBLES;
+    const correctedPlayers = participants(corrected);
+    correctedPlayers.forEach(({ id }) => {
+      if (currentPlayer(id) && !ratingsBefore.has(id)) ratingsBefore.set(id, getPlayerRating(currentPlayer(id), correctedType));
+    });
+
+    // Rate the corrected match from the state the players had when it was played
+    const playersThen = new Map(correctedPlayers.filter(({ id }) => currentPlayer(id)).map(({ id }) => {
+      const player = currentPlayer(id);
+      const entry = historyById.get(id);
+      return [id, entry && (entry.match_type || MATCH_TYPES.DOUBLES) === correctedType
+        ? restoreRatingState(setPlayerRatedMatches(
+          { ...player, [ratingField(correctedType)]: entry.elo_before },
+          correctedType,
+          entry.match_count ?? getPlayerRatedMatches(player, correctedType)
+        ), correctedType, entry.rating_state_before)
+        : player];
+    }));
+
+    const score = Number.isFinite(corrected.score_team1) && Number.isFinite(corrected.score_team2)
+      ? { team1: corrected.score_team1, team2: corrected.score_team2 }
+      : null;
+    const playedAt = corrected.completed_at || original.completed_at;
+    const changes = calculateMatchRatingChanges(toRatedMatch(corrected), corrected.winning_team === 1 ? 'team1' : 'team2', playersThen, {
+      ratingEngine,
+      marginMode,
+      score,
+      now: playedAt ? new Date(playedAt).getTime() : Date.now()
+    });
+
+    changes.forEach(change => {
+      const id = change.player.id;
+      const player = currentPlayer(id);
+      if (player) {
+        // A restored player takes the corrected match's whole new state; one who has played
+        // since only gains its rating change
+        updatedPlayers.set(id, restoredIds.has(id) && correctedType === originalType
+          ? { ...applyRatingChange(player, change, playedAt), lastMatchTime: player.lastMatchTime }
+          : countResult(shiftRating(player, correctedType, change.eloChange), correctedType, change.isWinner, 1));
+      }
+      updateSessionPlayer(id, correctedType, change.isWinner, change.eloChange, 1);
+    });
+    newHistory = changes.map(change => toEloHistoryEntry(change, {
+      matchId: original.id,
+      sessionId: original.session_id,
+      createdAt: playedAt
+    }));
+  }
+
+  const ratingChanges = [...ratingsBefore.entries()].map(([playerId, before]) => {
+    const player = currentPlayer(playerId);
+    return {
+      playerId,
+      before,
+      after: getPlayerRating(player, corrected ? (corrected.match_type || MATCH_TYPES.DOUBLES) : originalType)
+    };
+  });
+
+  return {
+    players: updatedPlayers,
+    sessionPlayers: updatedSessionPlayers,
+    eloHistory: newHistory,
+    ratingChanges
+  };
+}
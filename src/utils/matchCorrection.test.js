@@ -0,0 +1,143 @@
+import {
+  correctMatchResult,
+  createCorrectionUpdate,
+  createVoidUpdate,
+  getMatchResultSnapshot
+} from './matchCorrection';
+import { applyRatingChange, calculateMatchRatingChanges, toEloHistoryEntry, toRatedMatch } from './matchTypes';
+import { RATING_ENGINES } from './ratingEngines';
+
+const player = (id, elo) => ({ id, name: id, elo, matchCount: 20, wins: 10, losses: 10, confidence: 1.0 });
+const sessionPlayer = (id) => ({
+  session_id: 's1',
+  player_id: id,
+  session_matches: 2,
+  session_wins: 1,
+  session_losses: 1,
+  session_elo_start: 1200,
+  session_elo_current: 1200,
+  session_elo_peak: 1210
+});
+
+const row = {
+  id: 'm1',
+  session_id: 's1',
+  completed_at: '2026-01-01T10:00:00Z',
+  team1_player1_id: 'a',
+  team1_player2_id: 'b',
+  team2_player1_id: 'c',
+  team2_player2_id: 'd',
+  winning_team: 1,
+  match_type: 'doubles'
+};
+
+const before = [player('a', 1300), player('b', 1250), player('c', 1200), player('d', 1150), player('e', 1400)];
+
+// Complete a match the way the app does: players, session stats and history after the result
+function complete(match, players, options = {}) {
+  const byId = new Map(players.map(p => [p.id, p]));
+  const changes = calculateMatchRatingChanges(toRatedMatch(match), match.winning_team === 1 ? 'team1' : 'team2', byId, options);
+  const changed = new Map(changes.map(change => [change.player.id, change]));
+
+  return {
+    players: players.map(p => (changed.has(p.id) ? applyRatingChange(p, changed.get(p.id), match.completed_at) : p)),
+    sessionPlayers: players.map(p => {
+      const change = changed.get(p.id);
+      const stats = sessionPlayer(p.id);
+      if (!change) return stats;
+      return {
+        ...stats,
+        session_matches: stats.session_matches + 1,
+        session_wins: stats.session_wins + (change.isWinner ? 1 : 0),
+        session_losses: stats.session_losses + (change.isWinner ? 0 : 1),
+        session_elo_current: stats.session_elo_current + change.eloChange
+      };
+    }),
+    eloHistory: changes.map(change => toEloHistoryEntry(change, { matchId: match.id, sessionId: match.session_id }))
+  };
+}
+
+describe('Match corrections', () => {
+  test('should put every player back as they were when a match is voided', () => {
+    const completed = complete(row, before);
+    const result = correctMatchResult(row, null, completed);
+
+    ['a', 'b', 'c', 'd'].forEach(id => {
+      const original = before.find(p => p.id === id);
+      expect(result.players.get(id)).toMatchObject({ elo: original.elo, wins: 10, losses: 10, matchCount: 20 });
+      expect(result.sessionPlayers.get(`s1|${id}`)).toMatchObject({
+        session_matches: 2,
+        session_wins: 1,
+        session_losses: 1,
+        session_elo_current: 1200
+      });
+    });
+    expect(result.players.has('e')).toBe(false);
+    expect(result.eloHistory).toEqual([]);
+  });
+
+  test('should put back confidence and Glicko-2 uncertainty exactly', () => {
+    const options = { ratingEngine: RATING_ENGINES.GLICKO2, now: new Date(row.completed_at).getTime() };
+    const rated = before.map(p => ({ ...p, confidence: 0.8, ratingDeviation: 120, ratingVolatility: 0.06, ratedAt: '2025-12-01T10:00:00Z' }));
+    const completed = complete(row, rated, options);
+    const result = correctMatchResult(row, null, { ...completed, ratingEngine: RATING_ENGINES.GLICKO2 });
+
+    expect(completed.players[0].ratingDeviation).not.toBe(120);
+    ['a', 'b', 'c', 'd'].forEach(id => {
+      const { elo, confidence, ratingDeviation, ratingVolatility, ratedAt } = rated.find(p => p.id === id);
+      expect(result.players.get(id)).toMatchObject({ elo, confidence, ratingDeviation, ratingVolatility, ratedAt });
+    });
+  });
+
+  test('should only take the rating change off a player who has played since', () => {
+    const completed = complete(row, before);
+    // A later match moved 'a' on by 30
+    const playedOn = completed.players.map(p => (p.id === 'a' ? { ...p, elo: p.elo + 30, confidence: 0.5 } : p));
+    const result = correctMatchResult(row, null, { ...completed, players: playedOn });
+
+    expect(result.players.get('a')).toMatchObject({ elo: 1330, confidence: 0.5 });
+    expect(result.players.get('b').elo).toBe(1250);
+  });
+
+  test('should match rating the right winner in the first place', () => {
+    const completed = complete(row, before);
+    const flipped = { ...row, winning_team: 2 };
+    const result = correctMatchResult(row, flipped, completed);
+    const expected = complete(flipped, before);
+
+    expected.players.filter(p => p.id !== 'e').forEach(p => {
+      expect(result.players.get(p.id)).toMatchObject({ elo: p.elo, wins: p.wins, losses: p.losses, matchCount: p.matchCount });
+    });
+    expect(result.eloHistory.map(entry => entry.elo_after)).toEqual(expected.eloHistory.map(entry => entry.elo_after));
+    expect(result.ratingChanges.find(change => change.playerId === 'a').after).toBeLessThan(1300);
+  });
+
+  test('should move only the swapped players when a player is corrected', () => {
+    const completed = complete(row, before);
+    const swapped = { ...row, ...createCorrectionUpdate({ winner: 'team1', team1: ['a', 'e'], team2: ['c', 'd'], score: null }) };
+    const result = correctMatchResult(row, swapped, completed);
+
+    expect(result.players.get('b')).toMatchObject({ elo: 1250, wins: 10, matchCount: 20 });
+    expect(result.players.get('e').elo).toBeGreaterThan(1400);
+    expect(result.players.get('e')).toMatchObject({ wins: 11, matchCount: 21 });
+    expect(result.eloHistory.map(entry => entry.player_id).sort()).toEqual(['a', 'c', 'd', 'e']);
+  });
+
+  test('should record results for the audit trail and clear a voided result', () => {
+    expect(getMatchResultSnapshot({ ...row, score_team1: 21, score_team2: 15 })).toEqual({
+      match_type: 'doubles',
+      team1: ['a', 'b'],
+      team2: ['c', 'd'],
+      winning_team: 1,
+      score_team1: 21,
+      score_team2: 15,
+      voided: false
+    });
+    expect(createVoidUpdate(new Date('2026-01-02T00:00:00Z'))).toEqual({
+      winning_team: null,
+      score_team1: null,
+      score_team2: null,
+      voided_at: '2026-01-02T00:00:00.000Z'
+    });
+  });
+});
@@ -0,0 +1,208 @@
+// Reproducible Match Draws for Badminton Pairing
+// A draw keeps its seed and a snapshot of everything generateSmartMatch (or the fair shuffle)
+// read, so the organizer can regenerate the same selection later and settle a disputed draw
+
+import { shuffleArray } from './helpers';
+import { createRandom } from './random';
+import { SMART_MATCHING_CONFIG, generateSmartMatch } from './smartMatching';
+
+export const FAIR_SHUFFLE_METHOD = 'fair-shuffle';
+
+// Player fields the matching engine reads (ratings, fair play and catch-up, wait time, court rules)
+const SNAPSHOT_PLAYER_FIELDS = ['id', 'name', 'elo', 'sessionElo', 'singlesElo', 'sessionMatchCount', 'joinedAt', 'waitingSince', 'category'];
+
+/**
+ * Copy of a player with only the fields the engine reads
+ */
+function snapshotPlayer(player) {
+  return SNAPSHOT_PLAYER_FIELDS.reduce((snapshot, field) => {
+    if (player[field] !== undefined && player[field] !== null) snapshot[field] = player[field];
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Player ids of a completed match, from either match shape
+ */
+function getHistoryIds(match) {
+  if (match.team1 || match.team2) {
+    return [match.team1?.player1?.id, match.team1?.player2?.id, match.team2?.player1?.id, match.team2?.player2?.id];
+  }
+  return [match.team1_player1_id, match.team1_player2_id, match.team2_player1_id, match.team2_player2_id];
+}
+
+/**
+ * Sorted player ids of a line-up, used to compare a replay with the original draw
+ */
+export function getLineupKey(teams) {
+  return [teams.team1?.player1?.id, teams.team1?.player2?.id, teams.team2?.player1?.id, teams.team2?.player2?.id]
+    .filter(Boolean)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Teams of an ordered line-up, as the court modal forms them: first two against the last two,
+ * or first against second for singles
+ */
+function toTeams(players) {
+  return players.length === 2
+    ? { team1: { player1: players[0], player2: null }, team2: { player1: players[1], player2: null } }
+    : { team1: { player1: players[0], player2: players[1] }, team2: { player1: players[2], player2: players[3] } };
+}
+
+/**
+ * AGGRESSIVE fair shuffle - heavily prioritizes players with fewer matches
+ * random can be a seeded generator (createRandom) so the shuffle is reproducible
+ */
+export function shufflePlayersFairly(players, count, random = Math.random) {
+  if (players.length <= count) return players;
+
+  // Group players by match count
+  const playersByMatchCount = {};
+  players.forEach(player => {
+    const matchCount = player.sessionMatchCount || 0;
+    if (!playersByMatchCount[matchCount]) {
+      playersByMatchCount[matchCount] = [];
+    }
+    playersByMatchCount[matchCount].push(player);
+  });
+
+  // Sort match count groups (lowest first)
+  const sortedMatchCounts = Object.keys(playersByMatchCount)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  // Fill from lowest match counts first, only moving to higher counts if absolutely necessary
+  const selectedPlayers = [];
+
+  for (const matchCount of sortedMatchCounts) {
+    const playersInGroup = playersByMatchCount[matchCount];
+    // Shuffle players within this match count group
+    const shuffledGroup = shuffleArray(playersInGroup, random);
+
+    // Take as many as needed from this group
+    const needed = count - selectedPlayers.length;
+    const toTake = Math.min(needed, shuffledGroup.length);
+    selectedPlayers.push(...shuffledGroup.slice(0, toTake));
+
+    if (selectedPlayers.length >= count) break;
+
+    // Log when we're forced to select players with higher match counts
+    if (matchCount > 0 && selectedPlayers.length < count) {
+      console.log(`⚠️ Fair shuffle: Had to select players with ${matchCount} matches (${playersInGroup.length} available)`);
+    }
+  }
+
+  return selectedPlayers;
+}
+
+/**
+ * Matching settings that differ from the defaults - a replay fills in the rest
+ */
+function getConfigChanges(config) {
+  return Object.fromEntries(Object.entries(config)
+    .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(SMART_MATCHING_CONFIG[key])));
+}
+
+/**
+ * Snapshot of a draw made with generateSmartMatch, stored in the match's matchingData
+ * Only the completed matches inside the partnership memory affect a draw, so only their player ids
+ * are kept; the config holds only the settings changed from the defaults.
+ * settings: { useSmartMatching, addRandomness, constraints, courtType, skillBand, matchType, config }
+ */
+export function createDrawSnapshot(selection, availablePlayers, matches, settings = {}) {
+  const config = settings.config || SMART_MATCHING_CONFIG;
+  const history = (matches || [])
+    .filter(match => match.completed || match.completed_at)
+    .slice(-config.PARTNERSHIP_MEMORY)
+    .map(getHistoryIds);
+
+  return {
+    drawnAt: selection.drawnAt,
+    smart: settings.useSmartMatching ?? true,
+    randomized: settings.addRandomness ?? false,
+    players: availablePlayers.map(snapshotPlayer),
+    history,
+    rules: {
+      constraints: settings.constraints || [],
+      courtType: settings.courtType || null,
+      skillBand: settings.skillBand || null,
+      matchType: settings.matchType || null
+    },
+    config: getConfigChanges(config),
+    lineup: getLineupKey(selection.teams)
+  };
+}
+
+/**
+ * matchingData fields for a draw: the seed and the snapshot to replay it from
+ */
+export function getDrawMatchingData(selection, availablePlayers, matches, settings = {}) {
+  if (selection?.seed === undefined) return {};
+  return {
+    seed: selection.seed,
+    draw: createDrawSnapshot(selection, availablePlayers, matches, settings)
+  };
+}
+
+/**
+ * matchingData fields for a fair shuffle: the seed and the pool in the order it was shuffled
+ * The shuffle reads only each player's match count, so the pool is kept as ids and counts
+ */
+export function getShuffleMatchingData(seed, pool, count, drawn) {
+  return {
+    method: FAIR_SHUFFLE_METHOD,
+    seed,
+    draw: {
+      pool: pool.map(player => player.id),
+      matchCounts: pool.map(player => player.sessionMatchCount || 0),
+      count,
+      lineup: getLineupKey(toTeams(drawn))
+    }
+  };
+}
+
+/**
+ * Regenerate a fair shuffle from its seed and pool
+ */
+function replayShuffle(seed, draw) {
+  const pool = draw.pool.map((id, index) => ({ id, sessionMatchCount: draw.matchCounts[index] }));
+  const players = shufflePlayersFairly(pool, draw.count, createRandom(seed));
+  return { players, teams: toTeams(players) };
+}
+
+/**
+ * Regenerate a draw from the seed and snapshot in a match's matchingData
+ * Returns { selection, reproduced } - reproduced is true when the replay picks the same line-up
+ * the draw did - or null when the match was not drawn with a seed
+ */
+export function replayDraw(matchingData) {
+  const { method, seed, draw } = matchingData || {};
+  if (seed === undefined || !draw) return null;
+
+  if (method === FAIR_SHUFFLE_METHOD) {
+    const selection = replayShuffle(seed, draw);
+    return { selection, reproduced: getLineupKey(selection.teams) === draw.lineup };
+  }
+
+  const history = draw.history.map(([team1Player1, team1Player2, team2Player1, team2Player2]) => ({
+    team1_player1_id: team1Player1,
+    team1_player2_id: team1Player2,
+    team2_player1_id: team2Player1,
+    team2_player2_id: team2Player2,
+    completed: true
+  }));
+
+  const selection = generateSmartMatch(draw.players, history, draw.smart, draw.randomized, {
+    ...draw.rules,
+    config: { ...SMART_MATCHING_CONFIG, ...draw.config },
+    seed,
+    now: draw.drawnAt
+  });
+
+  return {
+    selection,
+    reproduced: !!selection && getLineupKey(selection.teams) === draw.lineup
+  };
+}
@@ -0,0 +1,105 @@
+import {
+  createDrawSnapshot,
+  getDrawMatchingData,
+  getLineupKey,
+  getShuffleMatchingData,
+  replayDraw,
+  shufflePlayersFairly
+} from './matchDraws';
+import { SMART_MATCHING_CONFIG, buildMatchingConfig, generateSmartMatch } from './smartMatching';
+import { CONSTRAINT_TYPES } from './pairingConstraints';
+import { createRandom } from './random';
+
+const makePlayers = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `p${index + 1}`,
+  name: `Player ${index + 1}`,
+  elo: 1000 + index * 40,
+  sessionElo: 1000 + index * 40,
+  sessionMatchCount: index % 2,
+  waitingSince: new Date(Date.now() - (index + 1) * 60000).toISOString(),
+  isActive: true
+}));
+
+const makeHistory = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `m${index}`,
+  team1_player1_id: `p${(index % 12) + 1}`,
+  team1_player2_id: `p${((index + 3) % 12) + 1}`,
+  team2_player1_id: `p${((index + 5) % 12) + 1}`,
+  team2_player2_id: `p${((index + 8) % 12) + 1}`,
+  completed_at: new Date(2024, 0, 1, 18, index).toISOString()
+}));
+
+describe('Match draws', () => {
+  const players = makePlayers(12);
+  const matches = makeHistory(9);
+
+  test('should make the same draw for the same seed', () => {
+    const first = generateSmartMatch(players, matches, true, true, { seed: 1234 });
+    const second = generateSmartMatch(players, matches, true, true, { seed: 1234, now: first.drawnAt });
+
+    expect(first.seed).toBe(1234);
+    expect(getLineupKey(second.teams)).toBe(getLineupKey(first.teams));
+  });
+
+  test('should replay a smart draw from its snapshot', () => {
+    const settings = { addRandomness: true, config: buildMatchingConfig({ partnershipMemory: 3 }) };
+    const selection = generateSmartMatch(players, matches, true, true, { config: settings.config });
+    const matchingData = getDrawMatchingData(selection, players, matches, settings);
+
+    // Serialized like the database column
+    const result = replayDraw(JSON.parse(JSON.stringify(matchingData)));
+
+    expect(result.reproduced).toBe(true);
+    expect(getLineupKey(result.selection.teams)).toBe(getLineupKey(selection.teams));
+  });
+
+  test('should replay a random draw within the pairing rules', () => {
+    const settings = {
+      useSmartMatching: false,
+      constraints: [{ id: 'r1', type: CONSTRAINT_TYPES.NEVER_PARTNER, playerIds: ['p1', 'p2'] }]
+    };
+    const selection = generateSmartMatch(players, matches, false, false, settings);
+    const result = replayDraw(getDrawMatchingData(selection, players, matches, settings));
+
+    expect(result.reproduced).toBe(true);
+  });
+
+  test('should keep only what the engine reads in the snapshot', () => {
+    const selection = generateSmartMatch(players, matches, true, false);
+    const snapshot = createDrawSnapshot(selection, players, matches);
+
+    expect(snapshot.history).toHaveLength(SMART_MATCHING_CONFIG.PARTNERSHIP_MEMORY);
+    expect(snapshot.history[0]).toEqual(['p5', 'p8', 'p10', 'p1']);
+    expect(snapshot.players[0]).not.toHaveProperty('isActive');
+    expect(snapshot.config).toEqual({});
+    const changed = createDrawSnapshot(selection, players, matches, { config: buildMatchingConfig({ partnershipMemory: 3 }) });
+    expect(changed.config).toHaveProperty('PARTNERSHIP_MEMORY', 3);
+    expect(changed.config).not.toHaveProperty('MAX_ELO_DIFF');
+    expect(snapshot.lineup).toBe(getLineupKey(selection.teams));
+  });
+
+  test('should replay a fair shuffle from its seed and pool', () => {
+    const drawn = shufflePlayersFairly(players, 4, createRandom(99));
+    const matchingData = JSON.parse(JSON.stringify(getShuffleMatchingData(99, players, 4, drawn)));
+    const result = replayDraw(matchingData);
+
+    expect(matchingData.draw.pool).toEqual(players.map(p => p.id));
+    expect(drawn.every(p => p.sessionMatchCount === 0)).toBe(true);
+    expect(result.reproduced).toBe(true);
+    expect(result.selection.players.map(p => p.id)).toEqual(drawn.map(p => p.id));
+  });
+
+  test('should report a replay that no longer matches the recorded line-up', () => {
+    const selection = generateSmartMatch(players, matches, true, false);
+    const matchingData = getDrawMatchingData(selection, players, matches);
+    const result = replayDraw({ ...matchingData, draw: { ...matchingData.draw, lineup: 'p1|p2|p3|p4' } });
+
+    expect(result.reproduced).toBe(false);
+  });
+
+  test('should not replay matches drawn without a seed', () => {
+    expect(replayDraw({ method: 'manual' })).toBeNull();
+    expect(replayDraw({ method: 'fair-shuffle', seed: 42 })).toBeNull();
+    expect(getDrawMatchingData({ teams: {} }, players, matches)).toEqual({});
+  });
+});
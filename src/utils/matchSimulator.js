@@ -0,0 +1,268 @@
+// Matching Engine Simulator for Badminton Pairing
+// Runs a synthetic session through the matching engine so strategies and weights can be
+// compared on evidence: players have a hidden true skill that decides results, arrive late
+// or leave early, and are rated by the app's own ELO code as the evening goes on.
+// Pure JS - run it from Jest (matchSimulator.test.js) or node (npm run simulate).
+
+import { ELO_CONFIG, calculateExpectedScore } from './helpers';
+import { generateSmartMatch, selectFairPlayers } from './smartMatching';
+import { calculateMatchRatingChanges } from './matchTypes';
+import { createRandom } from './random';
+
+// Strategies the simulator can compare, named after the engine's selection methods
+export const SIMULATION_STRATEGIES = [
+  { value: 'smart', label: 'Smart', useSmartMatching: true, addRandomness: false },
+  { value: 'smart-random', label: 'Smart + randomness', useSmartMatching: true, addRandomness: true },
+  { value: 'random', label: 'Random', useSmartMatching: false, addRandomness: false },
+  { value: 'fair-selection', label: 'Fair selection' }
+];
+
+export const SIMULATION_DEFAULTS = {
+  playerCount: 20,
+  courtCount: 4,
+  hours: 2,
+  matchMinutes: 15,         // Every court plays one match per round of this length
+  lateArrivalRate: 0.2,     // Share of players who arrive during the first half
+  earlyDepartureRate: 0.2,  // Share of players who leave during the second half
+  skillSpread: 250,         // Standard deviation of the hidden true skill around the starting ELO
+  seed: 1,
+  config: undefined,        // Engine config from buildMatchingConfig; the defaults when omitted
+  ratingEngine: 'elo'       // Rating engine that rates the results (see ratingEngines.js)
+};
+
+// Simulated sessions start at a fixed time so every run of a seed is identical
+const SESSION_START = Date.UTC(2024, 0, 1, 18, 0, 0);
+
+/**
+ * Normally distributed number (Box-Muller) from a seeded generator
+ */
+function gaussian(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Synthetic players with a hidden true skill and arrival/departure times (minutes into the session)
+ */
+export function createSimulatedPlayers(settings = {}) {
+  const { playerCount, hours, lateArrivalRate, earlyDepartureRate, skillSpread, seed } = { ...SIMULATION_DEFAULTS, ...settings };
+  const random = createRandom(seed);
+  const sessionMinutes = hours * 60;
+
+  return Array.from({ length: playerCount }, (_, index) => {
+    const trueSkill = Math.round(ELO_CONFIG.STARTING_ELO + gaussian(random) * skillSpread);
+    const arrivesLate = random() < lateArrivalRate;
+    const leavesEarly = random() < earlyDepartureRate;
+
+    return {
+      id: `sim-${index + 1}`,
+      name: `Player ${index + 1}`,
+      trueSkill: Math.max(ELO_CONFIG.MIN_ELO, Math.min(ELO_CONFIG.MAX_ELO, trueSkill)),
+      arrivesAt: arrivesLate ? Math.round(random() * sessionMinutes / 2) : 0,
+      leavesAt: leavesEarly ? Math.round(sessionMinutes / 2 + random() * sessionMinutes / 2) : sessionMinutes
+    };
+  });
+}
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const variance = (values) => {
+  const mean = average(values);
+  return average(values.map(value => Math.pow(value - mean, 2)));
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Spearman rank correlation between two equally long lists
+ */
+function rankCorrelation(a, b) {
+  if (a.length < 2) return 1;
+  const ranks = (values) => {
+    const order = values.map((value, index) => ({ value, index })).sort((x, y) => x.value - y.value);
+    const result = new Array(values.length);
+    order.forEach((entry, rank) => { result[entry.index] = rank; });
+    return result;
+  };
+  const rankA = ranks(a);
+  const rankB = ranks(b);
+  const n = a.length;
+  const sumSquared = rankA.reduce((sum, rank, index) => sum + Math.pow(rank - rankB[index], 2), 0);
+  return 1 - (6 * sumSquared) / (n * (n * n - 1));
+}
+
+/**
+ * Pick one court's match from the pool with a strategy
+ */
+function selectForStrategy(strategy, pool, history, now, seed, config) {
+  if (strategy.value === 'fair-selection') {
+    return selectFairPlayers(pool, { now, config });
+  }
+  return generateSmartMatch(pool, history, strategy.useSmartMatching, strategy.addRandomness, { seed, now, config });
+}
+
+/**
+ * Run one synthetic session with a strategy and report how fair and balanced it was
+ * Every round fills as many courts as the players present allow; results are drawn from the
+ * players' true skill and ratings move with the app's ELO code. A seed always gives the same run.
+ * Returns { strategy, rounds, matches, idleCourtRounds, playCountVariance, playShareVariance,
+ *   maxConsecutiveSitOuts, repeatPartnerships, averageTeamEloGap, averageTrueSkillGap, ratingConvergence }
+ */
+export function simulateSession(strategyValue, settings = {}) {
+  const options = { ...SIMULATION_DEFAULTS, ...settings };
+  const strategy = SIMULATION_STRATEGIES.find(option => option.value === strategyValue);
+  if (!strategy) throw new Error(`Unknown simulation strategy: ${strategyValue}`);
+
+  const sessionMinutes = options.hours * 60;
+  const outcomeRandom = createRandom(options.seed + 1);
+  const drawRandom = createRandom(options.seed + 2);
+  const players = (options.players || createSimulatedPlayers(options)).map(player => ({
+    ...player,
+    elo: ELO_CONFIG.STARTING_ELO,
+    sessionElo: ELO_CONFIG.STARTING_ELO,
+    matchCount: 0,
+    sessionMatchCount: 0,
+    confidence: 1.0,
+    // Joining time drives the session's late-arrival catch-up policy
+    joinedAt: new Date(SESSION_START + player.arrivesAt * 60000).toISOString(),
+    waitingSince: null
+  }));
+  const stats = new Map(players.map(p => [p.id, { plays: 0, roundsPresent: 0, sitOutStreak: 0, maxSitOutStreak: 0 }]));
+  const startError = average(players.map(p => Math.abs(p.elo - p.trueSkill)));
+
+  const history = [];
+  const partnerships = new Map();
+  const teamEloGaps = [];
+  const trueSkillGaps = [];
+  let rounds = 0;
+  let idleCourtRounds = 0;
+
+  for (let minute = 0; minute + options.matchMinutes <= sessionMinutes; minute += options.matchMinutes) {
+    const now = SESSION_START + minute * 60000;
+    const endsAt = now + options.matchMinutes * 60000;
+    const present = players.filter(p => p.arrivesAt <= minute && p.leavesAt >= minute + options.matchMinutes);
+    present.forEach(p => {
+      if (!p.waitingSince) p.waitingSince = new Date(SESSION_START + p.arrivesAt * 60000).toISOString();
+    });
+    rounds++;
+
+    let pool = [...present];
+    const playedIds = new Set();
+    for (let court = 0; court < options.courtCount; court++) {
+      const selection = pool.length >= 4
+        ? selectForStrategy(strategy, pool, history, now, Math.floor(drawRandom() * 4294967296), options.config)
+        : null;
+      if (!selection) {
+        idleCourtRounds += options.courtCount - court;
+        break;
+      }
+
+      const { team1, team2 } = selection.teams;
+      const lineup = [team1.player1, team1.player2, team2.player1, team2.player2];
+      lineup.forEach(p => playedIds.add(p.id));
+      pool = pool.filter(p => !playedIds.has(p.id));
+
+      const teamRating = (team, field) => (team.player1[field] + team.player2[field]) / 2;
+      teamEloGaps.push(Math.abs(teamRating(team1, 'elo') - teamRating(team2, 'elo')));
+      trueSkillGaps.push(Math.abs(teamRating(team1, 'trueSkill') - teamRating(team2, 'trueSkill')));
+      [[team1.player1.id, team1.player2.id], [team2.player1.id, team2.player2.id]].forEach(pair => {
+        const key = [...pair].sort().join('|');
+        partnerships.set(key, (partnerships.get(key) || 0) + 1);
+      });
+
+      // The hidden true skill decides the result; the app's ELO code moves the ratings
+      const team1WinChance = calculateExpectedScore(teamRating(team1, 'trueSkill'), teamRating(team2, 'trueSkill'));
+      const winner = outcomeRandom() < team1WinChance ? 'team1' : 'team2';
+      const byId = new Map(players.map(p => [p.id, p]));
+      const ratingOptions = { ratingEngine: options.ratingEngine, now: endsAt };
+      calculateMatchRatingChanges({ matchType: 'doubles', team1, team2 }, winner, byId, ratingOptions).forEach(change => {
+        Object.assign(change.player, {
+          elo: change.newELO,
+          sessionElo: change.newELO,
+          matchCount: change.player.matchCount + 1,
+          sessionMatchCount: change.player.sessionMatchCount + 1,
+          confidence: change.confidence,
+          ratingDeviation: change.deviation,
+          ratingVolatility: change.volatility,
+          ratedAt: new Date(endsAt).toISOString(),
+          waitingSince: new Date(endsAt).toISOString()
+        });
+      });
+
+      history.push({
+        id: `sim-match-${history.length + 1}`,
+        team1_player1_id: team1.player1.id,
+        team1_player2_id: team1.player2.id,
+        team2_player1_id: team2.player1.id,
+        team2_player2_id: team2.player2.id,
+        winning_team: winner === 'team1' ? 1 : 2,
+        completed_at: new Date(endsAt).toISOString()
+      });
+    }
+
+    present.forEach(p => {
+      const entry = stats.get(p.id);
+      entry.roundsPresent++;
+      if (playedIds.has(p.id)) {
+        entry.plays++;
+        entry.sitOutStreak = 0;
+      } else {
+        entry.sitOutStreak++;
+        entry.maxSitOutStreak = Math.max(entry.maxSitOutStreak, entry.sitOutStreak);
+      }
+    });
+  }
+
+  const attended = players.filter(p => stats.get(p.id).roundsPresent > 0);
+  const fullSession = attended.filter(p => stats.get(p.id).roundsPresent === rounds);
+
+  return {
+    strategy: strategy.value,
+    rounds,
+    matches: history.length,
+    idleCourtRounds,
+    playCountVariance: round2(variance(fullSession.map(p => stats.get(p.id).plays))),
+    // Share of rounds played, so late arrivals and early leavers count fairly
+    playShareVariance: Math.round(variance(attended.map(p => stats.get(p.id).plays / stats.get(p.id).roundsPresent)) * 10000) / 10000,
+    maxConsecutiveSitOuts: Math.max(0, ...attended.map(p => stats.get(p.id).maxSitOutStreak)),
+    repeatPartnerships: [...partnerships.values()].reduce((sum, count) => sum + count - 1, 0),
+    averageTeamEloGap: round2(average(teamEloGaps)),
+    averageTrueSkillGap: round2(average(trueSkillGaps)),
+    ratingConvergence: {
+      startError: round2(startError),
+      endError: round2(average(players.map(p => Math.abs(p.elo - p.trueSkill)))),
+      rankCorrelation: round2(rankCorrelation(players.map(p => p.elo), players.map(p => p.trueSkill)))
+    }
+  };
+}
+
+/**
+ * Run the same synthetic session (same players, same seed) with each strategy
+ */
+export function compareStrategies(settings = {}, strategies = SIMULATION_STRATEGIES.map(strategy => strategy.value)) {
+  return strategies.map(strategy => simulateSession(strategy, settings));
+}
+
+// Report columns: [header, value of a report]
+const REPORT_COLUMNS = [
+  ['Strategy', report => report.strategy],
+  ['Matches', report => report.matches],
+  ['Play var', report => report.playCountVariance],
+  ['Max sit-outs', report => report.maxConsecutiveSitOuts],
+  ['Repeat partners', report => report.repeatPartnerships],
+  ['ELO gap', report => report.averageTeamEloGap],
+  ['True gap', report => report.averageTrueSkillGap],
+  ['Rating error', report => `${report.ratingConvergence.startError} -> ${report.ratingConvergence.endError}`],
+  ['Rank corr', report => report.ratingConvergence.rankCorrelation]
+];
+
+/**
+ * Fairness report as a plain-text table, one row per strategy
+ */
+export function formatSimulationReport(reports) {
+  const rows = [REPORT_COLUMNS.map(([header]) => header), ...reports.map(report => REPORT_COLUMNS.map(([, value]) => String(value(report))))];
+  const widths = REPORT_COLUMNS.map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+
+  return [formatRow(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(formatRow)].join('\n');
+}
@@ -0,0 +1,73 @@
+import {
+  SIMULATION_STRATEGIES,
+  compareStrategies,
+  createSimulatedPlayers,
+  formatSimulationReport,
+  simulateSession
+} from './matchSimulator';
+
+// Small enough to keep the suite quick while leaving some players sitting out each round
+const SETTINGS = { playerCount: 14, courtCount: 3, hours: 1.5, seed: 7 };
+
+describe('Match simulator', () => {
+  const reports = compareStrategies(SETTINGS);
+  const byStrategy = Object.fromEntries(reports.map(report => [report.strategy, report]));
+
+  test('should report every strategy on the same session', () => {
+    expect(reports.map(report => report.strategy)).toEqual(SIMULATION_STRATEGIES.map(strategy => strategy.value));
+    reports.forEach(report => {
+      expect(report.rounds).toBe(6);
+      expect(report.matches).toBeGreaterThan(0);
+      expect(report.ratingConvergence.startError).toBe(reports[0].ratingConvergence.startError);
+    });
+  });
+
+  test('should give the same report for the same seed', () => {
+    expect(simulateSession('smart-random', SETTINGS)).toEqual(byStrategy['smart-random']);
+    expect(simulateSession('smart-random', { ...SETTINGS, seed: 8 })).not.toEqual(byStrategy['smart-random']);
+  });
+
+  test('should create late arrivals and early leavers', () => {
+    const players = createSimulatedPlayers({ playerCount: 40, lateArrivalRate: 0.5, earlyDepartureRate: 0.5, seed: 3 });
+
+    expect(players.some(p => p.arrivesAt > 0)).toBe(true);
+    expect(players.some(p => p.leavesAt < 120)).toBe(true);
+    expect(players.every(p => p.leavesAt > p.arrivesAt)).toBe(true);
+  });
+
+  test('should only match players who are present', () => {
+    const players = createSimulatedPlayers({ playerCount: 8, lateArrivalRate: 0, earlyDepartureRate: 0, seed: 2 })
+      .map((p, index) => (index < 4 ? { ...p, arrivesAt: 60 } : p));
+    const report = simulateSession('smart', { players, courtCount: 2, hours: 2 });
+
+    // One court for the first hour, both courts once everyone is there
+    expect(report.matches).toBe(4 + 8);
+    expect(report.idleCourtRounds).toBe(4);
+  });
+
+  test('should balance teams better with smart matching than at random', () => {
+    expect(byStrategy.smart.averageTeamEloGap).toBeLessThan(byStrategy.random.averageTeamEloGap);
+  });
+
+  test('should spread play evenly with fair selection', () => {
+    expect(byStrategy['fair-selection'].maxConsecutiveSitOuts).toBeLessThanOrEqual(1);
+    expect(byStrategy['fair-selection'].playCountVariance).toBeLessThanOrEqual(byStrategy.random.playCountVariance);
+  });
+
+  test('should reject an unknown strategy', () => {
+    expect(() => simulateSession('best-guess', SETTINGS)).toThrow('Unknown simulation strategy');
+  });
+
+  test('should format a row per strategy', () => {
+    const lines = formatSimulationReport(reports).split('\n');
+
+    expect(lines).toHaveLength(reports.length + 2);
+    expect(lines[0]).toMatch(/^Strategy/);
+    expect(lines[2]).toMatch(/^smart /);
+  });
+
+  // Full-size comparison for tuning: SIMULATE=1 npm test -- matchSimulator
+  (process.env.SIMULATE ? test : test.skip)('fairness report', () => {
+    console.info(`\n${formatSimulationReport(compareStrategies())}`);
+  });
+});
@@ -0,0 +1,253 @@
+// Singles and Doubles Matches for Badminton Pairing
+// A singles match has one player a side: the second slot of each team is empty (null in
+// the database). Rows saved before singles were first-class repeat the player in that slot.
+// Singles and doubles keep separate ratings, so a player's singles results never move
+// their doubles rating and the other way round.
+
+import {
+  ELO_CONFIG,
+  calculateInitialELO,
+  calculateTeamELO
+} from './helpers';
+import { getRatingEngine } from './ratingEngines';
+import { MARGIN_MODES, getMarginMultiplier } from './marginOfVictory';
+
+export const MATCH_TYPES = {
+  SINGLES: 'singles',
+  DOUBLES: 'doubles'
+};
+
+/**
+ * Whether a match is singles, from either match shape (matchType in the UI, match_type in the database)
+ */
+export function isSinglesMatch(match) {
+  return (match?.matchType || match?.match_type) === MATCH_TYPES.SINGLES;
+}
+
+/**
+ * Players of one team - one for singles, two for doubles
+ * Drops empty slots and a repeated singles player from legacy rows
+ */
+export function getTeamPlayers(team) {
+  const players = [team?.player1, team?.player2].filter(Boolean);
+  return players.filter((player, index) => players.findIndex(p => p.id === player.id) === index);
+}
+
+/**
+ * Distinct player ids of both teams, from either match shape
+ */
+export function getMatchTeamPlayerIds(match) {
+  const team1 = match?.team1 || match?.team2
+    ? [match.team1?.player1?.id, match.team1?.player2?.id]
+    : [match?.team1_player1_id, match?.team1_player2_id];
+  const team2 = match?.team1 || match?.team2
+    ? [match.team2?.player1?.id, match.team2?.player2?.id]
+    : [match?.team2_player1_id, match?.team2_player2_id];
+
+  return {
+    team1: [...new Set(team1.filter(Boolean))],
+    team2: [...new Set(team2.filter(Boolean))]
+  };
+}
+
+/**
+ * A database match row in the shape calculateMatchRatingChanges expects - teams of { id } slots
+ */
+export function toRatedMatch(row) {
+  const slot = (id) => (id ? { id } : null);
+  return {
+    matchType: row.match_type || MATCH_TYPES.DOUBLES,
+    team1: { player1: slot(row.team1_player1_id), player2: slot(row.team1_player2_id) },
+    team2: { player1: slot(row.team2_player1_id), player2: slot(row.team2_player2_id) }
+  };
+}
+
+/**
+ * A player's rating for a match type
+ * The singles rating starts from the starting ELO until the player's first singles match
+ */
+export function getPlayerRating(player, matchType = MATCH_TYPES.DOUBLES) {
+  if (matchType === MATCH_TYPES.SINGLES) {
+    return player?.singlesElo || ELO_CONFIG.STARTING_ELO;
+  }
+  return player?.elo || calculateInitialELO(player?.wins || 0, player?.losses || 0);
+}
+
+/**
+ * Matches a player has played of a match type, for the K-factor and calibration
+ * matchCount counts every match, so the doubles count is what's left after the singles ones
+ */
+export function getPlayerRatedMatches(player, matchType = MATCH_TYPES.DOUBLES) {
+  return matchType === MATCH_TYPES.SINGLES
+    ? (player?.singlesMatchCount || 0)
+    : Math.max(0, (player?.matchCount || 0) - (player?.singlesMatchCount || 0));
+}
+
+/**
+ * A player with their match count of a match type set to count, keeping the other type's count
+ */
+export function setPlayerRatedMatches(player, matchType, count) {
+  return matchType === MATCH_TYPES.SINGLES
+    ? { ...player, singlesMatchCount: count }
+    : { ...player, matchCount: count + (player?.singlesMatchCount || 0) };
+}
+
+/**
+ * Everything a rating engine needs about a player for a match type
+ * Returns { rating, matchCount, confidence, deviation, volatility, ratedAt } - the Glicko-2 fields
+ * are null until the player's first match rated by Glicko-2
+ */
+export function getPlayerRatingState(player, matchType = MATCH_TYPES.DOUBLES) {
+  const isSingles = matchType === MATCH_TYPES.SINGLES;
+  return {
+    rating: getPlayerRating(player, matchType),
+    matchCount: getPlayerRatedMatches(player, matchType),
+    // Doubles confidence is stored; singles calibrates from the player's singles match count
+    confidence: player?.confidence || 1.0,
+    deviation: (isSingles ? player?.singlesRatingDeviation : player?.ratingDeviation) || null,
+    volatility: (isSingles ? player?.singlesRatingVolatility : player?.ratingVolatility) || null,
+    ratedAt: (isSingles ? player?.singlesRatedAt : player?.ratedAt) || null
+  };
+}
+
+// Player fields holding the rest of a match type's rating state - doubles confidence is stored,
+// singles calibrates from the singles match count
+const RATING_STATE_FIELDS = {
+  [MATCH_TYPES.DOUBLES]: { confidence: 'confidence', deviation: 'ratingDeviation', volatility: 'ratingVolatility', ratedAt: 'ratedAt' },
+  [MATCH_TYPES.SINGLES]: { deviation: 'singlesRatingDeviation', volatility: 'singlesRatingVolatility', ratedAt: 'singlesRatedAt' }
+};
+
+/**
+ * A player's stored rating state for a match type besides the rating itself, kept with each ELO
+ * history entry so a corrected match can put it back - { confidence?, deviation, volatility, ratedAt }
+ */
+export function getRatingStateSnapshot(player, matchType = MATCH_TYPES.DOUBLES) {
+  return Object.fromEntries(Object.entries(RATING_STATE_FIELDS[matchType])
+    .map(([key, field]) => [key, player?.[field] ?? null]));
+}
+
+/**
+ * A player with a rating state snapshot put back; without a snapshot the player is returned as is
+ */
+export function restoreRatingState(player, matchType, snapshot) {
+  if (!snapshot) return player;
+  return Object.entries(RATING_STATE_FIELDS[matchType]).reduce((restored, [key, field]) => (
+    key in snapshot ? { ...restored, [field]: snapshot[key] } : restored
+  ), player);
+}
+
+/**
+ * Rating changes for every player in a completed match
+ * Doubles players are rated against the opposing team's average, with their own team's average
+ * recorded alongside - the ELO engine rates the pair team against team and splits the change between
+ * the partners (see calculateDoublesELOChanges); singles players are rated against their opponent's singles rating.
+ * playersById holds the current global players; winner is 'team1' or 'team2'.
+ * options.ratingEngine picks the engine (ELO by default, see ratingEngines.js); with a score ({ team1, team2 })
+ * and a marginMode other than off, the changes are scaled by the winning margin (see marginOfVictory.js).
+ * Returns [{ player, isWinner, matchType, ratingEngine, marginMultiplier, ratingBefore, playerTeamELO, opponentTeamELO,
+ *   matchCount, confidence, deviation, volatility, ...eloResult }] - deviation and volatility are null for ELO
+ */
+export function calculateMatchRatingChanges(match, winner, playersById, { ratingEngine, now = Date.now(), score = null, marginMode = MARGIN_MODES.OFF } = {}) {
+  const engine = getRatingEngine(ratingEngine);
+  const marginMultiplier = getMarginMultiplier(score, marginMode);
+  const matchType = isSinglesMatch(match) ? MATCH_TYPES.SINGLES : MATCH_TYPES.DOUBLES;
+  const teams = {
+    team1: getTeamPlayers(match.team1).map(p => playersById.get(p.id) || p),
+    team2: getTeamPlayers(match.team2).map(p => playersById.get(p.id) || p)
+  };
+  const teamRating = (players) => players.length === 1
+    ? getPlayerRating(players[0], matchType)
+    : calculateTeamELO(getPlayerRating(players[0], matchType), getPlayerRating(players[1], matchType));
+
+  return ['team1', 'team2'].flatMap(teamKey => {
+    const isWinner = teamKey === winner;
+    const opponents = teams[teamKey === 'team1' ? 'team2' : 'team1'];
+    const opponentTeamELO = teamRating(opponents);
+    const playerTeamELO = teamRating(teams[teamKey]);
+
+    const states = teams[teamKey].map(player => getPlayerRatingState(player, matchType));
+    const rating = {
+      opponentRating: opponentTeamELO,
+      opponents: opponents.map(opponent => getPlayerRatingState(opponent, matchType)),
+      isWin: isWinner,
+      now,
+      marginMultiplier
+    };
+    // Engines with a team model rate a doubles pair together
+    const results = states.length === 2 && engine.rateTeam
+      ? engine.rateTeam({ states, ...rating })
+      : states.map(state => engine.rate({ state, ...rating }));
+
+    return teams[teamKey].map((player, index) => {
+      const state = states[index];
+      const { confidence, deviation, volatility, ...eloResult } = results[index];
+
+      return {
+        player,
+        isWinner,
+        matchType,
+        ratingEngine: engine.id,
+        marginMultiplier,
+        ratingBefore: state.rating,
+        playerTeamELO,
+        opponentTeamELO,
+        matchCount: state.matchCount,
+        confidence,
+        deviation,
+        volatility,
+        ...eloResult
+      };
+    });
+  });
+}
+
+/**
+ * A player after one rating change from calculateMatchRatingChanges, played at playedAt (ISO string)
+ * Counts the result and moves the rating of the change's match type; Glicko-2 also keeps the deviation
+ */
+export function applyRatingChange(player, change, playedAt = new Date().toISOString()) {
+  const isSingles = change.matchType === MATCH_TYPES.SINGLES;
+  const ratingUpdate = isSingles
+    ? { singlesElo: change.newELO, singlesMatchCount: (player.singlesMatchCount || 0) + 1 }
+    : { elo: change.newELO, confidence: change.confidence };
+  const deviationUpdate = change.deviation === null ? {} : isSingles
+    ? { singlesRatingDeviation: change.deviation, singlesRatingVolatility: change.volatility, singlesRatedAt: playedAt }
+    : { ratingDeviation: change.deviation, ratingVolatility: change.volatility, ratedAt: playedAt };
+
+  return {
+    ...player,
+    wins: (player.wins || 0) + (change.isWinner ? 1 : 0),
+    losses: (player.losses || 0) + (change.isWinner ? 0 : 1),
+    matchCount: (player.matchCount || 0) + 1,
+    lastMatchTime: playedAt,
+    ...ratingUpdate,
+    ...deviationUpdate
+  };
+}
+
+/**
+ * ELO history fields for one rating change from calculateMatchRatingChanges
+ */
+export function toEloHistoryEntry(change, { matchId, sessionId, createdAt = new Date().toISOString() }) {
+  return {
+    player_id: change.player.id,
+    match_id: matchId,
+    session_id: sessionId,
+    match_type: change.matchType,
+    elo_before: change.ratingBefore,
+    elo_after: change.newELO,
+    elo_change: change.eloChange,
+    was_winner: change.isWinner,
+    opponent_elo: change.opponentTeamELO,
+    expected_score: change.expectedScore,
+    k_factor: change.kFactor,
+    player_team_elo: change.playerTeamELO,
+    opponent_team_elo: change.opponentTeamELO,
+    match_count: change.matchCount,
+    confidence: change.confidence,
+    rating_engine: change.ratingEngine,
+    rating_deviation: change.deviation,
+    rating_state_before: getRatingStateSnapshot(change.player, change.matchType),
+    created_at: createdAt
+  };
+}
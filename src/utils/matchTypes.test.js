@@ -0,0 +1,104 @@
+import {
+  MATCH_TYPES,
+  calculateMatchRatingChanges,
+  getMatchTeamPlayerIds,
+  getPlayerRating,
+  getPlayerRatedMatches,
+  getTeamPlayers,
+  isSinglesMatch
+} from './matchTypes';
+import { ELO_CONFIG } from './helpers';
+
+const player = (id, fields = {}) => ({ id, name: id, elo: 1200, matchCount: 20, confidence: 1.0, ...fields });
+
+describe('Match types', () => {
+  test('should recognise singles in either match shape', () => {
+    expect(isSinglesMatch({ matchType: 'singles' })).toBe(true);
+    expect(isSinglesMatch({ match_type: 'singles' })).toBe(true);
+    expect(isSinglesMatch({ match_type: 'doubles' })).toBe(false);
+    expect(isSinglesMatch({})).toBe(false);
+  });
+
+  test('should list each team player once', () => {
+    const alex = player('alex');
+    expect(getTeamPlayers({ player1: alex, player2: null })).toEqual([alex]);
+    expect(getTeamPlayers({ player1: alex, player2: alex })).toEqual([alex]);
+    expect(getMatchTeamPlayerIds({ team1_player1_id: 'a', team1_player2_id: 'a', team2_player1_id: 'b', team2_player2_id: null }))
+      .toEqual({ team1: ['a'], team2: ['b'] });
+  });
+
+  test('should keep singles and doubles ratings apart', () => {
+    expect(getPlayerRating(player('a', { elo: 1400 }))).toBe(1400);
+    expect(getPlayerRating(player('a', { elo: 1400 }), MATCH_TYPES.SINGLES)).toBe(ELO_CONFIG.STARTING_ELO);
+    expect(getPlayerRating(player('a', { elo: 1400, singlesElo: 1100 }), MATCH_TYPES.SINGLES)).toBe(1100);
+  });
+
+  test('should keep singles matches out of the doubles match count', () => {
+    const alex = player('alex', { matchCount: 12, singlesMatchCount: 9 });
+    const sam = player('sam', { matchCount: 3, singlesMatchCount: 0 });
+    const match = { matchType: 'doubles', team1: { player1: alex, player2: sam }, team2: { player1: player('c'), player2: player('d') } };
+    const changes = calculateMatchRatingChanges(match, 'team1', new Map([[alex.id, alex], [sam.id, sam]]));
+
+    expect(getPlayerRatedMatches(alex)).toBe(3);
+    expect(getPlayerRatedMatches(alex, MATCH_TYPES.SINGLES)).toBe(9);
+    // Same doubles experience, so the same K-factor whatever singles alex has played
+    expect(changes.find(change => change.player.id === 'alex').kFactor)
+      .toBe(changes.find(change => change.player.id === 'sam').kFactor);
+  });
+
+  test('should rate a singles match against the opponent only', () => {
+    const alex = player('alex', { singlesElo: 1300, singlesMatchCount: 20 });
+    const sam = player('sam', { singlesElo: 1100, singlesMatchCount: 20 });
+    const match = { matchType: 'singles', team1: { player1: alex, player2: null }, team2: { player1: sam, player2: null } };
+    const changes = calculateMatchRatingChanges(match, 'team2', new Map([[alex.id, alex], [sam.id, sam]]));
+
+    expect(changes).toHaveLength(2);
+    const alexChange = changes.find(change => change.player.id === 'alex');
+    const samChange = changes.find(change => change.player.id === 'sam');
+    expect(alexChange.matchType).toBe(MATCH_TYPES.SINGLES);
+    expect(alexChange.ratingBefore).toBe(1300);
+    expect(alexChange.opponentTeamELO).toBe(1100);
+    expect(alexChange.eloChange).toBeLessThan(0);
+    expect(samChange.isWinner).toBe(true);
+    expect(samChange.eloChange).toBeGreaterThan(0);
+  });
+
+  test('should rate legacy singles rows with a repeated player once per player', () => {
+    const alex = player('alex');
+    const sam = player('sam');
+    const match = { matchType: 'singles', team1: { player1: alex, player2: alex }, team2: { player1: sam, player2: sam } };
+
+    expect(calculateMatchRatingChanges(match, 'team1', new Map())).toHaveLength(2);
+  });
+
+  test('should rate doubles players against the opposing team average', () => {
+    const players = [player('a', { elo: 1000 }), player('b', { elo: 1400 }), player('c', { elo: 1100 }), player('d', { elo: 1300 })];
+    const match = {
+      matchType: 'doubles',
+      team1: { player1: players[0], player2: players[1] },
+      team2: { player1: players[2], player2: players[3] }
+    };
+    const changes = calculateMatchRatingChanges(match, 'team1', new Map(players.map(p => [p.id, p])));
+
+    expect(changes).toHaveLength(4);
+    expect(changes.every(change => change.matchType === MATCH_TYPES.DOUBLES)).toBe(true);
+    expect(changes.find(change => change.player.id === 'a').opponentTeamELO).toBe(1200);
+    expect(changes.find(change => change.player.id === 'a').playerTeamELO).toBe(1200);
+  });
+
+  test('should split a doubles result between partners by their strength', () => {
+    const players = [player('a', { elo: 1000 }), player('b', { elo: 1400 }), player('c', { elo: 1100 }), player('d', { elo: 1300 })];
+    const match = {
+      matchType: 'doubles',
+      team1: { player1: players[0], player2: players[1] },
+      team2: { player1: players[2], player2: players[3] }
+    };
+    const changes = calculateMatchRatingChanges(match, 'team1', new Map(players.map(p => [p.id, p])));
+    const changeOf = (id) => changes.find(change => change.player.id === id);
+
+    // Both teams average 1200, so each side was expected to win half the time
+    expect(changes.every(change => change.expectedScore === 0.5)).toBe(true);
+    expect(changeOf('b').eloChange).toBeGreaterThan(changeOf('a').eloChange);
+    expect(changeOf('a').eloChange).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,88 @@
+// Pairing Constraints for Badminton Pairing
+// Per-session hard rules about who may partner, face or share a court with whom
+
+export const CONSTRAINT_TYPES = {
+  MUST_PARTNER: 'must-partner',
+  NEVER_PARTNER: 'never-partner',
+  NEVER_OPPOSE: 'never-oppose',
+  AVOID_SAME_COURT: 'avoid-same-court'
+};
+
+export const CONSTRAINT_OPTIONS = [
+  { value: CONSTRAINT_TYPES.MUST_PARTNER, label: 'Always partners', description: 'Only play together, on the same team' },
+  { value: CONSTRAINT_TYPES.NEVER_PARTNER, label: 'Never partners', description: 'Can play in the same match, but not on the same team' },
+  { value: CONSTRAINT_TYPES.NEVER_OPPOSE, label: 'Never opponents', description: 'Can partner each other, but never play against each other' },
+  { value: CONSTRAINT_TYPES.AVOID_SAME_COURT, label: 'Not on the same court', description: 'Never put in the same match' }
+];
+
+/**
+ * Get the pairing rules for a session
+ */
+export function getSessionConstraints(session) {
+  return session?.constraints || [];
+}
+
+/**
+ * Rules that can affect a pool of players - at least one of the pair has to be in it
+ */
+export function getActiveConstraints(constraints, players) {
+  if (!constraints || constraints.length === 0) return [];
+  const ids = new Set(players.map(p => p.id));
+  return constraints.filter(rule => rule.playerIds.some(id => ids.has(id)));
+}
+
+/**
+ * Rules broken by a court line-up in the match shape { team1: { player1, player2 }, team2 }
+ * Empty slots are ignored so partial manual picks can be checked as they are made. A
+ * must-partner rule is broken once the player's partner slot holds someone else, or as soon
+ * as the line-up is complete; it only binds while the partner is in the pool being matched
+ * (poolIds), so a player whose partner is resting or on another court can still play.
+ */
+export function getConstraintViolations(teams, constraints, options = {}) {
+  if (!constraints || constraints.length === 0) return [];
+
+  const { poolIds = null, complete = false } = options;
+  const team1 = [...new Set([teams.team1?.player1?.id, teams.team1?.player2?.id].filter(Boolean))];
+  const team2 = [...new Set([teams.team2?.player1?.id, teams.team2?.player2?.id].filter(Boolean))];
+  const sideOf = (id) => (team1.includes(id) ? 1 : team2.includes(id) ? 2 : 0);
+
+  return constraints.filter(rule => {
+    const [a, b] = rule.playerIds;
+    const sideA = sideOf(a);
+    const sideB = sideOf(b);
+
+    switch (rule.type) {
+      case CONSTRAINT_TYPES.MUST_PARTNER: {
+        if (!sideA && !sideB) return false;
+        if (sideA && sideB) return sideA !== sideB;
+        const missingId = sideA ? b : a;
+        if (poolIds && !poolIds.has(missingId)) return false;
+        return complete || (sideA === 1 || sideB === 1 ? team1 : team2).length === 2;
+      }
+      case CONSTRAINT_TYPES.NEVER_PARTNER:
+        return sideA !== 0 && sideA === sideB;
+      case CONSTRAINT_TYPES.NEVER_OPPOSE:
+        return sideA !== 0 && sideB !== 0 && sideA !== sideB;
+      case CONSTRAINT_TYPES.AVOID_SAME_COURT:
+        return sideA !== 0 && sideB !== 0;
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Whether a complete line-up breaks any of the rules
+ */
+export function violatesConstraints(teams, constraints, poolIds = null) {
+  return getConstraintViolations(teams, constraints, { poolIds, complete: true }).length > 0;
+}
+
+/**
+ * Human readable description of a rule, e.g. "Alex & Sam: never partners"
+ */
+export function describeConstraint(rule, playersById) {
+  const label = CONSTRAINT_OPTIONS.find(option => option.value === rule.type)?.label || rule.type;
+  const names = rule.playerIds.map(id => playersById.get(id)?.name || 'Unknown');
+  return `${names.join(' & ')}: ${label.toLowerCase()}`;
+}
@@ -0,0 +1,69 @@
+import {
+  CONSTRAINT_TYPES,
+  getActiveConstraints,
+  getConstraintViolations,
+  violatesConstraints,
+  describeConstraint
+} from './pairingConstraints';
+
+const player = (id) => ({ id, name: id.toUpperCase() });
+const lineup = (a, b, c, d) => ({
+  team1: { player1: a && player(a), player2: b && player(b) },
+  team2: { player1: c && player(c), player2: d && player(d) }
+});
+const rule = (type, a, b) => ({ id: `${type}-${a}-${b}`, type, playerIds: [a, b] });
+
+describe('Pairing Constraints', () => {
+  describe('violatesConstraints', () => {
+    test.each([
+      [CONSTRAINT_TYPES.MUST_PARTNER, lineup('a', 'b', 'c', 'd'), false],
+      [CONSTRAINT_TYPES.MUST_PARTNER, lineup('a', 'c', 'b', 'd'), true],
+      [CONSTRAINT_TYPES.MUST_PARTNER, lineup('a', 'c', 'd', 'e'), true],
+      [CONSTRAINT_TYPES.MUST_PARTNER, lineup('c', 'd', 'e', 'f'), false],
+      [CONSTRAINT_TYPES.NEVER_PARTNER, lineup('a', 'b', 'c', 'd'), true],
+      [CONSTRAINT_TYPES.NEVER_PARTNER, lineup('a', 'c', 'b', 'd'), false],
+      [CONSTRAINT_TYPES.NEVER_OPPOSE, lineup('a', 'c', 'b', 'd'), true],
+      [CONSTRAINT_TYPES.NEVER_OPPOSE, lineup('a', 'b', 'c', 'd'), false],
+      [CONSTRAINT_TYPES.AVOID_SAME_COURT, lineup('a', 'b', 'c', 'd'), true],
+      [CONSTRAINT_TYPES.AVOID_SAME_COURT, lineup('a', 'c', 'b', 'd'), true],
+      [CONSTRAINT_TYPES.AVOID_SAME_COURT, lineup('a', 'c', 'd', 'e'), false]
+    ])('%s rule on a vs b: %o breaks it = %s', (type, teams, expected) => {
+      expect(violatesConstraints(teams, [rule(type, 'a', 'b')])).toBe(expected);
+    });
+
+    test('should let a locked player play when their partner is not in the pool', () => {
+      const rules = [rule(CONSTRAINT_TYPES.MUST_PARTNER, 'a', 'b')];
+      const poolIds = new Set(['a', 'c', 'd', 'e']);
+
+      expect(violatesConstraints(lineup('a', 'c', 'd', 'e'), rules, poolIds)).toBe(false);
+    });
+  });
+
+  describe('getConstraintViolations', () => {
+    test('should only flag a partner lock once the partner slot holds someone else', () => {
+      const rules = [rule(CONSTRAINT_TYPES.MUST_PARTNER, 'a', 'b')];
+
+      expect(getConstraintViolations(lineup('a', null, 'c', null), rules)).toEqual([]);
+      expect(getConstraintViolations(lineup('a', 'c', null, null), rules)).toEqual(rules);
+    });
+
+    test('should check singles line-ups', () => {
+      const rules = [rule(CONSTRAINT_TYPES.NEVER_OPPOSE, 'a', 'b')];
+      const singles = { team1: { player1: player('a') }, team2: { player1: player('b') } };
+
+      expect(getConstraintViolations(singles, rules, { complete: true })).toEqual(rules);
+    });
+  });
+
+  test('getActiveConstraints should drop rules about players outside the pool', () => {
+    const rules = [rule(CONSTRAINT_TYPES.NEVER_PARTNER, 'a', 'b'), rule(CONSTRAINT_TYPES.NEVER_PARTNER, 'x', 'y')];
+
+    expect(getActiveConstraints(rules, [player('a'), player('c')])).toEqual([rules[0]]);
+  });
+
+  test('describeConstraint should name both players', () => {
+    const playersById = new Map([['a', player('a')], ['b', player('b')]]);
+
+    expect(describeConstraint(rule(CONSTRAINT_TYPES.NEVER_OPPOSE, 'a', 'b'), playersById)).toBe('A & B: never opponents');
+  });
+});
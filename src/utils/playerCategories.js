@@ -0,0 +1,95 @@
+// Player Categories and Court Match Types for Badminton Pairing
+// Optional player category (used for mixed and level doubles) and per-court match-type rules
+
+export const PLAYER_CATEGORIES = {
+  MALE: 'male',
+  FEMALE: 'female'
+};
+
+export const PLAYER_CATEGORY_OPTIONS = [
+  { value: PLAYER_CATEGORIES.MALE, label: 'Male', short: 'M' },
+  { value: PLAYER_CATEGORIES.FEMALE, label: 'Female', short: 'F' }
+];
+
+export const COURT_MATCH_TYPES = {
+  ANY: 'any',
+  MIXED: 'mixed',
+  MENS: 'mens',
+  WOMENS: 'womens'
+};
+
+export const COURT_MATCH_TYPE_OPTIONS = [
+  { value: COURT_MATCH_TYPES.ANY, label: 'Any', description: 'Anyone can play on this court' },
+  { value: COURT_MATCH_TYPES.MIXED, label: 'Mixed doubles', description: 'One male and one female player per side' },
+  { value: COURT_MATCH_TYPES.MENS, label: "Men's doubles", description: 'Male players only' },
+  { value: COURT_MATCH_TYPES.WOMENS, label: "Women's doubles", description: 'Female players only' }
+];
+
+/**
+ * Next category when cycling a player's category: none -> male -> female -> none
+ */
+export function getNextPlayerCategory(category) {
+  if (!category) return PLAYER_CATEGORIES.MALE;
+  if (category === PLAYER_CATEGORIES.MALE) return PLAYER_CATEGORIES.FEMALE;
+  return null;
+}
+
+/**
+ * Match-type rule for a court (any when none is set)
+ */
+export function getCourtMatchType(session, courtId) {
+  return session?.courtRules?.[courtId] || COURT_MATCH_TYPES.ANY;
+}
+
+/**
+ * Whether a player can take part in a court's matches at all
+ */
+export function isEligibleForCourt(player, courtType) {
+  switch (courtType) {
+    case COURT_MATCH_TYPES.MENS:
+      return player.category === PLAYER_CATEGORIES.MALE;
+    case COURT_MATCH_TYPES.WOMENS:
+      return player.category === PLAYER_CATEGORIES.FEMALE;
+    case COURT_MATCH_TYPES.MIXED:
+      return !!player.category;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether a doubles line-up fits a court's match-type rule
+ * Players without a category only fit courts without a rule.
+ */
+export function fitsCourtMatchType(teams, courtType) {
+  if (!courtType || courtType === COURT_MATCH_TYPES.ANY) return true;
+
+  const sides = [
+    [teams.team1?.player1, teams.team1?.player2],
+    [teams.team2?.player1, teams.team2?.player2]
+  ];
+
+  if (courtType === COURT_MATCH_TYPES.MIXED) {
+    return sides.every(side => {
+      const categories = side.map(player => player?.category);
+      return categories.includes(PLAYER_CATEGORIES.MALE) && categories.includes(PLAYER_CATEGORIES.FEMALE);
+    });
+  }
+
+  return sides.flat().every(player => player && isEligibleForCourt(player, courtType));
+}
+
+/**
+ * Whether a pool has enough eligible players to fill a court under its rule
+ */
+export function canFillCourtMatchType(players, courtType) {
+  if (!courtType || courtType === COURT_MATCH_TYPES.ANY) return players.length >= 4;
+
+  if (courtType === COURT_MATCH_TYPES.MIXED) {
+    const males = players.filter(p => p.category === PLAYER_CATEGORIES.MALE).length;
+    const females = players.filter(p => p.category === PLAYER_CATEGORIES.FEMALE).length;
+    return males >= 2 && females >= 2;
+  }
+
+  return players.filter(p => isEligibleForCourt(p, courtType)).length >= 4;
+}
@@ -0,0 +1,64 @@
+import {
+  COURT_MATCH_TYPES,
+  canFillCourtMatchType,
+  fitsCourtMatchType,
+  getCourtMatchType,
+  getNextPlayerCategory,
+  isEligibleForCourt
+} from './playerCategories';
+
+const male = (id) => ({ id, category: 'male' });
+const female = (id) => ({ id, category: 'female' });
+const unset = (id) => ({ id });
+
+const lineup = (a, b, c, d) => ({
+  team1: { player1: a, player2: b },
+  team2: { player1: c, player2: d }
+});
+
+describe('Player Categories', () => {
+  test('should cycle a player category through male, female and unset', () => {
+    expect(getNextPlayerCategory(null)).toBe('male');
+    expect(getNextPlayerCategory('male')).toBe('female');
+    expect(getNextPlayerCategory('female')).toBeNull();
+  });
+
+  test('should default courts without a rule to any', () => {
+    const session = { courtRules: { 1: COURT_MATCH_TYPES.MIXED } };
+
+    expect(getCourtMatchType(session, 0)).toBe(COURT_MATCH_TYPES.ANY);
+    expect(getCourtMatchType(session, 1)).toBe(COURT_MATCH_TYPES.MIXED);
+    expect(getCourtMatchType(null, 0)).toBe(COURT_MATCH_TYPES.ANY);
+  });
+
+  test('should only let players with a category onto restricted courts', () => {
+    expect(isEligibleForCourt(unset('u'), COURT_MATCH_TYPES.ANY)).toBe(true);
+    expect(isEligibleForCourt(unset('u'), COURT_MATCH_TYPES.MIXED)).toBe(false);
+    expect(isEligibleForCourt(male('m'), COURT_MATCH_TYPES.WOMENS)).toBe(false);
+    expect(isEligibleForCourt(female('f'), COURT_MATCH_TYPES.WOMENS)).toBe(true);
+  });
+
+  describe('fitsCourtMatchType', () => {
+    test('should need a male and a female player on each side of a mixed court', () => {
+      expect(fitsCourtMatchType(lineup(male('a'), female('b'), female('c'), male('d')), COURT_MATCH_TYPES.MIXED)).toBe(true);
+      expect(fitsCourtMatchType(lineup(male('a'), male('b'), female('c'), female('d')), COURT_MATCH_TYPES.MIXED)).toBe(false);
+    });
+
+    test('should need every player to match a level doubles court', () => {
+      expect(fitsCourtMatchType(lineup(male('a'), male('b'), male('c'), male('d')), COURT_MATCH_TYPES.MENS)).toBe(true);
+      expect(fitsCourtMatchType(lineup(male('a'), male('b'), male('c'), unset('d')), COURT_MATCH_TYPES.MENS)).toBe(false);
+    });
+
+    test('should accept anyone on a court without a rule', () => {
+      expect(fitsCourtMatchType(lineup(unset('a'), unset('b'), unset('c'), unset('d')), COURT_MATCH_TYPES.ANY)).toBe(true);
+    });
+  });
+
+  test('should tell whether a pool can fill a court', () => {
+    const pool = [male('a'), male('b'), male('c'), female('d'), female('e'), unset('f')];
+
+    expect(canFillCourtMatchType(pool, COURT_MATCH_TYPES.MIXED)).toBe(true);
+    expect(canFillCourtMatchType(pool, COURT_MATCH_TYPES.MENS)).toBe(false);
+    expect(canFillCourtMatchType(pool, COURT_MATCH_TYPES.ANY)).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+// Player Rest for Badminton Pairing
+// A session player can take a short break - rest until a time, or skip the next few rounds -
+// without leaving the session. Resting players stay in the waiting queue, so they keep their
+// place, but are left out of matching until the rest is over. Rests end on their own: a timed
+// rest when the clock passes resting_until, a round rest once enough matches have started.
+
+export const REST_OPTIONS = [
+  { key: 'minutes-5', label: '5 min', minutes: 5 },
+  { key: 'minutes-10', label: '10 min', minutes: 10 },
+  { key: 'minutes-15', label: '15 min', minutes: 15 },
+  { key: 'rounds-1', label: 'Skip 1 round', rounds: 1 },
+  { key: 'rounds-2', label: 'Skip 2 rounds', rounds: 2 }
+];
+
+// Session player columns that clear a rest
+export const END_REST_UPDATE = {
+  resting_until: null,
+  rest_started_at: null,
+  rest_rounds: 0
+};
+
+/**
+ * Rest fields of a session player, from either shape (restingUntil on session players with
+ * details, resting_until on session_players rows)
+ */
+function getRestFields(player) {
+  return {
+    restingUntil: player?.restingUntil ?? player?.resting_until ?? null,
+    restStartedAt: player?.restStartedAt ?? player?.rest_started_at ?? null,
+    restRounds: player?.restRounds ?? player?.rest_rounds ?? 0
+  };
+}
+
+/**
+ * Session player columns for a rest of `minutes` or `rounds`, starting now
+ */
+export function createRestUpdate({ minutes, rounds } = {}, now = Date.now()) {
+  if (minutes > 0) {
+    return {
+      ...END_REST_UPDATE,
+      resting_until: new Date(now + minutes * 60000).toISOString(),
+      rest_started_at: new Date(now).toISOString()
+    };
+  }
+  if (rounds > 0) {
+    return { ...END_REST_UPDATE, rest_started_at: new Date(now).toISOString(), rest_rounds: Math.round(rounds) };
+  }
+  return END_REST_UPDATE;
+}
+
+/**
+ * A player's rest right now, or null when they are not resting
+ * A round is every court starting a match, so a round rest counts the matches started since
+ * the rest began. Returns { until, roundsLeft } - until is a Date for a timed rest.
+ * context is { matches, courtCount, now }
+ */
+export function getRestState(player, { matches = [], courtCount = 1, now = Date.now() } = {}) {
+  const { restingUntil, restStartedAt, restRounds } = getRestFields(player);
+
+  if (restingUntil) {
+    const until = new Date(restingUntil);
+    return until.getTime() > now ? { until, roundsLeft: 0 } : null;
+  }
+
+  if (restRounds > 0 && restStartedAt) {
+    const startedSince = matches.filter(match => {
+      const startedAt = match.started_at || match.startTime;
+      return startedAt && new Date(startedAt) > new Date(restStartedAt);
+    }).length;
+    const roundsLeft = restRounds - Math.floor(startedSince / Math.max(1, courtCount));
+    return roundsLeft > 0 ? { until: null, roundsLeft } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a player is resting right now (see getRestState)
+ */
+export function isPlayerResting(player, context) {
+  return getRestState(player, context) !== null;
+}
+
+/**
+ * When the next timed rest among the players ends, in milliseconds, or null when none is running
+ */
+export function getNextRestEnd(players, now = Date.now()) {
+  const ends = players
+    .map(player => getRestFields(player).restingUntil)
+    .filter(Boolean)
+    .map(until => new Date(until).getTime())
+    .filter(until => until > now);
+
+  return ends.length > 0 ? Math.min(...ends) : null;
+}
+
+/**
+ * Short status for a resting player (e.g. "Resting until 20:15", "Resting 2 rounds")
+ */
+export function formatRestStatus(rest) {
+  if (!rest) return '';
+  if (rest.until) {
+    const time = rest.until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `Resting until ${time}`;
+  }
+  return `Resting ${rest.roundsLeft} round${rest.roundsLeft !== 1 ? 's' : ''}`;
+}
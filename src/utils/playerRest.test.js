@@ -0,0 +1,80 @@
+import {
+  END_REST_UPDATE,
+  createRestUpdate,
+  getRestState,
+  isPlayerResting,
+  getNextRestEnd,
+  formatRestStatus
+} from './playerRest';
+import { syncWaitingQueue } from './waitingQueue';
+
+describe('Player Rest', () => {
+  const now = new Date('2024-01-01T19:00:00.000Z').getTime();
+  const startedAt = (minutes) => ({ started_at: new Date(now + minutes * 60000).toISOString() });
+
+  test('should build timed and round rests from now', () => {
+    expect(createRestUpdate({ minutes: 5 }, now)).toEqual({
+      resting_until: '2024-01-01T19:05:00.000Z',
+      rest_started_at: '2024-01-01T19:00:00.000Z',
+      rest_rounds: 0
+    });
+    expect(createRestUpdate({ rounds: 2 }, now)).toEqual({
+      resting_until: null,
+      rest_started_at: '2024-01-01T19:00:00.000Z',
+      rest_rounds: 2
+    });
+    expect(createRestUpdate({}, now)).toEqual(END_REST_UPDATE);
+  });
+
+  test('should end a timed rest when the clock passes resting_until', () => {
+    const player = { id: 'p1', ...createRestUpdate({ minutes: 5 }, now) };
+
+    expect(getRestState(player, { now: now + 4 * 60000 }).until).toEqual(new Date('2024-01-01T19:05:00.000Z'));
+    expect(isPlayerResting(player, { now: now + 5 * 60000 })).toBe(false);
+  });
+
+  test('should count a round as every court starting a match', () => {
+    // Session players with details use camelCase fields
+    const player = { id: 'p1', restStartedAt: new Date(now).toISOString(), restRounds: 2 };
+    const matches = [startedAt(-10), startedAt(1), startedAt(2), startedAt(3)];
+
+    expect(getRestState(player, { matches: matches.slice(0, 3), courtCount: 2, now })).toEqual({ until: null, roundsLeft: 1 });
+    expect(getRestState(player, { matches: [...matches, startedAt(4)], courtCount: 2, now })).toBeNull();
+  });
+
+  test('should treat players without rest fields as not resting', () => {
+    expect(isPlayerResting({ id: 'p1' }, { now })).toBe(false);
+    expect(isPlayerResting({ id: 'p1', ...END_REST_UPDATE }, { now })).toBe(false);
+  });
+
+  test('should find the next timed rest to end', () => {
+    const players = [
+      { id: 'p1', resting_until: '2024-01-01T19:10:00.000Z' },
+      { id: 'p2', resting_until: '2024-01-01T19:05:00.000Z' },
+      { id: 'p3', resting_until: '2024-01-01T18:55:00.000Z' },
+      { id: 'p4' }
+    ];
+
+    expect(getNextRestEnd(players, now)).toBe(new Date('2024-01-01T19:05:00.000Z').getTime());
+    expect(getNextRestEnd([{ id: 'p4' }], now)).toBeNull();
+  });
+
+  test('should describe round rests', () => {
+    expect(formatRestStatus({ until: null, roundsLeft: 1 })).toBe('Resting 1 round');
+    expect(formatRestStatus({ until: null, roundsLeft: 2 })).toBe('Resting 2 rounds');
+    expect(formatRestStatus(null)).toBe('');
+  });
+
+  test('should keep a resting player\'s place in the waiting queue', () => {
+    // The waiting queue is synced with every active player off court, resting or not
+    const queue = { p1: '2024-01-01T18:30:00.000Z', p2: '2024-01-01T18:45:00.000Z' };
+    const players = [
+      { id: 'p1', ...createRestUpdate({ minutes: 5 }, now) },
+      { id: 'p2' }
+    ];
+
+    const { queue: nextQueue, changed } = syncWaitingQueue(queue, players, [], new Date(now));
+    expect(changed).toBe(false);
+    expect(nextQueue.p1).toBe('2024-01-01T18:30:00.000Z');
+  });
+});
@@ -0,0 +1,31 @@
+// Seeded Random Numbers for Badminton Pairing
+// Draws take their randomness from a seed so a disputed draw can be replayed exactly
+
+/**
+ * Random number generator for a 32-bit seed (mulberry32)
+ * Returns a function that yields numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fresh 32-bit seed for a new draw
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Short label for a seed, e.g. "#1f3a9c02"
+ */
+export function formatSeed(seed) {
+  return `#${(seed >>> 0).toString(16).padStart(8, '0')}`;
+}
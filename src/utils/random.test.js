@@ -0,0 +1,36 @@
+import { createRandom, formatSeed, generateSeed } from './random';
+
+describe('Seeded random numbers', () => {
+  test('should repeat the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = Array.from({ length: 10 }, () => a());
+
+    expect(Array.from({ length: 10 }, () => b())).toEqual(first);
+  });
+
+  test('should give different sequences for different seeds', () => {
+    const a = createRandom(1);
+    const b = createRandom(2);
+
+    expect(Array.from({ length: 5 }, () => a())).not.toEqual(Array.from({ length: 5 }, () => b()));
+  });
+
+  test('should stay within [0, 1)', () => {
+    const random = createRandom(generateSeed());
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('should generate 32-bit seeds and format them as hex', () => {
+    const seed = generateSeed();
+
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(4294967296);
+    expect(formatSeed(255)).toBe('#000000ff');
+  });
+});
@@ -0,0 +1,198 @@
+// Rating Engines for Badminton Pairing
+// A rating engine turns one player's match result into a new rating. The club picks one:
+// the app's ELO (K-factor scaled by matches played and a confidence between 0.5 and 1.0)
+// or Glicko-2, which tracks each player's rating deviation (how unsure the rating is) and
+// volatility (how erratic their results are) and grows the deviation while they don't play.
+
+import {
+  ELO_CONFIG,
+  calculateDoublesELOChanges,
+  calculateELOChange,
+  updateConfidence
+} from './helpers';
+
+export const RATING_ENGINES = {
+  ELO: 'elo',
+  GLICKO2: 'glicko2'
+};
+
+export const RATING_ENGINE_OPTIONS = [
+  {
+    value: RATING_ENGINES.ELO,
+    label: 'ELO',
+    description: 'Fixed-size changes that shrink as players gain experience'
+  },
+  {
+    value: RATING_ENGINES.GLICKO2,
+    label: 'Glicko-2',
+    description: 'Tracks how certain each rating is - new and returning players move faster'
+  }
+];
+
+export const GLICKO2_CONFIG = {
+  SCALE: 173.7178,            // Converts ratings to the Glicko-2 scale
+  INITIAL_DEVIATION: 350,     // Deviation of a brand new player
+  MIN_DEVIATION: 30,          // Deviation never drops below this
+  INITIAL_VOLATILITY: 0.06,
+  TAU: 0.5,                   // Limits how fast volatility can change
+  CONVERGENCE: 0.000001,
+  RATING_PERIOD_DAYS: 7       // A player's deviation grows once per idle rating period
+};
+
+/**
+ * The app's ELO: confidence calibrates over the first matches and nudges the K-factor
+ */
+const eloEngine = {
+  id: RATING_ENGINES.ELO,
+  rate({ state, opponentRating, isWin, marginMultiplier = 1 }) {
+    const confidence = updateConfidence(state.confidence || 1.0, state.matchCount, isWin ? 'win' : 'loss');
+    const result = calculateELOChange({
+      playerELO: state.rating,
+      opponentELO: opponentRating,
+      isWin,
+      matchCount: state.matchCount,
+      confidence,
+      marginMultiplier
+    });
+
+    return { ...result, confidence, deviation: null, volatility: null };
+  },
+
+  // Doubles: expected score team against team, with the change split between the partners
+  rateTeam({ states, opponentRating, isWin, marginMultiplier = 1 }) {
+    const confidences = states.map(state => updateConfidence(state.confidence || 1.0, state.matchCount, isWin ? 'win' : 'loss'));
+    const results = calculateDoublesELOChanges({
+      team: states.map((state, index) => ({ playerELO: state.rating, matchCount: state.matchCount, confidence: confidences[index] })),
+      opponentELO: opponentRating,
+      isWin,
+      marginMultiplier
+    });
+
+    return results.map((result, index) => ({ ...result, confidence: confidences[index], deviation: null, volatility: null }));
+  }
+};
+
+const toGlickoScale = (rating) => (rating - ELO_CONFIG.STARTING_ELO) / GLICKO2_CONFIG.SCALE;
+const fromGlickoScale = (mu) => mu * GLICKO2_CONFIG.SCALE + ELO_CONFIG.STARTING_ELO;
+
+/**
+ * Starting deviation for a player with no stored deviation
+ * Players rated by ELO before the club switched start less uncertain the more they've played
+ */
+function getStartingDeviation(matchCount = 0) {
+  const deviation = GLICKO2_CONFIG.INITIAL_DEVIATION / Math.sqrt(1 + matchCount / ELO_CONFIG.CALIBRATION_MATCHES);
+  return Math.max(GLICKO2_CONFIG.MIN_DEVIATION, deviation);
+}
+
+/**
+ * A player's deviation going into a match, grown by every full rating period they sat idle
+ */
+export function getCurrentDeviation(state, now = Date.now()) {
+  const deviation = state.deviation || getStartingDeviation(state.matchCount);
+  if (!state.ratedAt) return deviation;
+
+  const periodMs = GLICKO2_CONFIG.RATING_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+  const idlePeriods = Math.max(0, Math.floor((now - new Date(state.ratedAt).getTime()) / periodMs));
+  const volatility = state.volatility || GLICKO2_CONFIG.INITIAL_VOLATILITY;
+  const phi = deviation / GLICKO2_CONFIG.SCALE;
+  const grown = Math.sqrt(phi * phi + idlePeriods * volatility * volatility) * GLICKO2_CONFIG.SCALE;
+
+  return Math.min(GLICKO2_CONFIG.INITIAL_DEVIATION, grown);
+}
+
+/**
+ * New volatility from Glickman's iteration (Illinois algorithm)
+ */
+function updateVolatility(phi, sigma, variance, delta) {
+  const { TAU, CONVERGENCE } = GLICKO2_CONFIG;
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + variance + ex;
+    return (ex * (delta * delta - denominator)) / (2 * denominator * denominator) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + variance) {
+    B = Math.log(delta * delta - phi * phi - variance);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  for (let iteration = 0; Math.abs(B - A) > CONVERGENCE && iteration < 100; iteration++) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Glicko-2: every match is rated as its own rating period against the opposing team,
+ * whose deviation combines its players' deviations. A margin multiplier scales the rating
+ * change but not the deviation - one result is one result, however convincing
+ */
+const glicko2Engine = {
+  id: RATING_ENGINES.GLICKO2,
+  rate({ state, opponentRating, opponents = [], isWin, now = Date.now(), marginMultiplier = 1 }) {
+    const mu = toGlickoScale(state.rating);
+    const phi = getCurrentDeviation(state, now) / GLICKO2_CONFIG.SCALE;
+    const sigma = state.volatility || GLICKO2_CONFIG.INITIAL_VOLATILITY;
+
+    const opponentDeviations = opponents.map(opponent => getCurrentDeviation(opponent, now) / GLICKO2_CONFIG.SCALE);
+    const opponentPhi = opponentDeviations.length > 0
+      ? Math.sqrt(opponentDeviations.reduce((sum, d) => sum + d * d, 0) / opponentDeviations.length)
+      : GLICKO2_CONFIG.INITIAL_DEVIATION / GLICKO2_CONFIG.SCALE;
+
+    const g = 1 / Math.sqrt(1 + (3 * opponentPhi * opponentPhi) / (Math.PI * Math.PI));
+    const expectedScore = 1 / (1 + Math.exp(-g * (mu - toGlickoScale(opponentRating))));
+    const actualScore = isWin ? 1 : 0;
+    const variance = 1 / (g * g * expectedScore * (1 - expectedScore));
+    const delta = variance * g * (actualScore - expectedScore);
+
+    const volatility = updateVolatility(phi, sigma, variance, delta);
+    const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / variance);
+    const newMu = mu + marginMultiplier * newPhi * newPhi * g * (actualScore - expectedScore);
+
+    const newELO = Math.max(ELO_CONFIG.MIN_ELO, Math.min(ELO_CONFIG.MAX_ELO, Math.round(fromGlickoScale(newMu))));
+    return {
+      newELO,
+      eloChange: newELO - state.rating,
+      expectedScore: Math.round(expectedScore * 100) / 100,
+      kFactor: null,
+      confidence: state.confidence || 1.0,
+      deviation: Math.max(GLICKO2_CONFIG.MIN_DEVIATION, Math.round(newPhi * GLICKO2_CONFIG.SCALE * 10) / 10),
+      volatility: Math.round(volatility * 1000000) / 1000000
+    };
+  }
+};
+
+const ENGINES = {
+  [RATING_ENGINES.ELO]: eloEngine,
+  [RATING_ENGINES.GLICKO2]: glicko2Engine
+};
+
+/**
+ * The rating engine for an id, falling back to ELO for unknown ids
+ * An engine rates one player: rate({ state, opponentRating, opponents, isWin, now, marginMultiplier }) where state is
+ * { rating, matchCount, confidence, deviation, volatility, ratedAt } (see getPlayerRatingState).
+ * Returns { newELO, eloChange, expectedScore, kFactor, confidence, deviation, volatility }
+ * An engine may also rate a doubles pair together: rateTeam({ states, ... }) returns one result per state
+ */
+export function getRatingEngine(engineId) {
+  return ENGINES[engineId] || eloEngine;
+}
@@ -0,0 +1,79 @@
+import { RATING_ENGINES, GLICKO2_CONFIG, getRatingEngine, getCurrentDeviation } from './ratingEngines';
+import { calculateELOChange, updateConfidence } from './helpers';
+import { calculateMatchRatingChanges } from './matchTypes';
+
+describe('Rating Engines', () => {
+  const now = new Date('2024-03-01T20:00:00.000Z').getTime();
+  const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  const state = (overrides = {}) => ({ rating: 1200, matchCount: 20, confidence: 1.0, deviation: 200, volatility: 0.06, ratedAt: null, ...overrides });
+  const opponent = state({ rating: 1300, deviation: 100 });
+
+  test('should fall back to ELO for unknown engines', () => {
+    expect(getRatingEngine('unknown').id).toBe(RATING_ENGINES.ELO);
+    expect(getRatingEngine(RATING_ENGINES.GLICKO2).id).toBe(RATING_ENGINES.GLICKO2);
+  });
+
+  test('should rate exactly as the existing ELO code under the ELO engine', () => {
+    const result = getRatingEngine(RATING_ENGINES.ELO).rate({ state: state(), opponentRating: 1300, opponents: [opponent], isWin: true, now });
+    const confidence = updateConfidence(1.0, 20, 'win');
+
+    expect(result).toEqual({
+      ...calculateELOChange({ playerELO: 1200, opponentELO: 1300, isWin: true, matchCount: 20, confidence }),
+      confidence,
+      deviation: null,
+      volatility: null
+    });
+  });
+
+  test('should follow the Glicko-2 update for a single rating period', () => {
+    const glicko2 = getRatingEngine(RATING_ENGINES.GLICKO2);
+    const win = glicko2.rate({ state: state(), opponentRating: 1300, opponents: [opponent], isWin: true, now });
+    const loss = glicko2.rate({ state: state(), opponentRating: 1300, opponents: [opponent], isWin: false, now });
+
+    // Reference values from Glickman's algorithm
+    expect(win.newELO).toBe(1309);
+    expect(loss.newELO).toBe(1137);
+    expect(win.deviation).toBeCloseTo(177.0, 1);
+    expect(win.volatility).toBeCloseTo(0.06, 4);
+    expect(win.kFactor).toBeNull();
+  });
+
+  test('should move uncertain ratings further than settled ones', () => {
+    const glicko2 = getRatingEngine(RATING_ENGINES.GLICKO2);
+    const rate = (deviation) => glicko2.rate({ state: state({ deviation }), opponentRating: 1200, opponents: [state()], isWin: true, now });
+
+    expect(rate(300).eloChange).toBeGreaterThan(rate(60).eloChange);
+    expect(rate(300).deviation).toBeLessThan(300);
+  });
+
+  test('should grow the deviation for every idle rating period', () => {
+    const period = GLICKO2_CONFIG.RATING_PERIOD_DAYS;
+
+    expect(getCurrentDeviation(state({ deviation: 80, ratedAt: daysAgo(period - 1) }), now)).toBe(80);
+    expect(getCurrentDeviation(state({ deviation: 80, ratedAt: daysAgo(period * 10) }), now)).toBeGreaterThan(80);
+    expect(getCurrentDeviation(state({ deviation: 300, ratedAt: daysAgo(period * 1000) }), now)).toBe(GLICKO2_CONFIG.INITIAL_DEVIATION);
+  });
+
+  test('should start players rated by ELO less uncertain the more they have played', () => {
+    expect(getCurrentDeviation(state({ deviation: null, matchCount: 0 }), now)).toBe(GLICKO2_CONFIG.INITIAL_DEVIATION);
+    expect(getCurrentDeviation(state({ deviation: null, matchCount: 100 }), now)).toBeLessThan(150);
+  });
+
+  test('should record the engine and deviation for every player in a match', () => {
+    const players = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id, elo: 1200, matchCount: 5 }));
+    const match = {
+      matchType: 'doubles',
+      team1: { player1: players[0], player2: players[1] },
+      team2: { player1: players[2], player2: players[3] }
+    };
+    const byId = new Map(players.map(p => [p.id, p]));
+
+    const glickoChanges = calculateMatchRatingChanges(match, 'team1', byId, { ratingEngine: RATING_ENGINES.GLICKO2, now });
+    expect(glickoChanges.every(change => change.ratingEngine === RATING_ENGINES.GLICKO2 && change.deviation > 0)).toBe(true);
+    expect(glickoChanges[0].eloChange).toBeGreaterThan(0);
+    expect(glickoChanges[2].eloChange).toBeLessThan(0);
+
+    const eloChanges = calculateMatchRatingChanges(match, 'team1', byId);
+    expect(eloChanges.every(change => change.ratingEngine === RATING_ENGINES.ELO && change.deviation === null)).toBe(true);
+  });
+});
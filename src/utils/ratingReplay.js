@@ -0,0 +1,203 @@
+// Rating Replay for Badminton Pairing
+// Rebuilds every player's ratings and records from the match history: each completed match is
+// replayed in the order it finished, from a fresh start, through the club's current rating
+// engine. Fixes ratings after a rule change, an engine switch or a bad edit. Players with no
+// completed match are left as they are, so ratings entered by hand are not wiped.
+
+import { ELO_CONFIG } from './helpers';
+import { MARGIN_MODES } from './marginOfVictory';
+import {
+  MATCH_TYPES,
+  applyRatingChange,
+  calculateMatchRatingChanges,
+  toEloHistoryEntry,
+  toRatedMatch
+} from './matchTypes';
+
+/**
+ * Completed matches that count towards ratings, oldest first
+ * Cancelled and voided matches and matches without a winner are left out
+ */
+export function getReplayableMatches(matches = []) {
+  const timeOf = (value) => (value ? new Date(value).getTime() : 0);
+
+  return matches
+    .filter(match => match && match.completed_at && !match.cancelled_at && !match.voided_at && (match.winning_team === 1 || match.winning_team === 2))
+    .sort((a, b) =>
+      timeOf(a.completed_at) - timeOf(b.completed_at) ||
+      timeOf(a.started_at) - timeOf(b.started_at) ||
+      String(a.id).localeCompare(String(b.id))
+    );
+}
+
+// Match fields a replay reads - when any of them changes, the replay's result does too
+const REPLAY_KEY_FIELDS = [
+  'id', 'completed_at', 'winning_team', 'score_team1', 'score_team2', 'match_type',
+  'team1_player1_id', 'team1_player2_id', 'team2_player1_id', 'team2_player2_id'
+];
+
+/**
+ * Fingerprint of the matches a replay would rate, to tell whether a preview is still current
+ */
+export function getReplayKey(matches = []) {
+  return getReplayableMatches(matches)
+    .map(match => REPLAY_KEY_FIELDS.map(field => match[field] ?? '').join(':'))
+    .join('|');
+}
+
+// A player's rating fields before their first match - everything a replay rebuilds
+const FRESH_RATING_FIELDS = {
+  elo: ELO_CONFIG.STARTING_ELO,
+  confidence: 1.0,
+  matchCount: 0,
+  wins: 0,
+  losses: 0,
+  singlesElo: null,
+  singlesMatchCount: 0,
+  ratingDeviation: null,
+  ratingVolatility: null,
+  ratedAt: null,
+  singlesRatingDeviation: null,
+  singlesRatingVolatility: null,
+  singlesRatedAt: null,
+  lastMatchTime: null,
+  highest_elo: ELO_CONFIG.STARTING_ELO,
+  lowest_elo: ELO_CONFIG.STARTING_ELO
+};
+
+/**
+ * The fields a replay rebuilt for a player, to merge into the current player
+ */
+export function pickReplayedFields(replayedPlayer) {
+  return Object.fromEntries(Object.keys(FRESH_RATING_FIELDS).map(field => [field, replayedPlayer[field]]));
+}
+
+/**
+ * Replay every completed match from a fresh start
+ * matches are database rows from every session; players are the global players.
+ * options are { ratingEngine, marginMode } - the club's current rating settings.
+ * Returns { players, sessionStats, eloHistory, replayedMatches, skippedMatches, matchesKey }:
+ * players holds only players who played, keyed by id; sessionStats is keyed by `${sessionId}|${playerId}`
+ * with { session_id, player_id, session_matches, session_wins, session_losses, session_elo_start,
+ * session_elo_current, session_elo_peak }; eloHistory is the rebuilt history, oldest first;
+ * matchesKey is the getReplayKey of the matches.
+ */
+export function replayRatings(matches, players, { ratingEngine, marginMode = MARGIN_MODES.OFF } = {}) {
+  const knownPlayers = new Map((players || []).map(player => [player.id, player]));
+  const replayed = new Map();
+  const sessionStats = new Map();
+  const eloHistory = [];
+  const skippedMatches = [];
+  let replayedMatches = 0;
+
+  getReplayableMatches(matches).forEach(row => {
+    const match = toRatedMatch(row);
+    const playerIds = [match.team1.player1, match.team1.player2, match.team2.player1, match.team2.player2]
+      .filter(Boolean)
+      .map(slot => slot.id);
+
+    // Matches with a deleted player can't be rated fairly
+    if (playerIds.some(id => !knownPlayers.has(id))) {
+      skippedMatches.push(row);
+      return;
+    }
+
+    playerIds.forEach(id => {
+      if (!replayed.has(id)) replayed.set(id, { ...knownPlayers.get(id), ...FRESH_RATING_FIELDS });
+    });
+
+    const score = Number.isFinite(row.score_team1) && Number.isFinite(row.score_team2)
+      ? { team1: row.score_team1, team2: row.score_team2 }
+      : null;
+    const winner = row.winning_team === 1 ? 'team1' : 'team2';
+    const changes = calculateMatchRatingChanges(match, winner, replayed, {
+      ratingEngine,
+      marginMode,
+      score,
+      now: new Date(row.completed_at).getTime()
+    });
+
+    changes.forEach(change => {
+      const before = replayed.get(change.player.id);
+      const after = applyRatingChange(before, change, row.completed_at);
+      const isDoubles = change.matchType === MATCH_TYPES.DOUBLES;
+
+      replayed.set(change.player.id, isDoubles
+        ? {
+          ...after,
+          highest_elo: Math.max(before.highest_elo, change.newELO),
+          lowest_elo: Math.min(before.lowest_elo, change.newELO)
+        }
+        : after);
+
+      eloHistory.push(toEloHistoryEntry(change, { matchId: row.id, sessionId: row.session_id, createdAt: row.completed_at }));
+
+      // The session ELO follows the doubles rating, as it does when a match is completed
+      const key = `${row.session_id}|${change.player.id}`;
+      const stats = sessionStats.get(key) || {
+        session_id: row.session_id,
+        player_id: change.player.id,
+        session_matches: 0,
+        session_wins: 0,
+        session_losses: 0,
+        session_elo_start: before.elo,
+        session_elo_current: before.elo,
+        session_elo_peak: before.elo
+      };
+      sessionStats.set(key, {
+        ...stats,
+        session_matches: stats.session_matches + 1,
+        session_wins: stats.session_wins + (change.isWinner ? 1 : 0),
+        session_losses: stats.session_losses + (change.isWinner ? 0 : 1),
+        ...(isDoubles && {
+          session_elo_current: change.newELO,
+          session_elo_peak: Math.max(stats.session_elo_peak, change.newELO)
+        })
+      });
+    });
+
+    replayedMatches++;
+  });
+
+  return { players: replayed, sessionStats, eloHistory, replayedMatches, skippedMatches, matchesKey: getReplayKey(matches) };
+}
+
+const REPORT_FIELDS = ['elo', 'singlesElo', 'matchCount', 'wins', 'losses'];
+
+/**
+ * Dry-run report of what a replay would change
+ * Returns { players, summary } - players lists each player whose record changes, biggest ELO move first, as
+ * { id, name, before, after, eloChange } with before/after holding elo, singlesElo, matchCount, wins and losses;
+ * summary is { replayedMatches, skippedMatches, playersChanged, playersUnchanged, sessionPlayersChanged, historyEntries }
+ */
+export function buildReplayReport(replay, players = [], sessionPlayers = []) {
+  const pick = (player) => Object.fromEntries(REPORT_FIELDS.map(field => [field, player?.[field] ?? null]));
+
+  const changedPlayers = players
+    .filter(player => replay.players.has(player.id))
+    .map(player => {
+      const before = pick({ ...player, elo: player.elo || ELO_CONFIG.STARTING_ELO });
+      const after = pick(replay.players.get(player.id));
+      return { id: player.id, name: player.name, before, after, eloChange: after.elo - before.elo };
+    })
+    .filter(row => REPORT_FIELDS.some(field => row.before[field] !== row.after[field]))
+    .sort((a, b) => Math.abs(b.eloChange) - Math.abs(a.eloChange) || a.name.localeCompare(b.name));
+
+  const sessionPlayersChanged = sessionPlayers.filter(sessionPlayer => {
+    const stats = replay.sessionStats.get(`${sessionPlayer.session_id}|${sessionPlayer.player_id}`);
+    return stats && ['session_matches', 'session_wins', 'session_losses', 'session_elo_current', 'session_elo_peak']
+      .some(field => (sessionPlayer[field] ?? null) !== stats[field]);
+  }).length;
+
+  return {
+    players: changedPlayers,
+    summary: {
+      replayedMatches: replay.replayedMatches,
+      skippedMatches: replay.skippedMatches.length,
+      playersChanged: changedPlayers.length,
+      playersUnchanged: players.length - changedPlayers.length,
+      sessionPlayersChanged,
+      historyEntries: replay.eloHistory.length
+    }
+  };
+}
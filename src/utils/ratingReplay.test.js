@@ -0,0 +1,138 @@
+import { buildReplayReport, getReplayKey, getReplayableMatches, replayRatings } from './ratingReplay';
+import { ELO_CONFIG } from './helpers';
+import { RATING_ENGINES } from './ratingEngines';
+
+const player = (id, fields = {}) => ({ id, name: id, elo: 1200, matchCount: 0, wins: 0, losses: 0, ...fields });
+
+const doubles = (id, completedAt, winningTeam, fields = {}) => ({
+  id,
+  session_id: 's1',
+  started_at: completedAt,
+  completed_at: completedAt,
+  team1_player1_id: 'a',
+  team1_player2_id: 'b',
+  team2_player1_id: 'c',
+  team2_player2_id: 'd',
+  winning_team: winningTeam,
+  match_type: 'doubles',
+  ...fields
+});
+
+const players = ['a', 'b', 'c', 'd'].map(id => player(id));
+
+describe('Rating replay', () => {
+  test('should replay completed matches oldest first and leave out the rest', () => {
+    const matches = [
+      doubles('m2', '2026-01-02T10:00:00Z', 1),
+      doubles('m1', '2026-01-01T10:00:00Z', 2),
+      doubles('cancelled', '2026-01-01T11:00:00Z', 1, { cancelled_at: '2026-01-01T11:00:00Z' }),
+      doubles('playing', null, null)
+    ];
+
+    expect(getReplayableMatches(matches).map(match => match.id)).toEqual(['m1', 'm2']);
+  });
+
+  test('should change the replay key only when a rated match changes', () => {
+    const matches = [doubles('m1', '2026-01-01T10:00:00Z', 1), doubles('m2', '2026-01-02T10:00:00Z', 2)];
+    const key = getReplayKey(matches);
+
+    expect(getReplayKey([...matches].reverse())).toBe(key);
+    expect(getReplayKey([...matches, doubles('playing', null, null)])).toBe(key);
+    expect(getReplayKey([...matches, doubles('m3', '2026-01-03T10:00:00Z', 1)])).not.toBe(key);
+    expect(getReplayKey([matches[0], { ...matches[1], winning_team: 1 }])).not.toBe(key);
+    expect(getReplayKey([matches[0], { ...matches[1], voided_at: '2026-01-03T10:00:00Z', winning_team: null }])).not.toBe(key);
+    expect(replayRatings(matches, players).matchesKey).toBe(key);
+  });
+
+  test('should rebuild ratings, records and history from a fresh start', () => {
+    const stale = players.map(p => ({ ...p, elo: 1500, matchCount: 40, wins: 30, losses: 10 }));
+    const replay = replayRatings([doubles('m1', '2026-01-01T10:00:00Z', 1)], stale);
+
+    const winner = replay.players.get('a');
+    const loser = replay.players.get('c');
+    expect(winner.elo).toBeGreaterThan(ELO_CONFIG.STARTING_ELO);
+    expect(loser.elo).toBeLessThan(ELO_CONFIG.STARTING_ELO);
+    expect(winner).toMatchObject({ matchCount: 1, wins: 1, losses: 0, highest_elo: winner.elo });
+    expect(loser).toMatchObject({ matchCount: 1, wins: 0, losses: 1, lowest_elo: loser.elo });
+
+    expect(replay.eloHistory).toHaveLength(4);
+    expect(replay.eloHistory[0]).toMatchObject({
+      player_id: 'a',
+      match_id: 'm1',
+      session_id: 's1',
+      elo_before: ELO_CONFIG.STARTING_ELO,
+      elo_after: winner.elo,
+      was_winner: true,
+      created_at: '2026-01-01T10:00:00Z'
+    });
+  });
+
+  test('should give the same result however the matches are listed', () => {
+    const matches = [
+      doubles('m1', '2026-01-01T10:00:00Z', 1),
+      doubles('m2', '2026-01-01T10:20:00Z', 2, { team1_player2_id: 'c', team2_player1_id: 'b' }),
+      doubles('m3', '2026-01-01T10:40:00Z', 1)
+    ];
+    const forwards = replayRatings(matches, players);
+    const backwards = replayRatings([...matches].reverse(), players);
+
+    expect([...backwards.players.values()].map(p => p.elo)).toEqual([...forwards.players.values()].map(p => p.elo));
+  });
+
+  test('should keep singles results off the doubles rating', () => {
+    const singles = doubles('s1', '2026-01-01T10:00:00Z', 1, { match_type: 'singles', team1_player2_id: null, team2_player2_id: null });
+    const replay = replayRatings([singles], players);
+
+    expect(replay.players.get('a')).toMatchObject({ elo: ELO_CONFIG.STARTING_ELO, singlesMatchCount: 1, matchCount: 1 });
+    expect(replay.players.get('a').singlesElo).toBeGreaterThan(ELO_CONFIG.STARTING_ELO);
+    expect(replay.players.has('b')).toBe(false);
+  });
+
+  test('should rebuild session stats per session and skip matches with unknown players', () => {
+    const matches = [
+      doubles('m1', '2026-01-01T10:00:00Z', 1),
+      doubles('m2', '2026-01-08T10:00:00Z', 1, { session_id: 's2' }),
+      doubles('m3', '2026-01-08T10:20:00Z', 2, { session_id: 's2' }),
+      doubles('ghost', '2026-01-08T10:40:00Z', 1, { team1_player1_id: 'deleted' })
+    ];
+    const replay = replayRatings(matches, players, { ratingEngine: RATING_ENGINES.GLICKO2 });
+
+    expect(replay.replayedMatches).toBe(3);
+    expect(replay.skippedMatches.map(match => match.id)).toEqual(['ghost']);
+    expect(replay.players.get('a').ratingDeviation).toBeLessThan(350);
+
+    const week2 = replay.sessionStats.get('s2|a');
+    expect(week2).toMatchObject({ session_matches: 2, session_wins: 1, session_losses: 1 });
+    expect(week2.session_elo_start).toBe(replay.sessionStats.get('s1|a').session_elo_current);
+    expect(week2.session_elo_peak).toBeGreaterThanOrEqual(week2.session_elo_start);
+  });
+
+  test('should report only the players and session players a replay would change', () => {
+    const matches = [doubles('m1', '2026-01-01T10:00:00Z', 1)];
+    const replay = replayRatings(matches, players);
+    const current = [
+      ...players.map(p => ({ ...replay.players.get(p.id) })),
+      player('bench', { elo: 1350 })
+    ];
+    current[0] = { ...current[0], elo: current[0].elo + 40, wins: 0 };
+    const sessionPlayers = [
+      { session_id: 's1', player_id: 'a', ...replay.sessionStats.get('s1|a') },
+      { session_id: 's1', player_id: 'c', ...replay.sessionStats.get('s1|c'), session_wins: 1 }
+    ];
+
+    const report = buildReplayReport(replay, current, sessionPlayers);
+
+    expect(report.players).toHaveLength(1);
+    expect(report.players[0]).toMatchObject({ id: 'a', eloChange: -40 });
+    expect(report.players[0].before.wins).toBe(0);
+    expect(report.players[0].after.wins).toBe(1);
+    expect(report.summary).toEqual({
+      replayedMatches: 1,
+      skippedMatches: 0,
+      playersChanged: 1,
+      playersUnchanged: 4,
+      sessionPlayersChanged: 1,
+      historyEntries: 4
+    });
+  });
+});
@@ -0,0 +1,64 @@
+// Court Rotation Rules for Badminton Pairing
+// Decides who stays on court after a match (winners stay, winners split, challenger court)
+
+export const ROTATION_MODES = {
+  STANDARD: 'standard',           // Everyone comes off, the court is refilled from the pool
+  WINNERS_STAY: 'winners-stay',   // Winners stay on together, losers go to the back of the queue
+  WINNERS_SPLIT: 'winners-split', // Winners stay on but each gets a new partner
+  CHALLENGER: 'challenger'        // Winners stay together on the challenger court only
+};
+
+export const ROTATION_MODE_OPTIONS = [
+  { value: ROTATION_MODES.STANDARD, label: 'Standard', description: 'All four players come off after every match' },
+  { value: ROTATION_MODES.WINNERS_STAY, label: 'Winners stay', description: 'Winners stay on together, losers go to the back of the queue' },
+  { value: ROTATION_MODES.WINNERS_SPLIT, label: 'Winners split', description: 'Winners stay on and each partners a new challenger' },
+  { value: ROTATION_MODES.CHALLENGER, label: 'Challenger court', description: 'Winners stay together on one court, every other court rotates normally' }
+];
+
+export const ROTATION_DEFAULTS = {
+  mode: ROTATION_MODES.STANDARD,
+  maxConsecutiveStays: 2, // Winners come off after this many stays in a row
+  challengerCourtId: 0    // Court that keeps its winners in challenger mode
+};
+
+/**
+ * Rotation settings for a session, with defaults filled in
+ */
+export function getRotationSettings(session) {
+  return { ...ROTATION_DEFAULTS, ...(session?.rotation || {}) };
+}
+
+/**
+ * Work out which players stay on court after a completed match
+ * Returns { stayers, keepTogether, stayStreaks } where stayStreaks counts consecutive
+ * stays per player for the court's next match. Singles matches always rotate normally.
+ */
+export function getRotationStayers(rotation, court, match, winner) {
+  const none = { stayers: [], keepTogether: false, stayStreaks: {} };
+  const winningTeam = winner === 'team1' ? match.team1 : match.team2;
+
+  if (!winningTeam?.player1 || !winningTeam?.player2) return none;
+
+  const mode = rotation.mode;
+  const keepsWinners =
+    mode === ROTATION_MODES.WINNERS_STAY ||
+    mode === ROTATION_MODES.WINNERS_SPLIT ||
+    (mode === ROTATION_MODES.CHALLENGER && court.id === rotation.challengerCourtId);
+
+  if (!keepsWinners) return none;
+
+  const previousStreaks = court.stayStreaks || {};
+  const stayStreaks = {};
+  const stayers = [winningTeam.player1, winningTeam.player2].filter(player => {
+    const streak = (previousStreaks[player.id] || 0) + 1;
+    if (streak > rotation.maxConsecutiveStays) return false;
+    stayStreaks[player.id] = streak;
+    return true;
+  });
+
+  return {
+    stayers,
+    keepTogether: mode !== ROTATION_MODES.WINNERS_SPLIT,
+    stayStreaks
+  };
+}
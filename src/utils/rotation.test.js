@@ -0,0 +1,58 @@
+import { ROTATION_MODES, getRotationSettings, getRotationStayers } from './rotation';
+
+const makePlayer = (id) => ({ id, name: `Player ${id}`, elo: 1200 });
+
+const match = {
+  team1: { player1: makePlayer('a'), player2: makePlayer('b') },
+  team2: { player1: makePlayer('c'), player2: makePlayer('d') }
+};
+
+const rotationFor = (mode, overrides = {}) => getRotationSettings({ rotation: { mode, ...overrides } });
+
+describe('Court Rotation', () => {
+  test('should default to standard rotation', () => {
+    expect(getRotationSettings({}).mode).toBe(ROTATION_MODES.STANDARD);
+    expect(getRotationStayers(getRotationSettings({}), { id: 0 }, match, 'team1').stayers).toEqual([]);
+  });
+
+  test('should keep winners together in winners-stay mode', () => {
+    const result = getRotationStayers(rotationFor(ROTATION_MODES.WINNERS_STAY), { id: 0 }, match, 'team2');
+
+    expect(result.stayers.map(p => p.id)).toEqual(['c', 'd']);
+    expect(result.keepTogether).toBe(true);
+    expect(result.stayStreaks).toEqual({ c: 1, d: 1 });
+  });
+
+  test('should split winners in winners-split mode', () => {
+    const result = getRotationStayers(rotationFor(ROTATION_MODES.WINNERS_SPLIT), { id: 0 }, match, 'team1');
+
+    expect(result.stayers.map(p => p.id)).toEqual(['a', 'b']);
+    expect(result.keepTogether).toBe(false);
+  });
+
+  test('should only keep winners on the challenger court', () => {
+    const rotation = rotationFor(ROTATION_MODES.CHALLENGER, { challengerCourtId: 1 });
+
+    expect(getRotationStayers(rotation, { id: 0 }, match, 'team1').stayers).toEqual([]);
+    expect(getRotationStayers(rotation, { id: 1 }, match, 'team1').stayers).toHaveLength(2);
+  });
+
+  test('should send winners off once they reach the consecutive stay cap', () => {
+    const rotation = rotationFor(ROTATION_MODES.WINNERS_STAY, { maxConsecutiveStays: 2 });
+    const court = { id: 0, stayStreaks: { a: 2, b: 1 } };
+
+    const result = getRotationStayers(rotation, court, match, 'team1');
+
+    expect(result.stayers.map(p => p.id)).toEqual(['b']);
+    expect(result.stayStreaks).toEqual({ b: 2 });
+  });
+
+  test('should rotate singles matches normally', () => {
+    const singles = {
+      team1: { player1: makePlayer('a'), player2: null },
+      team2: { player1: makePlayer('c'), player2: null }
+    };
+
+    expect(getRotationStayers(rotationFor(ROTATION_MODES.WINNERS_STAY), { id: 0 }, singles, 'team1').stayers).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+// Lookahead Rotation Planner for Badminton Pairing
+// Plans who sits out over the next few rounds so nobody sits out twice in a row when
+// that can be avoided, and sit-outs are spread evenly over the evening
+
+import { getWaitTimeMs } from './waitingQueue';
+
+export const ROTATION_PLANNER_DEFAULTS = {
+  enabled: false,
+  rounds: 4 // Rounds planned ahead and shown in the projected schedule
+};
+
+/**
+ * Planner settings for a session, with defaults filled in
+ */
+export function getRotationPlannerSettings(session) {
+  return { ...ROTATION_PLANNER_DEFAULTS, ...(session?.rotationPlanner || {}) };
+}
+
+/**
+ * Players on court in a full round - every court that four players can fill
+ */
+export function getRoundPlayerCount(playerCount, courtCount) {
+  return Math.min(courtCount, Math.floor(playerCount / 4)) * 4;
+}
+
+/**
+ * Record a played round in the session's sit-out history
+ * history is { counts: { playerId: sitOuts }, lastRound: [playerIds], rounds }; every player
+ * in the round gets a count, so the planner can tell late arrivals from players who never sat out
+ */
+export function recordSitOuts(history, players, playingIds) {
+  const playing = new Set(playingIds);
+  const sitters = players.filter(p => !playing.has(p.id)).map(p => p.id);
+  const counts = { ...(history?.counts || {}) };
+  players.forEach(p => { counts[p.id] = (counts[p.id] || 0) + (playing.has(p.id) ? 0 : 1); });
+
+  return {
+    counts,
+    lastRound: sitters,
+    rounds: (history?.rounds || 0) + 1
+  };
+}
+
+/**
+ * Plan sit-outs for the next rounds of the current pool
+ * Each round the players who did not sit out last round and have sat out least sit out
+ * next - ties go to whoever has played most, then whoever has waited least. Players who
+ * arrived after the history started join at the pool's highest sit-out count, so a late
+ * arrival is not benched straight away and rotates normally from then on.
+ * Back-to-back sit-outs only happen when more than half the pool must sit out.
+ * Returns { rounds: [{ round, sitOutIds, playingIds, repeatIds }], sitOutsPerRound, consecutiveAvoidable }
+ */
+export function planRotation(players, courtCount, history = {}, roundCount = ROTATION_PLANNER_DEFAULTS.rounds, now = Date.now()) {
+  const sitOutsPerRound = players.length - getRoundPlayerCount(players.length, courtCount);
+  const consecutiveAvoidable = sitOutsPerRound <= players.length - sitOutsPerRound;
+
+  const knownCounts = players
+    .map(p => history?.counts?.[p.id])
+    .filter(count => count !== undefined);
+  const arrivalCount = knownCounts.length > 0 ? Math.max(...knownCounts) : 0;
+  const counts = new Map(players.map(p => [p.id, history?.counts?.[p.id] ?? arrivalCount]));
+  let lastRound = new Set(history?.lastRound || []);
+
+  const sitOutOrder = (a, b) =>
+    (counts.get(a.id) - counts.get(b.id)) ||
+    ((b.sessionMatchCount || 0) - (a.sessionMatchCount || 0)) ||
+    (getWaitTimeMs(a, now) - getWaitTimeMs(b, now)) ||
+    (a.name || '').localeCompare(b.name || '');
+
+  const rounds = [];
+  for (let round = 1; round <= roundCount && players.length >= 4; round++) {
+    const previous = lastRound;
+    const rested = players.filter(p => !previous.has(p.id)).sort(sitOutOrder);
+    const satLast = players.filter(p => previous.has(p.id)).sort(sitOutOrder);
+    // Only reach into last round's sitters when there are not enough others
+    const sitters = [...rested, ...satLast].slice(0, sitOutsPerRound);
+    const sitOutIds = new Set(sitters.map(p => p.id));
+
+    rounds.push({
+      round,
+      sitOutIds: [...sitOutIds],
+      playingIds: players.filter(p => !sitOutIds.has(p.id)).map(p => p.id),
+      repeatIds: sitters.filter(p => previous.has(p.id)).map(p => p.id)
+    });
+
+    sitters.forEach(p => counts.set(p.id, counts.get(p.id) + 1));
+    lastRound = sitOutIds;
+  }
+
+  return { rounds, sitOutsPerRound, consecutiveAvoidable };
+}
@@ -0,0 +1,92 @@
+import { getRoundPlayerCount, getRotationPlannerSettings, planRotation, recordSitOuts } from './rotationPlanner';
+
+const makePlayers = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `p${index + 1}`,
+  name: `Player ${String(index + 1).padStart(2, '0')}`,
+  sessionMatchCount: 0
+}));
+
+// Play the planned first round, record it and plan again - as the app does round after round
+const playRounds = (players, courtCount, roundCount) => {
+  let history = {};
+  const rounds = [];
+  for (let i = 0; i < roundCount; i++) {
+    const [next] = planRotation(players, courtCount, history, 1).rounds;
+    rounds.push(next);
+    history = recordSitOuts(history, players, next.playingIds);
+  }
+  return { rounds, history };
+};
+
+describe('Rotation planner', () => {
+  test('should fill every court four players can fill', () => {
+    expect(getRoundPlayerCount(22, 4)).toBe(16);
+    expect(getRoundPlayerCount(10, 4)).toBe(8);
+    expect(getRoundPlayerCount(40, 4)).toBe(16);
+  });
+
+  test('should default to the planner being off', () => {
+    expect(getRotationPlannerSettings({}).enabled).toBe(false);
+    expect(getRotationPlannerSettings({ rotationPlanner: { enabled: true } }).rounds).toBe(4);
+  });
+
+  test('should never bench anyone twice in a row with 22 players on 4 courts', () => {
+    const players = makePlayers(22);
+    const { rounds } = planRotation(players, 4, {}, 11);
+
+    rounds.forEach(round => expect(round.sitOutIds).toHaveLength(6));
+    for (let i = 1; i < rounds.length; i++) {
+      const previous = new Set(rounds[i - 1].sitOutIds);
+      expect(rounds[i].sitOutIds.some(id => previous.has(id))).toBe(false);
+      expect(rounds[i].repeatIds).toEqual([]);
+    }
+  });
+
+  test('should spread sit-outs evenly over the evening', () => {
+    const players = makePlayers(22);
+    const { history } = playRounds(players, 4, 11);
+    const counts = players.map(p => history.counts[p.id] || 0);
+
+    // 66 sit-outs over 22 players
+    expect(Math.max(...counts)).toBe(3);
+    expect(Math.min(...counts)).toBe(3);
+  });
+
+  test('should only repeat sit-outs when more than half the pool must sit out', () => {
+    const players = makePlayers(9);
+    const plan = planRotation(players, 1, {}, 3);
+
+    expect(plan.sitOutsPerRound).toBe(5);
+    expect(plan.consecutiveAvoidable).toBe(false);
+    // Only the four who just played can be spared, so exactly one player sits out again
+    expect(plan.rounds[1].repeatIds).toHaveLength(1);
+  });
+
+  test('should re-plan around arrivals without benching them straight away', () => {
+    const players = makePlayers(20);
+    const { history } = playRounds(players, 4, 2);
+    const arrivals = [
+      { id: 'late1', name: 'Late 1', sessionMatchCount: 0 },
+      { id: 'late2', name: 'Late 2', sessionMatchCount: 0 }
+    ];
+    const [next] = planRotation([...players, ...arrivals], 4, history, 1).rounds;
+
+    expect(next.sitOutIds).toHaveLength(6);
+    expect(next.sitOutIds).not.toContain('late1');
+    expect(next.sitOutIds).not.toContain('late2');
+    history.lastRound.forEach(id => expect(next.sitOutIds).not.toContain(id));
+  });
+
+  test('should re-plan when players leave', () => {
+    const players = makePlayers(18);
+    const { history } = playRounds(players, 4, 1);
+    const remaining = players.filter(p => !history.lastRound.includes(p.id)).slice(0, 15).concat(
+      players.filter(p => history.lastRound.includes(p.id))
+    );
+    const [next] = planRotation(remaining, 4, history, 1).rounds;
+
+    // 17 players: one court's worth short, so only one sits out - and not one who just did
+    expect(next.sitOutIds).toHaveLength(1);
+    expect(history.lastRound).not.toContain(next.sitOutIds[0]);
+  });
+});
@@ -0,0 +1,141 @@
+// Round-Robin League Scheduler for Badminton Pairing
+// Fixed-partner teams play every other team exactly once, with byes for odd team counts
+
+/**
+ * Display name for a fixed team
+ */
+export function getTeamName(team, playersById) {
+  if (team.name) return team.name;
+  return team.playerIds.map(id => playersById?.get(id)?.name || 'Unknown').join(' & ');
+}
+
+/**
+ * Teams that are complete - two different players who are both in the session
+ */
+export function getValidTeams(teams, players) {
+  const playerIds = new Set(players.map(p => p.id));
+  return (teams || []).filter(team =>
+    team.playerIds.length === 2 &&
+    team.playerIds[0] !== team.playerIds[1] &&
+    team.playerIds.every(id => playerIds.has(id))
+  );
+}
+
+/**
+ * Generate a round-robin schedule for fixed teams
+ * Uses the circle method, so every pair of teams meets exactly once; with an odd number of
+ * teams one team has a bye in each pass. Passes with more matches than courts are split into
+ * several rounds. Byes list every team sitting out a round.
+ * Returns [{ number, matches: [{ id, team1Id, team2Id, team1: [id, id], team2: [id, id] }], byes: [teamId] }]
+ */
+export function generateRoundRobinSchedule(teams, courtCount) {
+  if (teams.length < 2 || courtCount < 1) return [];
+
+  const slots = teams.length % 2 === 0 ? [...teams] : [...teams, null]; // null is the bye
+  const n = slots.length;
+  const [fixed, ...rotating] = slots;
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const circle = [fixed, ...rotating];
+    const matches = [];
+
+    for (let i = 0; i < n / 2; i++) {
+      // Alternate sides for the fixed team so it is not always listed first
+      const [home, away] = i === 0 && r % 2 === 1
+        ? [circle[n - 1 - i], circle[i]]
+        : [circle[i], circle[n - 1 - i]];
+
+      if (home === null || away === null) continue;
+
+      matches.push({
+        team1Id: home.id,
+        team2Id: away.id,
+        team1: [...home.playerIds],
+        team2: [...away.playerIds]
+      });
+    }
+
+    for (let i = 0; i < matches.length; i += courtCount) {
+      const number = rounds.length + 1;
+      const roundMatches = matches.slice(i, i + courtCount)
+        .map((match, index) => ({ id: `r${number}-m${index + 1}`, ...match }));
+      const playing = new Set(roundMatches.flatMap(m => [m.team1Id, m.team2Id]));
+
+      rounds.push({
+        number,
+        matches: roundMatches,
+        byes: teams.filter(team => !playing.has(team.id)).map(team => team.id)
+      });
+    }
+    rotating.unshift(rotating.pop());
+  }
+
+  return rounds;
+}
+
+/**
+ * Next scheduled match to put on a free court
+ * Rounds are played in order: only the earliest round with matches left is considered,
+ * and a match waits until all four of its players are off court.
+ */
+export function getNextRoundRobinMatch(rounds, startedMatchIds, availablePlayerIds) {
+  const started = new Set(startedMatchIds);
+  const available = new Set(availablePlayerIds);
+
+  const round = rounds.find(r => r.matches.some(match => !started.has(match.id)));
+  if (!round) return null;
+
+  const match = round.matches.find(m =>
+    !started.has(m.id) && [...m.team1, ...m.team2].every(id => available.has(id))
+  );
+  return match ? { round: round.number, match } : null;
+}
+
+/**
+ * League table for fixed teams from the completed database matches
+ * Voided matches and matches without a winner don't count.
+ * Sorted by wins, then points difference, then points scored.
+ */
+export function calculateTeamStandings(teams, matches, playersById, since = null) {
+  const teamKey = (ids) => [...new Set(ids)].sort().join('|');
+  const rows = new Map(teams.map(team => [teamKey(team.playerIds), {
+    teamId: team.id,
+    name: getTeamName(team, playersById),
+    played: 0,
+    wins: 0,
+    losses: 0,
+    points: 0,
+    pointsAgainst: 0,
+    diff: 0
+  }]));
+
+  (matches || [])
+    .filter(match =>
+      match.completed_at &&
+      !match.cancelled_at &&
+      !match.voided_at &&
+      (match.winning_team === 1 || match.winning_team === 2) &&
+      (!since || new Date(match.started_at || match.completed_at) >= new Date(since)))
+    .forEach(match => {
+      const team1 = rows.get(teamKey([match.team1_player1_id, match.team1_player2_id]));
+      const team2 = rows.get(teamKey([match.team2_player1_id, match.team2_player2_id]));
+      if (!team1 || !team2) return;
+
+      const record = (row, scored, conceded, won) => {
+        row.played += 1;
+        row.wins += won ? 1 : 0;
+        row.losses += won ? 0 : 1;
+        row.points += scored || 0;
+        row.pointsAgainst += conceded || 0;
+        row.diff = row.points - row.pointsAgainst;
+      };
+
+      record(team1, match.score_team1, match.score_team2, match.winning_team === 1);
+      record(team2, match.score_team2, match.score_team1, match.winning_team === 2);
+    });
+
+  return [...rows.values()].sort((a, b) =>
+    (b.wins - a.wins) || (b.diff - a.diff) || (b.points - a.points) || a.name.localeCompare(b.name)
+  );
+}
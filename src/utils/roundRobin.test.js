@@ -0,0 +1,126 @@
+import {
+  generateRoundRobinSchedule,
+  getNextRoundRobinMatch,
+  calculateTeamStandings,
+  getValidTeams
+} from './roundRobin';
+
+const makeTeams = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `t${index + 1}`,
+  name: `Team ${index + 1}`,
+  playerIds: [`p${index * 2 + 1}`, `p${index * 2 + 2}`]
+}));
+
+const fixtureKey = (match) => [match.team1Id, match.team2Id].sort().join('|');
+
+describe('Round Robin', () => {
+  describe('generateRoundRobinSchedule', () => {
+    test.each([
+      [4, 2],
+      [5, 2],
+      [6, 1],
+      [7, 3]
+    ])('should have every pair of %i teams meet exactly once on %i court(s)', (teamCount, courtCount) => {
+      const teams = makeTeams(teamCount);
+      const rounds = generateRoundRobinSchedule(teams, courtCount);
+      const fixtures = rounds.flatMap(round => round.matches.map(fixtureKey));
+
+      expect(fixtures).toHaveLength((teamCount * (teamCount - 1)) / 2);
+      expect(new Set(fixtures).size).toBe(fixtures.length);
+      rounds.forEach(round => {
+        const playing = round.matches.flatMap(m => [m.team1Id, m.team2Id]);
+        expect(new Set(playing).size).toBe(playing.length);
+        expect(round.matches.length).toBeLessThanOrEqual(courtCount);
+        expect([...playing, ...round.byes].sort()).toEqual(teams.map(t => t.id).sort());
+      });
+    });
+
+    test('should give each team one bye when the number of teams is odd', () => {
+      const rounds = generateRoundRobinSchedule(makeTeams(5), 2);
+      const byes = rounds.flatMap(round => round.byes);
+
+      expect(rounds).toHaveLength(5);
+      expect(byes.sort()).toEqual(['t1', 't2', 't3', 't4', 't5']);
+    });
+  });
+
+  describe('getNextRoundRobinMatch', () => {
+    const rounds = generateRoundRobinSchedule(makeTeams(4), 2);
+    const everyone = makeTeams(4).flatMap(t => t.playerIds);
+
+    test('should finish a round before moving on to the next', () => {
+      const next = getNextRoundRobinMatch(rounds, [rounds[0].matches[0].id], everyone);
+      expect(next.match.id).toBe(rounds[0].matches[1].id);
+    });
+
+    test('should wait until all four players are off court', () => {
+      const busy = [...rounds[1].matches[0].team1];
+      const started = rounds[0].matches.map(m => m.id);
+
+      const next = getNextRoundRobinMatch(rounds, started, everyone.filter(id => !busy.includes(id)));
+
+      expect(next.round).toBe(2);
+      expect(next.match.id).toBe(rounds[1].matches[1].id);
+    });
+
+    test('should return null once every match has started', () => {
+      const started = rounds.flatMap(round => round.matches.map(m => m.id));
+      expect(getNextRoundRobinMatch(rounds, started, everyone)).toBeNull();
+    });
+  });
+
+  describe('calculateTeamStandings', () => {
+    test('should rank teams by wins, then points difference', () => {
+      const teams = makeTeams(3);
+      const result = (team1, team2, score1, score2) => ({
+        team1_player1_id: team1.playerIds[0],
+        team1_player2_id: team1.playerIds[1],
+        team2_player1_id: team2.playerIds[1],
+        team2_player2_id: team2.playerIds[0],
+        completed_at: '2024-01-01T18:00:00Z',
+        score_team1: score1,
+        score_team2: score2,
+        winning_team: score1 > score2 ? 1 : 2
+      });
+
+      const standings = calculateTeamStandings(teams, [
+        result(teams[0], teams[1], 21, 15),
+        result(teams[1], teams[2], 21, 10),
+        result(teams[2], teams[0], 21, 19)
+      ]);
+
+      expect(standings.map(row => row.teamId)).toEqual(['t2', 't1', 't3']);
+      expect(standings[0]).toMatchObject({ played: 2, wins: 1, diff: 5 });
+    });
+
+    test('should leave voided matches out of the table', () => {
+      const teams = makeTeams(2);
+      const voided = {
+        team1_player1_id: 'p1',
+        team1_player2_id: 'p2',
+        team2_player1_id: 'p3',
+        team2_player2_id: 'p4',
+        completed_at: '2024-01-01T18:00:00Z',
+        voided_at: '2024-01-01T18:30:00Z',
+        score_team1: null,
+        score_team2: null,
+        winning_team: null
+      };
+
+      const standings = calculateTeamStandings(teams, [voided]);
+
+      standings.forEach(row => expect(row).toMatchObject({ played: 0, wins: 0, losses: 0 }));
+    });
+  });
+
+  test('should only keep complete teams of session players', () => {
+    const players = ['p1', 'p2', 'p3'].map(id => ({ id }));
+    const teams = [
+      { id: 'a', playerIds: ['p1', 'p2'] },
+      { id: 'b', playerIds: ['p3', null] },
+      { id: 'c', playerIds: ['p3', 'p9'] }
+    ];
+
+    expect(getValidTeams(teams, players).map(t => t.id)).toEqual(['a']);
+  });
+});
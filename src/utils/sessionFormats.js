@@ -0,0 +1,266 @@
+// Session Formats for Badminton Pairing
+// Americano (everyone partners everyone once) and Mexicano (rounds paired by the standings)
+// score individually: each player collects the points their team scored.
+// Round-robin leagues of fixed teams are scheduled in roundRobin.js, knockouts in bracket.js
+
+export const SESSION_FORMATS = {
+  OPEN_PLAY: 'open',
+  AMERICANO: 'americano',
+  MEXICANO: 'mexicano',
+  ROUND_ROBIN: 'round-robin',
+  SINGLE_ELIMINATION: 'single-elimination',
+  DOUBLE_ELIMINATION: 'double-elimination'
+};
+
+export const SESSION_FORMAT_OPTIONS = [
+  { value: SESSION_FORMATS.OPEN_PLAY, label: 'Open play', description: 'Courts are filled from the waiting players as they free up' },
+  { value: SESSION_FORMATS.AMERICANO, label: 'Americano', description: 'Everyone partners everyone once, the full schedule is set up front' },
+  { value: SESSION_FORMATS.MEXICANO, label: 'Mexicano', description: 'Each round is paired from the current points standings' },
+  { value: SESSION_FORMATS.ROUND_ROBIN, label: 'Round robin', description: 'Fixed teams play every other team once, courts fill as they free up' },
+  { value: SESSION_FORMATS.SINGLE_ELIMINATION, label: 'Single elimination', description: 'Seeded knockout for fixed teams - lose once and you are out' },
+  { value: SESSION_FORMATS.DOUBLE_ELIMINATION, label: 'Double elimination', description: 'Seeded knockout with a losers bracket - teams are out after two losses' }
+];
+
+export const SESSION_FORMAT_DEFAULTS = {
+  type: SESSION_FORMATS.OPEN_PLAY,
+  pointsPerMatch: 24,  // Total rally points played in each match
+  startedAt: null,     // Only matches started after this count towards the standings
+  rounds: [],          // [{ number, matches: [{ court, team1: [id, id], team2: [id, id] }], resting: [id] }]
+  currentRound: 0,     // How many rounds have been started
+  teams: [],           // Fixed-team formats: the teams the schedule was made for
+  startedMatchIds: [], // Round robin: scheduled matches already sent to a court
+  bracket: null        // Elimination: the bracket structure from bracket.js
+};
+
+/**
+ * Format settings for a session, with defaults filled in
+ */
+export function getSessionFormat(session) {
+  return { ...SESSION_FORMAT_DEFAULTS, ...(session?.format || {}) };
+}
+
+/**
+ * Whether a format is a knockout bracket
+ */
+export function isEliminationFormat(format) {
+  return format.type === SESSION_FORMATS.SINGLE_ELIMINATION || format.type === SESSION_FORMATS.DOUBLE_ELIMINATION;
+}
+
+/**
+ * Whether a format is played by fixed teams
+ */
+export function isFixedTeamFormat(format) {
+  return format.type === SESSION_FORMATS.ROUND_ROBIN || isEliminationFormat(format);
+}
+
+/**
+ * Whether a session runs a scheduled format instead of open play
+ */
+export function isScheduledFormat(format) {
+  return format.type !== SESSION_FORMATS.OPEN_PLAY;
+}
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Split a round's matches across the courts - extra matches spill into following rounds
+ */
+function packRounds(matches, playerIds, courtCount, rounds) {
+  for (let i = 0; i < matches.length; i += courtCount) {
+    const roundMatches = matches.slice(i, i + courtCount).map((match, court) => ({ court, ...match }));
+    const playing = new Set(roundMatches.flatMap(m => [...m.team1, ...m.team2]));
+
+    rounds.push({
+      number: rounds.length + 1,
+      matches: roundMatches,
+      resting: playerIds.filter(id => !playing.has(id))
+    });
+  }
+}
+
+/**
+ * Generate the full Americano schedule for the given players and courts
+ * Partnerships come from the round-robin circle method, so every pair of players partners
+ * exactly once; the teams in each round are matched against the opponents they have faced least.
+ * When the player count leaves a spare team in a round, spare teams are played in extra rounds
+ * at the end. Returns { rounds, unplayedPairs }.
+ */
+export function generateAmericanoSchedule(playerIds, courtCount) {
+  const ids = playerIds.length % 2 === 0 ? [...playerIds] : [...playerIds, null]; // null is the bye
+  const n = ids.length;
+  const rounds = [];
+  const opponentCounts = new Map();
+  const spareTeams = [];
+
+  if (playerIds.length < 4 || courtCount < 1) {
+    return { rounds, unplayedPairs: [] };
+  }
+
+  const countRepeats = (team1, team2) => team1.reduce((sum, a) =>
+    sum + team2.reduce((inner, b) => inner + (opponentCounts.get(pairKey(a, b)) || 0), 0), 0);
+
+  const recordOpponents = (team1, team2) => team1.forEach(a => team2.forEach(b => {
+    const key = pairKey(a, b);
+    opponentCounts.set(key, (opponentCounts.get(key) || 0) + 1);
+  }));
+
+  // Pair teams off against each other, fewest repeated opponents first
+  const matchTeams = (teams) => {
+    const remaining = [...teams];
+    const matches = [];
+
+    while (remaining.length >= 2) {
+      const team1 = remaining.shift();
+      let bestIndex = 0;
+      let bestRepeats = Infinity;
+
+      remaining.forEach((team2, index) => {
+        const repeats = countRepeats(team1, team2);
+        if (repeats < bestRepeats) {
+          bestRepeats = repeats;
+          bestIndex = index;
+        }
+      });
+
+      const [team2] = remaining.splice(bestIndex, 1);
+      recordOpponents(team1, team2);
+      matches.push({ team1, team2 });
+    }
+
+    return { matches, leftover: remaining };
+  };
+
+  const [fixed, ...rotating] = ids;
+
+  for (let r = 0; r < n - 1; r++) {
+    const circle = [fixed, ...rotating];
+    const teams = [];
+
+    for (let i = 0; i < n / 2; i++) {
+      const a = circle[i];
+      const b = circle[n - 1 - i];
+      if (a !== null && b !== null) teams.push([a, b]);
+    }
+    rotating.unshift(rotating.pop());
+
+    const { matches, leftover } = matchTeams(teams);
+    spareTeams.push(...leftover);
+    packRounds(matches, playerIds, courtCount, rounds);
+  }
+
+  // Play the spare teams against each other where they have no player in common
+  const extraMatches = [];
+  const unplayed = [...spareTeams];
+  while (unplayed.length >= 2) {
+    const team1 = unplayed.shift();
+    const index = unplayed.findIndex(team2 => !team2.some(id => team1.includes(id)));
+    if (index < 0) {
+      unplayed.push(team1);
+      break;
+    }
+    const [team2] = unplayed.splice(index, 1);
+    recordOpponents(team1, team2);
+    extraMatches.push({ team1, team2 });
+  }
+
+  // Extra matches share players, so each one gets a round of its own unless they are disjoint
+  const extraRounds = [];
+  extraMatches.forEach(match => {
+    const matchIds = [...match.team1, ...match.team2];
+    const round = extraRounds.find(r => r.length < courtCount &&
+      !r.some(m => [...m.team1, ...m.team2].some(id => matchIds.includes(id))));
+    if (round) round.push(match);
+    else extraRounds.push([match]);
+  });
+  extraRounds.forEach(matches => packRounds(matches, playerIds, courtCount, rounds));
+
+  return { rounds, unplayedPairs: unplayed };
+}
+
+/**
+ * Generate the next Mexicano round from the standings
+ * Players are ranked by points (the first round by rating); those who have played most
+ * sit out when there are more players than court places, and each group of four is split
+ * 1st & 4th against 2nd & 3rd.
+ */
+export function generateMexicanoRound(players, standings, courtCount, roundNumber) {
+  const courts = Math.min(courtCount, Math.floor(players.length / 4));
+  if (courts < 1) return null;
+
+  const rowsById = new Map(standings.map(row => [row.playerId, row]));
+  const rankOf = new Map(standings.map((row, index) => [row.playerId, index]));
+  const hasResults = standings.some(row => row.played > 0);
+
+  const ranked = [...players].sort((a, b) => {
+    if (hasResults) {
+      return (rankOf.get(a.id) ?? Infinity) - (rankOf.get(b.id) ?? Infinity) || a.name.localeCompare(b.name);
+    }
+    return (b.sessionElo || b.elo || 0) - (a.sessionElo || a.elo || 0) || a.name.localeCompare(b.name);
+  });
+
+  // Rest the players who have played most, lowest ranked first
+  const restCount = ranked.length - courts * 4;
+  const resting = new Set(
+    [...ranked]
+      .reverse()
+      .sort((a, b) => (rowsById.get(b.id)?.played || 0) - (rowsById.get(a.id)?.played || 0))
+      .slice(0, restCount)
+      .map(p => p.id)
+  );
+  const playing = ranked.filter(p => !resting.has(p.id));
+
+  const matches = Array.from({ length: courts }, (_, court) => {
+    const [first, second, third, fourth] = playing.slice(court * 4, court * 4 + 4);
+    return { court, team1: [first.id, fourth.id], team2: [second.id, third.id] };
+  });
+
+  return { number: roundNumber, matches, resting: [...resting] };
+}
+
+/**
+ * Individual standings for a format session from the scored database matches
+ * Every player collects the points their team scored; ties are broken by points
+ * difference, then wins, then name.
+ */
+export function calculateFormatStandings(players, matches, since = null) {
+  const rows = new Map(players.map(player => [player.id, {
+    playerId: player.id,
+    name: player.name,
+    played: 0,
+    wins: 0,
+    losses: 0,
+    points: 0,
+    pointsAgainst: 0,
+    diff: 0
+  }]));
+
+  (matches || [])
+    .filter(match =>
+      match.completed_at &&
+      !match.cancelled_at &&
+      match.score_team1 != null &&
+      match.score_team2 != null &&
+      (!since || new Date(match.started_at || match.completed_at) >= new Date(since)))
+    .forEach(match => {
+      const team1 = [...new Set([match.team1_player1_id, match.team1_player2_id])];
+      const team2 = [...new Set([match.team2_player1_id, match.team2_player2_id])];
+
+      const record = (ids, scored, conceded, won) => ids.forEach(id => {
+        const row = rows.get(id);
+        if (!row) return;
+        row.played += 1;
+        row.wins += won ? 1 : 0;
+        row.losses += won ? 0 : 1;
+        row.points += scored;
+        row.pointsAgainst += conceded;
+        row.diff = row.points - row.pointsAgainst;
+      });
+
+      record(team1, match.score_team1, match.score_team2, match.winning_team === 1);
+      record(team2, match.score_team2, match.score_team1, match.winning_team === 2);
+    });
+
+  return [...rows.values()].sort((a, b) =>
+    (b.points - a.points) || (b.diff - a.diff) || (b.wins - a.wins) || a.name.localeCompare(b.name)
+  );
+}
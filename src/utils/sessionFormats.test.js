@@ -0,0 +1,117 @@
+import {
+  generateAmericanoSchedule,
+  generateMexicanoRound,
+  calculateFormatStandings
+} from './sessionFormats';
+
+const makePlayers = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `p${index + 1}`,
+  name: `Player ${String(index + 1).padStart(2, '0')}`,
+  elo: 1600 - index * 50
+}));
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+const partnershipsIn = (rounds) => rounds.flatMap(round =>
+  round.matches.flatMap(match => [pairKey(...match.team1), pairKey(...match.team2)]));
+
+const allPairs = (ids) => ids.flatMap((a, i) => ids.slice(i + 1).map(b => pairKey(a, b)));
+
+describe('Session Formats', () => {
+  describe('generateAmericanoSchedule', () => {
+    test.each([4, 5, 8, 9, 12])('should partner everyone with everyone exactly once for %i players', (count) => {
+      const ids = makePlayers(count).map(p => p.id);
+      const { rounds, unplayedPairs } = generateAmericanoSchedule(ids, 4);
+      const partnerships = partnershipsIn(rounds);
+
+      expect(unplayedPairs).toEqual([]);
+      expect(partnerships.sort()).toEqual(allPairs(ids).sort());
+    });
+
+    test('should never put a player in two matches of the same round', () => {
+      const ids = makePlayers(10).map(p => p.id);
+      const { rounds } = generateAmericanoSchedule(ids, 2);
+
+      rounds.forEach(round => {
+        const playing = round.matches.flatMap(m => [...m.team1, ...m.team2]);
+        expect(new Set(playing).size).toBe(playing.length);
+        expect(round.matches.length).toBeLessThanOrEqual(2);
+        expect([...playing, ...round.resting].sort()).toEqual([...ids].sort());
+      });
+    });
+
+    test('should report partnerships it could not schedule', () => {
+      const ids = makePlayers(6).map(p => p.id);
+      const { rounds, unplayedPairs } = generateAmericanoSchedule(ids, 2);
+      const partnerships = partnershipsIn(rounds);
+
+      expect(new Set(partnerships).size).toBe(partnerships.length);
+      expect(partnerships.length + unplayedPairs.length).toBe(allPairs(ids).length);
+    });
+  });
+
+  describe('generateMexicanoRound', () => {
+    const players = makePlayers(9);
+
+    test('should seed the first round by rating, 1st & 4th against 2nd & 3rd', () => {
+      const round = generateMexicanoRound(players.slice(0, 8), [], 2, 1);
+
+      expect(round.matches[0]).toEqual({ court: 0, team1: ['p1', 'p4'], team2: ['p2', 'p3'] });
+      expect(round.matches[1]).toEqual({ court: 1, team1: ['p5', 'p8'], team2: ['p6', 'p7'] });
+    });
+
+    test('should pair by points and rest whoever has played most', () => {
+      const standings = players.map((p, index) => ({
+        playerId: p.id,
+        name: p.name,
+        played: index === 0 ? 2 : 1,
+        points: 100 - index * 10
+      })).reverse();
+
+      const round = generateMexicanoRound(players, standings, 2, 2);
+
+      expect(round.resting).toEqual(['p1']);
+      expect(round.matches[0].team1).toEqual(['p9', 'p6']);
+      expect(round.matches[0].team2).toEqual(['p8', 'p7']);
+    });
+
+    test('should return null with fewer than 4 players', () => {
+      expect(generateMexicanoRound(players.slice(0, 3), [], 2, 1)).toBeNull();
+    });
+  });
+
+  describe('calculateFormatStandings', () => {
+    const players = makePlayers(4);
+    const match = (score1, score2, overrides = {}) => ({
+      team1_player1_id: 'p1',
+      team1_player2_id: 'p2',
+      team2_player1_id: 'p3',
+      team2_player2_id: 'p4',
+      started_at: '2024-01-01T18:00:00Z',
+      completed_at: '2024-01-01T18:15:00Z',
+      score_team1: score1,
+      score_team2: score2,
+      winning_team: score1 > score2 ? 1 : 2,
+      ...overrides
+    });
+
+    test('should give each player the points their team scored', () => {
+      const standings = calculateFormatStandings(players, [match(15, 9), match(10, 14)]);
+      const byId = Object.fromEntries(standings.map(row => [row.playerId, row]));
+
+      expect(byId.p1).toMatchObject({ played: 2, wins: 1, losses: 1, points: 25, diff: 2 });
+      expect(byId.p3).toMatchObject({ played: 2, points: 23, diff: -2 });
+      expect(standings[0].points).toBe(25);
+    });
+
+    test('should skip unscored, cancelled and earlier matches', () => {
+      const standings = calculateFormatStandings(players, [
+        match(null, null),
+        match(15, 9, { cancelled_at: '2024-01-01T18:10:00Z' }),
+        match(15, 9, { started_at: '2024-01-01T17:00:00Z' })
+      ], '2024-01-01T17:30:00Z');
+
+      expect(standings.every(row => row.played === 0)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// Skill-Band Courts for Badminton Pairing
+// Courts can be reserved for an ELO band - one of the getELOTier tiers or a custom range
+
+import { ELO_TIERS } from './helpers';
+import { getWaitTimeMs } from './waitingQueue';
+
+export const SKILL_BAND_CONFIG = {
+  WIDEN_EVERY_MINUTES: 5,   // The band widens for a player after every this many minutes waited
+  WIDEN_STEP_ELO: 100,      // ELO added to each side of the band per step
+  MAX_WIDEN_ELO: 600        // Largest tolerance a long wait can earn
+};
+
+// Tiers a court can be reserved for, lowest first
+export const SKILL_BAND_TIERS = ELO_TIERS
+  .map((tier, index) => ({
+    name: tier.name,
+    icon: tier.icon,
+    color: tier.color,
+    minElo: Number.isFinite(tier.minElo) ? tier.minElo : null,
+    maxElo: index > 0 ? ELO_TIERS[index - 1].minElo - 1 : null
+  }))
+  .reverse();
+
+/**
+ * ELO range of a court band: { tier } uses the tier's range, { minElo, maxElo } is a custom range
+ * Returns null for courts without a band; either bound may be null (open-ended)
+ */
+export function getSkillBandRange(band) {
+  if (!band) return null;
+
+  if (band.tier) {
+    const tier = SKILL_BAND_TIERS.find(t => t.name === band.tier);
+    return tier ? { minElo: tier.minElo, maxElo: tier.maxElo } : null;
+  }
+
+  const minElo = Number.isFinite(band.minElo) ? band.minElo : null;
+  const maxElo = Number.isFinite(band.maxElo) ? band.maxElo : null;
+  return minElo === null && maxElo === null ? null : { minElo, maxElo };
+}
+
+/**
+ * Extra ELO either side of the band a player has earned by waiting
+ */
+export function getSkillBandTolerance(player, now = Date.now()) {
+  const steps = Math.floor(getWaitTimeMs(player, now) / (SKILL_BAND_CONFIG.WIDEN_EVERY_MINUTES * 60000));
+  return Math.min(SKILL_BAND_CONFIG.MAX_WIDEN_ELO, steps * SKILL_BAND_CONFIG.WIDEN_STEP_ELO);
+}
+
+/**
+ * The band with extra ELO either side for every player - tried when too few players fit the band
+ */
+export function widenSkillBand(band, widenElo) {
+  return { ...band, widenElo };
+}
+
+/**
+ * Whether a player can play on a court with this band
+ * Uses the same rating as matchmaking (session ELO, then overall ELO)
+ */
+export function isInSkillBand(player, band, now = Date.now()) {
+  const range = getSkillBandRange(band);
+  if (!range) return true;
+
+  const elo = player.sessionElo || player.elo || 1200;
+  const tolerance = getSkillBandTolerance(player, now) + (band.widenElo || 0);
+  return (range.minElo === null || elo >= range.minElo - tolerance) &&
+    (range.maxElo === null || elo <= range.maxElo + tolerance);
+}
+
+/**
+ * Short label for a band, e.g. "🌟 Advanced" or "1400-1800"
+ */
+export function describeSkillBand(band) {
+  const range = getSkillBandRange(band);
+  if (!range) return null;
+
+  if (band.tier) {
+    const tier = SKILL_BAND_TIERS.find(t => t.name === band.tier);
+    return `${tier.icon} ${tier.name}`;
+  }
+  if (range.minElo === null) return `Up to ${range.maxElo}`;
+  if (range.maxElo === null) return `${range.minElo}+`;
+  return `${range.minElo}-${range.maxElo}`;
+}
+
+/**
+ * Band of a court in the session (null when the court takes every level)
+ */
+export function getCourtSkillBand(session, courtId) {
+  const band = session?.courtStates?.find(court => court.id === courtId)?.skillBand;
+  return getSkillBandRange(band) ? band : null;
+}
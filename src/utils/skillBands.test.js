@@ -0,0 +1,81 @@
+import {
+  SKILL_BAND_CONFIG,
+  SKILL_BAND_TIERS,
+  describeSkillBand,
+  getCourtSkillBand,
+  getSkillBandRange,
+  getSkillBandTolerance,
+  isInSkillBand,
+  widenSkillBand
+} from './skillBands';
+import { getELOTier } from './helpers';
+
+const NOW = new Date('2024-01-01T19:00:00Z').getTime();
+const waitedFor = (minutes) => new Date(NOW - minutes * 60000).toISOString();
+
+describe('Skill Bands', () => {
+  test('should build tier bands that match getELOTier', () => {
+    SKILL_BAND_TIERS.filter(tier => tier.minElo !== null).forEach(tier => {
+      expect(getELOTier(tier.minElo).name).toBe(tier.name);
+      if (tier.maxElo !== null) {
+        expect(getELOTier(tier.maxElo).name).toBe(tier.name);
+      }
+    });
+  });
+
+  test('should resolve tier and custom bands to ELO ranges', () => {
+    expect(getSkillBandRange({ tier: 'Advanced' })).toEqual({ minElo: 1400, maxElo: 1599 });
+    expect(getSkillBandRange({ tier: 'Grandmaster' })).toEqual({ minElo: 2500, maxElo: null });
+    expect(getSkillBandRange({ minElo: 1000, maxElo: null })).toEqual({ minElo: 1000, maxElo: null });
+    expect(getSkillBandRange({ minElo: null, maxElo: null })).toBeNull();
+    expect(getSkillBandRange(null)).toBeNull();
+  });
+
+  test('should keep players outside the band off the court', () => {
+    const band = { minElo: 1400, maxElo: 1600 };
+
+    expect(isInSkillBand({ elo: 1500 }, band, NOW)).toBe(true);
+    expect(isInSkillBand({ elo: 1300 }, band, NOW)).toBe(false);
+    expect(isInSkillBand({ elo: 1300, sessionElo: 1450 }, band, NOW)).toBe(true);
+    expect(isInSkillBand({ elo: 100 }, null, NOW)).toBe(true);
+  });
+
+  test('should widen the band the longer a player waits', () => {
+    const band = { tier: 'Advanced' };
+    const player = { elo: 1250 };
+    const stepMinutes = SKILL_BAND_CONFIG.WIDEN_EVERY_MINUTES;
+
+    expect(isInSkillBand({ ...player, waitingSince: waitedFor(stepMinutes) }, band, NOW)).toBe(false);
+    expect(isInSkillBand({ ...player, waitingSince: waitedFor(stepMinutes * 2) }, band, NOW)).toBe(true);
+    expect(getSkillBandTolerance({ waitingSince: waitedFor(600) }, NOW)).toBe(SKILL_BAND_CONFIG.MAX_WIDEN_ELO);
+  });
+
+  test('should widen a band for every player', () => {
+    const band = { minElo: 1400, maxElo: 1600 };
+
+    expect(isInSkillBand({ elo: 1300 }, widenSkillBand(band, 100), NOW)).toBe(true);
+    expect(isInSkillBand({ elo: 1750 }, widenSkillBand(band, 100), NOW)).toBe(false);
+    expect(getSkillBandRange(widenSkillBand(band, 100))).toEqual(band);
+  });
+
+  test('should describe bands for court cards', () => {
+    expect(describeSkillBand({ tier: 'Advanced' })).toBe('🌟 Advanced');
+    expect(describeSkillBand({ minElo: 1400, maxElo: null })).toBe('1400+');
+    expect(describeSkillBand({ minElo: 1000, maxElo: 1399 })).toBe('1000-1399');
+    expect(describeSkillBand(null)).toBeNull();
+  });
+
+  test('should read a court band from the session, ignoring empty ranges', () => {
+    const session = {
+      courtStates: [
+        { id: 0, skillBand: { tier: 'Beginner' } },
+        { id: 1, skillBand: { minElo: null, maxElo: null } },
+        { id: 2 }
+      ]
+    };
+
+    expect(getCourtSkillBand(session, 0)).toEqual({ tier: 'Beginner' });
+    expect(getCourtSkillBand(session, 1)).toBeNull();
+    expect(getCourtSkillBand(session, 2)).toBeNull();
+  });
+});
@@ -1,7 +1,26 @@
 // Smart Matching System for Badminton Pairing
 // Implements intelligent player selection based on skill levels and match history
 
-import { calculateTeamELO } from './helpers';
+import { calculateTeamELO, shuffleArray } from './helpers';
+import { getWaitTimeMs } from './waitingQueue';
+import { CONSTRAINT_TYPES, getActiveConstraints, violatesConstraints } from './pairingConstraints';
+import { COURT_MATCH_TYPES, fitsCourtMatchType, isEligibleForCourt } from './playerCategories';
+import { SKILL_BAND_CONFIG, isInSkillBand, widenSkillBand } from './skillBands';
+import { createRandom, generateSeed } from './random';
+import { MATCH_TYPES, getPlayerRating } from './matchTypes';
+import { CATCH_UP_POLICIES, getFairPlayCounts } from './catchUp';
+import { getExpectedMargin } from './marginOfVictory';
+
+// Pairing methods generateMatches can use for a full round of courts
+export const MATCHING_METHODS = {
+  SMART: 'smart',
+  SWISS: 'swiss'
+};
+
+export const MATCHING_METHOD_OPTIONS = [
+  { value: MATCHING_METHODS.SMART, label: 'Smart / random', description: 'Balanced teams and varied partners, or random when smart matching is off' },
+  { value: MATCHING_METHODS.SWISS, label: 'Swiss rounds', description: 'Pair players with equal scores each round, avoiding rematches' }
+];
 
 // Configuration for smart matching algorithm
 export const SMART_MATCHING_CONFIG = {
@@ -19,12 +38,136 @@ export const SMART_MATCHING_CONFIG = {
   WEIGHTS: {
     ELO_BALANCE: 0.15,         // Weight for ELO balance between teams
     SKILL_SIMILARITY: 0.15,    // Weight for similar skill levels
-    PARTNERSHIP_VARIETY: 0.2, // Weight for partnership variety
-    OPPONENT_VARIETY: 0.2,    // Weight for opponent variety
-    FAIR_PLAY: 0.3            // Weight for fair play distribution (EXTREMELY prioritize equal play time)
-  }
+    PARTNERSHIP_VARIETY: 0.15, // Weight for partnership variety
+    OPPONENT_VARIETY: 0.15,    // Weight for opponent variety
+    FAIR_PLAY: 0.3,            // Weight for fair play distribution (EXTREMELY prioritize equal play time)
+    WAIT_TIME: 0.1             // Weight for how long players have been waiting in the queue
+  },
+
+  // Minimum acceptable fair play score once the session's match counts spread by more than one
+  FAIRNESS_THRESHOLD: 0.1,
+
+  // Late arrivals - how fair play counts the matches a player missed before joining (see catchUp)
+  CATCH_UP_POLICY: CATCH_UP_POLICIES.CAPPED,
+  CATCH_UP_CAP: 2,               // Matches of priority a late arrival gets under the capped policy
+
+  // Player selection search
+  EXHAUSTIVE_SEARCH_LIMIT: 5000, // Score every foursome while C(n, 4) stays below this (up to 20 players)
+  BEAM_WIDTH: 64,                // Partial groups kept per step when the pool is too large to enumerate
+
+  // Multi-court optimizer
+  OPTIMIZER_TIME_BUDGET_MS: 250, // Max time spent improving court assignments (keeps phones responsive)
+  OPTIMIZER_MAX_PASSES: 20,      // Upper bound on improvement passes even when time remains
+
+  // Swiss pairing
+  SWISS_PAIRING_WINDOW: 8,       // Next-ranked players considered when building each Swiss foursome
+  SWISS_SEARCH_LIMIT: 2000,      // Team pairings tried while looking for a round without rematches
+
+  // Match explanations
+  EXPLAIN_POOL_LIMIT: 12,        // Players (fewest matches first) whose foursomes are compared with the pick
+  EXPLAIN_ALTERNATIVES: 5        // Alternatives listed in "Why this match?"
 };
 
+// Named starting points for a session's matching settings (see buildMatchingConfig)
+export const MATCHING_PRESETS = [
+  {
+    value: 'balanced',
+    label: 'Balanced',
+    description: 'The default mix of fair play, balance and variety',
+    settings: {
+      eloRange: SMART_MATCHING_CONFIG.MAX_ELO_DIFF,
+      teamBalance: SMART_MATCHING_CONFIG.TEAM_ELO_TOLERANCE,
+      partnershipMemory: SMART_MATCHING_CONFIG.PARTNERSHIP_MEMORY,
+      maxRepeatedPartnerships: SMART_MATCHING_CONFIG.MAX_REPEATED_PARTNERSHIPS,
+      weights: { ...SMART_MATCHING_CONFIG.WEIGHTS }
+    }
+  },
+  {
+    value: 'competitive',
+    label: 'Competitive',
+    description: 'Tight skill levels and evenly matched teams, repeat partners are fine',
+    settings: {
+      eloRange: 300,
+      teamBalance: 150,
+      partnershipMemory: 5,
+      maxRepeatedPartnerships: 3,
+      weights: { ELO_BALANCE: 0.25, SKILL_SIMILARITY: 0.25, PARTNERSHIP_VARIETY: 0.1, OPPONENT_VARIETY: 0.05, FAIR_PLAY: 0.3, WAIT_TIME: 0.05 }
+    }
+  },
+  {
+    value: 'social',
+    label: 'Social',
+    description: 'New partners and opponents every game, levels can mix',
+    settings: {
+      eloRange: 800,
+      teamBalance: 400,
+      partnershipMemory: 8,
+      maxRepeatedPartnerships: 1,
+      weights: { ELO_BALANCE: 0.1, SKILL_SIMILARITY: 0.05, PARTNERSHIP_VARIETY: 0.25, OPPONENT_VARIETY: 0.2, FAIR_PLAY: 0.3, WAIT_TIME: 0.1 }
+    }
+  },
+  {
+    value: 'beginner',
+    label: 'Beginner-friendly',
+    description: 'Keeps newer players with similar levels and avoids lopsided games',
+    settings: {
+      eloRange: 400,
+      teamBalance: 200,
+      partnershipMemory: 5,
+      maxRepeatedPartnerships: 2,
+      weights: { ELO_BALANCE: 0.2, SKILL_SIMILARITY: 0.2, PARTNERSHIP_VARIETY: 0.15, OPPONENT_VARIETY: 0.1, FAIR_PLAY: 0.25, WAIT_TIME: 0.1 }
+    }
+  }
+];
+
+/**
+ * Engine config for a session, built from its smartMatching settings over SMART_MATCHING_CONFIG
+ * eloRange and teamBalance set MAX_ELO_DIFF and TEAM_ELO_TOLERANCE; weights are rescaled to sum
+ * to 1 so match scores stay on the same 0-1 scale whatever the sliders add up to.
+ * catchUpPolicy and catchUpCap choose how late arrivals are counted for fair play.
+ */
+export function buildMatchingConfig(settings = {}) {
+  const positive = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+  const weights = { ...SMART_MATCHING_CONFIG.WEIGHTS };
+
+  Object.keys(weights).forEach(key => {
+    const value = settings?.weights?.[key];
+    if (Number.isFinite(value) && value >= 0) weights[key] = value;
+  });
+
+  const weightSum = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (weightSum > 0) {
+    Object.keys(weights).forEach(key => { weights[key] /= weightSum; });
+  } else {
+    Object.assign(weights, SMART_MATCHING_CONFIG.WEIGHTS);
+  }
+
+  return {
+    ...SMART_MATCHING_CONFIG,
+    MAX_ELO_DIFF: positive(settings?.eloRange, SMART_MATCHING_CONFIG.MAX_ELO_DIFF),
+    TEAM_ELO_TOLERANCE: positive(settings?.teamBalance, SMART_MATCHING_CONFIG.TEAM_ELO_TOLERANCE),
+    PARTNERSHIP_MEMORY: Math.max(1, Math.round(positive(settings?.partnershipMemory, SMART_MATCHING_CONFIG.PARTNERSHIP_MEMORY))),
+    MAX_REPEATED_PARTNERSHIPS: Math.max(1, Math.round(positive(settings?.maxRepeatedPartnerships, SMART_MATCHING_CONFIG.MAX_REPEATED_PARTNERSHIPS))),
+    CATCH_UP_POLICY: Object.values(CATCH_UP_POLICIES).includes(settings?.catchUpPolicy)
+      ? settings.catchUpPolicy
+      : SMART_MATCHING_CONFIG.CATCH_UP_POLICY,
+    CATCH_UP_CAP: Number.isFinite(settings?.catchUpCap) && settings.catchUpCap >= 0
+      ? Math.round(settings.catchUpCap)
+      : SMART_MATCHING_CONFIG.CATCH_UP_CAP,
+    WEIGHTS: weights
+  };
+}
+
+// The criteria calculateMatchScore weighs, in the order explanations list them
+export const SCORE_CRITERIA = [
+  { key: 'fairPlay', label: 'Fair play', weight: 'FAIR_PLAY', description: 'Players with the fewest matches go first' },
+  { key: 'eloBalance', label: 'Team balance', weight: 'ELO_BALANCE', description: 'How close the two team ratings are' },
+  { key: 'skillSimilarity', label: 'Skill similarity', weight: 'SKILL_SIMILARITY', description: 'How close the four players are in level' },
+  { key: 'partnershipVariety', label: 'New partners', weight: 'PARTNERSHIP_VARIETY', description: 'Avoids repeating recent partnerships' },
+  { key: 'opponentVariety', label: 'New opponents', weight: 'OPPONENT_VARIETY', description: 'Avoids facing the same players again' },
+  { key: 'waitTime', label: 'Wait time', weight: 'WAIT_TIME', description: 'Players who have waited longest go first' }
+];
+
 /**
  * Calculate team ELO from two players
  */
@@ -36,76 +179,225 @@ function getTeamELO(player1, player2) {
 
 /**
  * Get player match count for fair play distribution
+ * The context's fair-play counts apply the session's late-arrival catch-up policy; players
+ * outside the pool (such as stayers in a rotation) fall back to the raw sessionMatchCount
  */
-function getPlayerMatchCount(player) {
-  // Use the canonical sessionMatchCount field
-  return player.sessionMatchCount || 0;
+function getPlayerMatchCount(player, context) {
+  return context?.fairPlayCounts?.get(player.id) ?? (player.sessionMatchCount || 0);
 }
 
 /**
- * Get partnership history between two players
+ * Read the player ids of both teams from either match shape
+ * UI matches carry player objects (team1.player1), database rows carry ids (team1_player1_id)
  */
-function getPartnershipHistory(player1, player2, matches) {
-  let partnerships = 0;
-  let recentPartnerships = 0;
-  
-  for (let i = 0; i < matches.length; i++) {
-    const match = matches[i];
-    if (!match.completed) continue;
-    
-    // Check if these two players were partners
-    const team1Partners = (match.team1.player1?.id === player1.id && match.team1.player2?.id === player2.id) ||
-                         (match.team1.player1?.id === player2.id && match.team1.player2?.id === player1.id);
-    
-    const team2Partners = (match.team2.player1?.id === player1.id && match.team2.player2?.id === player2.id) ||
-                         (match.team2.player1?.id === player2.id && match.team2.player2?.id === player1.id);
-    
-    if (team1Partners || team2Partners) {
-      partnerships++;
-      if (i < SMART_MATCHING_CONFIG.PARTNERSHIP_MEMORY) {
-        recentPartnerships++;
-      }
-    }
+function getMatchTeamIds(match) {
+  if (match.team1 || match.team2) {
+    return {
+      team1: [match.team1?.player1?.id, match.team1?.player2?.id],
+      team2: [match.team2?.player1?.id, match.team2?.player2?.id]
+    };
   }
-  
-  return { total: partnerships, recent: recentPartnerships };
+
+  return {
+    team1: [match.team1_player1_id, match.team1_player2_id],
+    team2: [match.team2_player1_id, match.team2_player2_id]
+  };
 }
 
 /**
- * Get opponent history between two players
+ * Look up the history entry for a pair of players in a nested id -> id table
  */
-function getOpponentHistory(player1, player2, matches) {
-  let oppositions = 0;
-  let recentOppositions = 0;
-  
-  for (let i = 0; i < matches.length; i++) {
-    const match = matches[i];
-    if (!match.completed) continue;
-    
-    // Check if these players were opponents
-    const team1Has1 = match.team1.player1?.id === player1.id || match.team1.player2?.id === player1.id;
-    const team1Has2 = match.team1.player1?.id === player2.id || match.team1.player2?.id === player2.id;
-    const team2Has1 = match.team2.player1?.id === player1.id || match.team2.player2?.id === player1.id;
-    const team2Has2 = match.team2.player1?.id === player2.id || match.team2.player2?.id === player2.id;
-    
-    const wereOpponents = (team1Has1 && team2Has2) || (team2Has1 && team1Has2);
-    
-    if (wereOpponents) {
-      oppositions++;
-      if (i < SMART_MATCHING_CONFIG.PARTNERSHIP_MEMORY) {
-        recentOppositions++;
+function getPairEntry(table, id1, id2) {
+  return table.get(id1)?.get(id2);
+}
+
+/**
+ * Count partnerships and oppositions for every pair of players in a single pass
+ * Matches are expected in chronological order; the last `memory` completed matches count as "recent"
+ */
+function buildHistoryIndex(matches, memory) {
+  const partnerships = new Map();
+  const oppositions = new Map();
+  const completed = (matches || []).filter(match => match.completed || match.completed_at);
+  const recentFrom = completed.length - memory;
+
+  // Both directions share one entry so lookups never need to build a pair key
+  const record = (table, id1, id2, isRecent) => {
+    if (!id1 || !id2 || id1 === id2) return;
+    let entry = getPairEntry(table, id1, id2);
+    if (!entry) {
+      entry = { total: 0, recent: 0 };
+      if (!table.has(id1)) table.set(id1, new Map());
+      if (!table.has(id2)) table.set(id2, new Map());
+      table.get(id1).set(id2, entry);
+      table.get(id2).set(id1, entry);
+    }
+    entry.total++;
+    if (isRecent) entry.recent++;
+  };
+
+  completed.forEach((match, index) => {
+    const { team1, team2 } = getMatchTeamIds(match);
+    const isRecent = index >= recentFrom;
+
+    record(partnerships, team1[0], team1[1], isRecent);
+    record(partnerships, team2[0], team2[1], isRecent);
+
+    // Singles rows leave the second slots empty (legacy rows repeat the player), so de-duplicate before pairing
+    for (const id1 of new Set(team1)) {
+      for (const id2 of new Set(team2)) {
+        record(oppositions, id1, id2, isRecent);
       }
     }
+  });
+
+  return { partnerships, oppositions };
+}
+
+/**
+ * Precompute everything calculateMatchScore needs from the match history and the pool,
+ * so scoring a candidate match is a handful of lookups instead of a scan of the history
+ * rules carries the hard rules: { constraints, courtType, skillBand }, the session's
+ * engine config (from buildMatchingConfig; SMART_MATCHING_CONFIG when omitted) and
+ * optionally the time to score wait times at (now), so a replayed draw sees the same waits
+ */
+function buildMatchingContext(matches, availablePlayers, rules = {}) {
+  const config = rules.config || SMART_MATCHING_CONFIG;
+  const now = rules.now ?? Date.now();
+  const fairPlayCounts = getFairPlayCounts(availablePlayers, config, now);
+  const allPlayerCounts = [...fairPlayCounts.values()];
+  const sessionMin = allPlayerCounts.length > 0 ? Math.min(...allPlayerCounts) : 0;
+  const sessionMax = allPlayerCounts.length > 0 ? Math.max(...allPlayerCounts) : 0;
+
+  const maxWaitMs = availablePlayers.reduce((max, player) => Math.max(max, getWaitTimeMs(player, now)), 0);
+
+  return {
+    config,
+    history: buildHistoryIndex(matches, config.PARTNERSHIP_MEMORY),
+    fairPlayCounts,
+    minAvailableCount: sessionMin,
+    sessionRange: sessionMax - sessionMin,
+    now,
+    maxWaitMs,
+    constraints: getActiveConstraints(rules.constraints, availablePlayers),
+    poolIds: new Set(availablePlayers.map(p => p.id)),
+    courtType: rules.courtType || COURT_MATCH_TYPES.ANY,
+    skillBand: rules.skillBand || null
+  };
+}
+
+/**
+ * Whether the court restricts who can play on it (a match type or a skill band)
+ */
+function hasCourtRule(context) {
+  return (!!context.courtType && context.courtType !== COURT_MATCH_TYPES.ANY) || !!context.skillBand;
+}
+
+/**
+ * Whether a player may play on the court at all
+ */
+function isEligibleForCourtRules(player, context) {
+  return isEligibleForCourt(player, context.courtType) && isInSkillBand(player, context.skillBand, context.now);
+}
+
+/**
+ * Court rules to try in turn when a pool cannot fill a court: first as set, then with the skill
+ * band widened a step at a time (so the players nearest the band are picked), then without the
+ * band, then without the match type as well - better a regular match than an idle court
+ */
+function getCourtRuleFallbacks(rules) {
+  const steps = [{ rules, relaxed: {} }];
+  const hasCourtType = !!rules.courtType && rules.courtType !== COURT_MATCH_TYPES.ANY;
+
+  if (rules.skillBand) {
+    for (let widenElo = SKILL_BAND_CONFIG.WIDEN_STEP_ELO; widenElo <= SKILL_BAND_CONFIG.MAX_WIDEN_ELO; widenElo += SKILL_BAND_CONFIG.WIDEN_STEP_ELO) {
+      steps.push({ rules: { ...rules, skillBand: widenSkillBand(rules.skillBand, widenElo) }, relaxed: { skillBandRelaxed: true } });
+    }
+    steps.push({ rules: { ...rules, skillBand: null }, relaxed: { skillBandRelaxed: true } });
   }
-  
-  return { total: oppositions, recent: recentOppositions };
+  if (hasCourtType) {
+    steps.push({
+      rules: { ...rules, skillBand: null, courtType: COURT_MATCH_TYPES.ANY },
+      relaxed: { courtRuleRelaxed: true, ...(rules.skillBand && { skillBandRelaxed: true }) }
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Whether a team split breaks one of the session's pairing rules or the court's rules
+ */
+function breaksMatchRules(team1Player1, team1Player2, team2Player1, team2Player2, context) {
+  const hasConstraints = context.constraints && context.constraints.length > 0;
+  if (!hasConstraints && !hasCourtRule(context)) return false;
+
+  const teams = { team1: { player1: team1Player1, player2: team1Player2 }, team2: { player1: team2Player1, player2: team2Player2 } };
+  const players = [team1Player1, team1Player2, team2Player1, team2Player2];
+  return !fitsCourtMatchType(teams, context.courtType) ||
+    (!!context.skillBand && !players.every(p => isInSkillBand(p, context.skillBand, context.now))) ||
+    (hasConstraints && violatesConstraints(teams, context.constraints, context.poolIds));
+}
+
+const NO_HISTORY = Object.freeze({ total: 0, recent: 0 });
+
+/**
+ * Get partnership history between two players
+ */
+function getPartnershipHistory(player1, player2, context) {
+  return getPairEntry(context.history.partnerships, player1.id, player2.id) || NO_HISTORY;
+}
+
+/**
+ * Get opponent history between two players
+ */
+function getOpponentHistory(player1, player2, context) {
+  return getPairEntry(context.history.oppositions, player1.id, player2.id) || NO_HISTORY;
+}
+
+/**
+ * Fair play penalty for a single player - 0.1 per match above the least-played available player
+ */
+function getIndividualFairPlayPenalty(playerMatchCount, context) {
+  if (playerMatchCount <= context.minAvailableCount) return 1;
+  return Math.pow(0.1, playerMatchCount - context.minAvailableCount);
+}
+
+/**
+ * Wait time score for a single player - their wait relative to the longest wait in the pool
+ * Neutral (1) when nobody is queued, so sessions without a queue score as before
+ */
+function getWaitTimeScore(player, context) {
+  if (context.maxWaitMs <= 0) return 1;
+  return getWaitTimeMs(player, context.now) / context.maxWaitMs;
+}
+
+/**
+ * Weighted total of a score breakdown
+ */
+function getWeightedTotal(breakdown, config) {
+  const weights = config.WEIGHTS;
+  return SCORE_CRITERIA.reduce((sum, criterion) => sum + (breakdown[criterion.key] || 0) * weights[criterion.weight], 0);
 }
 
 /**
  * Calculate match quality score for a potential match
  * Higher score = better match
  */
-function calculateMatchScore(team1Player1, team1Player2, team2Player1, team2Player2, matches, availablePlayers) {
+function calculateMatchScore(team1Player1, team1Player2, team2Player1, team2Player2, context) {
+  // Pairing rules and court rules are hard constraints - no score makes up for breaking one
+  if (breaksMatchRules(team1Player1, team1Player2, team2Player1, team2Player2, context)) {
+    return {
+      total: 0,
+      breakdown: {},
+      teamELOs: {},
+      rejected: true,
+      reason: 'Pairing rule or court rule violation'
+    };
+  }
+
+  const { config } = context;
+
   // Calculate team ELOs
   const team1ELO = getTeamELO(team1Player1, team1Player2);
   const team2ELO = getTeamELO(team2Player1, team2Player2);
@@ -114,47 +406,42 @@ function calculateMatchScore(team1Player1, team1Player2, team2Player1, team2Play
   
   // 1. ELO Balance Score - penalize large team ELO differences
   const eloDiff = Math.abs(team1ELO - team2ELO);
-  const eloBalanceScore = Math.max(0, 1 - (eloDiff / SMART_MATCHING_CONFIG.TEAM_ELO_TOLERANCE));
+  const eloBalanceScore = Math.max(0, 1 - (eloDiff / config.TEAM_ELO_TOLERANCE));
   
   // 2. Skill Similarity Score - prefer players of similar skill levels
   const allPlayers = [team1Player1, team1Player2, team2Player1, team2Player2];
   const elos = allPlayers.map(p => p.sessionElo || p.elo || 1200);
   const avgELO = elos.reduce((a, b) => a + b, 0) / elos.length;
   const skillVariance = elos.reduce((sum, elo) => sum + Math.pow(elo - avgELO, 2), 0) / elos.length;
-  const skillSimilarityScore = Math.max(0, 1 - (Math.sqrt(skillVariance) / SMART_MATCHING_CONFIG.MAX_ELO_DIFF));
+  const skillSimilarityScore = Math.max(0, 1 - (Math.sqrt(skillVariance) / config.MAX_ELO_DIFF));
   
   // 3. Partnership Variety Score - penalize repeated partnerships
   const partnerships = [
-    getPartnershipHistory(team1Player1, team1Player2, matches),
-    getPartnershipHistory(team2Player1, team2Player2, matches)
+    getPartnershipHistory(team1Player1, team1Player2, context),
+    getPartnershipHistory(team2Player1, team2Player2, context)
   ];
   const maxRecentPartnerships = Math.max(...partnerships.map(p => p.recent));
-  const partnershipVarietyScore = Math.max(0, 1 - (maxRecentPartnerships / SMART_MATCHING_CONFIG.MAX_REPEATED_PARTNERSHIPS));
+  const partnershipVarietyScore = Math.max(0, 1 - (maxRecentPartnerships / config.MAX_REPEATED_PARTNERSHIPS));
   
   // 4. Opponent Variety Score - reward facing different opponents
   const oppositions = [
-    getOpponentHistory(team1Player1, team2Player1, matches),
-    getOpponentHistory(team1Player1, team2Player2, matches),
-    getOpponentHistory(team1Player2, team2Player1, matches),
-    getOpponentHistory(team1Player2, team2Player2, matches)
+    getOpponentHistory(team1Player1, team2Player1, context),
+    getOpponentHistory(team1Player1, team2Player2, context),
+    getOpponentHistory(team1Player2, team2Player1, context),
+    getOpponentHistory(team1Player2, team2Player2, context)
   ];
   const avgRecentOppositions = oppositions.reduce((sum, opp) => sum + opp.recent, 0) / oppositions.length;
-  const opponentVarietyScore = Math.max(0, 1 - (avgRecentOppositions / SMART_MATCHING_CONFIG.PARTNERSHIP_MEMORY));
+  const opponentVarietyScore = Math.max(0, 1 - (avgRecentOppositions / config.PARTNERSHIP_MEMORY));
   
   // 5. Fair Play Score - prioritize players with fewer matches
-  const matchCounts = [team1Player1, team1Player2, team2Player1, team2Player2].map(getPlayerMatchCount);
+  const matchCounts = [team1Player1, team1Player2, team2Player1, team2Player2].map(p => getPlayerMatchCount(p, context));
   const maxMatchCount = Math.max(...matchCounts);
   const minMatchCount = Math.min(...matchCounts);
   const avgMatchCount = matchCounts.reduce((a, b) => a + b, 0) / matchCounts.length;
   
   // EXTREMELY AGGRESSIVE fair play scoring - exponential penalties for any unfairness
-  // Calculate session-wide statistics for relative comparison
-  const allPlayerCounts = availablePlayers.map(getPlayerMatchCount);
-  const sessionAvg = allPlayerCounts.reduce((a, b) => a + b, 0) / allPlayerCounts.length;
-  const sessionMax = Math.max(...allPlayerCounts);
-  const sessionMin = Math.min(...allPlayerCounts);
-  const sessionRange = sessionMax - sessionMin;
-  const minAvailableCount = Math.min(...allPlayerCounts);
+  // Session-wide statistics for relative comparison are precomputed in the context
+  const { sessionRange } = context;
   
   // Calculate variance within the selected match
   const matchCountVariance = matchCounts.reduce((sum, count) => sum + Math.pow(count - avgMatchCount, 2), 0) / matchCounts.length;
@@ -163,17 +450,10 @@ function calculateMatchScore(team1Player1, team1Player2, team2Player1, team2Play
   let fairPlayScore = 1.0;
   
   // For each player in this match, check if there are available players with significantly fewer matches
+  // EXPONENTIAL penalty for each match count difference
+  // If someone has 0 matches and this player has 3, penalty = 0.1^3 = 0.001 (99.9% penalty!)
   for (const playerMatchCount of matchCounts) {
-    const availableWithFewerMatches = allPlayerCounts.filter(count => count < playerMatchCount);
-    
-    if (availableWithFewerMatches.length > 0) {
-      const matchCountDiff = playerMatchCount - minAvailableCount;
-      
-      // EXPONENTIAL penalty for each match count difference
-      // If someone has 0 matches and this player has 3, penalty = 0.1^3 = 0.001 (99.9% penalty!)
-      const individualPenalty = Math.pow(0.1, matchCountDiff);
-      fairPlayScore *= individualPenalty;
-    }
+    fairPlayScore *= getIndividualFairPlayPenalty(playerMatchCount, context);
   }
   
   // Additional penalty for variance within the selection (players in same match having very different match counts)
@@ -184,20 +464,15 @@ function calculateMatchScore(team1Player1, team1Player2, team2Player1, team2Play
   
   // Ensure score is between 0 and 1
   fairPlayScore = Math.max(0, Math.min(1, fairPlayScore));
+
+  // 6. Wait Time Score - favor players who have been in the queue longest
+  const waitTimeScore = allPlayers.reduce((sum, player) => sum + getWaitTimeScore(player, context), 0) / allPlayers.length;
   
   // FAIRNESS THRESHOLD: Completely reject extremely unfair matches
-  const FAIRNESS_THRESHOLD = 0.1; // Minimum acceptable fairness score
-  
-  if (fairPlayScore < FAIRNESS_THRESHOLD && sessionRange > 1) {
-    console.warn(`🚨 REJECTING EXTREMELY UNFAIR match!`, {
-      selectedPlayers: matchCounts,
-      availableCounts: allPlayerCounts,
-      fairPlayScore: fairPlayScore.toFixed(4),
-      sessionRange,
-      threshold: FAIRNESS_THRESHOLD
-    });
-    
+  // Not logged per combination - a search scores thousands of them; callers report the outcome
+  if (fairPlayScore < config.FAIRNESS_THRESHOLD && sessionRange > 1) {
     // Return a score so low that this combination will never be selected
+    // The breakdown keeps the real fair play score so explanations can show how far off it was
     return {
       total: 0,
       breakdown: {
@@ -205,7 +480,8 @@ function calculateMatchScore(team1Player1, team1Player2, team2Player1, team2Play
         skillSimilarity: skillSimilarityScore,
         partnershipVariety: partnershipVarietyScore,
         opponentVariety: opponentVarietyScore,
-        fairPlay: 0
+        fairPlay: fairPlayScore,
+        waitTime: waitTimeScore
       },
       teamELOs: { team1: team1ELO, team2: team2ELO },
       matchCounts: { counts: matchCounts, avg: avgMatchCount, variance: matchCountVariance },
@@ -214,24 +490,18 @@ function calculateMatchScore(team1Player1, team1Player2, team2Player1, team2Play
     };
   }
   
-  // Calculate weighted total score
-  const weights = SMART_MATCHING_CONFIG.WEIGHTS;
-  const totalScore = 
-    eloBalanceScore * weights.ELO_BALANCE +
-    skillSimilarityScore * weights.SKILL_SIMILARITY +
-    partnershipVarietyScore * weights.PARTNERSHIP_VARIETY +
-    opponentVarietyScore * weights.OPPONENT_VARIETY +
-    fairPlayScore * weights.FAIR_PLAY;
+  const breakdown = {
+    eloBalance: eloBalanceScore,
+    skillSimilarity: skillSimilarityScore,
+    partnershipVariety: partnershipVarietyScore,
+    opponentVariety: opponentVarietyScore,
+    fairPlay: fairPlayScore,
+    waitTime: waitTimeScore
+  };
   
   return {
-    total: totalScore,
-    breakdown: {
-      eloBalance: eloBalanceScore,
-      skillSimilarity: skillSimilarityScore,
-      partnershipVariety: partnershipVarietyScore,
-      opponentVariety: opponentVarietyScore,
-      fairPlay: fairPlayScore
-    },
+    total: getWeightedTotal(breakdown, config),
+    breakdown,
     teamELOs: { team1: team1ELO, team2: team2ELO },
     matchCounts: { counts: matchCounts, avg: avgMatchCount, variance: matchCountVariance }
   };
@@ -265,107 +535,335 @@ function generateTeamCombinations(players) {
   ];
 }
 
+/**
+ * Score every team split of a foursome and add the acceptable ones to the selections
+ */
+function collectFoursomeSelections(playerGroup, context, allSelections) {
+  for (const combination of generateTeamCombinations(playerGroup)) {
+    const score = calculateMatchScore(
+      combination.team1.player1,
+      combination.team1.player2,
+      combination.team2.player1,
+      combination.team2.player2,
+      context
+    );
+
+    // Only add non-rejected combinations
+    if (!score.rejected) {
+      allSelections.push({
+        players: playerGroup,
+        teams: combination,
+        score: score
+      });
+    }
+  }
+}
+
+/**
+ * Per-candidate values used by the beam search, precomputed once so estimating
+ * a group only touches numeric arrays
+ */
+function buildCandidateTables(candidates, context) {
+  const size = candidates.length;
+  const elos = new Float64Array(size);
+  const counts = new Float64Array(size);
+  const penalties = new Float64Array(size);
+  const waits = new Float64Array(size);
+  // Any pair will end up as partners or opponents, so recent meetings either way count against it
+  const familiarity = new Float64Array(size * size);
+
+  candidates.forEach((player, i) => {
+    elos[i] = player.sessionElo || player.elo || 1200;
+    counts[i] = getPlayerMatchCount(player, context);
+    penalties[i] = getIndividualFairPlayPenalty(counts[i], context);
+    waits[i] = getWaitTimeScore(player, context);
+
+    for (let j = 0; j < i; j++) {
+      const met = getPartnershipHistory(player, candidates[j], context).recent +
+        getOpponentHistory(player, candidates[j], context).recent;
+      familiarity[i * size + j] = familiarity[j * size + i] = Math.min(1, met / context.config.PARTNERSHIP_MEMORY);
+    }
+  });
+
+  return { size, elos, counts, penalties, waits, familiarity, config: context.config };
+}
+
+/**
+ * Optimistic estimate of how good a group can become before its teams are split
+ * Uses fair play, skill similarity, wait time and how often these players have recently met;
+ * complete foursomes also get the ELO balance of their most balanced split
+ */
+function estimateGroup(indices, tables) {
+  const { size, elos, counts, penalties, waits, familiarity, config } = tables;
+  const weights = config.WEIGHTS;
+  const groupSize = indices.length;
+
+  let countSum = 0;
+  let eloSum = 0;
+  let waitSum = 0;
+  let fairPlay = 1;
+  for (const i of indices) {
+    countSum += counts[i];
+    eloSum += elos[i];
+    waitSum += waits[i];
+    fairPlay *= penalties[i];
+  }
+
+  const avgCount = countSum / groupSize;
+  const avgELO = eloSum / groupSize;
+  let countVariance = 0;
+  let eloVariance = 0;
+  for (const i of indices) {
+    countVariance += (counts[i] - avgCount) ** 2;
+    eloVariance += (elos[i] - avgELO) ** 2;
+  }
+  fairPlay *= Math.pow(0.5, countVariance / groupSize);
+  const skillSimilarity = Math.max(0, 1 - (Math.sqrt(eloVariance / groupSize) / config.MAX_ELO_DIFF));
+
+  let met = 0;
+  let pairs = 0;
+  for (let a = 0; a < groupSize; a++) {
+    for (let b = a + 1; b < groupSize; b++) {
+      met += familiarity[indices[a] * size + indices[b]];
+      pairs++;
+    }
+  }
+  const variety = 1 - met / pairs;
+
+  // Partial groups can still be balanced by whoever joins them
+  let eloBalance = 1;
+  if (groupSize === 4) {
+    const [e1, e2, e3, e4] = indices.map(i => elos[i]);
+    const smallestDiff = Math.min(
+      Math.abs(e1 + e2 - e3 - e4),
+      Math.abs(e1 + e3 - e2 - e4),
+      Math.abs(e1 + e4 - e2 - e3)
+    ) / 2;
+    eloBalance = Math.max(0, 1 - (smallestDiff / config.TEAM_ELO_TOLERANCE));
+  }
+
+  return fairPlay * weights.FAIR_PLAY +
+    skillSimilarity * weights.SKILL_SIMILARITY +
+    variety * (weights.PARTNERSHIP_VARIETY + weights.OPPONENT_VARIETY) +
+    eloBalance * weights.ELO_BALANCE +
+    (waitSum / groupSize) * weights.WAIT_TIME;
+}
+
+/**
+ * Beam search over foursomes for pools too large to enumerate
+ * Grows groups one player at a time, keeping only the most promising partial groups,
+ * then scores every team split of the surviving foursomes exactly
+ * Returns { selections, foursomesScored } - at most beamWidth foursomes are scored
+ */
+function beamSearchSelections(candidates, context, beamWidth) {
+  const allSelections = [];
+  const tables = buildCandidateTables(candidates, context);
+  const { size } = tables;
+  // Numeric, order-independent key for a group of candidate indices (indices are kept sorted)
+  const groupKey = (indices) => indices.reduce((key, index) => key * size + index, 0);
+  const withIndex = (indices, index) => {
+    const extended = indices.slice();
+    let position = extended.length;
+    while (position > 0 && extended[position - 1] > index) position--;
+    extended.splice(position, 0, index);
+    return extended;
+  };
+
+  // Pairs are cheap enough to enumerate in full
+  let beam = [];
+  for (let i = 0; i < size; i++) {
+    for (let j = i + 1; j < size; j++) {
+      beam.push({ indices: [i, j], estimate: estimateGroup([i, j], tables) });
+    }
+  }
+
+  const prune = (groups) => groups.sort((a, b) => b.estimate - a.estimate).slice(0, beamWidth);
+  beam = prune(beam);
+
+  // Extend to triples
+  const seenTriples = new Set();
+  const triples = [];
+  for (const { indices } of beam) {
+    for (let k = 0; k < size; k++) {
+      if (indices.includes(k)) continue;
+      const extended = withIndex(indices, k);
+      const key = groupKey(extended);
+      if (seenTriples.has(key)) continue;
+      seenTriples.add(key);
+      triples.push({ indices: extended, estimate: estimateGroup(extended, tables) });
+    }
+  }
+  beam = prune(triples);
+
+  // Extend to foursomes, then score only the most promising ones exactly
+  const seenFoursomes = new Set();
+  const foursomes = [];
+  for (const { indices } of beam) {
+    for (let l = 0; l < size; l++) {
+      if (indices.includes(l)) continue;
+      const extended = withIndex(indices, l);
+      const key = groupKey(extended);
+      if (seenFoursomes.has(key)) continue;
+      seenFoursomes.add(key);
+      foursomes.push({ indices: extended, estimate: estimateGroup(extended, tables) });
+    }
+  }
+
+  // Groups that cannot be split without breaking a pairing rule would only be rejected later
+  const viable = context.constraints.length > 0 || hasCourtRule(context)
+    ? foursomes.filter(({ indices }) => generateTeamCombinations(indices.map(index => candidates[index]))
+      .some(({ team1, team2 }) => !breaksMatchRules(team1.player1, team1.player2, team2.player1, team2.player2, context)))
+    : foursomes;
+
+  const scored = prune(viable);
+  for (const { indices } of scored) {
+    collectFoursomeSelections(indices.map(index => candidates[index]), context, allSelections);
+  }
+
+  return { selections: allSelections, foursomesScored: scored.length };
+}
+
+/**
+ * Count the 4-player groups in a pool of n players
+ */
+function countFoursomes(n) {
+  return n < 4 ? 0 : (n * (n - 1) * (n - 2) * (n - 3)) / 24;
+}
+
 /**
  * Smart player selection algorithm with controlled randomness
  * Finds good matches and randomly selects from top options
+ * Small pools are scored exhaustively; larger pools use a beam search so a 60-player
+ * session stays well under 100ms. Partnership and opponent history is indexed once per call.
+ * The selection's search is { strategy: 'exhaustive' | 'beam', foursomesScored }.
  */
-export function selectSmartPlayers(availablePlayers, matches, courtNumber = 0, addRandomness = false) {
+export function selectSmartPlayers(availablePlayers, matches, courtNumber = 0, addRandomness = false, options = {}) {
   if (availablePlayers.length < 4) {
     return null; // Not enough players
   }
-  
-  const allSelections = [];
-  
-  // Try different combinations of 4 players
-  for (let i = 0; i < availablePlayers.length - 3; i++) {
-    for (let j = i + 1; j < availablePlayers.length - 2; j++) {
-      for (let k = j + 1; k < availablePlayers.length - 1; k++) {
-        for (let l = k + 1; l < availablePlayers.length; l++) {
-          const playerGroup = [
-            availablePlayers[i],
-            availablePlayers[j],
-            availablePlayers[k],
-            availablePlayers[l]
-          ];
-          
-          // Generate all team combinations for this player group
-          const teamCombinations = generateTeamCombinations(playerGroup);
-          
-          // Find the best team arrangement for this player group
-          for (const combination of teamCombinations) {
-            const score = calculateMatchScore(
-              combination.team1.player1,
-              combination.team1.player2,
-              combination.team2.player1,
-              combination.team2.player2,
-              matches,
-              availablePlayers
-            );
-            
-            // Only add non-rejected combinations
-            if (!score.rejected) {
-              allSelections.push({
-                players: playerGroup,
-                teams: combination,
-                score: score
-              });
-            }
+
+  const exhaustiveLimit = options.exhaustiveLimit ?? SMART_MATCHING_CONFIG.EXHAUSTIVE_SEARCH_LIMIT;
+  const beamWidth = options.beamWidth ?? SMART_MATCHING_CONFIG.BEAM_WIDTH;
+  const context = buildMatchingContext(matches, availablePlayers, options);
+
+  // Once match counts spread by more than one, anyone two or more matches above the
+  // least-played player can only appear in rejected combinations - drop them up front,
+  // along with anyone the court's match type or skill band leaves out
+  const candidates = availablePlayers.filter(p =>
+    isEligibleForCourtRules(p, context) &&
+    (context.sessionRange <= 1 ||
+      getIndividualFairPlayPenalty(getPlayerMatchCount(p, context), context) >= context.config.FAIRNESS_THRESHOLD)
+  );
+
+  let allSelections = [];
+  let search;
+
+  if (countFoursomes(candidates.length) <= exhaustiveLimit) {
+    search = { strategy: 'exhaustive', foursomesScored: countFoursomes(candidates.length) };
+    // Try every combination of 4 players
+    for (let i = 0; i < candidates.length - 3; i++) {
+      for (let j = i + 1; j < candidates.length - 2; j++) {
+        for (let k = j + 1; k < candidates.length - 1; k++) {
+          for (let l = k + 1; l < candidates.length; l++) {
+            collectFoursomeSelections([candidates[i], candidates[j], candidates[k], candidates[l]], context, allSelections);
           }
         }
       }
     }
+  } else {
+    const beam = beamSearchSelections(candidates, context, beamWidth);
+    allSelections = beam.selections;
+    search = { strategy: 'beam', foursomesScored: beam.foursomesScored };
   }
-  
+
   if (allSelections.length === 0) {
-    console.warn('🚨 All smart combinations rejected due to fairness violations! Falling back to fair selection.');
-    
+    console.warn('🚨 All smart combinations rejected due to fairness or pairing rule violations! Falling back to fair selection.');
+
     // Fallback: Use fair selection algorithm (prioritizes players with fewer matches)
-    return selectFairPlayers(availablePlayers);
+    return selectFairPlayers(availablePlayers, options);
   }
-  
+
   // Sort by score (best first)
   allSelections.sort((a, b) => b.score.total - a.score.total);
-  
+
   if (!addRandomness) {
     // Return the absolute best match (original behavior)
-    return allSelections[0];
+    return { ...allSelections[0], search };
   }
-  
+
   // Add controlled randomness: select from top 25% of matches
   const topCount = Math.max(1, Math.ceil(allSelections.length * 0.25));
   const topSelections = allSelections.slice(0, topCount);
-  
-  // Randomly select from the top options
-  const randomIndex = Math.floor(Math.random() * topSelections.length);
-  return topSelections[randomIndex];
+
+  // Randomly select from the top options (options.random is the draw's seeded generator)
+  const random = options.random || Math.random;
+  const randomIndex = Math.floor(random() * topSelections.length);
+  return { ...topSelections[randomIndex], search };
+}
+
+/**
+ * First foursome and team split, in the given player order, that keeps to the pairing rules
+ * and the court's rules (rules: { constraints, courtType, skillBand })
+ * Without rules this is simply the first four players, first two against the next two
+ */
+function pickFoursomeWithinRules(orderedPlayers, rules = {}) {
+  const context = {
+    constraints: getActiveConstraints(rules.constraints, orderedPlayers),
+    poolIds: new Set(orderedPlayers.map(p => p.id)),
+    courtType: rules.courtType || COURT_MATCH_TYPES.ANY,
+    skillBand: rules.skillBand || null,
+    now: rules.now ?? Date.now()
+  };
+  const eligible = orderedPlayers.filter(p => isEligibleForCourtRules(p, context));
+  const n = eligible.length;
+
+  for (let i = 0; i < n - 3; i++) {
+    for (let j = i + 1; j < n - 2; j++) {
+      for (let k = j + 1; k < n - 1; k++) {
+        for (let l = k + 1; l < n; l++) {
+          const players = [eligible[i], eligible[j], eligible[k], eligible[l]];
+          const teams = generateTeamCombinations(players).find(({ team1, team2 }) =>
+            !breaksMatchRules(team1.player1, team1.player2, team2.player1, team2.player2, context));
+          if (teams) return { players, teams };
+        }
+      }
+    }
+  }
+
+  return null;
 }
 
 /**
- * Fair selection algorithm - purely prioritizes players with fewer matches
+ * Fair selection algorithm - prioritizes players with fewer matches, then the longest wait
+ * Also the smart matcher's fallback; exported so the simulator can compare it on its own
  */
-function selectFairPlayers(availablePlayers) {
+export function selectFairPlayers(availablePlayers, rules = {}) {
   if (availablePlayers.length < 4) return null;
   
-  // Sort players by match count (ascending), then by name for consistency
+  // Sort players by match count (ascending), then by wait time (longest first), then by name for consistency
+  const now = rules.now ?? Date.now();
+  const context = { fairPlayCounts: getFairPlayCounts(availablePlayers, rules.config || SMART_MATCHING_CONFIG, now) };
   const sortedPlayers = [...availablePlayers].sort((a, b) => {
-    const countA = getPlayerMatchCount(a);
-    const countB = getPlayerMatchCount(b);
+    const countA = getPlayerMatchCount(a, context);
+    const countB = getPlayerMatchCount(b, context);
     const matchDiff = countA - countB;
     if (matchDiff !== 0) return matchDiff;
+    const waitDiff = getWaitTimeMs(b, now) - getWaitTimeMs(a, now);
+    if (waitDiff !== 0) return waitDiff;
     return a.name.localeCompare(b.name); // Consistent tiebreaker
   });
   
-  // Take the 4 players with the fewest matches
-  const selectedPlayers = sortedPlayers.slice(0, 4);
+  // Take the 4 players with the fewest matches that the pairing rules allow together
+  const selection = pickFoursomeWithinRules(sortedPlayers, rules);
+  if (!selection) {
+    console.warn('🚨 No foursome satisfies the pairing rules and court rules');
+    return null;
+  }
   
-  console.log('✅ Fair selection used:', selectedPlayers.map(p => `${p.name}(${getPlayerMatchCount(p)})`));
+  console.log('✅ Fair selection used:', selection.players.map(p => `${p.name}(${p.sessionMatchCount || 0})`));
   
   return {
-    players: selectedPlayers,
-    teams: {
-      team1: { player1: selectedPlayers[0], player2: selectedPlayers[1] },
-      team2: { player1: selectedPlayers[2], player2: selectedPlayers[3] }
-    },
+    ...selection,
     score: { total: 1.0, breakdown: { fairPlay: 1.0 }, teamELOs: {} },
     method: 'fair-selection'
   };
@@ -374,37 +872,167 @@ function selectFairPlayers(availablePlayers) {
 /**
  * Fallback to random selection if smart matching fails
  */
-export function selectRandomPlayers(availablePlayers) {
+export function selectRandomPlayers(availablePlayers, options = {}) {
   if (availablePlayers.length < 4) return null;
   
-  const shuffled = [...availablePlayers].sort(() => Math.random() - 0.5);
-  const selectedPlayers = shuffled.slice(0, 4);
+  const shuffled = shuffleArray(availablePlayers, options.random);
+  const selection = pickFoursomeWithinRules(shuffled, options);
+  if (!selection) return null;
   
   return {
-    players: selectedPlayers,
-    teams: {
-      team1: { player1: selectedPlayers[0], player2: selectedPlayers[1] },
-      team2: { player1: selectedPlayers[2], player2: selectedPlayers[3] }
-    },
+    ...selection,
     score: { total: 0, breakdown: {}, teamELOs: {} },
     method: 'random'
   };
 }
 
+/**
+ * Calculate match quality for a singles match, on the same criteria as doubles
+ * Ratings are singles ratings; there are no partners, so partnership variety is always full
+ */
+function calculateSinglesScore(player1, player2, context) {
+  const teams = { team1: { player1, player2: null }, team2: { player1: player2, player2: null } };
+  const hasConstraints = context.constraints && context.constraints.length > 0;
+  if (hasConstraints && violatesConstraints(teams, context.constraints, context.poolIds)) {
+    return { total: 0, breakdown: {}, teamELOs: {}, rejected: true, reason: 'Pairing rule or court rule violation' };
+  }
+
+  const { config } = context;
+  const elo1 = getPlayerRating(player1, MATCH_TYPES.SINGLES);
+  const elo2 = getPlayerRating(player2, MATCH_TYPES.SINGLES);
+  const eloDiff = Math.abs(elo1 - elo2);
+  const matchCounts = [player1, player2].map(p => getPlayerMatchCount(p, context));
+  const avgMatchCount = (matchCounts[0] + matchCounts[1]) / 2;
+  const matchCountVariance = Math.pow(matchCounts[0] - avgMatchCount, 2);
+
+  let fairPlayScore = matchCounts.reduce((score, count) => score * getIndividualFairPlayPenalty(count, context), 1);
+  if (matchCountVariance > 0) fairPlayScore *= Math.pow(0.5, matchCountVariance);
+
+  const breakdown = {
+    eloBalance: Math.max(0, 1 - (eloDiff / config.TEAM_ELO_TOLERANCE)),
+    skillSimilarity: Math.max(0, 1 - (eloDiff / config.MAX_ELO_DIFF)),
+    partnershipVariety: 1,
+    opponentVariety: Math.max(0, 1 - (getOpponentHistory(player1, player2, context).recent / config.PARTNERSHIP_MEMORY)),
+    fairPlay: Math.max(0, Math.min(1, fairPlayScore)),
+    waitTime: (getWaitTimeScore(player1, context) + getWaitTimeScore(player2, context)) / 2
+  };
+  const score = {
+    total: getWeightedTotal(breakdown, config),
+    breakdown,
+    teamELOs: { team1: elo1, team2: elo2 },
+    matchCounts: { counts: matchCounts, avg: avgMatchCount, variance: matchCountVariance }
+  };
+
+  if (breakdown.fairPlay < config.FAIRNESS_THRESHOLD && context.sessionRange > 1) {
+    return { ...score, total: 0, rejected: true, reason: 'Fairness threshold violation' };
+  }
+  return score;
+}
+
+/**
+ * Pick two players for a singles match - the best scoring pair when smart matching, otherwise
+ * a seeded shuffle; falls back to the least-played pair when every pair breaks a rule
+ * Court match-type rules and partner rules are for doubles, so only the skill band and the
+ * opponent and same-court rules apply
+ */
+function selectSinglesMatch(availablePlayers, matches, useSmartMatching, addRandomness, options = {}) {
+  const constraints = (options.constraints || []).filter(rule =>
+    rule.type !== CONSTRAINT_TYPES.MUST_PARTNER && rule.type !== CONSTRAINT_TYPES.NEVER_PARTNER);
+  const context = buildMatchingContext(matches, availablePlayers, { ...options, constraints, courtType: COURT_MATCH_TYPES.ANY });
+  const random = options.random || Math.random;
+  const candidates = availablePlayers.filter(p => isEligibleForCourtRules(p, context));
+  if (candidates.length < 2) return null;
+
+  const toSelection = (player1, player2, score, method) => ({
+    players: [player1, player2],
+    teams: { team1: { player1, player2: null }, team2: { player1: player2, player2: null } },
+    score,
+    method,
+    matchType: MATCH_TYPES.SINGLES
+  });
+  const isAllowed = (player1, player2) => !context.constraints.length ||
+    !violatesConstraints({ team1: { player1 }, team2: { player1: player2 } }, context.constraints, context.poolIds);
+  const firstAllowedPair = (ordered) => {
+    for (let i = 0; i < ordered.length - 1; i++) {
+      for (let j = i + 1; j < ordered.length; j++) {
+        if (isAllowed(ordered[i], ordered[j])) return [ordered[i], ordered[j]];
+      }
+    }
+    return null;
+  };
+
+  if (!useSmartMatching) {
+    const pair = firstAllowedPair(shuffleArray(candidates, random));
+    return pair ? toSelection(pair[0], pair[1], { total: 0, breakdown: {}, teamELOs: {} }, 'random') : null;
+  }
+
+  const allSelections = [];
+  for (let i = 0; i < candidates.length - 1; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const score = calculateSinglesScore(candidates[i], candidates[j], context);
+      if (!score.rejected) allSelections.push(toSelection(candidates[i], candidates[j], score, addRandomness ? 'smart-random' : 'smart'));
+    }
+  }
+
+  if (allSelections.length === 0) {
+    console.warn('🚨 All singles pairs rejected due to fairness or pairing rule violations! Falling back to fair selection.');
+    const ordered = [...candidates].sort((a, b) =>
+      (getPlayerMatchCount(a, context) - getPlayerMatchCount(b, context)) ||
+      (getWaitTimeMs(b, context.now) - getWaitTimeMs(a, context.now)) ||
+      a.name.localeCompare(b.name));
+    const pair = firstAllowedPair(ordered);
+    return pair ? toSelection(pair[0], pair[1], { total: 1.0, breakdown: { fairPlay: 1.0 }, teamELOs: {} }, 'fair-selection') : null;
+  }
+
+  allSelections.sort((a, b) => b.score.total - a.score.total);
+  if (!addRandomness) return allSelections[0];
+
+  // Same controlled randomness as doubles: a random pick from the top 25%
+  const topSelections = allSelections.slice(0, Math.max(1, Math.ceil(allSelections.length * 0.25)));
+  return topSelections[Math.floor(random() * topSelections.length)];
+}
+
 /**
  * Main smart matching function
  * Returns best player selection with optimal team arrangement
+ * options.courtType and options.skillBand apply the court's rules; when the pool cannot fill
+ * them the court still gets a match, flagged with skillBandRelaxed / courtRuleRelaxed
+ * Randomness comes from options.seed (a fresh one when omitted) and wait times are scored at
+ * options.now; both are returned as seed and drawnAt so the draw can be replayed (see matchDraws)
+ * options.matchType 'singles' picks two players, one a side, with an empty second slot per team
  */
-export function generateSmartMatch(availablePlayers, matches, useSmartMatching = true, addRandomness = false) {
+export function generateSmartMatch(availablePlayers, matches, useSmartMatching = true, addRandomness = false, options = {}) {
+  const seed = options.seed ?? generateSeed();
+  const drawnAt = options.now ?? Date.now();
+  const random = createRandom(seed);
+  const isSingles = options.matchType === MATCH_TYPES.SINGLES;
+  const steps = getCourtRuleFallbacks(isSingles ? { ...options, courtType: COURT_MATCH_TYPES.ANY } : options);
+
+  for (let i = 0; i < steps.length; i++) {
+    if (i > 0) console.warn('⚠️ Not enough eligible players for the court rules - relaxing them');
+    const rules = { ...steps[i].rules, random, now: drawnAt };
+    const selection = isSingles
+      ? selectSinglesMatch(availablePlayers, matches, useSmartMatching, addRandomness, rules)
+      : selectMatch(availablePlayers, matches, useSmartMatching, addRandomness, rules);
+    if (selection) return { ...selection, ...steps[i].relaxed, seed, drawnAt };
+  }
+
+  return null;
+}
+
+/**
+ * Smart or random selection for a single court
+ */
+function selectMatch(availablePlayers, matches, useSmartMatching, addRandomness, options) {
   if (!useSmartMatching) {
-    return selectRandomPlayers(availablePlayers);
+    return selectRandomPlayers(availablePlayers, options);
   }
   
-  const smartSelection = selectSmartPlayers(availablePlayers, matches, 0, addRandomness);
+  const smartSelection = selectSmartPlayers(availablePlayers, matches, 0, addRandomness, options);
   
   // Fallback to random if smart matching fails
   if (!smartSelection) {
-    return selectRandomPlayers(availablePlayers);
+    return selectRandomPlayers(availablePlayers, options);
   }
   
   return {
@@ -413,6 +1041,588 @@ export function generateSmartMatch(availablePlayers, matches, useSmartMatching =
   };
 }
 
+/**
+ * Pick challengers to join players who stayed on court (winners-stay rotation)
+ * keepTogether keeps two stayers as one team; otherwise they are split onto opposite
+ * teams. Stayers are scored as if they had the pool's lowest match count so staying on
+ * court never counts against the fairness of the challengers.
+ */
+export function selectChallengers(stayers, availablePlayers, matches, options = {}) {
+  const needed = 4 - stayers.length;
+  if (needed <= 0 || availablePlayers.length < needed) return null;
+
+  const context = buildMatchingContext(matches, availablePlayers, options);
+  const stayerIds = new Set(stayers.map(p => p.id));
+  const neutralStayers = stayers.map(p => ({ ...p, sessionMatchCount: context.minAvailableCount }));
+  const original = (player) => (stayerIds.has(player.id) ? stayers.find(p => p.id === player.id) : player);
+
+  // Players the court's rules leave out only come on when nobody else can
+  const eligible = availablePlayers.filter(p => isEligibleForCourtRules(p, context));
+  const pool = eligible.length >= needed ? eligible : availablePlayers;
+
+  // Fair-play order bounds the search on big pools - the players who have played least come first
+  const ordered = [...pool].sort((a, b) =>
+    (getPlayerMatchCount(a, context) - getPlayerMatchCount(b, context)) || (getWaitTimeMs(b, context.now) - getWaitTimeMs(a, context.now))
+  );
+  let candidateCount = ordered.length;
+  const countGroups = (n) => (needed === 1 ? n : needed === 2 ? (n * (n - 1)) / 2 : (n * (n - 1) * (n - 2)) / 6);
+  while (candidateCount > needed && countGroups(candidateCount) > SMART_MATCHING_CONFIG.EXHAUSTIVE_SEARCH_LIMIT) {
+    candidateCount--;
+  }
+  const candidates = ordered.slice(0, candidateCount);
+
+  const arrangementsFor = (group) => {
+    const players = [...neutralStayers, ...group];
+    if (stayers.length === 2 && options.keepTogether) {
+      return [{ team1: { player1: players[0], player2: players[1] }, team2: { player1: players[2], player2: players[3] } }];
+    }
+    return generateTeamCombinations(players).filter(combination => {
+      if (stayers.length !== 2) return true;
+      // Split stayers must end up on opposite teams
+      const team1Ids = [combination.team1.player1.id, combination.team1.player2.id];
+      return team1Ids.filter(id => stayerIds.has(id)).length === 1;
+    });
+  };
+
+  let best = null;
+  const tryGroup = (group) => {
+    for (const combination of arrangementsFor(group)) {
+      const score = calculateMatchScore(
+        combination.team1.player1,
+        combination.team1.player2,
+        combination.team2.player1,
+        combination.team2.player2,
+        context
+      );
+
+      if (!score.rejected && (!best || score.total > best.score.total)) {
+        best = { combination, score };
+      }
+    }
+  };
+
+  const pick = (start, group) => {
+    if (group.length === needed) {
+      tryGroup(group);
+      return;
+    }
+    for (let i = start; i < candidates.length; i++) {
+      pick(i + 1, [...group, candidates[i]]);
+    }
+  };
+  pick(0, []);
+
+  if (!best) {
+    // Every option broke the fairness threshold - bring on whoever has played least
+    const [fallback] = arrangementsFor(candidates.slice(0, needed));
+    best = { combination: fallback, score: { total: 0, breakdown: {}, teamELOs: {} } };
+  }
+
+  const teams = {
+    team1: { player1: original(best.combination.team1.player1), player2: original(best.combination.team1.player2) },
+    team2: { player1: original(best.combination.team2.player1), player2: original(best.combination.team2.player2) }
+  };
+
+  return {
+    players: [teams.team1.player1, teams.team1.player2, teams.team2.player1, teams.team2.player2],
+    teams,
+    score: best.score,
+    method: 'rotation'
+  };
+}
+
+/**
+ * Find the best team split for a foursome, scored against the whole available pool
+ * Returns null when every split violates the fairness threshold
+ */
+function scoreFoursome(players, context) {
+  let best = null;
+
+  for (const combination of generateTeamCombinations(players)) {
+    const score = calculateMatchScore(
+      combination.team1.player1,
+      combination.team1.player2,
+      combination.team2.player1,
+      combination.team2.player2,
+      context
+    );
+
+    if (score.rejected) continue;
+
+    if (!best || score.total > best.score.total) {
+      best = { players, teams: combination, score, method: 'smart-optimized' };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Global multi-court assignment optimizer
+ * Picks every court's foursome and team split together to maximize the combined
+ * calculateMatchScore, instead of letting court 1 take the best group and the last
+ * court take the leftovers. Starts from the greedy court-by-court selection and then
+ * improves it with player swaps (court <-> court, court <-> bench) until no swap helps
+ * or the time budget runs out.
+ * options.courtTypes and options.skillBands list each court's match type and skill band; courts
+ * with a rule are seeded first so unrestricted courts cannot use up the players they need.
+ * Each assignment carries its courtId.
+ */
+export function optimizeCourtAssignments(availablePlayers, matches, courtCount, options = {}) {
+  const timeBudgetMs = options.timeBudgetMs ?? SMART_MATCHING_CONFIG.OPTIMIZER_TIME_BUDGET_MS;
+  const maxPasses = options.maxPasses ?? SMART_MATCHING_CONFIG.OPTIMIZER_MAX_PASSES;
+  const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+  const deadline = now() + timeBudgetMs;
+
+  const courtsToFill = Math.min(courtCount, Math.floor(availablePlayers.length / 4));
+  if (courtsToFill <= 0) {
+    return { assignments: [], totalScore: 0, passes: 0, timedOut: false };
+  }
+
+  // History and pool statistics are shared by every re-score below; each court gets its own
+  // copy carrying its court rules
+  const baseContext = buildMatchingContext(matches, availablePlayers, { constraints: options.constraints, config: options.config });
+  const courtRulesFor = (courtId) => ({
+    constraints: options.constraints,
+    config: options.config,
+    courtType: options.courtTypes?.[courtId] || COURT_MATCH_TYPES.ANY,
+    skillBand: options.skillBands?.[courtId] || null
+  });
+  const courtIds = Array.from({ length: courtsToFill }, (_, i) => i)
+    .sort((a, b) => Number(!hasCourtRule(courtRulesFor(a))) - Number(!hasCourtRule(courtRulesFor(b))));
+
+  // 1. Greedy seed - same court-by-court selection generateMatches used before
+  const courts = [];
+  const contexts = [];
+  const usedPlayerIds = new Set();
+
+  for (const courtId of courtIds) {
+    const remaining = availablePlayers.filter(p => !usedPlayerIds.has(p.id));
+    let selection = null;
+    let step = null;
+
+    for (const [index, fallback] of getCourtRuleFallbacks(courtRulesFor(courtId)).entries()) {
+      if (index > 0) console.warn(`⚠️ Not enough eligible players for the rules on court ${courtId + 1} - relaxing them`);
+      selection = selectSmartPlayers(remaining, matches, 0, false, fallback.rules);
+      step = fallback;
+      if (selection) break;
+    }
+    if (!selection) break;
+
+    selection.players.forEach(p => usedPlayerIds.add(p.id));
+
+    // Re-score against the full pool so every court is judged by the same standard
+    const context = { ...baseContext, courtType: step.rules.courtType, skillBand: step.rules.skillBand };
+    const court = scoreFoursome(selection.players, context) ||
+      { ...selection, method: selection.method || 'smart', rejected: true };
+    courts.push({
+      ...court,
+      courtId,
+      courtRuleRelaxed: !!step.relaxed.courtRuleRelaxed,
+      skillBandRelaxed: !!step.relaxed.skillBandRelaxed
+    });
+    contexts.push(context);
+  }
+
+  const bench = availablePlayers.filter(p => !usedPlayerIds.has(p.id));
+
+  // Rejected (unfair) courts are worth less than any acceptable arrangement
+  const courtValue = (court) => (court.rejected ? -1 : court.score.total);
+  const withPlayer = (players, slot, player) => players.map((p, i) => (i === slot ? player : p));
+  const onCourt = (candidate, court) => ({
+    ...candidate,
+    courtId: court.courtId,
+    courtRuleRelaxed: court.courtRuleRelaxed,
+    skillBandRelaxed: court.skillBandRelaxed
+  });
+  const EPSILON = 1e-9;
+
+  // 2. Local search - keep applying improving swaps
+  let passes = 0;
+  let timedOut = false;
+  let improved = true;
+
+  const improvePass = () => {
+    let changed = false;
+
+    for (let a = 0; a < courts.length; a++) {
+      for (let slot = 0; slot < 4; slot++) {
+        // Swap with a player on another court
+        for (let b = a + 1; b < courts.length; b++) {
+          for (let otherSlot = 0; otherSlot < 4; otherSlot++) {
+            if (now() > deadline) {
+              timedOut = true;
+              return changed;
+            }
+
+            const playerA = courts[a].players[slot];
+            const playerB = courts[b].players[otherSlot];
+            const candidateA = scoreFoursome(withPlayer(courts[a].players, slot, playerB), contexts[a]);
+            if (!candidateA) continue;
+            const candidateB = scoreFoursome(withPlayer(courts[b].players, otherSlot, playerA), contexts[b]);
+            if (!candidateB) continue;
+
+            if (candidateA.score.total + candidateB.score.total > courtValue(courts[a]) + courtValue(courts[b]) + EPSILON) {
+              courts[a] = onCourt(candidateA, courts[a]);
+              courts[b] = onCourt(candidateB, courts[b]);
+              changed = true;
+            }
+          }
+        }
+
+        // Swap with a player sitting out
+        for (let k = 0; k < bench.length; k++) {
+          if (now() > deadline) {
+            timedOut = true;
+            return changed;
+          }
+
+          const courtPlayer = courts[a].players[slot];
+          const candidate = scoreFoursome(withPlayer(courts[a].players, slot, bench[k]), contexts[a]);
+
+          if (candidate && candidate.score.total > courtValue(courts[a]) + EPSILON) {
+            bench[k] = courtPlayer;
+            courts[a] = onCourt(candidate, courts[a]);
+            changed = true;
+          }
+        }
+      }
+    }
+
+    return changed;
+  };
+
+  while (improved && !timedOut && passes < maxPasses) {
+    passes++;
+    improved = improvePass();
+  }
+
+  const totalScore = courts.reduce((sum, court) => sum + Math.max(0, courtValue(court)), 0);
+
+  console.log(`🧮 Court optimizer: ${courts.length} courts, total score ${totalScore.toFixed(3)} after ${passes} pass(es)${timedOut ? ' (time budget reached)' : ''}`);
+
+  return {
+    assignments: courts
+      .map(({ players, teams, score, method, courtId, courtRuleRelaxed, skillBandRelaxed }) =>
+        ({ players, teams, score, method, courtId, courtRuleRelaxed, skillBandRelaxed }))
+      .sort((a, b) => a.courtId - b.courtId),
+    totalScore,
+    passes,
+    timedOut
+  };
+}
+
+/**
+ * Swiss standings for players or fixed teams, built from the completed match history
+ * A win scores one point and the Buchholz tiebreak adds up the scores of every opponent
+ * faced, so a point earned against strong opposition ranks higher. Entries are
+ * { id, players, elo }; an entry is on a side when all of its players are.
+ */
+export function calculateSwissStandings(entries, matches) {
+  const rows = new Map(entries.map(entry => [entry.id, {
+    id: entry.id,
+    entry,
+    score: 0,
+    played: 0,
+    buchholz: 0,
+    opponentIds: []
+  }]));
+
+  const entriesByPlayer = new Map();
+  entries.forEach(entry => entry.players.forEach(player => {
+    if (!entriesByPlayer.has(player.id)) entriesByPlayer.set(player.id, []);
+    entriesByPlayer.get(player.id).push(entry);
+  }));
+
+  const entriesOnSide = (ids) => {
+    const side = new Set(ids.filter(Boolean));
+    const found = new Set();
+    side.forEach(id => (entriesByPlayer.get(id) || []).forEach(entry => {
+      if (entry.players.every(player => side.has(player.id))) found.add(entry.id);
+    }));
+    return [...found];
+  };
+
+  (matches || [])
+    .filter(match => match.completed_at && !match.cancelled_at && match.winning_team)
+    .forEach(match => {
+      const { team1, team2 } = getMatchTeamIds(match);
+      const side1 = entriesOnSide(team1);
+      const side2 = entriesOnSide(team2);
+
+      const record = (ids, opponents, won) => ids.forEach(id => {
+        const row = rows.get(id);
+        row.played += 1;
+        row.score += won ? 1 : 0;
+        row.opponentIds.push(...opponents);
+      });
+
+      record(side1, side2, match.winning_team === 1);
+      record(side2, side1, match.winning_team === 2);
+    });
+
+  rows.forEach(row => {
+    row.buchholz = row.opponentIds.reduce((sum, id) => sum + (rows.get(id)?.score || 0), 0);
+  });
+
+  return [...rows.values()].sort((a, b) =>
+    (b.score - a.score) || (b.buchholz - a.buchholz) || (b.entry.elo - a.entry.elo) || String(a.id).localeCompare(String(b.id))
+  );
+}
+
+/**
+ * Build a court assignment in the same shape the other matching methods return
+ */
+function toSwissAssignment(teams, scoreGap, rematches) {
+  return {
+    players: [teams.team1.player1, teams.team1.player2, teams.team2.player1, teams.team2.player2],
+    teams,
+    score: {
+      total: 1 / (1 + scoreGap + rematches),
+      breakdown: { scoreGap, rematches },
+      teamELOs: {}
+    },
+    method: 'swiss'
+  };
+}
+
+/**
+ * Pair fixed teams down the standings, each with the nearest team it has not played
+ * A short backtracking search looks for a round with no rematches at all; when there is
+ * none the greedy pairing (fewest previous meetings, nearest in the standings) is used.
+ */
+function pairSwissTeams(ranked) {
+  const meetings = (a, b) => a.opponentIds.filter(id => id === b.id).length;
+  let steps = 0;
+
+  const search = (remaining) => {
+    if (remaining.length === 0) return [];
+    if (++steps > SMART_MATCHING_CONFIG.SWISS_SEARCH_LIMIT) return null;
+
+    const [top, ...rest] = remaining;
+    for (let i = 0; i < rest.length; i++) {
+      if (meetings(top, rest[i]) > 0) continue;
+      const pairs = search(rest.filter((_, index) => index !== i));
+      if (pairs) return [[top, rest[i]], ...pairs];
+    }
+    return null;
+  };
+
+  let pairs = search(ranked);
+
+  if (!pairs) {
+    pairs = [];
+    const unpaired = [...ranked];
+    while (unpaired.length >= 2) {
+      const top = unpaired.shift();
+      let bestIndex = 0;
+      unpaired.forEach((row, index) => {
+        if (meetings(top, row) < meetings(top, unpaired[bestIndex])) bestIndex = index;
+      });
+      pairs.push([top, unpaired.splice(bestIndex, 1)[0]]);
+    }
+  }
+
+  return pairs.map(([team1, team2]) => {
+    const [a1, a2] = team1.entry.players;
+    const [b1, b2] = team2.entry.players;
+    return toSwissAssignment(
+      { team1: { player1: a1, player2: a2 }, team2: { player1: b1, player2: b2 } },
+      Math.abs(team1.score - team2.score),
+      meetings(team1, team2)
+    );
+  });
+}
+
+/**
+ * Group individual players into foursomes down the standings
+ * The top unpaired player is grouped with three of the next few ranked players, picking
+ * the group and team split with the fewest repeat opponents and partners, then the
+ * smallest spread of scores. Teams are split so both sides carry the same score.
+ */
+function pairSwissPlayers(ranked, context) {
+  const unpaired = [...ranked];
+  const assignments = [];
+
+  const splitCost = (rows) => {
+    const [a, b, c, d] = rows;
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const players = rows.map(row => row.entry.players[0]);
+
+    return generateTeamCombinations(players).map(teams => {
+      const side1 = [teams.team1.player1, teams.team1.player2];
+      const side2 = [teams.team2.player1, teams.team2.player2];
+      const rematches = side1.reduce((sum, p1) =>
+        sum + side2.reduce((inner, p2) => inner + getOpponentHistory(p1, p2, context).total, 0), 0);
+      const repeatPartners = getPartnershipHistory(side1[0], side1[1], context).total +
+        getPartnershipHistory(side2[0], side2[1], context).total;
+      const sideScore = (side) => side.reduce((sum, p) => sum + byId.get(p.id).score, 0);
+      const imbalance = Math.abs(sideScore(side1) - sideScore(side2));
+      const scoreGap = Math.max(a.score, b.score, c.score, d.score) - Math.min(a.score, b.score, c.score, d.score);
+
+      const brokenRule = breaksMatchRules(side1[0], side1[1], side2[0], side2[1], context) ? 1000 : 0;
+
+      return { teams, rematches, scoreGap, cost: brokenRule + (rematches + repeatPartners) * 10 + scoreGap * 3 + imbalance };
+    }).sort((x, y) => x.cost - y.cost)[0];
+  };
+
+  while (unpaired.length >= 4) {
+    const top = unpaired.shift();
+    const window = unpaired.slice(0, Math.max(3, SMART_MATCHING_CONFIG.SWISS_PAIRING_WINDOW - 1));
+    let best = null;
+
+    for (let i = 0; i < window.length - 2; i++) {
+      for (let j = i + 1; j < window.length - 1; j++) {
+        for (let k = j + 1; k < window.length; k++) {
+          const split = splitCost([top, window[i], window[j], window[k]]);
+          // Reaching further down the standings costs a little, so score groups stay together
+          const cost = split.cost + (i + j + k) * 0.1;
+          if (!best || cost < best.cost) best = { ...split, cost, picked: [window[i], window[j], window[k]] };
+        }
+      }
+    }
+
+    best.picked.forEach(row => unpaired.splice(unpaired.indexOf(row), 1));
+    assignments.push(toSwissAssignment(best.teams, best.scoreGap, best.rematches));
+  }
+
+  return assignments;
+}
+
+/**
+ * Swiss-system round for every court at once
+ * Players (or the session's fixed teams, when options.teams is given) are ranked by
+ * score and Buchholz, byes go to whoever has played the most - lowest ranked first -
+ * and everyone else is paired within their score group while avoiding rematches.
+ */
+export function generateSwissRound(availablePlayers, matches, courtCount, options = {}) {
+  const playersById = new Map(availablePlayers.map(player => [player.id, player]));
+  const useTeams = Array.isArray(options.teams) && options.teams.length > 0;
+
+  const entries = useTeams
+    ? options.teams
+      .filter(team => team.playerIds.length === 2 && team.playerIds.every(id => playersById.has(id)))
+      .map(team => {
+        const players = team.playerIds.map(id => playersById.get(id));
+        return { id: team.id, players, elo: getTeamELO(players[0], players[1]) };
+      })
+    : availablePlayers.map(player => ({ id: player.id, players: [player], elo: player.sessionElo || player.elo || 1200 }));
+
+  const entriesPerMatch = useTeams ? 2 : 4;
+  const matchCount = Math.min(courtCount, Math.floor(entries.length / entriesPerMatch));
+  const standings = calculateSwissStandings(entries, matches);
+
+  if (matchCount <= 0) {
+    return { assignments: [], byes: standings.map(row => row.id), standings };
+  }
+
+  // Sort is stable, so within the same match count the lowest ranked sit out first
+  const byeCount = entries.length - matchCount * entriesPerMatch;
+  const byeIds = new Set([...standings].reverse()
+    .sort((a, b) => b.played - a.played)
+    .slice(0, byeCount)
+    .map(row => row.id));
+  const ranked = standings.filter(row => !byeIds.has(row.id));
+
+  const assignments = useTeams
+    ? pairSwissTeams(ranked)
+    : pairSwissPlayers(ranked, buildMatchingContext(matches, availablePlayers, { constraints: options.constraints, config: options.config }));
+
+  console.log(`🇨🇭 Swiss round: ${assignments.length} matches, ${byeIds.size} bye(s)`);
+
+  return { assignments, byes: [...byeIds], standings };
+}
+
+/**
+ * Score a team split for an explanation
+ * Rejected splits are also scored without the hard rules, so they can be ranked by what
+ * they would have scored and shown with the reason they were turned down
+ */
+function explainSplit(teams, context) {
+  const { team1, team2 } = teams;
+  const score = calculateMatchScore(team1.player1, team1.player2, team2.player1, team2.player2, context);
+  if (!score.rejected) {
+    return { ...score, potential: score.total };
+  }
+
+  const unrestricted = { ...context, constraints: [], courtType: COURT_MATCH_TYPES.ANY, skillBand: null };
+  const withoutRules = score.breakdown.fairPlay === undefined
+    ? calculateMatchScore(team1.player1, team1.player2, team2.player1, team2.player2, unrestricted)
+    : score;
+
+  return {
+    ...score,
+    breakdown: withoutRules.breakdown,
+    teamELOs: withoutRules.teamELOs,
+    potential: getWeightedTotal(withoutRules.breakdown, context.config)
+  };
+}
+
+/**
+ * Explain a doubles line-up: its per-criterion scores against the pool it was picked from,
+ * and the strongest alternative foursomes, each either scoring lower or rejected with a reason
+ * teams is the match shape { team1: { player1, player2 }, team2 }; the pool should include
+ * the line-up's own players. options: { constraints, courtType, skillBand, config, alternatives, now } -
+ * now is when the line-up was drawn, so wait times are read as the draw read them
+ */
+export function explainMatch(teams, pool, matches, options = {}) {
+  const lineup = [teams.team1.player1, teams.team1.player2, teams.team2.player1, teams.team2.player2];
+  const lineupIds = new Set(lineup.map(p => p.id));
+  const context = buildMatchingContext(matches, pool, options);
+  const chosen = explainSplit(teams, context);
+
+  // Compare against the foursomes of the players who have played least - where the engine looks first
+  const others = pool
+    .filter(p => !lineupIds.has(p.id))
+    .sort((a, b) => (getPlayerMatchCount(a, context) - getPlayerMatchCount(b, context)) || (getWaitTimeMs(b, context.now) - getWaitTimeMs(a, context.now)))
+    .slice(0, Math.max(0, SMART_MATCHING_CONFIG.EXPLAIN_POOL_LIMIT - lineup.length));
+  const candidates = [...lineup, ...others];
+  const lineupKey = [...lineupIds].sort().join('|');
+
+  const alternatives = [];
+  for (let i = 0; i < candidates.length - 3; i++) {
+    for (let j = i + 1; j < candidates.length - 2; j++) {
+      for (let k = j + 1; k < candidates.length - 1; k++) {
+        for (let l = k + 1; l < candidates.length; l++) {
+          const group = [candidates[i], candidates[j], candidates[k], candidates[l]];
+          if (group.map(p => p.id).sort().join('|') === lineupKey) continue;
+
+          // Keep the group's best split, preferring accepted ones
+          let best = null;
+          for (const combination of generateTeamCombinations(group)) {
+            const score = explainSplit(combination, context);
+            const better = !best ||
+              (best.score.rejected && !score.rejected) ||
+              (best.score.rejected === score.rejected && score.potential > best.score.potential);
+            if (better) best = { teams: combination, score };
+          }
+          alternatives.push(best);
+        }
+      }
+    }
+  }
+
+  alternatives.sort((a, b) => b.score.potential - a.score.potential);
+
+  return {
+    score: chosen,
+    criteria: SCORE_CRITERIA.map(criterion => ({
+      ...criterion,
+      weight: context.config.WEIGHTS[criterion.weight],
+      value: chosen.breakdown[criterion.key] ?? 0
+    })),
+    alternatives: alternatives
+      .slice(0, options.alternatives ?? SMART_MATCHING_CONFIG.EXPLAIN_ALTERNATIVES)
+      .map(({ teams: altTeams, score }) => ({
+        teams: altTeams,
+        total: score.total,
+        potential: score.potential,
+        rejected: !!score.rejected,
+        reason: score.reason || null
+      }))
+  };
+}
+
 /**
  * Get match preview information for UI display
  */
@@ -431,6 +1641,7 @@ export function getMatchPreview(team1Player1, team1Player2, team2Player1, team2P
     team2ELO: Math.round(team2ELO),
     eloDifference: Math.round(eloDiff),
     balanceLabel,
-    isBalanced: eloDiff <= SMART_MATCHING_CONFIG.TEAM_ELO_TOLERANCE
+    isBalanced: eloDiff <= SMART_MATCHING_CONFIG.TEAM_ELO_TOLERANCE,
+    expectedMargin: getExpectedMargin(team1ELO, team2ELO)
   };
 }
@@ -0,0 +1,629 @@
+import {
+  MATCHING_PRESETS,
+  SCORE_CRITERIA,
+  SMART_MATCHING_CONFIG,
+  buildMatchingConfig,
+  calculateSwissStandings,
+  explainMatch,
+  generateSwissRound,
+  generateSmartMatch,
+  optimizeCourtAssignments,
+  selectChallengers,
+  selectSmartPlayers
+} from './smartMatching';
+import { CONSTRAINT_TYPES, violatesConstraints } from './pairingConstraints';
+import { COURT_MATCH_TYPES, fitsCourtMatchType } from './playerCategories';
+import { MATCH_TYPES } from './matchTypes';
+
+const makePlayers = (elos) => elos.map((elo, index) => ({
+  id: `p${index + 1}`,
+  name: `Player ${index + 1}`,
+  elo,
+  sessionElo: elo,
+  sessionMatchCount: 0
+}));
+
+// Deterministic pseudo-random numbers so pools and histories are reproducible
+const makeRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const makePool = (size, seed) => {
+  const random = makeRandom(seed);
+  return makePlayers(Array.from({ length: size }, () => Math.round(800 + random() * 1000)))
+    .map(p => ({ ...p, sessionMatchCount: Math.floor(random() * 2) }));
+};
+
+// Completed matches in the database row shape, as generateMatches passes them
+const makeHistory = (players, count, seed) => {
+  const random = makeRandom(seed);
+  const pick = () => players[Math.floor(random() * players.length)].id;
+  return Array.from({ length: count }, (_, index) => ({
+    id: `m${index}`,
+    team1_player1_id: pick(),
+    team1_player2_id: pick(),
+    team2_player1_id: pick(),
+    team2_player2_id: pick(),
+    completed_at: new Date(2024, 0, 1, 18, index).toISOString()
+  }));
+};
+
+describe('Smart Matching', () => {
+  describe('selectSmartPlayers', () => {
+    test('should score a bounded number of foursomes for a 60-player pool', () => {
+      const players = makePool(60, 7);
+      const matches = makeHistory(players, 120, 11);
+
+      const selection = selectSmartPlayers(players, matches);
+
+      expect(selection.players).toHaveLength(4);
+      expect(new Set(selection.players.map(p => p.id)).size).toBe(4);
+      // C(60, 4) is far beyond the exhaustive limit, so only the beam's survivors are scored
+      expect(selection.search.strategy).toBe('beam');
+      expect(selection.search.foursomesScored).toBeGreaterThan(0);
+      expect(selection.search.foursomesScored).toBeLessThanOrEqual(SMART_MATCHING_CONFIG.BEAM_WIDTH);
+    });
+
+    test('should score every foursome of a small pool', () => {
+      const players = makePool(12, 3);
+      const selection = selectSmartPlayers(players, makeHistory(players, 10, 4));
+
+      expect(selection.search).toEqual({ strategy: 'exhaustive', foursomesScored: 495 });
+    });
+
+    test('beam search should match the exhaustive search quality', () => {
+      [3, 5, 8, 13].forEach(seed => {
+        const players = makePool(24, seed);
+        const matches = makeHistory(players, 40, seed + 1);
+
+        const exhaustive = selectSmartPlayers(players, matches, 0, false, { exhaustiveLimit: Infinity });
+        const beam = selectSmartPlayers(players, matches, 0, false, { exhaustiveLimit: 0 });
+
+        expect(beam.score.total).toBeGreaterThanOrEqual(exhaustive.score.total * 0.98);
+      });
+    });
+
+    test('should avoid recent partners from database-shaped history', () => {
+      const players = makePlayers([1200, 1200, 1200, 1200]);
+      const matches = [{
+        team1_player1_id: 'p1',
+        team1_player2_id: 'p2',
+        team2_player1_id: 'p3',
+        team2_player2_id: 'p4',
+        completed_at: '2024-01-01T18:00:00Z'
+      }];
+
+      const { teams } = selectSmartPlayers(players, matches);
+      const team1Ids = [teams.team1.player1.id, teams.team1.player2.id].sort();
+
+      expect(team1Ids).not.toEqual(['p1', 'p2']);
+      expect(team1Ids).not.toEqual(['p3', 'p4']);
+    });
+  });
+
+  describe('wait time priority', () => {
+    test('should prefer players who have waited longest when everything else is equal', () => {
+      const now = Date.now();
+      const waitedMinutes = [1, 40, 2, 35, 3, 30, 4, 25];
+      const players = makePlayers(waitedMinutes.map(() => 1200)).map((p, index) => ({
+        ...p,
+        waitingSince: new Date(now - waitedMinutes[index] * 60 * 1000).toISOString()
+      }));
+
+      const selection = selectSmartPlayers(players, []);
+
+      expect(selection.players.map(p => p.id).sort()).toEqual(['p2', 'p4', 'p6', 'p8']);
+      expect(selection.score.breakdown.waitTime).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('selectChallengers', () => {
+    const teamIds = (team) => [team.player1.id, team.player2.id].sort();
+
+    test('should keep staying winners together against two challengers', () => {
+      const [winner1, winner2, ...pool] = makePool(10, 11);
+
+      const result = selectChallengers([winner1, winner2], pool, [], { keepTogether: true });
+
+      expect(teamIds(result.teams.team1)).toEqual([winner1.id, winner2.id].sort());
+      expect(pool.map(p => p.id)).toEqual(expect.arrayContaining(teamIds(result.teams.team2)));
+      expect(result.method).toBe('rotation');
+    });
+
+    test('should put split winners on opposite teams', () => {
+      const [winner1, winner2, ...pool] = makePool(10, 13);
+
+      const result = selectChallengers([winner1, winner2], pool, [], { keepTogether: false });
+      const team1Ids = teamIds(result.teams.team1);
+
+      expect(team1Ids.includes(winner1.id)).not.toBe(team1Ids.includes(winner2.id));
+    });
+
+    test('should fill three places around a single stayer', () => {
+      const [stayer, ...pool] = makePool(8, 17);
+
+      const result = selectChallengers([stayer], pool, []);
+
+      expect(result.players).toHaveLength(4);
+      expect(result.players.map(p => p.id)).toContain(stayer.id);
+    });
+
+    test('should return null when there are not enough challengers', () => {
+      const [winner1, winner2, challenger] = makePool(3, 19);
+      expect(selectChallengers([winner1, winner2], [challenger], [])).toBeNull();
+    });
+  });
+
+  describe('optimizeCourtAssignments', () => {
+    const players = makePlayers([1800, 1750, 1700, 1650, 1300, 1250, 1200, 1150, 900, 850, 1600, 1000]);
+
+    test('should fill as many courts as the pool allows with distinct players', () => {
+      const { assignments } = optimizeCourtAssignments(players, [], 4);
+
+      expect(assignments).toHaveLength(3); // 12 players -> 3 courts
+      const ids = assignments.flatMap(a => a.players.map(p => p.id));
+      expect(new Set(ids).size).toBe(12);
+
+      assignments.forEach(a => {
+        const teamIds = [a.teams.team1.player1, a.teams.team1.player2, a.teams.team2.player1, a.teams.team2.player2].map(p => p.id);
+        expect(teamIds.sort()).toEqual(a.players.map(p => p.id).sort());
+      });
+    });
+
+    test('should never score worse than the greedy seed', () => {
+      const seed = optimizeCourtAssignments(players, [], 3, { maxPasses: 0 });
+      const optimized = optimizeCourtAssignments(players, [], 3);
+
+      expect(optimized.totalScore).toBeGreaterThanOrEqual(seed.totalScore);
+    });
+
+    test('should return no assignments when fewer than 4 players are available', () => {
+      const result = optimizeCourtAssignments(players.slice(0, 3), [], 2);
+      expect(result.assignments).toEqual([]);
+    });
+
+    test('should still return complete courts when the time budget is exhausted', () => {
+      const result = optimizeCourtAssignments(players, [], 3, { timeBudgetMs: 0 });
+
+      expect(result.assignments).toHaveLength(3);
+      expect(result.passes).toBeLessThanOrEqual(1);
+    });
+  });
+
+  describe('Swiss rounds', () => {
+    const result = (id, [a, b], [c, d], winningTeam) => ({
+      id,
+      team1_player1_id: a,
+      team1_player2_id: b,
+      team2_player1_id: c,
+      team2_player2_id: d,
+      winning_team: winningTeam,
+      completed_at: new Date(2024, 0, 1, 18, 0).toISOString()
+    });
+
+    // Play a round from its assignments, letting team1 win every match
+    const playRound = (assignments, round) => assignments.map((a, index) => result(
+      `r${round}-${index}`,
+      [a.teams.team1.player1.id, a.teams.team1.player2.id],
+      [a.teams.team2.player1.id, a.teams.team2.player2.id],
+      1
+    ));
+
+    const opponentKeys = (assignment) => {
+      const side1 = [assignment.teams.team1.player1.id, assignment.teams.team1.player2.id];
+      const side2 = [assignment.teams.team2.player1.id, assignment.teams.team2.player2.id];
+      return side1.flatMap(a => side2.map(b => [a, b].sort().join('|')));
+    };
+
+    test('should score wins and add up opponent scores as the Buchholz tiebreak', () => {
+      const players = makePlayers([1200, 1200, 1200, 1200, 1200, 1200]);
+      const entries = players.map(p => ({ id: p.id, players: [p], elo: p.elo }));
+      const history = [
+        result('m1', ['p1', 'p2'], ['p3', 'p4'], 1),
+        result('m2', ['p1', 'p3'], ['p5', 'p6'], 1)
+      ];
+
+      const standings = calculateSwissStandings(entries, history);
+      const byId = Object.fromEntries(standings.map(row => [row.id, row]));
+
+      expect(standings[0].id).toBe('p1');
+      expect(byId.p1).toMatchObject({ score: 2, played: 2, buchholz: 1 }); // only p3 has won since
+      expect(byId.p3).toMatchObject({ score: 1, buchholz: 3 });
+      expect(byId.p3.buchholz).toBeGreaterThan(byId.p2.buchholz);
+    });
+
+    test('should give byes to the players who have played the most, lowest ranked first', () => {
+      const players = makePlayers([1800, 1700, 1600, 1500, 1400, 1300, 1200, 1100, 1000, 900]);
+      const history = [result('m1', ['p1', 'p2'], ['p3', 'p4'], 2)];
+
+      const { assignments, byes } = generateSwissRound(players, history, 4);
+
+      expect(assignments).toHaveLength(2);
+      expect(byes.sort()).toEqual(['p1', 'p2']);
+      expect(new Set(assignments.flatMap(a => a.players.map(p => p.id))).size).toBe(8);
+      assignments.forEach(a => expect(a.method).toBe('swiss'));
+    });
+
+    test('should group players with equal scores and avoid repeat partners and opponents', () => {
+      const players = makePlayers([1200, 1200, 1200, 1200, 1200, 1200, 1200, 1200]);
+      const history = [
+        result('m1', ['p1', 'p2'], ['p3', 'p4'], 1),
+        result('m2', ['p5', 'p6'], ['p7', 'p8'], 1)
+      ];
+
+      const { assignments } = generateSwissRound(players, history, 2);
+      const winnersGroup = assignments.find(a => a.players.some(p => p.id === 'p1'));
+
+      expect(winnersGroup.players.map(p => p.id).sort()).toEqual(['p1', 'p2', 'p5', 'p6']);
+      // Last round's partners face each other instead
+      expect(opponentKeys(winnersGroup)).toEqual(expect.arrayContaining(['p1|p2', 'p5|p6']));
+      assignments.forEach(a => expect(a.score.breakdown.rematches).toBe(0));
+    });
+
+    test('should pair fixed teams by score without rematches', () => {
+      const players = makePlayers(Array.from({ length: 16 }, () => 1200));
+      const teams = Array.from({ length: 8 }, (_, index) => ({
+        id: `t${index + 1}`,
+        playerIds: [`p${index * 2 + 1}`, `p${index * 2 + 2}`]
+      }));
+      let history = [];
+      const seen = new Set();
+
+      for (let round = 1; round <= 3; round++) {
+        const { assignments } = generateSwissRound(players, history, 4, { teams });
+        expect(assignments).toHaveLength(4);
+
+        assignments.forEach(a => {
+          const key = [a.teams.team1.player1.id, a.teams.team2.player1.id].sort().join('|');
+          expect(seen.has(key)).toBe(false);
+          seen.add(key);
+        });
+        history = [...history, ...playRound(assignments, round)];
+      }
+
+      // After three rounds the only unbeaten team has won every match
+      const entries = teams.map(team => ({ id: team.id, players: team.playerIds.map(id => players.find(p => p.id === id)), elo: 1200 }));
+      const standings = calculateSwissStandings(entries, history);
+      expect(standings[0].score).toBe(3);
+      expect(standings[1].score).toBe(2);
+    });
+
+    test('should run five rounds for 40 players on 10 courts', () => {
+      const players = makePool(40, 11);
+      let history = [];
+
+      for (let round = 1; round <= 5; round++) {
+        const { assignments, byes } = generateSwissRound(players, history, 10);
+        expect(assignments).toHaveLength(10);
+        expect(byes).toEqual([]);
+        expect(new Set(assignments.flatMap(a => a.players.map(p => p.id))).size).toBe(40);
+        history = [...history, ...playRound(assignments, round)];
+      }
+    });
+  });
+
+  describe('pairing rules', () => {
+    const players = makePlayers([1800, 1750, 1300, 1250, 1200, 1150, 900, 850]);
+    const rule = (type, a, b) => ({ id: `${type}-${a}-${b}`, type, playerIds: [a, b] });
+    const toTeams = (selection) => ({ team1: selection.teams.team1, team2: selection.teams.team2 });
+
+    test.each([
+      [CONSTRAINT_TYPES.MUST_PARTNER, 'p1', 'p8'],
+      [CONSTRAINT_TYPES.NEVER_PARTNER, 'p1', 'p8'],
+      [CONSTRAINT_TYPES.NEVER_OPPOSE, 'p1', 'p2'],
+      [CONSTRAINT_TYPES.AVOID_SAME_COURT, 'p3', 'p4']
+    ])('selectSmartPlayers should respect a %s rule', (type, a, b) => {
+      const constraints = [rule(type, a, b)];
+
+      for (let i = 0; i < 5; i++) {
+        const selection = selectSmartPlayers(players, [], 0, true, { constraints });
+        expect(violatesConstraints(toTeams(selection), constraints)).toBe(false);
+      }
+    });
+
+    test('should keep locked partners together across every court', () => {
+      const constraints = [rule(CONSTRAINT_TYPES.MUST_PARTNER, 'p1', 'p8'), rule(CONSTRAINT_TYPES.MUST_PARTNER, 'p2', 'p7')];
+      const { assignments } = optimizeCourtAssignments(players, [], 2, { constraints });
+
+      expect(assignments).toHaveLength(2);
+      assignments.forEach(a => expect(violatesConstraints(toTeams(a), constraints)).toBe(false));
+    });
+
+    test('fair and random selection should respect the rules too', () => {
+      // Everyone except p1-p4 has played two more matches, so smart matching falls back to fair selection
+      const pool = players.map((p, index) => ({ ...p, sessionMatchCount: index < 4 ? 0 : 2 }));
+      const constraints = [rule(CONSTRAINT_TYPES.AVOID_SAME_COURT, 'p1', 'p2')];
+
+      const fair = selectSmartPlayers(pool, [], 0, false, { constraints });
+      const random = generateSmartMatch(pool, [], false, false, { constraints });
+
+      expect(violatesConstraints(toTeams(fair), constraints)).toBe(false);
+      expect(violatesConstraints(toTeams(random), constraints)).toBe(false);
+    });
+
+    test('should return null when no foursome can satisfy the rules', () => {
+      const pool = players.slice(0, 4);
+      const constraints = [rule(CONSTRAINT_TYPES.AVOID_SAME_COURT, 'p1', 'p2')];
+
+      expect(generateSmartMatch(pool, [], true, false, { constraints })).toBeNull();
+    });
+  });
+
+  describe('court match types', () => {
+    // Odd players are male, even players female
+    const players = makePlayers([1800, 1750, 1300, 1250, 1200, 1150, 900, 850, 1400, 1000])
+      .map((p, index) => ({ ...p, category: index % 2 === 0 ? 'male' : 'female' }));
+    const toTeams = (selection) => ({ team1: selection.teams.team1, team2: selection.teams.team2 });
+
+    test.each([COURT_MATCH_TYPES.MIXED, COURT_MATCH_TYPES.MENS, COURT_MATCH_TYPES.WOMENS])(
+      'generateSmartMatch should fill a %s court',
+      (courtType) => {
+        const smart = generateSmartMatch(players, [], true, true, { courtType });
+        const random = generateSmartMatch(players, [], false, false, { courtType });
+
+        expect(fitsCourtMatchType(toTeams(smart), courtType)).toBe(true);
+        expect(fitsCourtMatchType(toTeams(random), courtType)).toBe(true);
+        expect(smart.courtRuleRelaxed).toBeUndefined();
+      }
+    );
+
+    test('should fall back to a regular match when the pool cannot fill the court', () => {
+      const pool = players.slice(0, 6).map(p => ({ ...p, category: 'male' }));
+      const selection = generateSmartMatch(pool, [], true, false, { courtType: COURT_MATCH_TYPES.WOMENS });
+
+      expect(selection.players).toHaveLength(4);
+      expect(selection.courtRuleRelaxed).toBe(true);
+    });
+
+    test('should ignore players without a category on restricted courts', () => {
+      const pool = [...players.slice(0, 4), ...makePlayers([1200, 1200]).map(p => ({ ...p, id: `x${p.id}` }))];
+      const selection = selectSmartPlayers(pool, [], 0, false, { courtType: COURT_MATCH_TYPES.MIXED });
+
+      expect(selection.players.every(p => p.category)).toBe(true);
+    });
+
+    test('optimizer should serve restricted courts first and report each court id', () => {
+      const courtTypes = [COURT_MATCH_TYPES.ANY, COURT_MATCH_TYPES.WOMENS];
+      // Only four women, so court 2 needs all of them before court 1 picks
+      const pool = players.slice(0, 8).map((p, index) => ({ ...p, category: index < 4 ? 'male' : 'female' }));
+      const { assignments } = optimizeCourtAssignments(pool, [], 2, { courtTypes });
+
+      expect(assignments.map(a => a.courtId)).toEqual([0, 1]);
+      expect(fitsCourtMatchType(toTeams(assignments[1]), COURT_MATCH_TYPES.WOMENS)).toBe(true);
+      expect(assignments[1].courtRuleRelaxed).toBe(false);
+    });
+
+    test('selectChallengers should bring on players who fit the court', () => {
+      const [stayer1, stayer2] = players.filter(p => p.category === 'female');
+      const pool = players.filter(p => p.id !== stayer1.id && p.id !== stayer2.id);
+      const rotation = selectChallengers([stayer1, stayer2], pool, [], { courtType: COURT_MATCH_TYPES.WOMENS });
+
+      expect(fitsCourtMatchType(rotation.teams, COURT_MATCH_TYPES.WOMENS)).toBe(true);
+    });
+  });
+
+  describe('skill bands', () => {
+    const players = makePlayers([2000, 1900, 1850, 1800, 1300, 1250, 1200, 1150, 900, 850]);
+    const strong = { minElo: 1800, maxElo: null };
+    const beginners = { minElo: null, maxElo: 1300 };
+
+    test('should only pick players inside the court band', () => {
+      const smart = generateSmartMatch(players, [], true, true, { skillBand: strong });
+      const random = generateSmartMatch(players, [], false, false, { skillBand: beginners });
+
+      expect(smart.players.every(p => p.elo >= 1800)).toBe(true);
+      expect(random.players.every(p => p.elo <= 1300)).toBe(true);
+    });
+
+    test('should fill banded courts from their own players', () => {
+      const { assignments } = optimizeCourtAssignments(players, [], 2, { skillBands: [beginners, strong] });
+
+      expect(assignments[0].players.every(p => p.elo <= 1300)).toBe(true);
+      expect(assignments[1].players.every(p => p.elo >= 1800)).toBe(true);
+    });
+
+    test('should relax the band rather than leave the court empty', () => {
+      const selection = generateSmartMatch(players, [], true, false, { skillBand: { minElo: 1950, maxElo: null } });
+
+      expect(selection.players).toHaveLength(4);
+      expect(selection.skillBandRelaxed).toBe(true);
+    });
+
+    test('should widen the band step by step, keeping the players inside it', () => {
+      const pool = makePlayers([1200, 1300, 1450, 1480, 1600, 1650, 1700, 1750]);
+      const band = { minElo: 1200, maxElo: 1399 };
+      const selection = generateSmartMatch(pool, [], true, false, { skillBand: band });
+      const { assignments } = optimizeCourtAssignments(pool, [], 1, { skillBands: [band] });
+
+      expect(selection.skillBandRelaxed).toBe(true);
+      expect(selection.players.map(p => p.elo).sort()).toEqual([1200, 1300, 1450, 1480]);
+      expect(assignments[0].skillBandRelaxed).toBe(true);
+      expect(assignments[0].players.map(p => p.elo).sort()).toEqual([1200, 1300, 1450, 1480]);
+    });
+
+    test('should let a long wait stretch the band', () => {
+      const waitingSince = new Date(Date.now() - 30 * 60000).toISOString();
+      const pool = [...players.slice(0, 3), { ...players[4], waitingSince }];
+      const selection = generateSmartMatch(pool, [], true, false, { skillBand: strong });
+
+      expect(selection.skillBandRelaxed).toBeUndefined();
+      expect(selection.players.map(p => p.id)).toContain(players[4].id);
+    });
+  });
+
+  describe('explainMatch', () => {
+    const players = makePlayers([1500, 1450, 1400, 1350, 1300, 1250, 1200, 1150]);
+    const lineupOf = (selection) => ({ team1: selection.teams.team1, team2: selection.teams.team2 });
+
+    test('should break the picked match down into the weighted criteria', () => {
+      const selection = selectSmartPlayers(players, [], 0, false);
+      const { score, criteria } = explainMatch(lineupOf(selection), players, []);
+      const weighted = criteria.reduce((sum, criterion) => sum + criterion.value * criterion.weight, 0);
+
+      expect(criteria.map(criterion => criterion.key)).toEqual(SCORE_CRITERIA.map(criterion => criterion.key));
+      expect(score.rejected).toBeUndefined();
+      expect(score.total).toBeCloseTo(selection.score.total);
+      expect(weighted).toBeCloseTo(score.total);
+    });
+
+    test('should list alternatives, none of them better than the pick', () => {
+      const selection = selectSmartPlayers(players, [], 0, false);
+      const { alternatives } = explainMatch(lineupOf(selection), players, []);
+      const pickedIds = selection.players.map(p => p.id).sort().join();
+
+      expect(alternatives).toHaveLength(SMART_MATCHING_CONFIG.EXPLAIN_ALTERNATIVES);
+      alternatives.forEach(alternative => {
+        const ids = [alternative.teams.team1, alternative.teams.team2]
+          .flatMap(team => [team.player1.id, team.player2.id]).sort().join();
+        expect(ids).not.toBe(pickedIds);
+        expect(alternative.total).toBeLessThanOrEqual(selection.score.total + 1e-9);
+      });
+    });
+
+    test('should give the reason alternatives were rejected', () => {
+      // p5-p8 have played two more matches, so any foursome using them breaks the fairness threshold
+      const pool = players.map((p, index) => ({ ...p, sessionMatchCount: index < 4 ? 0 : 2 }));
+      const selection = selectSmartPlayers(pool, [], 0, false);
+      const { alternatives } = explainMatch(lineupOf(selection), pool, []);
+
+      expect(alternatives.every(alternative => alternative.rejected)).toBe(true);
+      expect(alternatives[0].reason).toBe('Fairness threshold violation');
+      expect(alternatives[0].potential).toBeGreaterThan(0);
+    });
+
+    test('should flag a manual line-up that breaks a pairing rule', () => {
+      const constraints = [{ id: 'r1', type: CONSTRAINT_TYPES.NEVER_PARTNER, playerIds: ['p1', 'p2'] }];
+      const lineup = {
+        team1: { player1: players[0], player2: players[1] },
+        team2: { player1: players[2], player2: players[3] }
+      };
+      const { score, criteria } = explainMatch(lineup, players, [], { constraints });
+
+      expect(score.rejected).toBe(true);
+      expect(score.reason).toMatch(/Pairing rule/);
+      expect(criteria.find(criterion => criterion.key === 'eloBalance').value).toBeGreaterThan(0);
+    });
+  });
+
+  describe('session matching config', () => {
+    const sumOf = (weights) => Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+    test('should default to the module config', () => {
+      const config = buildMatchingConfig({ enabled: true });
+
+      expect(config.MAX_ELO_DIFF).toBe(SMART_MATCHING_CONFIG.MAX_ELO_DIFF);
+      expect(config.PARTNERSHIP_MEMORY).toBe(SMART_MATCHING_CONFIG.PARTNERSHIP_MEMORY);
+      Object.keys(SMART_MATCHING_CONFIG.WEIGHTS).forEach(key => {
+        expect(config.WEIGHTS[key]).toBeCloseTo(SMART_MATCHING_CONFIG.WEIGHTS[key]);
+      });
+    });
+
+    test('should map the session settings and rescale the weights', () => {
+      const config = buildMatchingConfig({
+        eloRange: 300,
+        teamBalance: 100,
+        partnershipMemory: 8,
+        maxRepeatedPartnerships: 0,
+        weights: { FAIR_PLAY: 0.6, ELO_BALANCE: 0.3 }
+      });
+
+      expect(config.MAX_ELO_DIFF).toBe(300);
+      expect(config.TEAM_ELO_TOLERANCE).toBe(100);
+      expect(config.PARTNERSHIP_MEMORY).toBe(8);
+      expect(config.MAX_REPEATED_PARTNERSHIPS).toBe(SMART_MATCHING_CONFIG.MAX_REPEATED_PARTNERSHIPS);
+      expect(sumOf(config.WEIGHTS)).toBeCloseTo(1);
+      expect(config.WEIGHTS.FAIR_PLAY).toBeGreaterThan(config.WEIGHTS.ELO_BALANCE);
+    });
+
+    test('should ship presets whose weights add up to one', () => {
+      expect(MATCHING_PRESETS.map(preset => preset.label)).toEqual(
+        expect.arrayContaining(['Competitive', 'Social', 'Beginner-friendly'])
+      );
+      MATCHING_PRESETS.forEach(preset => {
+        expect(sumOf(preset.settings.weights)).toBeCloseTo(1);
+      });
+    });
+
+    test('should change the pick when the weights change', () => {
+      // p1-p4 are evenly matched but have just played together
+      const players = makePlayers([1500, 1500, 1500, 1500, 1000, 2000, 1000, 2000]);
+      const matches = [{
+        team1_player1_id: 'p1',
+        team1_player2_id: 'p2',
+        team2_player1_id: 'p3',
+        team2_player2_id: 'p4',
+        completed_at: '2024-01-01T18:00:00Z'
+      }];
+      const only = (weights) => buildMatchingConfig({
+        weights: { ELO_BALANCE: 0, SKILL_SIMILARITY: 0, PARTNERSHIP_VARIETY: 0, OPPONENT_VARIETY: 0, FAIR_PLAY: 0, WAIT_TIME: 0, ...weights }
+      });
+      const pickedIds = (config) => selectSmartPlayers(players, matches, 0, false, { config }).players.map(p => p.id).sort();
+
+      expect(pickedIds(only({ SKILL_SIMILARITY: 1 }))).toEqual(['p1', 'p2', 'p3', 'p4']);
+      expect(pickedIds(only({ PARTNERSHIP_VARIETY: 1, OPPONENT_VARIETY: 1 }))).not.toEqual(['p1', 'p2', 'p3', 'p4']);
+    });
+
+    test('should explain a match with the session weights', () => {
+      const players = makePlayers([1500, 1450, 1400, 1350]);
+      const config = buildMatchingConfig(MATCHING_PRESETS.find(preset => preset.value === 'competitive').settings);
+      const lineup = {
+        team1: { player1: players[0], player2: players[3] },
+        team2: { player1: players[1], player2: players[2] }
+      };
+      const { criteria } = explainMatch(lineup, players, [], { config });
+
+      expect(criteria.find(criterion => criterion.key === 'skillSimilarity').weight).toBeCloseTo(0.25);
+    });
+  });
+
+  describe('singles', () => {
+    test('should pick two players with empty second slots', () => {
+      const players = makePlayers([1000, 1500, 1020, 1480]);
+      const selection = generateSmartMatch(players, [], true, false, { matchType: MATCH_TYPES.SINGLES });
+
+      expect(selection.matchType).toBe(MATCH_TYPES.SINGLES);
+      expect(selection.players).toHaveLength(2);
+      expect(selection.teams.team1.player2).toBeNull();
+      expect(selection.teams.team2.player2).toBeNull();
+    });
+
+    test('should match on singles ratings rather than doubles ratings', () => {
+      const players = makePlayers([1200, 1200, 1200]).map((p, index) => ({ ...p, singlesElo: [1000, 1600, 1040][index] }));
+      const selection = generateSmartMatch(players, [], true, false, { matchType: MATCH_TYPES.SINGLES });
+
+      expect(selection.players.map(p => p.id).sort()).toEqual(['p1', 'p3']);
+      expect(selection.score.teamELOs).toEqual({ team1: 1000, team2: 1040 });
+    });
+
+    test('should prefer a new opponent', () => {
+      const players = makePlayers([1200, 1200, 1200, 1200]);
+      const history = [{ team1_player1_id: 'p1', team1_player2_id: null, team2_player1_id: 'p2', team2_player2_id: null, match_type: 'singles', completed_at: '2024-01-01T18:00:00Z' }];
+      const selection = generateSmartMatch(players.slice(0, 3), history, true, false, { matchType: MATCH_TYPES.SINGLES });
+
+      expect(selection.players.map(p => p.id)).toContain('p3');
+    });
+
+    test('should ignore partner rules but keep opponent rules', () => {
+      const players = makePlayers([1000, 1010, 1500]);
+      const constraints = [
+        { id: 'c1', type: CONSTRAINT_TYPES.MUST_PARTNER, playerIds: ['p1', 'p3'] },
+        { id: 'c2', type: CONSTRAINT_TYPES.NEVER_OPPOSE, playerIds: ['p1', 'p2'] }
+      ];
+      const selection = generateSmartMatch(players, [], true, false, { matchType: MATCH_TYPES.SINGLES, constraints });
+
+      expect(selection.players.map(p => p.id).sort()).not.toEqual(['p1', 'p2']);
+    });
+
+    test('should not count a singles player as their own partner', () => {
+      const players = makePlayers([1200, 1200, 1200, 1200]);
+      const legacySingles = { team1_player1_id: 'p1', team1_player2_id: 'p1', team2_player1_id: 'p2', team2_player2_id: 'p2', completed_at: '2024-01-01T18:00:00Z' };
+      const explanation = explainMatch({
+        team1: { player1: players[0], player2: players[2] },
+        team2: { player1: players[1], player2: players[3] }
+      }, players, [legacySingles]);
+
+      expect(explanation.criteria.find(criterion => criterion.key === 'partnershipVariety').value).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+// "Up next" Match Queue for Badminton Pairing
+// Pre-generates the next few matches from players who are not on court
+
+import { generateId } from './helpers';
+import { generateSmartMatch, getMatchPreview } from './smartMatching';
+import { getDrawMatchingData } from './matchDraws';
+
+export const UP_NEXT_DEFAULTS = {
+  size: 3,         // How many matches to keep proposed
+  autoFill: false  // Start the head of the queue on free courts automatically
+};
+
+/**
+ * All player ids in a proposed match
+ */
+export function getUpNextPlayerIds(match) {
+  return [
+    match.team1?.player1?.id,
+    match.team1?.player2?.id,
+    match.team2?.player1?.id,
+    match.team2?.player2?.id
+  ].filter(Boolean);
+}
+
+/**
+ * Order-independent key for the available pool, used to detect check-ins, departures,
+ * finished games and changes to the pairing rules or the matching config
+ */
+export function getUpNextPoolKey(availablePlayers, settings, useSmartMatching, constraints = [], config = null) {
+  const ids = availablePlayers.map(p => p.id).sort().join(',');
+  const rules = constraints.map(rule => rule.id).sort().join(',');
+  const tuning = config
+    ? [config.MAX_ELO_DIFF, config.TEAM_ELO_TOLERANCE, config.PARTNERSHIP_MEMORY, config.MAX_REPEATED_PARTNERSHIPS,
+      config.CATCH_UP_POLICY, config.CATCH_UP_CAP,
+      ...Object.values(config.WEIGHTS).map(weight => weight.toFixed(3))].join(':')
+    : '';
+  return `${ids}|${settings.size}|${useSmartMatching ? 'smart' : 'random'}|${rules}|${tuning}`;
+}
+
+/**
+ * Build a proposed match in the same shape as currentMatches entries
+ * drawData carries the seed and snapshot of the draw (see matchDraws)
+ */
+function createUpNextMatch(selection, drawData = {}) {
+  return {
+    id: generateId(),
+    matchType: 'doubles',
+    team1: selection.teams.team1,
+    team2: selection.teams.team2,
+    pinned: false,
+    matchingData: {
+      method: selection.method,
+      score: selection.score?.total || 0,
+      teamELOs: getMatchPreview(
+        selection.teams.team1.player1,
+        selection.teams.team1.player2,
+        selection.teams.team2.player1,
+        selection.teams.team2.player2
+      ),
+      ...drawData
+    }
+  };
+}
+
+/**
+ * Refresh the queue against the current available pool
+ * Proposals the organizer edited (pinned) are kept while all their players are still
+ * available; every other slot is re-planned by the matching engine from the players left.
+ * With keepAll, valid proposals are kept as they are and the queue is only topped up.
+ */
+export function planUpNextMatches(queue, availablePlayers, matches, options = {}) {
+  const size = options.size ?? UP_NEXT_DEFAULTS.size;
+  const useSmartMatching = options.useSmartMatching ?? true;
+  const availableById = new Map(availablePlayers.map(p => [p.id, p]));
+
+  // Refresh player objects so ELO, match counts and wait times are current
+  const refreshPlayer = (player) => (player ? availableById.get(player.id) || player : player);
+  const refreshMatch = (match) => ({
+    ...match,
+    team1: { player1: refreshPlayer(match.team1.player1), player2: refreshPlayer(match.team1.player2) },
+    team2: { player1: refreshPlayer(match.team2.player1), player2: refreshPlayer(match.team2.player2) }
+  });
+
+  const kept = (queue || [])
+    .slice(0, size)
+    .filter(match => (options.keepAll || match.pinned) &&
+      getUpNextPlayerIds(match).every(id => availableById.has(id)))
+    .map(refreshMatch);
+
+  const usedPlayerIds = new Set(kept.flatMap(getUpNextPlayerIds));
+  const planned = [];
+
+  while (kept.length + planned.length < size) {
+    const remaining = availablePlayers.filter(p => !usedPlayerIds.has(p.id));
+    if (remaining.length < 4) break;
+
+    const rules = { constraints: options.constraints, config: options.config };
+    const selection = generateSmartMatch(remaining, matches, useSmartMatching, false, rules);
+    if (!selection) break;
+
+    selection.players.forEach(p => usedPlayerIds.add(p.id));
+    planned.push(createUpNextMatch(selection, getDrawMatchingData(selection, remaining, matches, { ...rules, useSmartMatching })));
+  }
+
+  // Pinned proposals keep their place; fresh ones fill the gaps in engine order
+  const result = [];
+  let plannedIndex = 0;
+  for (const match of (queue || []).slice(0, size)) {
+    const keptMatch = kept.find(k => k.id === match.id);
+    if (keptMatch) {
+      result.push(keptMatch);
+    } else if (plannedIndex < planned.length) {
+      result.push(planned[plannedIndex++]);
+    }
+  }
+
+  return [...result, ...planned.slice(plannedIndex)];
+}
+
+/**
+ * Move a proposed match up (-1) or down (+1) the queue
+ */
+export function moveUpNextMatch(queue, matchId, offset) {
+  const index = queue.findIndex(m => m.id === matchId);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= queue.length) return queue;
+
+  const reordered = [...queue];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered.map(m => (m.id === matchId ? { ...m, pinned: true } : m));
+}
+
+/**
+ * Swap a player in a proposed match with another player - either someone in another
+ * proposal (the two trade places) or someone who is not in the queue yet
+ */
+export function swapUpNextPlayer(queue, matchId, playerId, replacement) {
+  const slots = ['player1', 'player2'];
+  const teams = ['team1', 'team2'];
+
+  // Replace players by id in a single pass, so two players in the same match can trade slots
+  const replaceIn = (match, replacements) => {
+    const updated = { ...match, pinned: true };
+    teams.forEach(team => {
+      updated[team] = { ...match[team] };
+      slots.forEach(slot => {
+        const current = match[team][slot];
+        if (current && replacements[current.id]) {
+          updated[team][slot] = replacements[current.id];
+        }
+      });
+    });
+    updated.matchingData = {
+      ...match.matchingData,
+      method: 'manual',
+      teamELOs: getMatchPreview(updated.team1.player1, updated.team1.player2, updated.team2.player1, updated.team2.player2)
+    };
+    return updated;
+  };
+
+  const source = queue.find(m => m.id === matchId);
+  const player = source && teams.flatMap(team => slots.map(slot => source[team][slot]))
+    .find(p => p?.id === playerId);
+  if (!player || player.id === replacement.id) return queue;
+
+  return queue.map(match => {
+    const hasReplacement = getUpNextPlayerIds(match).includes(replacement.id);
+
+    if (match.id === matchId) {
+      return replaceIn(match, hasReplacement
+        ? { [playerId]: replacement, [replacement.id]: player }
+        : { [playerId]: replacement });
+    }
+    if (hasReplacement) {
+      return replaceIn(match, { [replacement.id]: player });
+    }
+    return match;
+  });
+}
+
+/**
+ * Remove a proposed match from the queue
+ */
+export function discardUpNextMatch(queue, matchId) {
+  return queue.filter(m => m.id !== matchId);
+}
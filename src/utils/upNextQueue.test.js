@@ -0,0 +1,100 @@
+import {
+  planUpNextMatches,
+  moveUpNextMatch,
+  swapUpNextPlayer,
+  discardUpNextMatch,
+  getUpNextPlayerIds
+} from './upNextQueue';
+
+const makePlayers = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `p${index + 1}`,
+  name: `Player ${index + 1}`,
+  elo: 1200 + index * 25,
+  sessionMatchCount: 0
+}));
+
+describe('Up Next Queue', () => {
+  const players = makePlayers(12);
+
+  describe('planUpNextMatches', () => {
+    test('should plan up to the queue size with distinct players', () => {
+      const queue = planUpNextMatches([], players, [], { size: 3 });
+
+      expect(queue).toHaveLength(3);
+      const ids = queue.flatMap(getUpNextPlayerIds);
+      expect(new Set(ids).size).toBe(12);
+    });
+
+    test('should stop when fewer than 4 players are left', () => {
+      const queue = planUpNextMatches([], players.slice(0, 6), [], { size: 3 });
+      expect(queue).toHaveLength(1);
+    });
+
+    test('should keep pinned matches in place while their players are available', () => {
+      const initial = planUpNextMatches([], players, [], { size: 3 });
+      const pinned = { ...initial[1], pinned: true };
+
+      const queue = planUpNextMatches([initial[0], pinned, initial[2]], players, [], { size: 3 });
+
+      expect(queue[1].id).toBe(pinned.id);
+      expect(queue).toHaveLength(3);
+    });
+
+    test('should drop pinned matches once a player is no longer available', () => {
+      const initial = planUpNextMatches([], players, [], { size: 2 });
+      const pinned = { ...initial[0], pinned: true };
+      const leaving = getUpNextPlayerIds(pinned)[0];
+
+      const queue = planUpNextMatches([pinned], players.filter(p => p.id !== leaving), [], { size: 2 });
+
+      expect(queue.map(m => m.id)).not.toContain(pinned.id);
+      expect(queue.flatMap(getUpNextPlayerIds)).not.toContain(leaving);
+    });
+
+    test('should only top up when keeping every valid match', () => {
+      const initial = planUpNextMatches([], players, [], { size: 3 });
+      const queue = planUpNextMatches(initial.slice(1), players, [], { size: 3, keepAll: true });
+
+      expect(queue.slice(0, 2).map(m => m.id)).toEqual([initial[1].id, initial[2].id]);
+      expect(queue).toHaveLength(3);
+    });
+  });
+
+  describe('editing', () => {
+    const queue = planUpNextMatches([], players.slice(0, 9), [], { size: 2 });
+
+    test('should reorder and pin the moved match', () => {
+      const reordered = moveUpNextMatch(queue, queue[1].id, -1);
+
+      expect(reordered[0].id).toBe(queue[1].id);
+      expect(reordered[0].pinned).toBe(true);
+      expect(moveUpNextMatch(queue, queue[0].id, -1)).toBe(queue);
+    });
+
+    test('should trade players between two proposed matches', () => {
+      const playerA = queue[0].team1.player1;
+      const playerB = queue[1].team2.player2;
+
+      const swapped = swapUpNextPlayer(queue, queue[0].id, playerA.id, playerB);
+
+      expect(swapped[0].team1.player1.id).toBe(playerB.id);
+      expect(swapped[1].team2.player2.id).toBe(playerA.id);
+      expect(swapped[0].pinned && swapped[1].pinned).toBe(true);
+    });
+
+    test('should swap in a player who is not queued', () => {
+      const queuedIds = queue.flatMap(getUpNextPlayerIds);
+      const benchPlayer = players.slice(0, 9).find(p => !queuedIds.includes(p.id));
+      const outgoing = queue[0].team2.player1;
+
+      const swapped = swapUpNextPlayer(queue, queue[0].id, outgoing.id, benchPlayer);
+
+      expect(getUpNextPlayerIds(swapped[0])).toContain(benchPlayer.id);
+      expect(swapped.flatMap(getUpNextPlayerIds)).not.toContain(outgoing.id);
+    });
+
+    test('should discard a match', () => {
+      expect(discardUpNextMatch(queue, queue[0].id).map(m => m.id)).toEqual([queue[1].id]);
+    });
+  });
+});
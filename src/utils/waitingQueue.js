@@ -0,0 +1,107 @@
+// Waiting Queue for Badminton Pairing
+// Records when each session player became available so long waits can be prioritized
+
+/**
+ * Find when a player last came off court in this session (completed or cancelled match)
+ */
+function getLastOffCourtAt(playerId, matches) {
+  let lastOffCourt = null;
+
+  for (const match of matches || []) {
+    const finishedAt = match.completed_at || match.cancelled_at;
+    if (!finishedAt) continue;
+
+    const playerIds = [
+      match.team1_player1_id,
+      match.team1_player2_id,
+      match.team2_player1_id,
+      match.team2_player2_id
+    ];
+
+    if (playerIds.includes(playerId) && (!lastOffCourt || new Date(finishedAt) > new Date(lastOffCourt))) {
+      lastOffCourt = finishedAt;
+    }
+  }
+
+  return lastOffCourt;
+}
+
+/**
+ * Bring the waiting queue in line with the current available pool
+ * Players already queued keep their place, players who left the pool (on court or
+ * inactive) drop out, and newcomers are queued from now. When there is no queue yet
+ * (new session or reload) it is rebuilt from when each player last came off court
+ * or joined the session.
+ * Returns { queue, changed } so callers only write session state when needed
+ */
+export function syncWaitingQueue(queue, availablePlayers, matches, now = new Date()) {
+  const isRebuild = !queue;
+  const currentQueue = queue || {};
+  const nextQueue = {};
+  let changed = false;
+
+  for (const player of availablePlayers) {
+    if (currentQueue[player.id]) {
+      nextQueue[player.id] = currentQueue[player.id];
+      continue;
+    }
+
+    changed = true;
+
+    if (!isRebuild) {
+      nextQueue[player.id] = now.toISOString();
+      continue;
+    }
+
+    const lastOffCourt = getLastOffCourtAt(player.id, matches);
+    const joinedLater = player.joinedAt && (!lastOffCourt || new Date(player.joinedAt) > new Date(lastOffCourt));
+    nextQueue[player.id] = (joinedLater ? player.joinedAt : lastOffCourt) || now.toISOString();
+  }
+
+  if (isRebuild || Object.keys(currentQueue).length !== Object.keys(nextQueue).length) {
+    changed = true;
+  }
+
+  return { queue: changed ? nextQueue : currentQueue, changed };
+}
+
+/**
+ * Attach each player's waitingSince timestamp from the queue
+ */
+export function applyWaitingQueue(players, queue) {
+  if (!queue) return players;
+
+  return players.map(player => (
+    queue[player.id] ? { ...player, waitingSince: queue[player.id] } : player
+  ));
+}
+
+/**
+ * How long a player has been waiting, in milliseconds
+ */
+export function getWaitTimeMs(player, now = Date.now()) {
+  if (!player.waitingSince) return 0;
+  return Math.max(0, now - new Date(player.waitingSince).getTime());
+}
+
+/**
+ * Order players by queue position - longest wait first, unqueued players last
+ */
+export function sortByWaitingQueue(players, now = Date.now()) {
+  return [...players].sort((a, b) => {
+    const waitDiff = getWaitTimeMs(b, now) - getWaitTimeMs(a, now);
+    if (waitDiff !== 0) return waitDiff;
+    return (a.name || '').localeCompare(b.name || '');
+  });
+}
+
+/**
+ * Short label for how long a player has been waiting (e.g. "12m", "1h 5m")
+ */
+export function formatWaitTime(player, now = Date.now()) {
+  const minutes = Math.floor(getWaitTimeMs(player, now) / (1000 * 60));
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
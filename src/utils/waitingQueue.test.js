@@ -0,0 +1,72 @@
+import { syncWaitingQueue, applyWaitingQueue, sortByWaitingQueue, formatWaitTime } from './waitingQueue';
+
+describe('Waiting Queue', () => {
+  const now = new Date('2024-01-01T19:00:00.000Z');
+  const players = [
+    { id: 'p1', name: 'Alice', joinedAt: '2024-01-01T18:00:00.000Z' },
+    { id: 'p2', name: 'Bob', joinedAt: '2024-01-01T18:00:00.000Z' },
+    { id: 'p3', name: 'Cara', joinedAt: '2024-01-01T18:50:00.000Z' }
+  ];
+  const matches = [{
+    team1_player1_id: 'p1',
+    team1_player2_id: 'p4',
+    team2_player1_id: 'p5',
+    team2_player2_id: 'p6',
+    completed_at: '2024-01-01T18:55:00.000Z'
+  }];
+
+  describe('syncWaitingQueue', () => {
+    test('should rebuild from match history and join times when there is no queue', () => {
+      const { queue, changed } = syncWaitingQueue(undefined, players, matches, now);
+
+      expect(changed).toBe(true);
+      expect(queue).toEqual({
+        p1: '2024-01-01T18:55:00.000Z', // came off court
+        p2: '2024-01-01T18:00:00.000Z', // waiting since joining
+        p3: '2024-01-01T18:50:00.000Z'
+      });
+    });
+
+    test('should keep existing places and queue newcomers from now', () => {
+      const existing = { p1: '2024-01-01T18:30:00.000Z' };
+      const { queue } = syncWaitingQueue(existing, players.slice(0, 2), matches, now);
+
+      expect(queue.p1).toBe('2024-01-01T18:30:00.000Z');
+      expect(queue.p2).toBe(now.toISOString());
+    });
+
+    test('should drop players who are no longer available', () => {
+      const existing = { p1: '2024-01-01T18:30:00.000Z', p2: '2024-01-01T18:40:00.000Z' };
+      const { queue, changed } = syncWaitingQueue(existing, [players[1]], matches, now);
+
+      expect(changed).toBe(true);
+      expect(queue).toEqual({ p2: '2024-01-01T18:40:00.000Z' });
+    });
+
+    test('should report no change when the pool matches the queue', () => {
+      const existing = { p1: '2024-01-01T18:30:00.000Z' };
+      const result = syncWaitingQueue(existing, [players[0]], matches, now);
+
+      expect(result.changed).toBe(false);
+      expect(result.queue).toBe(existing);
+    });
+  });
+
+  describe('queue order', () => {
+    test('should sort longest wait first', () => {
+      const queued = applyWaitingQueue(players, {
+        p1: '2024-01-01T18:55:00.000Z',
+        p2: '2024-01-01T18:00:00.000Z',
+        p3: '2024-01-01T18:50:00.000Z'
+      });
+
+      expect(sortByWaitingQueue(queued, now.getTime()).map(p => p.id)).toEqual(['p2', 'p3', 'p1']);
+    });
+
+    test('should format wait times', () => {
+      expect(formatWaitTime({ waitingSince: '2024-01-01T18:59:30.000Z' }, now.getTime())).toBe('just now');
+      expect(formatWaitTime({ waitingSince: '2024-01-01T18:48:00.000Z' }, now.getTime())).toBe('12m');
+      expect(formatWaitTime({ waitingSince: '2024-01-01T17:55:00.000Z' }, now.getTime())).toBe('1h 5m');
+    });
+  });
+});